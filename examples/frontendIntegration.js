@@ -3,14 +3,25 @@
  * Shows how to use the enhanced /api/chat endpoint with context building
  */
 
+// Every /api route needs the signed-in user's JWT (see "Authentication" in README)
+let authToken = null;
+
+export const setAuthToken = (token) => {
+  authToken = token;
+};
+
+const jsonHeaders = (extra = {}) => ({
+  'Content-Type': 'application/json',
+  ...(authToken ? { 'Authorization': `Bearer ${authToken}` } : {}),
+  ...extra
+});
+
 // Example 1: Send userData directly in the chat request (RECOMMENDED)
 export const chatWithUserData = async (message, userData, conversation = []) => {
   try {
     const response = await fetch('/api/chat', {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
+      headers: jsonHeaders(),
       body: JSON.stringify({
         message: message,
         conversation: conversation,
@@ -38,9 +49,7 @@ export const chatWithPreBuiltContext = async (message, context, conversation = [
   try {
     const response = await fetch('/api/chat', {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
+      headers: jsonHeaders(),
       body: JSON.stringify({
         message: message,
         conversation: conversation,
@@ -70,9 +79,7 @@ export const chatWithEmbeddedContext = async (message, userData, conversation =
 
     const response = await fetch('/api/chat', {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
+      headers: jsonHeaders(),
       body: JSON.stringify({
         message: message,
         conversation: enhancedConversation
@@ -91,9 +98,7 @@ export const chatWithoutData = async (message, conversation = []) => {
   try {
     const response = await fetch('/api/chat', {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
+      headers: jsonHeaders(),
       body: JSON.stringify({
         message: message,
         conversation: conversation
@@ -121,9 +126,7 @@ export const buildContextThenChat = async (message, userData, conversation = [])
     // Step 1: Build context
     const contextResponse = await fetch('/api/context', {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
+      headers: jsonHeaders(),
       body: JSON.stringify({
         userData: userData
       })
@@ -138,9 +141,7 @@ export const buildContextThenChat = async (message, userData, conversation = [])
     // Step 2: Use pre-built context in chat
     const chatResponse = await fetch('/api/chat', {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
+      headers: jsonHeaders(),
       body: JSON.stringify({
         message: message,
         conversation: conversation,
@@ -155,6 +156,57 @@ export const buildContextThenChat = async (message, userData, conversation = [])
   }
 };
 
+// Example 6: Stream the answer token by token (Server-Sent Events)
+// Events: "token" ({ content }) while the answer is generated, "tool" ({ name, arguments })
+// when the model queries the user data, then "done" with usage, hasUserData,
+// contextLimited, contextSource and toolCalls, or "error" if it fails
+export const streamChatWithUserData = async (message, userData, onToken, conversation = []) => {
+  const response = await fetch('/api/chat', {
+    method: 'POST',
+    headers: jsonHeaders({ 'Accept': 'text/event-stream' }),
+    body: JSON.stringify({
+      message: message,
+      conversation: conversation,
+      userData: userData,
+      stream: true
+    })
+  });
+
+  if (!response.ok || !response.body) {
+    // Validation errors (missing message, API key) still come back as JSON
+    throw new Error((await response.json()).error);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    events.forEach(rawEvent => {
+      const eventName = rawEvent.match(/^event: (.*)$/m)?.[1];
+      const data = JSON.parse(rawEvent.match(/^data: (.*)$/m)?.[1] || '{}');
+
+      if (eventName === 'token') {
+        onToken(data.content);
+      } else if (eventName === 'done') {
+        result = data;
+      } else if (eventName === 'error') {
+        throw new Error(data.error);
+      }
+    });
+  }
+
+  return result;
+};
+
 // Sample user data structure for testing
 export const sampleUserData = {
   userProfile: {
@@ -204,6 +256,9 @@ export const sampleUserData = {
 // Fallback: No data (will show limitations)
 // chatWithoutData("Tell me about my career");
 
+// Streaming: render tokens as they arrive
+// streamChatWithUserData("Summarize my month", sampleUserData, token => appendToChatBubble(token));
+
 // Response format you'll receive:
 /*
 {
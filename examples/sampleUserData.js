@@ -8,7 +8,8 @@ export const sampleUserData = {
     name: "Sarah Johnson",
     email: "sarah.johnson@email.com",
     phone: "+1-555-0123",
-    displayName: "Sarah J."
+    displayName: "Sarah J.",
+    homeCurrency: "USD"
   },
   
   jobs: [
@@ -1,24 +1,43 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import OpenAI from 'openai';
 import helmet from 'helmet';
 import morgan from 'morgan';
 import compression from 'compression';
+import multer from 'multer';
 import ContextService from './services/contextService.js';
+import ConflictService from './services/conflictService.js';
+import ReceivablesService from './services/receivablesService.js';
+import ICalendarService from './services/icalendarService.js';
+import CalendarImportService from './services/calendarImportService.js';
+import DateService from './services/dateService.js';
+import LocaleService from './services/localeService.js';
+import UserDataValidationService from './services/userDataValidationService.js';
+import ChatPipelineService from './services/chatPipelineService.js';
+import ChatActionService from './services/chatActionService.js';
+import LLMService from './services/llmService.js';
+import OcrProfileService from './services/ocrProfileService.js';
+import OcrService from './services/ocrService.js';
+import PdfService from './services/pdfService.js';
+import EmailService from './services/emailService.js';
+import ConversationService from './services/conversationService.js';
+import AuthService from './services/authService.js';
+import RateLimitService from './services/rateLimitService.js';
 
 // Load environment variables
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-
-// Initialize OpenAI (only if API key is available)
-let openai;
-if (process.env.OPENAI_API_KEY) {
-  openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-  });
+const PDF_MAX_FILE_SIZE_MB = parseFloat(process.env.PDF_MAX_FILE_SIZE_MB) || 10;
+const ICS_MAX_FILE_SIZE_MB = 2;
+const EMAIL_MAX_FILE_SIZE_MB = 10;
+
+// Client address from X-Forwarded-For behind proxies (Vercel, load balancers), used for per-IP limits
+// TRUST_PROXY: number of proxy hops, "true", or a comma-separated list of proxy addresses
+const TRUST_PROXY = process.env.TRUST_PROXY ?? (process.env.VERCEL ? '1' : 'false');
+if (TRUST_PROXY !== 'false') {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10) : (TRUST_PROXY === 'true' || TRUST_PROXY));
 }
 
 // Middleware
@@ -41,16 +60,31 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'Retry-After']
 }));
 
+// Per-IP request limit (before authentication, so invalid tokens are limited too)
+app.use('/api', RateLimitService.limitRequests('ip'));
+
+// Bearer token authentication (public routes: AUTH_PUBLIC_ROUTES, plus / and /health)
+app.use(AuthService.authenticate());
+
+// Per-user request limit
+app.use('/api', RateLimitService.limitRequests('user'));
+
+// Monthly token quota, applied to routes that call the LLM
+const tokenQuota = RateLimitService.requireTokenQuota();
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    environment: process.env.NODE_ENV || 'development'
+    environment: process.env.NODE_ENV || 'development',
+    llm: LLMService.describe(),
+    auth: AuthService.describe()
   });
 });
 
@@ -62,153 +96,274 @@ app.get('/', (req, res) => {
     status: 'running',
     endpoints: {
       health: '/health',
-      chat: '/api/chat (enhanced with automatic context building)',
+      chat: '/api/chat (enhanced with automatic context building, streaming with stream: true)',
       context: '/api/context (for testing and manual context building)',
       chatWithContext: '/api/chat-with-context (alternative endpoint)',
-      ocr: '/api/ocr (AI-powered document text analysis and data extraction)'
+      chatActions: '/api/chat/actions (action cards returned by the chat with actions: true)',
+      conflicts: '/api/conflicts (schedule conflicts across jobs, events, meetings, shootings and stays)',
+      receivables: '/api/receivables (outstanding payments, aging buckets and overdue clients)',
+      calendarExport: '/api/calendar/export (schedule as an iCalendar .ics feed)',
+      calendarImport: '/api/calendar/import (.ics feed to job, event, meeting and stay drafts)',
+      conversations: '/api/conversations (stored conversations; POST /api/conversations/:id/messages to chat)',
+      usage: '/api/usage (rate limits and monthly token quota of the caller)',
+      ocr: '/api/ocr (AI-powered document text analysis, data extraction and entity drafts)',
+      ocrEmail: '/api/ocr/email (raw .eml / MIME e-mail to text, then /api/ocr extraction)',
+      ocrBatch: '/api/ocr/batch (several text documents in one request, with duplicate bookings flagged)',
+      ocrProfiles: '/api/ocr/profiles (document types supported by /api/ocr)'
     },
     features: {
       contextBuilding: 'Automatic context building from userData',
       contextLimitations: 'Intelligent fallback when no data available',
       multipleDataSources: 'userData, context, or conversation embedding',
-      backwardCompatible: 'Works with existing frontend without changes'
+      backwardCompatible: 'Works with existing frontend without changes',
+      streaming: 'Server-Sent Events via stream: true or Accept: text/event-stream',
+      conversations: 'Server-side history via conversationId',
+      dataTools: 'Exact earnings, job, unpaid job and agent queries via tool calling when userData is sent',
+      authentication: 'Bearer JWT (HS256 secret or JWKS) on all /api routes'
     }
   });
 });
 
-// Chat endpoint with OpenAI integration and automatic context building
-app.post('/api/chat', async (req, res) => {
-  try {
-    const { message, conversation = [], userData = null, context = null } = req.body;
+/**
+ * Check whether the client asked for a streamed (Server-Sent Events) chat response
+ * @param {Object} req - Express request
+ * @returns {boolean} True for `stream: true` in the body or `Accept: text/event-stream`
+ */
+function wantsEventStream(req) {
+  const streamFlag = req.body?.stream;
+  if (streamFlag === true || streamFlag === 'true') {
+    return true;
+  }
 
-    if (!message) {
-      return res.status(400).json({
-        error: 'Message is required',
-        code: 'MISSING_MESSAGE'
-      });
-    }
+  return (req.headers.accept || '').includes('text/event-stream');
+}
 
-    if (!process.env.OPENAI_API_KEY || !openai) {
-      return res.status(500).json({
-        error: 'OpenAI API key not configured',
-        code: 'MISSING_API_KEY'
-      });
-    }
+/**
+ * Write one Server-Sent Event and flush it through the compression middleware
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+function sendSseEvent(res, event, data) {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+}
 
-    // Automatically build comprehensive user context using ContextService
-    let systemContext;
-
-    // Priority 1: Use pre-built context if provided
-    if (context && typeof context === 'string' && context.trim().length > 0) {
-      console.log('🔄 Using pre-built context from request');
-      systemContext = context;
-    }
-    // Priority 2: Build context from userData if available
-    else if (userData && Object.keys(userData).length > 0) {
-      console.log('🔄 Building context from userData');
-      systemContext = ContextService.buildUserContext(userData);
-    }
-    // Priority 3: Check if userData is embedded in conversation history
-    else if (conversation && conversation.length > 0) {
-      console.log('🔄 Checking conversation for embedded userData');
-      // Look for userData in conversation metadata
-      const contextMessage = conversation.find(msg => msg.userData || msg.context);
-      if (contextMessage) {
-        if (contextMessage.userData) {
-          systemContext = ContextService.buildUserContext(contextMessage.userData);
-        } else if (contextMessage.context) {
-          systemContext = contextMessage.context;
-        }
-      }
-    }
+/**
+ * Map an OpenAI error to the API error code used in responses
+ * @param {Error} error - Error thrown by the OpenAI client
+ * @returns {string|null} API error code, or null for unknown errors
+ */
+function mapOpenAIErrorCode(error) {
+  switch (error?.code) {
+    case 'insufficient_quota':
+      return 'QUOTA_EXCEEDED';
+    case 'invalid_api_key':
+      return 'INVALID_API_KEY';
+    case 'rate_limit_exceeded':
+      return 'RATE_LIMIT_EXCEEDED';
+    default:
+      return null;
+  }
+}
 
-    // Fallback: Use basic context with limitations
-    if (!systemContext) {
-      console.log('🔄 Using fallback context with limitations');
-      systemContext = `You are ModelDay AI, a helpful assistant for the ModelDay platform.
+/**
+ * Send the error response of an OCR route (provider errors keep their own status and code)
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown during the extraction
+ */
+function sendOcrError(res, error) {
+  // Handle specific OpenAI errors
+  if (error.code === 'insufficient_quota') {
+    return res.status(429).json({
+      error: 'API quota exceeded. Please try again later.',
+      code: 'QUOTA_EXCEEDED'
+    });
+  }
 
-IMPORTANT CONTEXT LIMITATIONS:
-- You currently have NO ACCESS to the user's personal modeling data (jobs, events, bookings, etc.)
-- You cannot provide specific insights about their career, earnings, or schedule
-- You cannot analyze their booking patterns, agent relationships, or financial data
-- You should NOT make up or assume any personal information about the user
+  if (error.code === 'invalid_api_key') {
+    return res.status(401).json({
+      error: 'Invalid API key',
+      code: 'INVALID_API_KEY'
+    });
+  }
 
-What you CAN help with:
-1. General modeling industry advice and guidance
-2. Portfolio creation tips and best practices
-3. Career development strategies in fashion and modeling
-4. Industry insights and trends
-5. Professional networking advice
-6. Casting preparation and audition tips
-7. General business advice for models
+  if (error.code === 'rate_limit_exceeded') {
+    return res.status(429).json({
+      error: 'Rate limit exceeded. Please try again later.',
+      code: 'RATE_LIMIT_EXCEEDED'
+    });
+  }
 
-If the user asks about their specific data, politely explain that you need access to their ModelDay account data to provide personalized insights. Suggest they ensure their data is properly synced or contact support if needed.
+  res.status(500).json({
+    error: 'Internal server error',
+    code: 'OCR_ERROR',
+    message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+  });
+}
 
-Be professional, encouraging, and provide practical general advice while being transparent about your current limitations.`;
-    }
+/**
+ * Add a completion's tokens to the caller's monthly quota usage
+ * Failures are logged and never fail the request
+ * @param {Object} req - Express request
+ * @param {Object} usage - Completion usage
+ */
+async function recordTokenUsage(req, usage) {
+  try {
+    await RateLimitService.recordTokens(RateLimitService.getIdentity(req), usage);
+  } catch (error) {
+    console.error('Failed to record token usage:', error.message);
+  }
+}
 
-    // Prepare messages for OpenAI
-    const messages = [
-      {
-        role: 'system',
-        content: systemContext
-      },
-      ...conversation.map(msg => ({
-        role: msg.role || 'user',
-        content: msg.content || msg.message
-      })),
-      {
-        role: 'user',
-        content: message
-      }
-    ];
+// Chat endpoint with OpenAI integration and automatic context building
+app.post('/api/chat', tokenQuota, (req, res) => handleChat(req, res));
+
+/**
+ * Error response for an unsupported locale sent with the request
+ * @param {string|null} locale - Locale sent with the request
+ * @returns {Object|null} { error, code } body, or null when the locale is missing or supported
+ */
+function getLocaleError(locale) {
+  if (!locale || LocaleService.normalizeLocale(locale)) {
+    return null;
+  }
+  return {
+    error: `Unsupported locale: ${locale}. Supported languages: ${LocaleService.getSupportedLanguages().join(', ')}`,
+    code: 'INVALID_LOCALE'
+  };
+}
 
-    // Call OpenAI API
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
-      messages: messages,
-      max_tokens: 1000,
-      temperature: 0.7,
-      top_p: 1,
-      frequency_penalty: 0,
-      presence_penalty: 0
-    });
+/**
+ * The user's preferred locale: request body, then userProfile.locale, then the Accept-Language header
+ * @param {Object} req - Express request
+ * @param {Object|null} userData - User data
+ * @returns {string|null} Supported locale, or null when none is given
+ */
+function getPreferredLocale(req, userData) {
+  return LocaleService.findLocale(req.body.locale, userData?.userProfile?.locale, req.get('Accept-Language'));
+}
 
-    const aiResponse = completion.choices[0]?.message?.content;
+/**
+ * Error response for userData that failed validation in strict mode
+ * @param {Object} validation - Report from UserDataValidationService.validate()
+ * @returns {Object} { error, code, validation } body
+ */
+function getValidationError(validation) {
+  return {
+    error: `userData failed validation: ${validation.errorCount} error(s)`,
+    code: 'INVALID_USER_DATA',
+    validation
+  };
+}
 
-    if (!aiResponse) {
-      throw new Error('No response from OpenAI');
-    }
+/**
+ * Error response for userData with sections of the wrong shape (userData that is not an
+ * object, a collection that is not a list), which the services cannot read even outside strict mode
+ * @param {*} userData - userData from the request
+ * @returns {Object|null} { error, code, validation } body, or null when the shape is fine
+ */
+function getUserDataShapeError(userData) {
+  const shapeErrors = UserDataValidationService.getShapeErrors(userData);
+  if (shapeErrors.length === 0) {
+    return null;
+  }
+  return {
+    error: `userData is malformed: ${shapeErrors.map(issue => `${issue.path || 'userData'}: ${issue.message}`).join('; ')}`,
+    code: 'INVALID_USER_DATA',
+    validation: UserDataValidationService.validate(userData)
+  };
+}
 
-    // Determine context status for response
-    const hasUserData = (userData && Object.keys(userData).length > 0) ||
-                       (context && context.includes('USER PROFILE:')) ||
-                       (conversation && conversation.some(msg => msg.userData || (msg.context && msg.context.includes('USER PROFILE:'))));
+/**
+ * Chat request handler for every chat route: runs the chat pipeline and sends its response
+ * as JSON or, when the client asked for a stream, as Server-Sent Events
+ * Events: `token` ({ content }) for each delta, `tool` ({ name, arguments }) for each data
+ * tool the model calls, then `done` with the response body
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options - Pipeline options (e.g. { requireUserData: true })
+ */
+async function handleChat(req, res, options = {}) {
+  const stream = wantsEventStream(req);
+  // Stop generating (and paying for) tokens once the client goes away
+  const abortController = new AbortController();
+
+  // Sent with the first event, so errors before it are still sent as a normal JSON error
+  const startEventStream = () => {
+    if (res.headersSent) {
+      return;
+    }
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
 
-    const contextLimited = !hasUserData;
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        abortController.abort();
+      }
+    });
+  };
 
-    res.json({
-      success: true,
-      response: aiResponse,
-      usage: completion.usage,
-      model: completion.model,
-      timestamp: new Date().toISOString(),
-      hasUserData: hasUserData,
-      contextLimited: contextLimited,
-      contextSource: context ? 'pre-built' :
-                    (userData ? 'userData' :
-                    (conversation.some(msg => msg.userData || msg.context) ? 'conversation' : 'fallback')),
-      // Helper for frontend to understand how to send data
-      dataFormat: {
-        userData: "Send user data in 'userData' field",
-        context: "Send pre-built context in 'context' field",
-        conversation: "Embed userData/context in conversation messages"
+  try {
+    const turn = await ChatPipelineService.run({
+      body: req.body,
+      acceptLanguage: req.get('Accept-Language'),
+      userId: req.user?.id || null,
+      identity: RateLimitService.getIdentity(req)
+    }, {
+      ...options,
+      stream,
+      signal: abortController.signal,
+      onEvent: event => {
+        startEventStream();
+        if (event.type === 'token') {
+          sendSseEvent(res, 'token', { content: event.content });
+        } else if (event.type === 'tool') {
+          sendSseEvent(res, 'tool', { name: event.name, arguments: event.arguments });
+        }
       }
     });
 
+    if (turn.aborted) {
+      return;
+    }
+
+    if (stream) {
+      startEventStream();
+      sendSseEvent(res, 'done', turn.response);
+      return res.end();
+    }
+
+    res.json(turn.response);
+
   } catch (error) {
+    // Rejected requests (missing message, unknown conversation, provider not configured)
+    if (error.status && error.body) {
+      return res.status(error.status).json(error.body);
+    }
+
     console.error('Chat API Error:', error);
 
+    // Errors after the event stream has started can only be reported as an SSE event
+    if (res.headersSent) {
+      sendSseEvent(res, 'error', {
+        error: 'Streaming failed',
+        code: mapOpenAIErrorCode(error) || 'STREAM_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+      return res.end();
+    }
+
     // Handle specific OpenAI errors
     if (error.code === 'insufficient_quota') {
       return res.status(429).json({
@@ -237,12 +392,12 @@ Be professional, encouraging, and provide practical general advice while being t
       message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
     });
   }
-});
+}
 
 // Context building endpoint for testing and integration
 app.post('/api/context', async (req, res) => {
   try {
-    const { userData } = req.body;
+    const { userData, maxTokens = null, timeZone = null, locale = null, strict = false } = req.body;
 
     if (!userData) {
       return res.status(400).json({
@@ -251,12 +406,41 @@ app.post('/api/context', async (req, res) => {
       });
     }
 
+    if (timeZone && !DateService.isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        error: `Unknown time zone: ${timeZone}`,
+        code: 'INVALID_TIME_ZONE'
+      });
+    }
+
+    const localeError = getLocaleError(locale);
+    if (localeError) {
+      return res.status(400).json(localeError);
+    }
+
+    // Sections the context cannot read are rejected even outside strict mode
+    const shapeError = getUserDataShapeError(userData);
+    if (shapeError) {
+      return res.status(400).json(shapeError);
+    }
+
+    const validation = UserDataValidationService.validate(userData);
+    if (strict === true && !validation.valid) {
+      return res.status(400).json(getValidationError(validation));
+    }
+
     // Build context using ContextService
-    const context = ContextService.buildUserContext(userData);
+    const { context, budget } = ContextService.buildBudgetedContext(userData, {
+      maxTokens,
+      timeZone,
+      locale: getPreferredLocale(req, userData)
+    });
 
     res.json({
       success: true,
       context: context,
+      budget: budget,
+      validation,
       timestamp: new Date().toISOString(),
       dataStats: {
         jobs: userData.jobs?.length || 0,
@@ -286,338 +470,683 @@ app.post('/api/context', async (req, res) => {
   }
 });
 
-// Helper endpoint: Build context and chat in one call (alternative to separate calls)
-app.post('/api/chat-with-context', async (req, res) => {
+// Schedule conflict detection (overlaps, double bookings, bookings outside a stay)
+app.post('/api/conflicts', (req, res) => {
   try {
-    const { message, conversation = [], userData } = req.body;
+    const { userData, includePast = false, timeZone = null } = req.body;
 
-    if (!message) {
+    if (!userData) {
       return res.status(400).json({
-        error: 'Message is required',
-        code: 'MISSING_MESSAGE'
+        error: 'User data is required',
+        code: 'MISSING_USER_DATA'
       });
     }
 
+    if (timeZone && !DateService.isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        error: `Unknown time zone: ${timeZone}`,
+        code: 'INVALID_TIME_ZONE'
+      });
+    }
+
+    const shapeError = getUserDataShapeError(userData);
+    if (shapeError) {
+      return res.status(400).json(shapeError);
+    }
+
+    const { conflicts, checkedItems } = ConflictService.detectConflicts(userData, { includePast: includePast === true, timeZone });
+
+    res.json({
+      success: true,
+      conflicts,
+      summary: ConflictService.summarize(conflicts),
+      checkedItems,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Conflicts API Error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'CONFLICTS_ERROR',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+});
+
+// Receivables: outstanding payments, aging and overdue lists per client and agency
+app.post('/api/receivables', (req, res) => {
+  try {
+    const { userData, asOf = null, clientName = null, timeZone = null } = req.body;
+
     if (!userData) {
       return res.status(400).json({
-        error: 'User data is required for this endpoint',
+        error: 'User data is required',
         code: 'MISSING_USER_DATA'
       });
     }
 
-    // Build context first
-    const context = ContextService.buildUserContext(userData);
+    if (asOf && !DateService.parseDate(asOf)) {
+      return res.status(400).json({
+        error: 'asOf must be a date in YYYY-MM-DD format',
+        code: 'INVALID_DATE'
+      });
+    }
+
+    if (timeZone && !DateService.isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        error: `Unknown time zone: ${timeZone}`,
+        code: 'INVALID_TIME_ZONE'
+      });
+    }
 
-    // Then make the chat request internally
-    const chatRequest = {
-      message,
-      conversation,
-      context // Use pre-built context
-    };
+    const shapeError = getUserDataShapeError(userData);
+    if (shapeError) {
+      return res.status(400).json(shapeError);
+    }
 
-    // Forward to chat endpoint logic (reuse the same logic)
-    req.body = chatRequest;
+    const report = ReceivablesService.analyze(userData, {
+      now: asOf || new Date(),
+      clientName,
+      timeZone
+    });
 
-    // Redirect to chat endpoint
-    return res.redirect(307, '/api/chat');
+    res.json({
+      success: true,
+      ...report,
+      timestamp: new Date().toISOString()
+    });
 
   } catch (error) {
-    console.error('Chat with Context API Error:', error);
+    console.error('Receivables API Error:', error);
     res.status(500).json({
       error: 'Internal server error',
-      code: 'CHAT_CONTEXT_ERROR',
+      code: 'RECEIVABLES_ERROR',
       message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
     });
   }
 });
 
-// AI-Powered OCR Text Analysis Endpoint
-app.post('/api/ocr', async (req, res) => {
+// iCalendar export endpoint: jobs, events, meetings, shootings and stays as an .ics feed
+app.post('/api/calendar/export', (req, res) => {
   try {
-    const { text, documentType = 'modeling_document' } = req.body;
+    const { userData, calendarName, timeZone = null } = req.body;
 
-    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+    if (!userData) {
       return res.status(400).json({
-        error: 'Text content is required for OCR analysis',
-        code: 'MISSING_TEXT'
+        error: 'User data is required',
+        code: 'MISSING_USER_DATA'
       });
     }
 
-    if (!process.env.OPENAI_API_KEY || !openai) {
-      return res.status(500).json({
-        error: 'OpenAI API key not configured',
-        code: 'MISSING_API_KEY'
+    const shapeError = getUserDataShapeError(userData);
+    if (shapeError) {
+      return res.status(400).json(shapeError);
+    }
+
+    if (timeZone && !DateService.isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        error: `Unknown time zone: ${timeZone}`,
+        code: 'INVALID_TIME_ZONE'
       });
     }
 
-    console.log('🔍 OCR Analysis Request:', {
-      textLength: text.length,
-      documentType: documentType,
+    const { calendar, eventCount, skipped } = ICalendarService.buildCalendar(userData, {
+      calendarName: typeof calendarName === 'string' && calendarName.trim() ? calendarName.trim() : undefined,
+      timeZone
+    });
+
+    console.log(`📅 Calendar export: ${eventCount} events (${skipped} without a valid date skipped)`);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'attachment; filename="modelday.ics"'
+    });
+    res.send(calendar);
+
+  } catch (error) {
+    console.error('Calendar Export API Error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'CALENDAR_EXPORT_ERROR',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+});
+
+// Action card types (actions returned by the chat routes with actions: true)
+app.get('/api/chat/actions', (req, res) => {
+  res.json({
+    success: true,
+    actionTypes: ChatActionService.getActionTypes()
+  });
+});
+
+// Helper endpoint: Build context and chat in one call (same as /api/chat, but userData is required)
+app.post('/api/chat-with-context', tokenQuota, (req, res) => handleChat(req, res, { requireUserData: true }));
+
+// Rate limit and token quota status of the caller
+app.get('/api/usage', async (req, res) => {
+  try {
+    const identity = RateLimitService.getIdentity(req);
+    const [tokens, userLimit, ipLimit] = await Promise.all([
+      RateLimitService.getTokenStatus(identity),
+      req.user ? RateLimitService.getRequestStatus('user', req.user.id) : null,
+      RateLimitService.getRequestStatus('ip', req.ip)
+    ]);
+
+    res.json({
+      success: true,
+      userId: req.user?.id || null,
+      tokens,
+      rateLimits: {
+        user: userLimit,
+        ip: ipLimit
+      },
       timestamp: new Date().toISOString()
     });
+  } catch (error) {
+    console.error('Usage API Error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'USAGE_ERROR',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+});
 
-    // Create AI prompt for intelligent data extraction
-    const systemPrompt = `You are an expert AI assistant specialized in extracting structured data from modeling industry documents, contracts, booking confirmations, and related business documents.
-
-TASK: Analyze the provided text and extract ALL relevant information into a structured JSON format.
-
-EXTRACTION RULES:
-1. Extract EVERY piece of information you can identify
-2. Handle various document formats (emails, contracts, booking forms, etc.)
-3. Understand context and relationships between data points
-4. Extract both explicit and implicit information
-5. Handle different date formats, currencies, and naming conventions
-6. Be intelligent about synonyms and industry terminology
-
-REQUIRED OUTPUT FORMAT (JSON):
-{
-  "clientName": "string | null",
-  "location": "string | null",
-  "date": "YYYY-MM-DD format | null",
-  "endDate": "YYYY-MM-DD format | null",
-  "dayRate": "number | null",
-  "usageRate": "number | null",
-  "currency": "USD|EUR|GBP|etc | null",
-  "bookingAgent": "string | null",
-  "contactPerson": "string | null",
-  "notes": "string | null",
-  "optionType": "string | null",
-  "jobType": "string | null",
-  "jobTitle": "string | null",
-  "media": "string | null",
-  "usagePeriod": "string | null",
-  "exclusivity": "string | null",
-  "releaseCountry": "string | null",
-  "budget": "number | null",
-  "paymentTerms": "string | null",
-  "requirements": "string | null",
-  "timeline": "string | null",
-  "additionalInfo": "string | null",
-  "phoneNumber": "string | null",
-  "email": "string | null",
-  "address": "string | null",
-  "company": "string | null",
-  "extraHours": "number | null",
-  "agencyFee": "number | null",
-  "tax": "number | null",
-  "additionalFees": "number | null",
-  "callTime": "string | null",
-  "startTime": "string | null",
-  "endTime": "string | null",
-  "checkInDate": "YYYY-MM-DD format | null",
-  "checkOutDate": "YYYY-MM-DD format | null",
-  "hotelAddress": "string | null",
-  "hotelCost": "number | null",
-  "pocketMoney": "number | null",
-  "agencyName": "string | null",
-  "agencyAddress": "string | null",
-  "contractDetails": "string | null",
-  "subject": "string | null",
-  "industryContact": "string | null",
-  "photographer": "string | null",
-  "eventName": "string | null",
-  "flightCost": "number | null",
-  "name": "string | null",
-  "fullName": "string | null",
-  "contactName": "string | null",
-  "website": "string | null",
-  "agencyType": "string | null",
-  "commissionRate": "number | null",
-  "jobTitle": "string | null",
-  "mobile": "string | null",
-  "instagram": "string | null",
-  "organization": "string | null"
-}
+// Stored conversations
+app.post('/api/conversations', async (req, res) => {
+  try {
+    const { title = null, userData = null } = req.body;
+    const conversation = await ConversationService.createConversation({ title, userData, ownerId: req.user?.id || null });
 
-INTELLIGENCE GUIDELINES:
-- If you see "Client: SAMSUNG", extract clientName as "SAMSUNG"
-- If you see "Agent: Sarah Johnson", extract bookingAgent as "Sarah Johnson"
-- If you see "Budget: 6000 euros", extract budget as 6000 and currency as "EUR"
-- If you see "2nd week of May 2025", convert to approximate date like "2025-05-15"
-- If you see payment information, extract to paymentTerms
-- If you see requirements or specifications, extract to requirements
-- Combine related information intelligently in notes
-- Handle typos and OCR errors gracefully
-- Extract phone numbers, emails, addresses when present
-
-PAYMENT EXTRACTION RULES:
-- If you see "Day Rate: 500 EUR", extract dayRate as 500
-- If you see "Usage Rate: 5500 EUR", extract usageRate as 5500
-- If you see "Budget: 6000 euros gross" without separate day rate and usage rate:
-  * Set dayRate to the EXACT budget amount (6000)
-  * Leave usageRate as null (do not auto-calculate)
-  * This means the entire budget goes to day rate when rates are not specified separately
-- If both day rate and usage rate are explicitly mentioned, use those exact values
-- NEVER auto-calculate or split budget amounts - use exact values only
-- Always extract currency from any monetary amount
-
-DYNAMIC FIELD EXTRACTION RULES:
-
-JOB TYPE EXTRACTION (jobType):
-- Look for: "Commercial", "Editorial", "Fashion show", "Lookbook", "E-commerce", "Beauty", "Portrait", "Runway", "Campaign", "Catalog", "Social media", "Web content", "Print", "Digital", "Video", "TVC", "Advertisement"
-- Extract from phrases like: "Commercial shoot", "Editorial job", "Fashion campaign", "Beauty lookbook", "E-commerce photography"
-- Also check for brand names that indicate job type (e.g., "Samsung Galaxy" = Commercial)
-
-FINANCIAL FIELDS EXTRACTION:
-- agencyFee: "Agency fee: 20%", "Commission: 15%", "Agent commission: 10%", "Booking fee: 25%"
-- extraHours: "Extra hours: 2", "Overtime: 3 hours", "Additional time: 1.5h", "Extended shoot: 2 hours"
-- tax: "Tax: 19%", "VAT: 21%", "Income tax: 15%", "Withholding: 10%"
-- additionalFees: "Additional fees: 100", "Extra costs: 50", "Travel expenses: 200", "Accommodation: 150"
-
-TIME EXTRACTION:
-- callTime: "Call time: 09:00", "Arrival: 8:30 AM", "Be ready at: 7:30", "Makeup call: 06:00"
-- startTime: "Start time: 10:00", "Shoot starts: 9:00 AM", "Begin: 08:30"
-- endTime: "End time: 17:00", "Finish: 5:00 PM", "Wrap: 18:00"
-- Handle formats: "9:00", "09:00", "9:00 AM", "09:00 AM", "9 AM", "0900"
-
-OPTION TYPE EXTRACTION (optionType):
-- Same as jobType but for option/casting contexts
-- Look for casting-specific terms: "Casting", "Test shoot", "Fitting", "Go-see", "Audition"
-
-SMART CONTEXT DETECTION & DYNAMIC SCENARIOS:
-- If document mentions "casting" or "audition" → likely optionType, focus on: date, time, location, agent
-- If document mentions "shoot" or "job" → likely jobType, focus on: rates, times, duration, crew
-- If document mentions "hotel" or "accommodation" → likely onStay, focus on: check-in/out dates, hotel details, costs
-- If document mentions "meeting" or "conference" → likely meeting, focus on: subject, industry contact, agenda
-- If document has rates and dates → likely confirmed job, extract all financial details
-- If document says "option" or "hold" → likely option/casting, focus on option status and terms
-- If document mentions "direct booking" → skip option status, focus on confirmed details
-- If document mentions travel/flight → extract travel costs and accommodation details
-- If document is a contract → extract contract details, terms, and legal information
-- If document mentions "agency" or "model management" → likely agency document, focus on: name, type, commission, contact details
-- If document mentions "agent" or "booker" → likely agent document, focus on: name, email, phone, title
-- If document mentions "industry contact" or "client contact" → likely contact document, focus on: name, company, title, contact info
-- If document mentions "shooting" or "shoot schedule" → likely shooting document, focus on: client, type, location, date, times, rate
-
-ACCOMMODATION & TRAVEL EXTRACTION:
-- checkInDate/checkOutDate: "Check-in: 2025-07-20", "Arrival: July 20", "Stay from: 20/07/2025"
-- hotelAddress: "Hotel: Marriott Warsaw", "Accommodation: Hotel Bristol", "Stay at: Hilton"
-- hotelCost: "Hotel cost: 150 EUR", "Accommodation: €120/night", "Room rate: $200"
-- pocketMoney: "Pocket money: 50 EUR", "Daily allowance: €30", "Per diem: $40"
-- flightCost: "Flight: 300 EUR", "Travel cost: €250", "Airfare: $400"
-
-AGENCY & EVENT EXTRACTION:
-- agencyName: "Agency: Elite Models", "Represented by: IMG", "Booking agency: Next"
-- agencyAddress: "Agency address:", "Office:", "Located at:"
-- contractDetails: "Contract:", "Agreement:", "Terms:", "Conditions:"
-- subject: "Subject:", "Re:", "Regarding:", "About:"
-- industryContact: "Contact:", "Industry contact:", "Client contact:"
-- photographer: "Photographer:", "Shot by:", "Photo by:"
-- eventName: "Event:", "Campaign:", "Project:", "Shoot name:"
-
-AGENCY-SPECIFIC EXTRACTION:
-- name/agencyName: "Agency Name:", "Company:", "Organization:", "Agency:"
-- agencyType: "Type:", "Agency type:", "Mother agency", "Subsidiary", "Independent"
-- website: "Website:", "URL:", "Web:", "Site:", "www."
-- commissionRate: "Commission:", "Rate:", "Percentage:", "Fee:", "15%", "20%"
-
-AGENT-SPECIFIC EXTRACTION:
-- name/fullName: "Agent Name:", "Full Name:", "Name:", "Agent:"
-- email: "Email:", "E-mail:", "@", "Contact email:"
-- mobile: "Mobile:", "Phone:", "Cell:", "Contact:", "+", "Tel:"
-- jobTitle: "Title:", "Position:", "Role:", "Agent", "Booker", "Manager"
-
-INDUSTRY CONTACT EXTRACTION:
-- name/contactName: "Contact Name:", "Full Name:", "Industry Contact:", "Name:"
-- company: "Company:", "Organization:", "Firm:", "Agency:", "Studio:"
-- jobTitle: "Title:", "Position:", "Role:", "Job:", "Department:"
-- instagram: "Instagram:", "IG:", "@", "Social:", "Handle:"
-
-SHOOTING-SPECIFIC EXTRACTION:
-- clientName: "Client:", "Brand:", "Company:", "Shooting for:", "Campaign for:"
-- type: "Type:", "Shooting type:", "Campaign", "Editorial", "E-commerce", "Lookbook", "TVC"
-- location: "Location:", "Studio:", "Address:", "Venue:", "Set:"
-- date: "Date:", "Shooting date:", "Schedule:", "When:"
-- startTime/endTime: "Time:", "Start:", "End:", "From:", "To:", "9:00-17:00"
-- rate: "Rate:", "Fee:", "Payment:", "Budget:", "Cost:"
-
-FLEXIBLE PATTERN MATCHING:
-- Use fuzzy matching for field names (e.g., "Day rate", "Daily rate", "Per day", "Day fee")
-- Handle multiple currencies and formats
-- Extract from tables, lists, or paragraph text
-- Handle typos and variations in field names
-- Recognize date formats: DD/MM/YYYY, MM/DD/YYYY, YYYY-MM-DD, "July 20, 2025"
-
-RESPOND WITH ONLY THE JSON OBJECT - NO OTHER TEXT.`;
-
-    // Call OpenAI for intelligent extraction
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini', // Use GPT-4 for better accuracy
-      messages: [
-        {
-          role: 'system',
-          content: systemPrompt
-        },
-        {
-          role: 'user',
-          content: `Please analyze this text and extract all relevant information:\n\n${text}`
-        }
-      ],
-      max_tokens: 2000,
-      temperature: 0.1, // Low temperature for consistent extraction
-      response_format: { type: "json_object" }
+    res.status(201).json({
+      success: true,
+      conversation: ConversationService.summarize(conversation)
+    });
+  } catch (error) {
+    console.error('Conversation API Error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'CONVERSATION_ERROR',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
     });
+  }
+});
 
-    const aiResponse = completion.choices[0]?.message?.content;
+app.get('/api/conversations', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const conversations = await ConversationService.listConversations({ ownerId: req.user?.id || null, limit });
 
-    if (!aiResponse) {
-      throw new Error('No response from OpenAI');
+    res.json({
+      success: true,
+      conversations
+    });
+  } catch (error) {
+    console.error('Conversation API Error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'CONVERSATION_ERROR',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+});
+
+app.get('/api/conversations/:id', async (req, res) => {
+  try {
+    const conversation = await ConversationService.getConversation(req.params.id, req.user?.id || null);
+    if (!conversation) {
+      return res.status(404).json({
+        error: 'Conversation not found',
+        code: 'CONVERSATION_NOT_FOUND'
+      });
+    }
+
+    const { userData, ...history } = conversation;
+    res.json({
+      success: true,
+      conversation: {
+        ...history,
+        hasUserData: Boolean(userData)
+      }
+    });
+  } catch (error) {
+    console.error('Conversation API Error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'CONVERSATION_ERROR',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+});
+
+app.delete('/api/conversations/:id', async (req, res) => {
+  try {
+    const deleted = await ConversationService.deleteConversation(req.params.id, req.user?.id || null);
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Conversation not found',
+        code: 'CONVERSATION_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      deleted: true,
+      conversationId: req.params.id
+    });
+  } catch (error) {
+    console.error('Conversation API Error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'CONVERSATION_ERROR',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+});
+
+// Send a message to a stored conversation (same body and response as /api/chat, without conversation)
+app.post('/api/conversations/:id/messages', tokenQuota, (req, res) => {
+  req.body = { ...req.body, conversationId: req.params.id };
+  return handleChat(req, res);
+});
+
+// PDF uploads for /api/ocr (multipart/form-data, field "file"), kept in memory only
+const pdfUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: Math.round(PDF_MAX_FILE_SIZE_MB * 1024 * 1024), files: 1 }
+}).single('file');
+
+// Calendar uploads for /api/calendar/import (multipart/form-data, field "file"), kept in memory only
+const icsUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: Math.round(ICS_MAX_FILE_SIZE_MB * 1024 * 1024), files: 1 }
+}).single('file');
+
+// E-mail uploads for /api/ocr/email (multipart/form-data, field "file", .eml), kept in memory only
+const emailUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: Math.round(EMAIL_MAX_FILE_SIZE_MB * 1024 * 1024), files: 1 }
+}).single('file');
+
+/**
+ * Wrap a multer upload so the file is optional and multer errors become JSON responses
+ * Requests that are not multipart pass through untouched
+ * @param {Function} upload - multer middleware
+ * @param {string} tooLargeMessage - Error for files over the size limit
+ * @returns {Function} Express middleware
+ */
+function handleUpload(upload, tooLargeMessage) {
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+
+      if (error instanceof multer.MulterError) {
+        const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+        return res.status(tooLarge ? 413 : 400).json({
+          error: tooLarge ? tooLargeMessage : `Invalid upload: ${error.message}`,
+          code: tooLarge ? 'FILE_TOO_LARGE' : 'INVALID_UPLOAD'
+        });
+      }
+
+      next(error);
+    });
+  };
+}
+
+const handlePdfUpload = handleUpload(pdfUpload, `PDF files are limited to ${PDF_MAX_FILE_SIZE_MB} MB`);
+const handleIcsUpload = handleUpload(icsUpload, `Calendar files are limited to ${ICS_MAX_FILE_SIZE_MB} MB`);
+const handleEmailUpload = handleUpload(emailUpload, `E-mail files are limited to ${EMAIL_MAX_FILE_SIZE_MB} MB`);
+
+// iCalendar import endpoint: .ics text or upload → entity drafts for the user to confirm
+app.post('/api/calendar/import', handleIcsUpload, (req, res) => {
+  try {
+    const { timeZone = null, from = null, until = null } = req.body;
+    let { ics, userData = null } = req.body;
+
+    if (req.file) {
+      ics = req.file.buffer.toString('utf8');
+    }
+
+    if (!ics || typeof ics !== 'string' || ics.trim().length === 0) {
+      return res.status(400).json({
+        error: 'iCalendar text ("ics") or an .ics file is required',
+        code: 'MISSING_ICS'
+      });
+    }
+
+    if (timeZone && !DateService.isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        error: `Unknown time zone: ${timeZone}`,
+        code: 'INVALID_TIME_ZONE'
+      });
+    }
+
+    if ((from && !DateService.isIsoDate(from)) || (until && !DateService.isIsoDate(until))) {
+      return res.status(400).json({
+        error: 'from and until must be dates in YYYY-MM-DD format',
+        code: 'INVALID_DATE'
+      });
+    }
+
+    // Multipart forms send userData as a JSON string
+    if (typeof userData === 'string') {
+      try {
+        userData = JSON.parse(userData);
+      } catch (parseError) {
+        return res.status(400).json({
+          error: 'userData must be valid JSON',
+          code: 'INVALID_USER_DATA'
+        });
+      }
+    }
+
+    const shapeError = userData ? getUserDataShapeError(userData) : null;
+    if (shapeError) {
+      return res.status(400).json(shapeError);
     }
 
-    // Parse the JSON response
-    let extractedData;
+    let result;
     try {
-      extractedData = JSON.parse(aiResponse);
-    } catch (parseError) {
-      console.error('Failed to parse AI response as JSON:', parseError);
-      throw new Error('Invalid JSON response from AI');
+      result = CalendarImportService.importCalendar(ics, { timeZone, from, until, userData });
+    } catch (icsError) {
+      if (!icsError.code) {
+        throw icsError;
+      }
+      return res.status(icsError.status || 400).json({
+        error: icsError.message,
+        code: icsError.code
+      });
+    }
+
+    console.log(`📅 Calendar import: ${result.counts.total} drafts (${result.warnings.length} warnings)`);
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Calendar Import API Error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'CALENDAR_IMPORT_ERROR',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+});
+
+// OCR document-type profiles (documentType values accepted by /api/ocr)
+app.get('/api/ocr/profiles', (req, res) => {
+  res.json({
+    success: true,
+    defaultDocumentType: 'modeling_document',
+    profiles: OcrProfileService.describeProfiles()
+  });
+});
+
+// AI-Powered OCR Text Analysis Endpoint
+app.post('/api/ocr', tokenQuota, handlePdfUpload, async (req, res) => {
+  try {
+    const { documentType = 'modeling_document' } = req.body;
+    let { text } = req.body;
+    const file = req.file;
+
+    if (file) {
+      if (file.mimetype !== 'application/pdf' && !PdfService.isPdf(file.buffer)) {
+        return res.status(415).json({
+          error: 'Only PDF files can be uploaded for OCR analysis',
+          code: 'UNSUPPORTED_FILE_TYPE'
+        });
+      }
+    } else if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Text content or a PDF file is required for OCR analysis',
+        code: 'MISSING_TEXT'
+      });
+    }
+
+    if (!OcrProfileService.isSupported(documentType)) {
+      return res.status(400).json({
+        error: `Unsupported document type: ${documentType}`,
+        code: 'UNSUPPORTED_DOCUMENT_TYPE',
+        supportedTypes: OcrProfileService.describeProfiles().map(profile => profile.documentType)
+      });
+    }
+
+    const configurationError = LLMService.getConfigurationError('ocr');
+    if (configurationError) {
+      return res.status(500).json(configurationError);
+    }
+    const ocrProvider = LLMService.getProvider('ocr');
+
+    // Read the PDF's embedded text layer locally; its pages are marked with [Page N]
+    let pdf = null;
+    if (file) {
+      try {
+        pdf = await PdfService.extractText(file.buffer);
+      } catch (pdfError) {
+        console.error('PDF extraction failed:', pdfError.code, pdfError.detail || '');
+        return res.status(pdfError.status || 400).json({
+          error: pdfError.message,
+          code: pdfError.code || 'INVALID_PDF'
+        });
+      }
+      text = pdf.text;
     }
 
+    console.log('🔍 OCR Analysis Request:', {
+      textLength: text.length,
+      source: pdf ? `pdf (${pdf.pagesRead} pages)` : 'text',
+      documentType: documentType,
+      timestamp: new Date().toISOString()
+    });
+
+    const result = await OcrService.analyze(ocrProvider, text, { documentType, pdf: Boolean(pdf) });
+    const { extractedData, usage } = result;
+    await recordTokenUsage(req, usage);
+
     console.log('✅ OCR Analysis Complete:', {
       fieldsExtracted: Object.keys(extractedData).filter(key => extractedData[key] !== null).length,
       totalFields: Object.keys(extractedData).length,
+      validationIssues: result.validation.issues.length,
+      drafts: result.drafts.map(draft => draft.entityType),
       extractedData: extractedData
     });
 
     res.json({
       success: true,
       extractedData: extractedData,
-      usage: completion.usage,
-      model: completion.model,
+      documentType: result.documentType,
+      requestedDocumentType: result.requestedDocumentType,
+      classification: result.classification,
+      drafts: result.drafts,
+      draftClassification: result.draftClassification,
+      draftCounts: result.draftCounts,
+      usage: usage,
+      model: result.model,
       timestamp: new Date().toISOString(),
       textLength: text.length,
-      fieldsExtracted: Object.keys(extractedData).filter(key => extractedData[key] !== null).length,
-      confidence: 'high' // GPT-4 provides high confidence extraction
+      source: pdf ? 'pdf' : 'text',
+      pdf: pdf ? {
+        fileName: file.originalname,
+        pageCount: pdf.pageCount,
+        pagesRead: pdf.pagesRead,
+        pages: pdf.pages.map(({ page, characters, hasText }) => ({ page, characters, hasText }))
+      } : null,
+      pageReferences: pdf ? PdfService.findPageReferences(extractedData, pdf.pages) : null,
+      fieldsExtracted: result.fieldsExtracted,
+      validation: result.validation,
+      fieldEvidence: result.fieldEvidence,
+      confidence: result.confidence,
+      uncertainFields: result.uncertainFields,
+      // The text the fieldEvidence offsets point into (the request's text otherwise)
+      sourceText: pdf ? text : null
     });
 
   } catch (error) {
     console.error('OCR API Error:', error);
+    sendOcrError(res, error);
+  }
+});
 
-    // Handle specific OpenAI errors
-    if (error.code === 'insufficient_quota') {
-      return res.status(429).json({
-        error: 'API quota exceeded. Please try again later.',
-        code: 'QUOTA_EXCEEDED'
+// E-mail extraction: a raw RFC 822 / MIME message (.eml upload, "email" field or message/rfc822 body)
+// is read into text and analyzed like /api/ocr, with the sender and subject as hints
+app.post('/api/ocr/email', tokenQuota, express.raw({ type: 'message/rfc822', limit: '10mb' }), handleEmailUpload, async (req, res) => {
+  try {
+    // A message/rfc822 body carries no fields; documentType comes from the query string then
+    const fields = Buffer.isBuffer(req.body) ? {} : (req.body || {});
+    const documentType = fields.documentType || req.query.documentType || 'modeling_document';
+    const raw = req.file ? req.file.buffer : (Buffer.isBuffer(req.body) ? req.body : fields.email);
+
+    if (!raw || (!Buffer.isBuffer(raw) && typeof raw !== 'string') || raw.length === 0) {
+      return res.status(400).json({
+        error: 'A raw e-mail ("email" field, .eml file or message/rfc822 body) is required',
+        code: 'MISSING_EMAIL'
       });
     }
 
-    if (error.code === 'invalid_api_key') {
-      return res.status(401).json({
-        error: 'Invalid API key',
-        code: 'INVALID_API_KEY'
+    if (!OcrProfileService.isSupported(documentType)) {
+      return res.status(400).json({
+        error: `Unsupported document type: ${documentType}`,
+        code: 'UNSUPPORTED_DOCUMENT_TYPE',
+        supportedTypes: OcrProfileService.describeProfiles().map(profile => profile.documentType)
       });
     }
 
-    if (error.code === 'rate_limit_exceeded') {
-      return res.status(429).json({
-        error: 'Rate limit exceeded. Please try again later.',
-        code: 'RATE_LIMIT_EXCEEDED'
+    const configurationError = LLMService.getConfigurationError('ocr');
+    if (configurationError) {
+      return res.status(500).json(configurationError);
+    }
+
+    let email;
+    let text;
+    try {
+      email = EmailService.parseMessage(raw);
+      text = EmailService.buildDocumentText(email);
+    } catch (emailError) {
+      if (!emailError.status) {
+        throw emailError;
+      }
+      return res.status(emailError.status).json({
+        error: emailError.message,
+        code: emailError.code
+      });
+    }
+    const hints = EmailService.getHints(email);
+
+    console.log('📧 OCR E-mail Request:', {
+      textLength: text.length,
+      attachments: email.attachments.length,
+      documentType: documentType,
+      timestamp: new Date().toISOString()
+    });
+
+    const result = await OcrService.analyze(LLMService.getProvider('ocr'), text, { documentType, hints });
+    const { extractedData, usage } = result;
+    await recordTokenUsage(req, usage);
+
+    console.log('✅ OCR E-mail Analysis Complete:', {
+      fieldsExtracted: result.fieldsExtracted,
+      hintsApplied: result.hintsApplied,
+      drafts: result.drafts.map(draft => draft.entityType)
+    });
+
+    res.json({
+      success: true,
+      extractedData: extractedData,
+      documentType: result.documentType,
+      requestedDocumentType: result.requestedDocumentType,
+      classification: result.classification,
+      drafts: result.drafts,
+      draftClassification: result.draftClassification,
+      draftCounts: result.draftCounts,
+      usage: usage,
+      model: result.model,
+      timestamp: new Date().toISOString(),
+      textLength: text.length,
+      source: 'email',
+      email: {
+        from: email.from,
+        to: email.to,
+        subject: email.subject,
+        date: email.date,
+        messageId: email.messageId,
+        hasHtml: email.hasHtml,
+        attachments: email.attachments.map(({ text: attachmentText, ...attachment }) => attachment),
+        warnings: email.warnings
+      },
+      hints: hints,
+      hintsApplied: result.hintsApplied,
+      fieldsExtracted: result.fieldsExtracted,
+      validation: result.validation,
+      fieldEvidence: result.fieldEvidence,
+      confidence: result.confidence,
+      uncertainFields: result.uncertainFields,
+      // The text the fieldEvidence offsets point into
+      sourceText: text
+    });
+
+  } catch (error) {
+    console.error('OCR E-mail API Error:', error);
+    sendOcrError(res, error);
+  }
+});
+
+// Batch OCR: several text documents (e.g. forwarded booking e-mails) in one request
+app.post('/api/ocr/batch', tokenQuota, async (req, res) => {
+  try {
+    const { documents } = req.body;
+
+    const configurationError = LLMService.getConfigurationError('ocr');
+    if (configurationError) {
+      return res.status(500).json(configurationError);
+    }
+
+    console.log('🔍 OCR Batch Request:', {
+      documents: Array.isArray(documents) ? documents.length : 0,
+      concurrency: OcrService.getBatchConcurrency(),
+      timestamp: new Date().toISOString()
+    });
+
+    let batch;
+    try {
+      batch = await OcrService.analyzeBatch(LLMService.getProvider('ocr'), documents);
+    } catch (batchError) {
+      if (!batchError.status) {
+        throw batchError;
+      }
+      return res.status(batchError.status).json({
+        error: batchError.message,
+        code: batchError.code
       });
     }
 
+    await recordTokenUsage(req, batch.summary.usage);
+
+    console.log('✅ OCR Batch Complete:', {
+      succeeded: batch.summary.succeeded,
+      failed: batch.summary.failed,
+      duplicates: batch.summary.duplicates.length
+    });
+
+    res.json({
+      success: true,
+      results: batch.results,
+      summary: batch.summary,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('OCR Batch API Error:', error);
     res.status(500).json({
       error: 'Internal server error',
-      code: 'OCR_ERROR',
+      code: 'OCR_BATCH_ERROR',
       message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
     });
   }
@@ -649,6 +1178,13 @@ if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
     console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`🔗 Health check: http://localhost:${PORT}/health`);
     console.log(`💬 Chat API: http://localhost:${PORT}/api/chat`);
+
+    const authError = AuthService.getConfigurationError();
+    if (!AuthService.isEnabled()) {
+      console.log('⚠️ Authentication is disabled (AUTH_MODE=disabled) - every API route is open');
+    } else if (authError) {
+      console.error(`❌ ${authError.error}. Protected routes will answer 500 until this is fixed.`);
+    }
   });
 }
 
@@ -0,0 +1,307 @@
+/**
+ * Auth Service for ModelDay Backend
+ * Verifies bearer JWTs and attaches the caller's identity to each request
+ *
+ * Configuration (environment variables):
+ * - AUTH_MODE: required (default) | disabled (local development only)
+ * - JWT_SECRET: shared secret for HS256/HS384/HS512 tokens
+ * - AUTH_JWKS_FILE: path to a JWKS file with public keys for RS*, PS*, ES* and EdDSA tokens
+ * - AUTH_ISSUER / AUTH_AUDIENCE: expected iss / aud claims (optional)
+ * - AUTH_REQUIRED_SCOPE: scope every token must carry (optional)
+ * - AUTH_PUBLIC_ROUTES: comma-separated paths that need no token ("/api/foo/*" matches a prefix)
+ */
+
+import fs from 'fs';
+import { jwtVerify, createLocalJWKSet, errors as joseErrors } from 'jose';
+
+const DEFAULT_PUBLIC_ROUTES = ['/', '/health'];
+
+// Value shipped in .env.example, never a real secret
+const PLACEHOLDER_SECRET = 'your_jwt_secret_here';
+
+const HMAC_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512', 'EdDSA'];
+
+const CLOCK_TOLERANCE_SECONDS = 30;
+
+/**
+ * Auth failures returned to the client
+ */
+const AUTH_ERRORS = {
+  MISSING_TOKEN: { status: 401, message: 'Authentication required: send a bearer token in the Authorization header' },
+  INVALID_TOKEN: { status: 401, message: 'Invalid authentication token' },
+  TOKEN_EXPIRED: { status: 401, message: 'Authentication token has expired' },
+  INSUFFICIENT_SCOPE: { status: 403, message: 'Authentication token does not grant access to this API' },
+  AUTH_NOT_CONFIGURED: { status: 500, message: 'Authentication is not configured on the server' }
+};
+
+class AuthService {
+  static _keys = null;
+
+  /**
+   * Read the auth configuration
+   * @returns {Object} { mode, secret, jwksFile, issuer, audience, requiredScope, publicRoutes }
+   */
+  static getConfig() {
+    const secret = process.env.JWT_SECRET;
+    const extraRoutes = (process.env.AUTH_PUBLIC_ROUTES || '')
+      .split(',')
+      .map(route => route.trim())
+      .filter(Boolean);
+
+    return {
+      mode: (process.env.AUTH_MODE || 'required').trim().toLowerCase(),
+      secret: secret && secret !== PLACEHOLDER_SECRET ? secret : null,
+      jwksFile: process.env.AUTH_JWKS_FILE || null,
+      issuer: process.env.AUTH_ISSUER || undefined,
+      audience: process.env.AUTH_AUDIENCE || undefined,
+      requiredScope: process.env.AUTH_REQUIRED_SCOPE || null,
+      publicRoutes: [...DEFAULT_PUBLIC_ROUTES, ...extraRoutes]
+    };
+  }
+
+  /**
+   * Check whether authentication is switched on
+   * @returns {boolean} False only with AUTH_MODE=disabled
+   */
+  static isEnabled() {
+    return this.getConfig().mode !== 'disabled';
+  }
+
+  /**
+   * Describe why tokens cannot be verified, if they cannot
+   * @returns {Object|null} { error, code } or null when ready (or disabled)
+   */
+  static getConfigurationError() {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    try {
+      this._loadKeys();
+      return null;
+    } catch (error) {
+      return {
+        error: `${AUTH_ERRORS.AUTH_NOT_CONFIGURED.message}: ${error.message}`,
+        code: 'AUTH_NOT_CONFIGURED'
+      };
+    }
+  }
+
+  /**
+   * Check whether a path can be called without a token
+   * @param {string} path - Request path
+   * @returns {boolean} True for public routes
+   */
+  static isPublicRoute(path) {
+    return this.getConfig().publicRoutes.some(route => (
+      route.endsWith('*') ? path.startsWith(route.slice(0, -1)) : path === route
+    ));
+  }
+
+  /**
+   * Read the bearer token from the Authorization header
+   * @param {Object} req - Express request
+   * @returns {string|null} Token or null when missing
+   */
+  static extractBearerToken(req) {
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)\s*$/i);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Verify a JWT and build the caller's identity
+   * @param {string} token - Compact JWT
+   * @returns {Promise<Object>} { id, email, name, scopes, claims }
+   * @throws {Error} With code INVALID_TOKEN, TOKEN_EXPIRED, INSUFFICIENT_SCOPE or AUTH_NOT_CONFIGURED
+   */
+  static async verifyToken(token) {
+    const config = this.getConfig();
+    let keys;
+    try {
+      keys = this._loadKeys();
+    } catch (error) {
+      throw this.createError('AUTH_NOT_CONFIGURED', error.message);
+    }
+
+    let payload;
+    try {
+      ({ payload } = await jwtVerify(token, (header, jwt) => this._resolveKey(keys, header, jwt), {
+        algorithms: keys.algorithms,
+        issuer: config.issuer,
+        audience: config.audience,
+        clockTolerance: CLOCK_TOLERANCE_SECONDS
+      }));
+    } catch (error) {
+      if (error instanceof joseErrors.JWTExpired) {
+        throw this.createError('TOKEN_EXPIRED');
+      }
+      throw this.createError('INVALID_TOKEN', error.message);
+    }
+
+    if (typeof payload.sub !== 'string' || payload.sub.length === 0) {
+      throw this.createError('INVALID_TOKEN', 'Token has no subject (sub) claim');
+    }
+
+    const scopes = this._readScopes(payload);
+    if (config.requiredScope && !scopes.includes(config.requiredScope)) {
+      throw this.createError('INSUFFICIENT_SCOPE', `Required scope: ${config.requiredScope}`);
+    }
+
+    return {
+      id: payload.sub,
+      email: payload.email || null,
+      name: payload.name || null,
+      scopes,
+      claims: payload
+    };
+  }
+
+  /**
+   * Express middleware: require a valid token on every non-public route and set req.user
+   * req.user is null on public routes and when auth is disabled
+   * @returns {Function} Middleware
+   */
+  static authenticate() {
+    return async (req, res, next) => {
+      req.user = null;
+
+      // CORS preflight requests never carry credentials
+      if (req.method === 'OPTIONS' || !this.isEnabled() || this.isPublicRoute(req.path)) {
+        return next();
+      }
+
+      const token = this.extractBearerToken(req);
+      if (!token) {
+        return this._sendError(res, this.createError('MISSING_TOKEN'));
+      }
+
+      try {
+        req.user = await this.verifyToken(token);
+        next();
+      } catch (error) {
+        if (!error.status) {
+          return next(error);
+        }
+        if (error.code === 'AUTH_NOT_CONFIGURED') {
+          console.error('❌ Auth configuration error:', error.detail);
+        }
+        this._sendError(res, error);
+      }
+    };
+  }
+
+  /**
+   * Describe the auth setup (for /health)
+   * @returns {Object} { mode, methods, configured }
+   */
+  static describe() {
+    const config = this.getConfig();
+    return {
+      mode: config.mode,
+      methods: [config.secret && 'hmac', config.jwksFile && 'jwks'].filter(Boolean),
+      configured: this.getConfigurationError() === null
+    };
+  }
+
+  /**
+   * Create an error for an auth failure
+   * @param {string} code - Key of AUTH_ERRORS
+   * @param {string} detail - Reason (logged, not returned for invalid tokens)
+   * @returns {Error} Error with code, status and detail
+   */
+  static createError(code, detail = null) {
+    const definition = AUTH_ERRORS[code];
+    const error = new Error(definition.message);
+    error.code = code;
+    error.status = definition.status;
+    error.detail = detail;
+    return error;
+  }
+
+  /**
+   * Drop cached keys so configuration changes take effect
+   */
+  static reset() {
+    this._keys = null;
+  }
+
+  /**
+   * Load the verification keys (cached until reset())
+   * @returns {Object} { secret, jwks, algorithms }
+   * @throws {Error} When no usable key is configured
+   */
+  static _loadKeys() {
+    if (this._keys) {
+      return this._keys;
+    }
+
+    const { secret, jwksFile } = this.getConfig();
+    if (!secret && !jwksFile) {
+      throw new Error('set JWT_SECRET or AUTH_JWKS_FILE (or AUTH_MODE=disabled for local development)');
+    }
+
+    let jwks = null;
+    if (jwksFile) {
+      let keySet;
+      try {
+        keySet = JSON.parse(fs.readFileSync(jwksFile, 'utf8'));
+      } catch (error) {
+        throw new Error(`cannot read AUTH_JWKS_FILE ${jwksFile}: ${error.message}`);
+      }
+      if (!Array.isArray(keySet.keys) || keySet.keys.length === 0) {
+        throw new Error(`AUTH_JWKS_FILE ${jwksFile} has no keys`);
+      }
+      jwks = createLocalJWKSet(keySet);
+    }
+
+    this._keys = {
+      secret: secret ? new TextEncoder().encode(secret) : null,
+      jwks,
+      algorithms: [...(secret ? HMAC_ALGORITHMS : []), ...(jwks ? ASYMMETRIC_ALGORITHMS : [])]
+    };
+
+    return this._keys;
+  }
+
+  /**
+   * Pick the verification key for a token from its header algorithm
+   */
+  static async _resolveKey(keys, header, jwt) {
+    if (HMAC_ALGORITHMS.includes(header.alg)) {
+      return keys.secret;
+    }
+    return keys.jwks(header, jwt);
+  }
+
+  /**
+   * Read scopes from the scope (space-separated), scp or permissions claims
+   */
+  static _readScopes(payload) {
+    const scopes = [];
+    if (typeof payload.scope === 'string') {
+      scopes.push(...payload.scope.split(' ').filter(Boolean));
+    }
+    [payload.scp, payload.permissions].forEach(claim => {
+      if (Array.isArray(claim)) {
+        scopes.push(...claim.filter(scope => typeof scope === 'string'));
+      } else if (typeof claim === 'string') {
+        scopes.push(...claim.split(' ').filter(Boolean));
+      }
+    });
+    return [...new Set(scopes)];
+  }
+
+  static _sendError(res, error) {
+    const bearerError = error.code === 'INSUFFICIENT_SCOPE' ? 'insufficient_scope'
+      : (error.code === 'MISSING_TOKEN' || error.code === 'AUTH_NOT_CONFIGURED' ? null : 'invalid_token');
+    res.set('WWW-Authenticate', `Bearer realm="modelday"${bearerError ? `, error="${bearerError}"` : ''}`);
+
+    res.status(error.status).json({
+      error: error.message,
+      code: error.code
+    });
+  }
+}
+
+export default AuthService;
@@ -0,0 +1,372 @@
+/**
+ * Calendar Import Service for ModelDay Backend
+ * Turns iCalendar feeds (schedules agencies send as .ics attachments) into ModelDay
+ * entity drafts that the user confirms before they are saved
+ *
+ * Each occurrence is classified as a job, event (casting, fitting, go-see, ...), meeting
+ * or onStay with the same kind of keyword matching as the OCR document classifier:
+ * keywords in the title count three times, categories twice, location and description once.
+ * Feeds exported by /api/calendar/export keep their original type (X-MODELDAY-TYPE).
+ */
+
+import ICalendarService from './icalendarService.js';
+import DateService from './dateService.js';
+
+// Words that announce each entity type (longer phrases are matched first, so "test shoot" is not also a "shoot")
+const ENTITY_KEYWORDS = {
+  event: ['casting', 'open call', 'go-see', 'go see', 'gosee', 'audition', 'fitting', 'test shoot', 'test-shoot',
+    'option', 'first option', 'second option', '1st option', '2nd option', 'hold', 'polaroids', 'digitals'],
+  job: ['job', 'booking', 'booked', 'shoot', 'shooting', 'photo shoot', 'photoshoot', 'campaign', 'editorial',
+    'commercial', 'catalog', 'catalogue', 'e-commerce', 'ecommerce', 'lookbook', 'runway', 'show', 'fashion show',
+    'fashion week', 'showroom', 'tv commercial', 'video'],
+  meeting: ['meeting', 'call', 'interview', 'lunch', 'dinner', 'coffee', 'zoom', 'teams', 'appointment',
+    'catch up', 'catch-up', 'agency visit'],
+  onStay: ['hotel', 'accommodation', 'airbnb', 'apartment', 'model apartment', 'hostel', 'check-in', 'check in',
+    'check-out', 'check out', 'stay', 'lodging', 'residence']
+};
+
+// Event type stored on event drafts for each event keyword
+const EVENT_TYPES = {
+  casting: 'casting', 'open call': 'casting',
+  'go-see': 'go-see', 'go see': 'go-see', gosee: 'go-see',
+  audition: 'audition',
+  fitting: 'fitting',
+  'test shoot': 'test shoot', 'test-shoot': 'test shoot',
+  option: 'option', 'first option': 'option', 'second option': 'option', '1st option': 'option', '2nd option': 'option', hold: 'option',
+  polaroids: 'polaroids', digitals: 'polaroids'
+};
+
+// Job type stored on job drafts for each job keyword
+const JOB_TYPES = {
+  editorial: 'Editorial',
+  campaign: 'Campaign',
+  commercial: 'Commercial', 'tv commercial': 'Commercial',
+  catalog: 'Catalog', catalogue: 'Catalog',
+  'e-commerce': 'E-commerce', ecommerce: 'E-commerce',
+  lookbook: 'Lookbook',
+  runway: 'Runway', show: 'Runway', 'fashion show': 'Runway', 'fashion week': 'Runway',
+  showroom: 'Showroom',
+  video: 'Video'
+};
+
+// Where keywords are searched and how much a match counts
+const FIELD_WEIGHTS = {
+  summary: 3,
+  categories: 2,
+  location: 1,
+  description: 1
+};
+
+// Preferred type when scores tie (a "casting at the hotel" is a casting)
+const TIE_ORDER = ['event', 'job', 'meeting', 'onStay'];
+
+// X-MODELDAY-TYPE values written by the export and the draft type they come back as
+const EXPORT_TYPES = {
+  job: 'job',
+  event: 'event',
+  meeting: 'meeting',
+  shooting: 'job',
+  onStay: 'onStay'
+};
+
+const STATUS_LABELS = {
+  CONFIRMED: 'Confirmed',
+  TENTATIVE: 'Tentative',
+  CANCELLED: 'Cancelled'
+};
+
+const USER_DATA_COLLECTIONS = {
+  job: 'jobs',
+  event: 'events',
+  meeting: 'meetings',
+  onStay: 'onStays'
+};
+
+class CalendarImportService {
+  /**
+   * Parse an iCalendar payload and map every occurrence to an entity draft
+   * @param {string} text - iCalendar text
+   * @param {Object} options - { timeZone, from, until, now, userData } (userData marks drafts that already exist;
+   *   its userProfile.timeZone is used when no timeZone is given)
+   * @returns {Object} { calendarName, timeZone, drafts, counts, warnings }
+   * @throws {Error} With code INVALID_ICS when the text is not an iCalendar file
+   */
+  static importCalendar(text, options = {}) {
+    const { userData = null, ...parseOptions } = options;
+    if (!parseOptions.timeZone && DateService.isValidTimeZone(userData?.userProfile?.timeZone)) {
+      parseOptions.timeZone = userData.userProfile.timeZone;
+    }
+    const parsed = ICalendarService.parseCalendar(text, parseOptions);
+
+    const drafts = parsed.events.map((event, index) => {
+      const draft = this.buildDraft(event);
+      return {
+        draftId: `ics-${index + 1}`,
+        ...draft,
+        existingId: userData ? this._findExisting(draft, event, userData) : null
+      };
+    });
+
+    const counts = Object.keys(USER_DATA_COLLECTIONS).reduce((result, entityType) => {
+      result[entityType] = drafts.filter(draft => draft.entityType === entityType).length;
+      return result;
+    }, { total: drafts.length });
+
+    return {
+      calendarName: parsed.calendarName,
+      timeZone: parseOptions.timeZone || parsed.timeZone,
+      drafts,
+      counts,
+      warnings: parsed.warnings
+    };
+  }
+
+  /**
+   * Classify one calendar occurrence by keywords
+   * @param {Object} event - Occurrence from ICalendarService.parseCalendar()
+   * @returns {Object} { entityType, confidence, reason, matchedKeywords, scores }
+   */
+  static classifyEvent(event) {
+    const scores = Object.fromEntries(TIE_ORDER.map(entityType => [entityType, 0]));
+    const matchedKeywords = [];
+
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      const value = field === 'categories' ? (event.categories || []).join(', ') : event[field];
+      this._findKeywords(value).forEach(({ keyword, entityType }) => {
+        scores[entityType] += weight;
+        if (!matchedKeywords.includes(keyword)) {
+          matchedKeywords.push(keyword);
+        }
+      });
+    });
+
+    const exportType = EXPORT_TYPES[event.modeldayType];
+    if (exportType) {
+      return {
+        entityType: exportType,
+        confidence: 1,
+        reason: `Exported from ModelDay as ${event.modeldayType}`,
+        matchedKeywords,
+        scores
+      };
+    }
+
+    const ranked = TIE_ORDER
+      .map(entityType => [entityType, scores[entityType]])
+      .sort((a, b) => b[1] - a[1]);
+    const [bestType, bestScore] = ranked[0];
+    const totalScore = ranked.reduce((sum, [, score]) => sum + score, 0);
+
+    if (bestScore === 0) {
+      return {
+        entityType: 'event',
+        confidence: 0,
+        reason: 'No entity keywords found, defaulting to event',
+        matchedKeywords,
+        scores
+      };
+    }
+
+    return {
+      entityType: bestType,
+      confidence: Math.round((bestScore / totalScore) * 100) / 100,
+      reason: `Matched ${bestType} keyword(s) with score ${bestScore}`,
+      matchedKeywords,
+      scores
+    };
+  }
+
+  /**
+   * Build the draft record for one occurrence, shaped like the records in userData
+   * @param {Object} event - Occurrence from ICalendarService.parseCalendar()
+   * @returns {Object} { entityType, confidence, reason, matchedKeywords, record, source }
+   */
+  static buildDraft(event) {
+    const { entityType, confidence, reason, matchedKeywords } = this.classifyEvent(event);
+    const name = this._extractName(event.summary, entityType);
+    const status = STATUS_LABELS[event.status];
+    const multiDay = event.endDate && event.endDate > event.startDate ? event.endDate : null;
+    let record;
+
+    if (entityType === 'onStay') {
+      record = {
+        locationName: name || event.location,
+        address: event.location !== (name || event.location) ? event.location : null,
+        checkInDate: event.startDate,
+        checkOutDate: event.endDate || event.startDate,
+        checkInTime: event.startTime,
+        checkOutTime: event.endTime,
+        notes: event.description
+      };
+    } else if (entityType === 'event') {
+      record = {
+        type: this._eventType(event, matchedKeywords),
+        clientName: name,
+        date: event.startDate,
+        endDate: multiDay,
+        startTime: event.startTime,
+        endTime: event.endTime,
+        location: event.location,
+        status,
+        notes: event.description
+      };
+    } else if (entityType === 'meeting') {
+      record = {
+        clientName: name,
+        date: event.startDate,
+        time: event.startTime,
+        endTime: event.endTime,
+        location: event.location,
+        status,
+        notes: event.description
+      };
+    } else {
+      record = {
+        clientName: name,
+        type: this._jobType(event, matchedKeywords),
+        date: event.startDate,
+        endDate: multiDay,
+        time: event.startTime,
+        endTime: event.endTime,
+        location: event.location,
+        status,
+        notes: event.description
+      };
+    }
+
+    if (event.startTime && event.timeZone) {
+      record.timeZone = event.timeZone;
+    }
+
+    return {
+      entityType,
+      confidence,
+      reason,
+      matchedKeywords,
+      record: this._compact(record),
+      source: this._compact({
+        uid: event.uid,
+        summary: event.summary,
+        recurring: event.recurring || null,
+        allDay: event.allDay
+      })
+    };
+  }
+
+  /**
+   * Keywords found in a text, longest first, each occurrence counted once
+   */
+  static _findKeywords(text) {
+    if (!text) {
+      return [];
+    }
+
+    let remaining = String(text).toLowerCase();
+    const found = [];
+    const keywords = Object.entries(ENTITY_KEYWORDS)
+      .flatMap(([entityType, list]) => list.map(keyword => ({ keyword, entityType })))
+      .sort((a, b) => b.keyword.length - a.keyword.length);
+
+    keywords.forEach(entry => {
+      const pattern = new RegExp(`(^|[^a-z0-9])${entry.keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![a-z0-9])`, 'g');
+      remaining = remaining.replace(pattern, (match, prefix) => {
+        found.push(entry);
+        return `${prefix}${' '.repeat(entry.keyword.length)}`;
+      });
+    });
+
+    return found;
+  }
+
+  /**
+   * Client (or hotel) name from the title: "Casting: Dior" → "Dior", "Vogue editorial shoot" → "Vogue"
+   * Only keywords of the draft's own type are removed ("Casting at Hotel Bristol" → "Hotel Bristol")
+   */
+  static _extractName(summary, entityType) {
+    const title = String(summary || '').trim();
+    if (!title) {
+      return null;
+    }
+
+    // "Label: Name", "Label - Name", "Label | Name" with only keywords in the label
+    const labelled = title.match(/^([^:|–-]{1,40}?)\s*(?::|\||\s[–-]\s)\s*(.+)$/);
+    if (labelled && this._isOnlyKeywords(labelled[1])) {
+      return labelled[2].trim();
+    }
+
+    // Stays keep their title ("Hotel Le Bristol")
+    if (entityType === 'onStay') {
+      return title;
+    }
+
+    const stripped = this._findKeywords(title).length > 0
+      ? this._removeKeywords(title, ENTITY_KEYWORDS[entityType])
+        .replace(/^\s*(with|for|at|@|by)\s+/i, '')
+        .replace(/\s+(with|for|at|@|by)\s*$/i, '')
+        .replace(/\s{2,}/g, ' ')
+        .trim()
+      : title;
+
+    return stripped.length > 1 ? stripped : title;
+  }
+
+  static _isOnlyKeywords(text) {
+    const allKeywords = Object.values(ENTITY_KEYWORDS).flat();
+    return this._findKeywords(text).length > 0 && this._removeKeywords(text, allKeywords).replace(/[^A-Za-z0-9]/g, '').length === 0;
+  }
+
+  static _removeKeywords(text, keywords) {
+    let result = String(text);
+    [...keywords].sort((a, b) => b.length - a.length).forEach(keyword => {
+      const pattern = new RegExp(`(^|[^A-Za-z0-9])${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![A-Za-z0-9])`, 'gi');
+      result = result.replace(pattern, '$1');
+    });
+    return result;
+  }
+
+  static _eventType(event, matchedKeywords) {
+    const keyword = matchedKeywords.find(candidate => EVENT_TYPES[candidate]);
+    if (keyword) {
+      return EVENT_TYPES[keyword];
+    }
+    // Exported events carry their type in CATEGORIES ("Casting")
+    const category = (event.categories || [])[0];
+    return category ? category.toLowerCase() : 'other';
+  }
+
+  static _jobType(event, matchedKeywords) {
+    const keyword = matchedKeywords.find(candidate => JOB_TYPES[candidate]);
+    if (keyword) {
+      return JOB_TYPES[keyword];
+    }
+    return event.modeldayType === 'shooting' ? 'Shooting' : 'Job';
+  }
+
+  /**
+   * Id of a userData record the draft duplicates: same exported id, or same date and name
+   */
+  static _findExisting(draft, event, userData) {
+    // Exported shootings come back as job drafts but live in userData.shootings
+    const collection = event.modeldayType === 'shooting' ? 'shootings' : USER_DATA_COLLECTIONS[draft.entityType];
+    const records = (userData[collection] || []).filter(Boolean);
+    const byId = event.modeldayId && records.find(record => record.id === event.modeldayId);
+    if (byId) {
+      return byId.id;
+    }
+
+    const normalize = value => String(value || '').trim().toLowerCase();
+    const match = draft.entityType === 'onStay'
+      ? records.find(record => record.checkInDate === draft.record.checkInDate &&
+        normalize(record.locationName) === normalize(draft.record.locationName))
+      : records.find(record => record.date === draft.record.date &&
+        normalize(record.clientName) === normalize(draft.record.clientName));
+
+    return match?.id || null;
+  }
+
+  static _compact(record) {
+    return Object.fromEntries(Object.entries(record).filter(([, value]) => value !== null && value !== undefined && value !== ''));
+  }
+}
+
+export default CalendarImportService;
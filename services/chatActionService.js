@@ -0,0 +1,320 @@
+/**
+ * Chat Action Service for ModelDay Backend
+ * Declares the action cards the chat can return next to its answer (buttons the app
+ * renders, such as "Mark job paid") and validates the actions the model suggests:
+ * every action must match its declared parameters and point to a record that exists
+ * in the request's userData
+ */
+
+import DateService from './dateService.js';
+
+// Record types actions can point to, and the userData section holding them
+const RECORD_TYPES = {
+  job: 'jobs',
+  event: 'events',
+  aiJob: 'aiJobs',
+  agency: 'agencies',
+  agent: 'agents',
+  meeting: 'meetings',
+  onStay: 'onStays',
+  shooting: 'shootings'
+};
+
+// Record types with a date that can go into a calendar
+const SCHEDULED_TYPES = ['job', 'event', 'meeting', 'onStay', 'shooting'];
+
+/**
+ * Parameter types:
+ * - string: free text
+ * - date: YYYY-MM-DD
+ * - time: HH:MM (24-hour)
+ * - recordType: one of `values`
+ * - recordId: ID of a record in userData, of `recordType` (or of the recordType parameter)
+ */
+const ACTION_TYPES = {
+  createEventDraft: {
+    label: 'Create event draft',
+    description: 'Open a new event form filled in with these values (the user still saves it)',
+    params: {
+      date: { type: 'date', required: true },
+      type: { type: 'string', description: 'Casting, Option, Fitting, Test, ...' },
+      title: { type: 'string' },
+      clientName: { type: 'string' },
+      startTime: { type: 'time' },
+      endTime: { type: 'time' },
+      location: { type: 'string' },
+      notes: { type: 'string' }
+    }
+  },
+  markJobPaid: {
+    label: 'Mark job paid',
+    description: 'Set the payment status of an unpaid job to Paid',
+    params: {
+      jobId: { type: 'recordId', recordType: 'job', required: true }
+    }
+  },
+  openRecord: {
+    label: 'Open',
+    description: 'Open a record in the app',
+    params: {
+      recordType: { type: 'recordType', values: Object.keys(RECORD_TYPES), required: true },
+      recordId: { type: 'recordId', required: true }
+    }
+  },
+  addToCalendar: {
+    label: 'Add to calendar',
+    description: "Add a dated record to the phone's calendar",
+    params: {
+      recordType: { type: 'recordType', values: SCHEDULED_TYPES, required: true },
+      recordId: { type: 'recordId', required: true }
+    }
+  }
+};
+
+// Actions kept per answer
+const MAX_ACTIONS = 5;
+const MAX_LABEL_LENGTH = 40;
+
+const PAID_STATUSES = new Set(['paid', 'received', 'settled']);
+
+// How each parameter type is described to the model in the prompt
+const PROMPT_TYPES = {
+  string: 'text',
+  date: 'YYYY-MM-DD',
+  time: 'HH:MM',
+  recordId: 'record id from the data above'
+};
+
+class ChatActionService {
+  /**
+   * Get the declared action types
+   * @returns {Object} Map of action type to { label, description, params }
+   */
+  static getActionTypes() {
+    return ACTION_TYPES;
+  }
+
+  /**
+   * System prompt addition asking for a JSON answer with action cards
+   * @returns {string} Instructions listing every action type and its parameters
+   */
+  static getInstructions() {
+    const actionLines = Object.entries(ACTION_TYPES).map(([type, definition]) => {
+      const params = Object.entries(definition.params).map(([name, param]) => {
+        const valueType = param.type === 'recordType' ? param.values.join('|') : PROMPT_TYPES[param.type];
+        return `"${name}": ${valueType}${param.required ? '' : ' (optional)'}`;
+      });
+      return `- ${type}: ${definition.description}. params: { ${params.join(', ')} }`;
+    });
+
+    return `
+
+ACTION CARDS:
+Reply with a JSON object: {"response": "<your answer>", "actions": [...]}.
+"response" is your full answer as plain text. "actions" lists up to ${MAX_ACTIONS} buttons the app shows under the answer; use [] when no action fits.
+Each action is {"type": "<action type>", "label": "<short button text in the user's language>", "params": {...}}. Action types:
+${actionLines.join('\n')}
+Only use record ids shown as [id: ...] in the data above; never invent ids.`;
+  }
+
+  /**
+   * Split the model's JSON reply into the answer and validated actions
+   * A reply that is not JSON is kept as the answer, without actions
+   * @param {string} content - Model reply
+   * @param {Object} userData - User data the actions must point into
+   * @returns {Object} { response, actions, rejectedActions }
+   */
+  static parseReply(content, userData = {}) {
+    let reply;
+    try {
+      reply = JSON.parse(content);
+    } catch (error) {
+      console.log('⚠️ Chat reply in action mode is not JSON, returning it without actions');
+      return { response: content, actions: [], rejectedActions: [] };
+    }
+
+    if (!reply || typeof reply !== 'object' || Array.isArray(reply)) {
+      return { response: String(content), actions: [], rejectedActions: [] };
+    }
+
+    const response = typeof reply.response === 'string' ? reply.response : '';
+    return { response, ...this.validateActions(reply.actions, userData) };
+  }
+
+  /**
+   * Validate the actions suggested by the model
+   * @param {Array} rawActions - Actions from the model
+   * @param {Object} userData - User data the actions must point into
+   * @returns {Object} { actions, rejectedActions }
+   *   - actions: [{ id, type, label, params }]
+   *   - rejectedActions: [{ index, type, errors: [{ path, code, message }] }]
+   */
+  static validateActions(rawActions, userData = {}) {
+    const actions = [];
+    const rejectedActions = [];
+
+    (Array.isArray(rawActions) ? rawActions : []).forEach((rawAction, index) => {
+      const errors = actions.length >= MAX_ACTIONS
+        ? [this._error(`actions[${index}]`, 'TOO_MANY_ACTIONS', `Only ${MAX_ACTIONS} actions are kept per answer`)]
+        : [];
+      const action = errors.length === 0 ? this._validateAction(rawAction, index, userData || {}, errors) : null;
+
+      if (action) {
+        actions.push({ id: `action${actions.length + 1}`, ...action });
+      } else {
+        rejectedActions.push({ index, type: rawAction?.type ?? null, errors });
+      }
+    });
+
+    return { actions, rejectedActions };
+  }
+
+  /**
+   * Validate one action
+   * @param {Object} rawAction - Action from the model
+   * @param {number} index - Position in the model's list
+   * @param {Object} userData - User data
+   * @param {Array} errors - Error list (appended to)
+   * @returns {Object|null} { type, label, params }, or null when invalid
+   */
+  static _validateAction(rawAction, index, userData, errors) {
+    const path = `actions[${index}]`;
+
+    if (!rawAction || typeof rawAction !== 'object' || Array.isArray(rawAction)) {
+      errors.push(this._error(path, 'INVALID_ACTION', 'Action must be an object'));
+      return null;
+    }
+
+    const definition = ACTION_TYPES[rawAction.type];
+    if (!definition) {
+      errors.push(this._error(`${path}.type`, 'UNKNOWN_ACTION', `Unknown action type; expected one of ${Object.keys(ACTION_TYPES).join(', ')}`));
+      return null;
+    }
+
+    const rawParams = rawAction.params && typeof rawAction.params === 'object' ? rawAction.params : {};
+    const params = {};
+
+    Object.entries(definition.params).forEach(([name, param]) => {
+      const value = rawParams[name];
+      const paramPath = `${path}.params.${name}`;
+
+      if (value === undefined || value === null || value === '') {
+        if (param.required) {
+          errors.push(this._error(paramPath, 'MISSING_PARAM', `${name} is required`));
+        }
+        return;
+      }
+
+      const normalized = this._normalizeParam(param, value, rawParams, userData, paramPath, errors);
+      if (normalized !== null) {
+        params[name] = normalized;
+      }
+    });
+
+    if (errors.length > 0) {
+      return null;
+    }
+
+    this._checkRecordState(rawAction.type, params, userData, path, errors);
+    if (errors.length > 0) {
+      return null;
+    }
+
+    const label = typeof rawAction.label === 'string' && rawAction.label.trim()
+      ? rawAction.label.trim().slice(0, MAX_LABEL_LENGTH)
+      : definition.label;
+
+    return { type: rawAction.type, label, params };
+  }
+
+  /**
+   * Normalize one parameter according to its type
+   * @returns {*} Normalized value, or null when invalid (an error is added)
+   */
+  static _normalizeParam(param, value, rawParams, userData, path, errors) {
+    switch (param.type) {
+      case 'date': {
+        const date = DateService.parseDate(String(value));
+        if (!date) {
+          errors.push(this._error(path, 'INVALID_DATE', 'Not a valid calendar date (expected YYYY-MM-DD)'));
+        }
+        return date;
+      }
+      case 'time': {
+        const time = DateService.parseTime(String(value));
+        if (!time) {
+          errors.push(this._error(path, 'INVALID_TIME', 'Not a valid time of day (expected HH:MM)'));
+        }
+        return time;
+      }
+      case 'recordType':
+        if (!param.values.includes(value)) {
+          errors.push(this._error(path, 'INVALID_RECORD_TYPE', `Expected one of ${param.values.join(', ')}`));
+          return null;
+        }
+        return value;
+      case 'recordId': {
+        const recordType = param.recordType || rawParams.recordType;
+        if (!RECORD_TYPES[recordType]) {
+          // Reported on the recordType parameter
+          return null;
+        }
+        if (!this.findRecord(userData, recordType, value)) {
+          errors.push(this._error(path, 'UNKNOWN_RECORD', `No ${recordType} with id ${value} in userData`));
+          return null;
+        }
+        return String(value);
+      }
+      default:
+        if (typeof value !== 'string' && typeof value !== 'number') {
+          errors.push(this._error(path, 'INVALID_TYPE', 'Expected text'));
+          return null;
+        }
+        return String(value).trim();
+    }
+  }
+
+  /**
+   * Reject actions that make no sense for the record they point to
+   */
+  static _checkRecordState(type, params, userData, path, errors) {
+    if (type === 'markJobPaid') {
+      const job = this.findRecord(userData, 'job', params.jobId);
+      if (PAID_STATUSES.has(String(job.paymentStatus || '').trim().toLowerCase())) {
+        errors.push(this._error(`${path}.params.jobId`, 'ALREADY_PAID', `Job ${params.jobId} is already paid`));
+      }
+    }
+
+    if (type === 'addToCalendar') {
+      const record = this.findRecord(userData, params.recordType, params.recordId);
+      if (!DateService.parseDate(record.date || record.checkInDate || record.startDate)) {
+        errors.push(this._error(`${path}.params.recordId`, 'NO_DATE', `${params.recordType} ${params.recordId} has no date to add to a calendar`));
+      }
+    }
+  }
+
+  /**
+   * Find a record by type and ID
+   * @param {Object} userData - User data
+   * @param {string} recordType - Key of RECORD_TYPES (e.g. 'job')
+   * @param {string|number} id - Record ID
+   * @returns {Object|null} Record
+   */
+  static findRecord(userData, recordType, id) {
+    const records = userData?.[RECORD_TYPES[recordType]];
+    if (!Array.isArray(records)) {
+      return null;
+    }
+    return records.find(record => record && record.id !== undefined && record.id !== null && String(record.id) === String(id)) || null;
+  }
+
+  /**
+   * Build a validation error entry
+   * @returns {Object} { path, code, message }
+   */
+  static _error(path, code, message) {
+    return { path, code, message };
+  }
+}
+
+export default ChatActionService;
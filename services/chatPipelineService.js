@@ -0,0 +1,555 @@
+/**
+ * Chat Pipeline Service for ModelDay Backend
+ * Runs one chat turn for every chat route (/api/chat, /api/chat-with-context and
+ * /api/conversations/:id/messages) in four stages that share a `turn` object:
+ *
+ * 1. resolveContext - checks the request and picks the system context (pre-built context,
+ *    userData, stored conversation or userData embedded in the history)
+ * 2. assemblePrompt - adds the fallback, tool, action card and language instructions and
+ *    builds the completion options
+ * 3. complete - calls the chat provider (streamed or not, with data tools), reads the action
+ *    cards, records token usage and stores the exchange
+ * 4. shapeResponse - builds the response body (the JSON response or the `done` event)
+ *
+ * Each stage is a static method taking and returning the turn, so it can be tested alone;
+ * run() accepts replacements for any stage through options.stages.
+ */
+
+import ContextService from './contextService.js';
+import ContextBudgetService from './contextBudgetService.js';
+import ConversationService from './conversationService.js';
+import ChatToolService from './chatToolService.js';
+import ChatActionService from './chatActionService.js';
+import DateService from './dateService.js';
+import LLMService from './llmService.js';
+import LocaleService from './localeService.js';
+import RateLimitService from './rateLimitService.js';
+import UserDataValidationService from './userDataValidationService.js';
+
+const STAGES = ['resolveContext', 'assemblePrompt', 'complete', 'shapeResponse'];
+
+const CHAT_ERRORS = {
+  MISSING_MESSAGE: { status: 400, message: 'Message is required' },
+  MISSING_USER_DATA: { status: 400, message: 'User data is required for this endpoint' },
+  INVALID_TIME_ZONE: { status: 400, message: 'Unknown time zone' },
+  INVALID_LOCALE: { status: 400, message: 'Unsupported locale' },
+  INVALID_USER_DATA: { status: 400, message: 'userData failed validation' },
+  CONVERSATION_NOT_FOUND: { status: 404, message: 'Conversation not found' }
+};
+
+// System context when no user data is available
+const FALLBACK_CONTEXT = `You are ModelDay AI, a helpful assistant for the ModelDay platform.
+
+IMPORTANT CONTEXT LIMITATIONS:
+- You currently have NO ACCESS to the user's personal modeling data (jobs, events, bookings, etc.)
+- You cannot provide specific insights about their career, earnings, or schedule
+- You cannot analyze their booking patterns, agent relationships, or financial data
+- You should NOT make up or assume any personal information about the user
+
+What you CAN help with:
+1. General modeling industry advice and guidance
+2. Portfolio creation tips and best practices
+3. Career development strategies in fashion and modeling
+4. Industry insights and trends
+5. Professional networking advice
+6. Casting preparation and audition tips
+7. General business advice for models
+
+If the user asks about their specific data, politely explain that you need access to their ModelDay account data to provide personalized insights. Suggest they ensure their data is properly synced or contact support if needed.
+
+Be professional, encouraging, and provide practical general advice while being transparent about your current limitations.`;
+
+class ChatPipelineService {
+  /**
+   * Stage names in the order run() calls them
+   * @returns {Array<string>} ['resolveContext', 'assemblePrompt', 'complete', 'shapeResponse']
+   */
+  static getStageNames() {
+    return [...STAGES];
+  }
+
+  /**
+   * Run a chat turn through every stage
+   * @param {Object} request - Chat request
+   * @param {Object} request.body - Request body ({ message, conversation, userData, context,
+   *   contextBudget, conversationId, timeZone, locale, strict, actions })
+   * @param {string} request.acceptLanguage - Accept-Language header
+   * @param {string} request.userId - Authenticated user (owner of stored conversations)
+   * @param {string} request.identity - Rate limit identity the token usage is recorded for
+   * @param {Object} options - Pipeline options
+   * @param {boolean} options.stream - Stream the completion (tokens are passed to onEvent)
+   * @param {Function} options.onEvent - (event) => void for { type: 'token' | 'tool', ... } events
+   * @param {AbortSignal} options.signal - Stops a streamed completion (client went away)
+   * @param {boolean} options.requireUserData - Reject requests without userData
+   * @param {Object} options.provider - Chat provider (default: LLMService chat route)
+   * @param {Object} options.stages - Stage replacements, e.g. { assemblePrompt: async turn => turn }
+   * @returns {Promise<Object>} The finished turn (turn.response is the response body;
+   *   turn.aborted is set when a streamed completion was stopped)
+   * @throws {Error} Request errors with code and status (see createError), provider errors
+   */
+  static async run(request, options = {}) {
+    const stages = { ...(options.stages || {}) };
+    let turn = this.createTurn(request, options);
+
+    for (const name of STAGES) {
+      const stage = stages[name] || this[name].bind(this);
+      turn = (await stage(turn)) || turn;
+      if (turn.aborted) {
+        break;
+      }
+    }
+
+    return turn;
+  }
+
+  /**
+   * Create the turn object the stages fill in
+   * @param {Object} request - See run()
+   * @param {Object} options - See run()
+   * @returns {Object} { request, options, context, prompt, completion, response, aborted }
+   */
+  static createTurn(request = {}, options = {}) {
+    const body = request.body || {};
+
+    return {
+      request: {
+        message: body.message,
+        // History entries that are not message objects are dropped
+        conversation: Array.isArray(body.conversation)
+          ? body.conversation.filter(msg => msg && typeof msg === 'object' && !Array.isArray(msg))
+          : [],
+        userData: body.userData || null,
+        context: body.context || null,
+        contextBudget: body.contextBudget ?? null,
+        conversationId: body.conversationId || null,
+        timeZone: body.timeZone || null,
+        locale: body.locale || null,
+        strict: body.strict === true,
+        // Answer with action cards (see ChatActionService)
+        actions: body.actions === true,
+        acceptLanguage: request.acceptLanguage || null,
+        userId: request.userId || null,
+        identity: request.identity || null
+      },
+      options: {
+        stream: options.stream === true,
+        onEvent: options.onEvent || null,
+        signal: options.signal || null,
+        requireUserData: options.requireUserData === true,
+        provider: options.provider || null
+      },
+      context: null,
+      prompt: null,
+      completion: null,
+      response: null,
+      aborted: false
+    };
+  }
+
+  /**
+   * Stage 1: check the request and resolve the system context
+   * Sets turn.context: { systemContext, source, budget, userData, toolData, hasUserData, locale, validation }
+   * (systemContext is null when no user data or pre-built context was found) and replaces
+   * turn.request.conversation with the stored history of a stored conversation
+   * @param {Object} turn - Chat turn
+   * @returns {Promise<Object>} Turn
+   */
+  static async resolveContext(turn) {
+    const request = turn.request;
+
+    if (!request.message) {
+      throw this.createError('MISSING_MESSAGE');
+    }
+    if (turn.options.requireUserData && !request.userData) {
+      throw this.createError('MISSING_USER_DATA');
+    }
+    if (request.timeZone && !DateService.isValidTimeZone(request.timeZone)) {
+      throw this.createError('INVALID_TIME_ZONE', request.timeZone);
+    }
+    if (request.locale && !LocaleService.normalizeLocale(request.locale)) {
+      throw this.createError('INVALID_LOCALE', `${request.locale}. Supported languages: ${LocaleService.getSupportedLanguages().join(', ')}`);
+    }
+
+    let { conversation, userData } = request;
+
+    // Stored conversation: history (and userData, unless sent again) come from the server
+    if (request.conversationId) {
+      const storedConversation = await ConversationService.getConversation(request.conversationId, request.userId);
+      if (!storedConversation) {
+        throw this.createError('CONVERSATION_NOT_FOUND');
+      }
+      conversation = ConversationService.toHistory(storedConversation);
+      if (!userData || Object.keys(userData).length === 0) {
+        userData = storedConversation.userData;
+      }
+    }
+
+    // Check the userData the context is built from, whether sent now or stored with the conversation;
+    // sections the context cannot read are rejected even outside strict mode
+    const shapeErrors = userData ? UserDataValidationService.getShapeErrors(userData) : [];
+    const validation = userData ? UserDataValidationService.validate(userData) : null;
+    if (shapeErrors.length > 0) {
+      throw this.createError('INVALID_USER_DATA', shapeErrors.map(issue => `${issue.path || 'userData'}: ${issue.message}`).join('; '), { validation });
+    }
+    if (validation && request.strict && !validation.valid) {
+      throw this.createError('INVALID_USER_DATA', `${validation.errorCount} error(s)`, { validation });
+    }
+
+    const context = {
+      systemContext: null,
+      source: 'fallback',
+      budget: null,
+      userData,
+      // userData the model can query with the data tools
+      toolData: null,
+      hasUserData: false,
+      locale: null,
+      validation
+    };
+
+    const contextMessage = conversation.find(msg => msg.userData || (typeof msg.context === 'string' && msg.context.trim()));
+
+    // Priority 1: Use pre-built context if provided
+    if (typeof request.context === 'string' && request.context.trim().length > 0) {
+      console.log('🔄 Using pre-built context from request');
+      context.systemContext = request.context;
+      context.hasUserData = ContextService.isUserDataContext(request.context);
+      context.source = 'pre-built';
+    }
+    // Priority 2: Build context from userData if available
+    else if (userData && Object.keys(userData).length > 0) {
+      console.log('🔄 Building context from userData');
+      Object.assign(context, this._buildContext(userData, request));
+      context.source = 'userData';
+    }
+    // Priority 3: Check if userData is embedded in conversation history
+    else if (contextMessage) {
+      console.log('🔄 Using userData/context embedded in the conversation');
+      if (contextMessage.userData) {
+        Object.assign(context, this._buildContext(contextMessage.userData, request));
+      } else {
+        context.systemContext = contextMessage.context;
+        context.hasUserData = ContextService.isUserDataContext(contextMessage.context);
+      }
+      context.source = 'conversation';
+    }
+
+    context.locale = LocaleService.findLocale(request.locale, (context.toolData || userData)?.userProfile?.locale, request.acceptLanguage);
+
+    turn.request = { ...request, conversation };
+    turn.context = context;
+    return turn;
+  }
+
+  /**
+   * Stage 2: build the system prompt, the messages and the completion options
+   * Sets turn.prompt: { systemPrompt, messages, completionOptions, toolData }
+   * @param {Object} turn - Chat turn (after resolveContext)
+   * @returns {Promise<Object>} Turn
+   */
+  static async assemblePrompt(turn) {
+    const { request, context } = turn;
+
+    let systemPrompt = context.systemContext;
+    if (!systemPrompt) {
+      console.log('🔄 Using fallback context with limitations');
+      systemPrompt = FALLBACK_CONTEXT;
+    }
+
+    let toolData = null;
+    if (context.toolData && ChatToolService.isEnabled()) {
+      systemPrompt += ChatToolService.getInstructions();
+      toolData = context.toolData;
+    }
+
+    if (request.actions) {
+      systemPrompt += ChatActionService.getInstructions();
+    }
+
+    // Answer in the user's language (request, profile or Accept-Language header)
+    if (context.locale) {
+      systemPrompt += LocaleService.getLanguageInstruction(context.locale);
+    }
+
+    const messages = [
+      {
+        role: 'system',
+        content: systemPrompt
+      },
+      ...request.conversation.map(msg => ({
+        role: msg.role || 'user',
+        content: msg.content || msg.message
+      })),
+      {
+        role: 'user',
+        content: request.message
+      }
+    ];
+
+    turn.prompt = {
+      systemPrompt,
+      messages,
+      toolData,
+      completionOptions: {
+        model: LLMService.getModel('chat'),
+        messages,
+        max_tokens: 1000,
+        temperature: 0.7,
+        top_p: 1,
+        frequency_penalty: 0,
+        presence_penalty: 0,
+        ...(request.actions ? { response_format: { type: 'json_object' } } : {})
+      }
+    };
+    return turn;
+  }
+
+  /**
+   * Stage 3: run the completion, record its token usage and store the exchange
+   * Sets turn.completion: { response, usage, model, toolCalls, stored } (plus actions and
+   * rejectedActions in action card mode), or turn.aborted
+   * @param {Object} turn - Chat turn (after assemblePrompt)
+   * @returns {Promise<Object>} Turn
+   * @throws {Error} Provider configuration errors (with status and body) and provider errors
+   */
+  static async complete(turn) {
+    const { options, prompt, request, context } = turn;
+    const provider = options.provider || this._getProvider();
+
+    let result;
+    if (options.stream) {
+      // Action card replies are JSON, so their tokens are not streamed; the `done` event carries the answer
+      result = await this._streamCompletion(provider, prompt, options, !request.actions);
+      if (result.aborted) {
+        console.log('🔌 Chat stream closed by client');
+        // The tokens generated before the client left still count against the quota
+        await this._recordUsage(request.identity, result.usage);
+        turn.aborted = true;
+        return turn;
+      }
+    } else {
+      result = await ChatToolService.complete(provider, prompt.completionOptions, prompt.toolData);
+    }
+
+    const reply = request.actions && result?.response
+      ? ChatActionService.parseReply(result.response, context.toolData || context.userData)
+      : { response: result?.response };
+
+    if (!reply.response) {
+      throw new Error(`No response from ${provider.name} provider`);
+    }
+
+    await this._recordUsage(request.identity, result.usage);
+    const stored = await this._saveExchange(request.conversationId, {
+      message: request.message,
+      response: reply.response,
+      usage: result.usage,
+      model: result.model,
+      userData: request.userData
+    });
+
+    turn.completion = {
+      response: reply.response,
+      usage: result.usage,
+      model: result.model,
+      toolCalls: result.toolCalls,
+      stored
+    };
+    if (request.actions) {
+      turn.completion.actions = reply.actions;
+      turn.completion.rejectedActions = reply.rejectedActions;
+    }
+    return turn;
+  }
+
+  /**
+   * Stage 4: build the response body
+   * Sets turn.response (the `done` event of a stream leaves out the dataFormat help)
+   * @param {Object} turn - Chat turn (after complete)
+   * @returns {Promise<Object>} Turn
+   */
+  static async shapeResponse(turn) {
+    const { request, context, completion } = turn;
+
+    turn.response = {
+      success: true,
+      response: completion.response,
+      usage: completion.usage,
+      model: completion.model,
+      timestamp: new Date().toISOString(),
+      hasUserData: context.hasUserData,
+      contextLimited: !context.hasUserData,
+      contextSource: context.source,
+      contextBudget: context.budget,
+      validation: context.validation,
+      toolCalls: completion.toolCalls,
+      ...completion.stored
+    };
+
+    if (request.actions) {
+      turn.response.actions = completion.actions;
+      turn.response.rejectedActions = completion.rejectedActions;
+    }
+
+    if (!turn.options.stream) {
+      // Helper for frontend to understand how to send data
+      turn.response.dataFormat = {
+        userData: "Send user data in 'userData' field",
+        context: "Send pre-built context in 'context' field",
+        conversation: "Embed userData/context in conversation messages"
+      };
+    }
+    return turn;
+  }
+
+  /**
+   * Create an error for a rejected chat request
+   * @param {string} code - Key of CHAT_ERRORS
+   * @param {string} detail - Appended to the message ("Unknown time zone: Mars/Base")
+   * @param {Object} extra - Extra fields for the response body
+   * @returns {Error} Error with code, status and body ({ error, code, ...extra })
+   */
+  static createError(code, detail = null, extra = {}) {
+    const definition = CHAT_ERRORS[code];
+    const error = new Error(detail ? `${definition.message}: ${detail}` : definition.message);
+    error.code = code;
+    error.status = definition.status;
+    error.body = { error: error.message, code, ...extra };
+    return error;
+  }
+
+  /**
+   * Build the context from userData with the request's budget, time zone and locale
+   * @returns {Object} { systemContext, budget, toolData, hasUserData } (hasUserData is false when building failed)
+   */
+  static _buildContext(userData, request) {
+    const locale = LocaleService.findLocale(request.locale, userData.userProfile?.locale, request.acceptLanguage);
+    const { context, budget } = ContextService.buildBudgetedContext(userData, {
+      maxTokens: request.contextBudget,
+      timeZone: request.timeZone,
+      locale,
+      // Action cards point to records by the IDs shown in the context
+      includeIds: request.actions
+    });
+
+    // The data tools use the request's time zone too
+    const toolData = request.timeZone
+      ? { ...userData, userProfile: { ...(userData.userProfile || {}), timeZone: request.timeZone } }
+      : userData;
+
+    return { systemContext: context, budget, toolData, hasUserData: budget !== null };
+  }
+
+  /**
+   * Chat provider of the LLMService chat route
+   * @throws {Error} Error with status 500 and the provider's { error, code } body when not configured
+   */
+  static _getProvider() {
+    const configurationError = LLMService.getConfigurationError('chat');
+    if (configurationError) {
+      const error = new Error(configurationError.error);
+      error.code = configurationError.code;
+      error.status = 500;
+      error.body = configurationError;
+      throw error;
+    }
+    return LLMService.getProvider('chat');
+  }
+
+  /**
+   * Stream the completion, passing token and tool events to options.onEvent
+   * @param {boolean} forwardTokens - Pass token events on (tool events are always passed)
+   * @returns {Promise<Object>} { response, usage, model, toolCalls }, or { aborted: true, usage } with
+   *   the usage estimated from the prompt and the text streamed before the abort
+   */
+  static async _streamCompletion(provider, prompt, options, forwardTokens = true) {
+    const events = ChatToolService.stream(provider, prompt.completionOptions, prompt.toolData, options.signal);
+    let result = null;
+    let streamedText = '';
+    const aborted = () => ({ aborted: true, usage: this._estimateUsage(prompt.messages, streamedText) });
+
+    try {
+      for await (const event of events) {
+        if (event.type === 'done') {
+          result = event;
+        } else {
+          if (event.type === 'token') {
+            streamedText += event.content;
+          }
+          if (options.onEvent && (forwardTokens || event.type !== 'token')) {
+            options.onEvent(event);
+          }
+        }
+      }
+    } catch (error) {
+      if (options.signal?.aborted) {
+        return aborted();
+      }
+      throw error;
+    }
+
+    return options.signal?.aborted ? aborted() : result;
+  }
+
+  /**
+   * Estimate the token usage of a completion stopped before the provider reported it
+   * @param {Array} messages - Prompt messages
+   * @param {string} completionText - Text generated so far
+   * @returns {Object} { prompt_tokens, completion_tokens, total_tokens }
+   */
+  static _estimateUsage(messages, completionText) {
+    const promptTokens = ContextBudgetService.estimateTokens(
+      messages.map(msg => (typeof msg.content === 'string' ? msg.content : '')).join('\n')
+    );
+    const completionTokens = ContextBudgetService.estimateTokens(completionText);
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+  }
+
+  /**
+   * Add the completion's tokens to the caller's monthly quota usage
+   * Failures are logged and never fail the request
+   */
+  static async _recordUsage(identity, usage) {
+    if (!identity) {
+      return;
+    }
+    try {
+      await RateLimitService.recordTokens(identity, usage);
+    } catch (error) {
+      console.error('Failed to record token usage:', error.message);
+    }
+  }
+
+  /**
+   * Store one chat exchange in its conversation and describe the stored messages
+   * @param {string|null} conversationId - Conversation ID, or null when the chat is not stored
+   * @param {Object} exchange - { message, response, usage, model, userData }
+   * @returns {Promise<Object>} Response fields ({ conversationId, messageIds } or {})
+   */
+  static async _saveExchange(conversationId, exchange) {
+    if (!conversationId) {
+      return {};
+    }
+
+    const saved = await ConversationService.appendExchange(conversationId, exchange);
+    if (!saved) {
+      // Deleted while the reply was being generated
+      console.log('⚠️ Conversation disappeared before the reply was stored:', conversationId);
+      return { conversationId: null, messageIds: null };
+    }
+
+    return {
+      conversationId,
+      messageIds: {
+        user: saved.userMessage.id,
+        assistant: saved.assistantMessage.id
+      }
+    };
+  }
+}
+
+export default ChatPipelineService;
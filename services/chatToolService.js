@@ -0,0 +1,236 @@
+/**
+ * Chat Tool Service for ModelDay Backend
+ * Runs chat completions with OpenAI tool calling: when the request has userData the
+ * model can call the UserDataQueryService queries and answer with exact figures
+ *
+ * Configuration (environment variables):
+ * - CHAT_TOOLS: enabled (default) | disabled (for providers without tool calling)
+ */
+
+import UserDataQueryService from './userDataQueryService.js';
+
+// Completions with tools offered before the model must answer
+const MAX_TOOL_ROUNDS = 4;
+
+// Added to the system prompt when tools are offered
+const TOOL_INSTRUCTIONS = `
+DATA TOOLS:
+You can call tools that query the user's data exactly (earnings by client, month or currency; jobs in a date range; unpaid jobs; receivables and overdue payments; agents by city).
+For totals, sums, counts or filtered lists, call a tool instead of adding up numbers from the context above, and quote the tool's figures.
+Dates passed to tools use YYYY-MM-DD; resolve relative dates ("July", "last month") from the current date.`;
+
+class ChatToolService {
+  /**
+   * Check whether tool calling is switched on
+   * @returns {boolean} False only with CHAT_TOOLS=disabled
+   */
+  static isEnabled() {
+    return (process.env.CHAT_TOOLS || 'enabled').trim().toLowerCase() !== 'disabled';
+  }
+
+  /**
+   * Tools offered to the chat model
+   * @returns {Array<Object>} OpenAI tool definitions
+   */
+  static getTools() {
+    return UserDataQueryService.getToolDefinitions();
+  }
+
+  /**
+   * System prompt addition describing the tools
+   * @returns {string} Instructions
+   */
+  static getInstructions() {
+    return TOOL_INSTRUCTIONS;
+  }
+
+  /**
+   * Run one tool call from the model
+   * @param {Object} toolCall - { id, function: { name, arguments } } (arguments as a JSON string)
+   * @param {Object} userData - User data the queries run on
+   * @returns {Object} { id, name, arguments, result } (result is { error } when the call failed)
+   */
+  static executeToolCall(toolCall, userData) {
+    const name = toolCall.function?.name;
+    let args = {};
+
+    try {
+      args = toolCall.function?.arguments ? JSON.parse(toolCall.function.arguments) : {};
+    } catch (error) {
+      return { id: toolCall.id, name, arguments: null, result: { error: 'Tool arguments are not valid JSON' } };
+    }
+
+    let result;
+    try {
+      result = UserDataQueryService.runQuery(name, args, userData);
+    } catch (error) {
+      console.error(`Tool ${name} failed:`, error.message);
+      result = { error: `Tool ${name} failed` };
+    }
+
+    return { id: toolCall.id, name, arguments: args, result };
+  }
+
+  /**
+   * Create a chat completion, running tool calls until the model answers
+   * @param {Object} provider - LLM provider from LLMService
+   * @param {Object} completionOptions - Chat completion options (OpenAI format)
+   * @param {Object|null} userData - User data for the tools (null = no tools)
+   * @returns {Promise<Object>} { response, usage, model, toolCalls }
+   */
+  static async complete(provider, completionOptions, userData = null) {
+    const messages = [...completionOptions.messages];
+    const toolCalls = [];
+    let usage = null;
+
+    for (let round = 0; ; round++) {
+      const completion = await provider.createChatCompletion({
+        ...completionOptions,
+        messages,
+        ...this._toolOptions(userData, round)
+      });
+      usage = this._addUsage(usage, completion.usage);
+
+      const message = completion.choices[0]?.message;
+      if (!userData || !message?.tool_calls?.length || round >= MAX_TOOL_ROUNDS) {
+        return {
+          response: message?.content || null,
+          usage,
+          model: completion.model,
+          toolCalls
+        };
+      }
+
+      toolCalls.push(...this._answerToolCalls(messages, message.content, message.tool_calls, userData));
+    }
+  }
+
+  /**
+   * Stream a chat completion, running tool calls between streamed rounds
+   * Yields { type: 'token', content }, { type: 'tool', name, arguments } for each tool
+   * call, and finally { type: 'done', response, usage, model, toolCalls }
+   * @param {Object} provider - LLM provider from LLMService
+   * @param {Object} completionOptions - Chat completion options (OpenAI format)
+   * @param {Object|null} userData - User data for the tools (null = no tools)
+   * @param {AbortSignal} signal - Aborts the running stream (e.g. when the client disconnects)
+   */
+  static async *stream(provider, completionOptions, userData = null, signal = null) {
+    const messages = [...completionOptions.messages];
+    const toolCalls = [];
+    let usage = null;
+    let model = completionOptions.model;
+    let fullResponse = '';
+
+    for (let round = 0; ; round++) {
+      const stream = await provider.createChatCompletion({
+        ...completionOptions,
+        messages,
+        ...this._toolOptions(userData, round),
+        stream: true,
+        stream_options: { include_usage: true }
+      });
+
+      const abort = () => stream.controller?.abort();
+      if (signal?.aborted) {
+        abort();
+        return;
+      }
+      signal?.addEventListener('abort', abort, { once: true });
+
+      let roundContent = '';
+      const pendingCalls = [];
+
+      try {
+        for await (const chunk of stream) {
+          model = chunk.model || model;
+          if (chunk.usage) {
+            usage = this._addUsage(usage, chunk.usage);
+          }
+
+          const delta = chunk.choices?.[0]?.delta;
+          if (delta?.content) {
+            roundContent += delta.content;
+            yield { type: 'token', content: delta.content };
+          }
+
+          // Tool calls arrive in pieces: the first carries id and name, the rest more arguments
+          (delta?.tool_calls || []).forEach(piece => {
+            const call = pendingCalls[piece.index] || (pendingCalls[piece.index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+            call.id = piece.id || call.id;
+            call.function.name += piece.function?.name || '';
+            call.function.arguments += piece.function?.arguments || '';
+          });
+        }
+      } finally {
+        signal?.removeEventListener('abort', abort);
+      }
+
+      if (signal?.aborted) {
+        return;
+      }
+
+      fullResponse += roundContent;
+      const calls = pendingCalls.filter(Boolean);
+
+      if (!userData || calls.length === 0 || round >= MAX_TOOL_ROUNDS) {
+        yield { type: 'done', response: fullResponse, usage, model, toolCalls };
+        return;
+      }
+
+      for (const executed of this._answerToolCalls(messages, roundContent, calls, userData)) {
+        toolCalls.push(executed);
+        yield { type: 'tool', name: executed.name, arguments: executed.arguments };
+      }
+    }
+  }
+
+  /**
+   * Tool options for a completion round (no tools without userData, tool_choice none on the last round)
+   */
+  static _toolOptions(userData, round) {
+    if (!userData) {
+      return {};
+    }
+
+    return {
+      tools: this.getTools(),
+      tool_choice: round >= MAX_TOOL_ROUNDS ? 'none' : 'auto'
+    };
+  }
+
+  /**
+   * Append the assistant's tool calls and their results to the messages
+   * @returns {Array<Object>} Executed calls ({ name, arguments })
+   */
+  static _answerToolCalls(messages, content, calls, userData) {
+    messages.push({ role: 'assistant', content: content || null, tool_calls: calls });
+
+    return calls.map(call => {
+      const executed = this.executeToolCall(call, userData);
+      console.log(`🔧 Tool call: ${executed.name}`, JSON.stringify(executed.arguments));
+      messages.push({
+        role: 'tool',
+        tool_call_id: call.id,
+        content: JSON.stringify(executed.result)
+      });
+      return { name: executed.name, arguments: executed.arguments };
+    });
+  }
+
+  static _addUsage(total, usage) {
+    if (!usage) {
+      return total;
+    }
+    if (!total) {
+      return { ...usage };
+    }
+
+    return {
+      prompt_tokens: (total.prompt_tokens || 0) + (usage.prompt_tokens || 0),
+      completion_tokens: (total.completion_tokens || 0) + (usage.completion_tokens || 0),
+      total_tokens: (total.total_tokens || 0) + (usage.total_tokens || 0)
+    };
+  }
+}
+
+export default ChatToolService;
@@ -0,0 +1,437 @@
+/**
+ * Conflict Service for ModelDay Backend
+ * Finds schedule conflicts across jobs, events, meetings, shootings and stays:
+ * overlapping times, double bookings, same-day bookings in different cities and
+ * bookings that fall outside the stay booked in that city
+ */
+
+import DateService from './dateService.js';
+import LocaleService from './localeService.js';
+
+// Assumed length (minutes) of entries that have a start time but no end time
+const DEFAULT_DURATIONS = {
+  job: 240,
+  shooting: 240,
+  event: 120,
+  meeting: 60
+};
+
+// Entries that are paid bookings (two of them on one day is a double booking)
+const BOOKING_TYPES = new Set(['job', 'shooting']);
+
+// Longest date range expanded day by day (longer ranges are capped)
+const MAX_RANGE_DAYS = 31;
+
+// A stay this close to a booking in the same city is assumed to be meant for it
+const STAY_PROXIMITY_DAYS = 7;
+
+// Words that say nothing about where a place is
+const PLACE_STOPWORDS = new Set(['hotel', 'hostel', 'studio', 'studios', 'apartment', 'apartments', 'residence', 'suites', 'house', 'the', 'city', 'center', 'centre', 'inn']);
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ConflictService {
+  /**
+   * Detect schedule conflicts in a user's data
+   * @param {Object} userData - User data (jobs, events, meetings, shootings, onStays)
+   * @param {Object} options - { includePast, now, timeZone } (timeZone defaults to userProfile.timeZone, then DEFAULT_TIME_ZONE)
+   * @returns {Object} { conflicts, checkedItems } - conflicts sorted by date, then severity
+   */
+  static detectConflicts(userData = {}, options = {}) {
+    const { includePast = false, now = new Date() } = options;
+    const timeZone = DateService.resolveTimeZone(options.timeZone, userData.userProfile?.timeZone);
+    const today = now instanceof Date ? DateService.today(timeZone, now) : DateService.parseDate(now);
+
+    const items = this._collectItems(userData, timeZone)
+      .filter(item => includePast || item.endDate >= today);
+    const stays = this._collectStays(Array.isArray(userData.onStays) ? userData.onStays : [])
+      .filter(stay => includePast || stay.endDate >= today);
+
+    const conflicts = [
+      ...this._findPairConflicts(items),
+      ...this._findStayConflicts(items, stays)
+    ];
+
+    conflicts.sort((a, b) => a.date.localeCompare(b.date) || SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+
+    return {
+      conflicts,
+      checkedItems: items.length + stays.length
+    };
+  }
+
+  /**
+   * Count conflicts by severity and type
+   * @param {Array} conflicts - Conflicts from detectConflicts()
+   * @returns {Object} { total, bySeverity, byType }
+   */
+  static summarize(conflicts) {
+    const count = key => conflicts.reduce((result, conflict) => {
+      result[conflict[key]] = (result[conflict[key]] || 0) + 1;
+      return result;
+    }, {});
+
+    return {
+      total: conflicts.length,
+      bySeverity: count('severity'),
+      byType: count('type')
+    };
+  }
+
+  /**
+   * Format conflicts for the AI context
+   * Conflict messages stay in English; the model answers in the user's language.
+   * @param {Array} conflicts - Conflicts from detectConflicts()
+   * @param {number} limit - Conflicts to list
+   * @param {string} locale - Locale for the section wording (default: en-US)
+   * @returns {string} Formatted section
+   */
+  static formatConflictsSection(conflicts, limit = 10, locale = 'en-US') {
+    if (conflicts.length === 0) {
+      return LocaleService.t(locale, 'conflicts.none');
+    }
+
+    let section = `${LocaleService.t(locale, 'conflicts.title', { count: conflicts.length })}\n`;
+    conflicts.slice(0, limit).forEach(conflict => {
+      section += `- [${conflict.severity.toUpperCase()}] ${conflict.date}: ${conflict.message}\n`;
+    });
+
+    if (conflicts.length > limit) {
+      section += `- ${LocaleService.t(locale, 'conflicts.more', { count: conflicts.length - limit })}\n`;
+    }
+
+    return section;
+  }
+
+  /**
+   * Normalize jobs, events, meetings and shootings into calendar items
+   * Timed records with their own timeZone are moved into the user's time zone
+   * Entries without a valid date are skipped
+   */
+  static _collectItems(userData, timeZone = DateService.getDefaultTimeZone()) {
+    const sources = [
+      ['job', userData.jobs, job => `${job.type || 'Job'} for ${job.clientName || 'Unknown Client'}`],
+      ['event', userData.events, event => `${this._eventLabel(event.type)} with ${event.clientName || 'Unknown Client'}`],
+      ['meeting', userData.meetings, meeting => `Meeting with ${meeting.clientName || 'Unknown Client'}`],
+      ['shooting', userData.shootings, shooting => `Shooting for ${shooting.clientName || 'Unknown Client'}`]
+    ];
+
+    const items = [];
+    sources.forEach(([type, records, describe]) => {
+      (Array.isArray(records) ? records : []).filter(Boolean).forEach((record, index) => {
+        const startDate = DateService.parseDate(record.date);
+        if (!startDate) {
+          return;
+        }
+
+        const endDate = DateService.parseDate(record.endDate) || startDate;
+        const startTime = DateService.parseTime(record.startTime || record.time || '');
+        const endTime = DateService.parseTime(record.endTime || '');
+        const local = this._toUserZone({ startDate, endDate: endDate >= startDate ? endDate : startDate, startTime, endTime }, record.timeZone, timeZone);
+
+        items.push({
+          type,
+          id: record.id || `${type}-${index + 1}`,
+          title: describe(record),
+          ...local,
+          location: record.location || null
+        });
+      });
+    });
+
+    return items;
+  }
+
+  /**
+   * Move a timed item written in another time zone into the user's time zone
+   * (the whole date range shifts by the same number of days as the start)
+   */
+  static _toUserZone(item, recordZone, userZone) {
+    if (!item.startTime || !DateService.isValidTimeZone(recordZone) || recordZone === userZone) {
+      return item;
+    }
+
+    const start = DateService.convertDateTime(item.startDate, item.startTime, recordZone, userZone);
+    const shiftDays = Math.round((Date.parse(`${start.date}T00:00:00Z`) - Date.parse(`${item.startDate}T00:00:00Z`)) / DAY_MS);
+    const endDate = new Date(Date.parse(`${item.endDate}T00:00:00Z`) + shiftDays * DAY_MS).toISOString().slice(0, 10);
+
+    return {
+      startDate: start.date,
+      endDate,
+      startTime: start.time,
+      endTime: item.endTime ? DateService.convertDateTime(item.startDate, item.endTime, recordZone, userZone).time : null
+    };
+  }
+
+  /**
+   * Readable event type ("EventType.casting" -> "Casting")
+   */
+  static _eventLabel(type) {
+    const label = type ? type.toString().split('.').pop() : '';
+    return label ? label.charAt(0).toUpperCase() + label.slice(1) : 'Event';
+  }
+
+  /**
+   * Normalize stays (entries without a check-in date are skipped)
+   */
+  static _collectStays(onStays) {
+    return onStays
+      .filter(Boolean)
+      .map((stay, index) => {
+        const startDate = DateService.parseDate(stay.checkInDate);
+        if (!startDate) {
+          return null;
+        }
+        const endDate = DateService.parseDate(stay.checkOutDate) || startDate;
+
+        return {
+          type: 'onStay',
+          id: stay.id || `onStay-${index + 1}`,
+          title: `Stay at ${stay.locationName || 'Unknown Location'}`,
+          startDate,
+          endDate: endDate >= startDate ? endDate : startDate,
+          place: [stay.city, stay.location, stay.address, stay.locationName].filter(Boolean).join(', ')
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Compare every pair of items sharing a day; one conflict per pair (the most serious)
+   */
+  static _findPairConflicts(items) {
+    const byDay = new Map();
+    items.forEach(item => {
+      this._expandDays(item.startDate, item.endDate).forEach(day => {
+        if (!byDay.has(day)) {
+          byDay.set(day, []);
+        }
+        byDay.get(day).push(item);
+      });
+    });
+
+    const conflicts = [];
+    const seenPairs = new Set();
+
+    [...byDay.keys()].sort().forEach(day => {
+      const dayItems = byDay.get(day);
+      for (let i = 0; i < dayItems.length; i++) {
+        for (let j = i + 1; j < dayItems.length; j++) {
+          const [first, second] = [dayItems[i], dayItems[j]].sort((a, b) => this._compareStart(a, b));
+          const pairKey = [this._itemKey(first), this._itemKey(second)].sort().join('|');
+          if (seenPairs.has(pairKey)) {
+            continue;
+          }
+
+          const conflict = this._comparePair(first, second, day);
+          if (conflict) {
+            seenPairs.add(pairKey);
+            conflicts.push(conflict);
+          }
+        }
+      }
+    });
+
+    return conflicts;
+  }
+
+  /**
+   * Decide whether two items on the same day conflict
+   * @returns {Object|null} Conflict or null
+   */
+  static _comparePair(first, second, day) {
+    const singleDay = first.startDate === first.endDate && second.startDate === second.endDate;
+    const sameArea = this._sameArea(first.location, second.location);
+
+    if (singleDay && first.startTime && second.startTime) {
+      const firstEnd = this._endMinutes(first);
+      const secondStart = this._toMinutes(second.startTime);
+      if (secondStart < firstEnd) {
+        return this._conflict('TIME_OVERLAP', 'high', day, [first, second],
+          `${first.title} (${first.startTime}-${this._formatMinutes(firstEnd)}) overlaps ${second.title} (${second.startTime})`);
+      }
+    }
+
+    if (sameArea === false) {
+      return this._conflict('LOCATION_CONFLICT', 'high', day, [first, second],
+        `${first.title} in ${first.location} and ${second.title} in ${second.location} are on the same day`);
+    }
+
+    if (BOOKING_TYPES.has(first.type) && BOOKING_TYPES.has(second.type) && !(first.startTime && second.startTime && singleDay)) {
+      return this._conflict('DOUBLE_BOOKING', 'medium', day, [first, second],
+        `${first.title} and ${second.title} are both booked on this day`);
+    }
+
+    return null;
+  }
+
+  /**
+   * Flag bookings in a city that fall outside the nearby stay in that city
+   */
+  static _findStayConflicts(items, stays) {
+    const conflicts = [];
+
+    items
+      .filter(item => BOOKING_TYPES.has(item.type) || item.type === 'event')
+      .forEach(item => {
+        const cityStays = stays.filter(stay => this._placeMatches(item.location, stay.place));
+        if (cityStays.length === 0) {
+          return;
+        }
+
+        const covered = cityStays.some(stay => item.startDate >= stay.startDate && item.endDate <= stay.endDate);
+        if (covered) {
+          return;
+        }
+
+        const nearest = cityStays
+          .map(stay => ({ stay, distance: this._daysBetweenRanges(item, stay) }))
+          .sort((a, b) => a.distance - b.distance)[0];
+
+        if (nearest.distance > STAY_PROXIMITY_DAYS) {
+          return;
+        }
+
+        const { stay } = nearest;
+        conflicts.push(this._conflict('OUTSIDE_STAY', 'medium', item.startDate, [item, stay],
+          `${item.title} in ${item.location} is outside ${stay.title} (${stay.startDate} to ${stay.endDate})`));
+      });
+
+    return conflicts;
+  }
+
+  static _conflict(type, severity, date, items, message) {
+    return {
+      id: `${type}:${items.map(item => this._itemKey(item)).join('+')}`,
+      type,
+      severity,
+      date,
+      message,
+      items: items.map(item => ({
+        type: item.type,
+        id: item.id,
+        title: item.title,
+        startDate: item.startDate,
+        endDate: item.endDate,
+        startTime: item.startTime || null,
+        endTime: item.endTime || null,
+        location: item.location || item.place || null
+      }))
+    };
+  }
+
+  static _itemKey(item) {
+    return `${item.type}:${item.id}`;
+  }
+
+  static _compareStart(a, b) {
+    return a.startDate.localeCompare(b.startDate) || (a.startTime || '99:99').localeCompare(b.startTime || '99:99');
+  }
+
+  static _toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  static _formatMinutes(total) {
+    const capped = Math.min(total, 24 * 60);
+    return `${String(Math.floor(capped / 60)).padStart(2, '0')}:${String(capped % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * End of an item in minutes after midnight (start + default duration when no end time)
+   */
+  static _endMinutes(item) {
+    const start = this._toMinutes(item.startTime);
+    const end = item.endTime ? this._toMinutes(item.endTime) : null;
+    return end !== null && end > start ? end : start + DEFAULT_DURATIONS[item.type];
+  }
+
+  static _expandDays(startDate, endDate) {
+    const days = [];
+    let current = Date.parse(`${startDate}T00:00:00Z`);
+    const last = Math.min(Date.parse(`${endDate}T00:00:00Z`), current + (MAX_RANGE_DAYS - 1) * DAY_MS);
+    while (current <= last) {
+      days.push(new Date(current).toISOString().slice(0, 10));
+      current += DAY_MS;
+    }
+    return days;
+  }
+
+  static _daysBetweenRanges(a, b) {
+    const toDay = date => Date.parse(`${date}T00:00:00Z`) / DAY_MS;
+    if (a.endDate < b.startDate) {
+      return toDay(b.startDate) - toDay(a.endDate);
+    }
+    if (b.endDate < a.startDate) {
+      return toDay(a.startDate) - toDay(b.endDate);
+    }
+    return 0;
+  }
+
+  /**
+   * Split a location into normalized comma-separated parts ("Milan, Italy" -> ['milan', 'italy'])
+   */
+  static _locationParts(location) {
+    if (!location || typeof location !== 'string') {
+      return [];
+    }
+    return location
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .split(',')
+      .map(part => part.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Check whether two locations are in the same area
+   * @returns {boolean|null} true when they share a part (city, state or country), false when their
+   *   cities (first parts) differ, null when it cannot be told
+   */
+  static _sameArea(first, second) {
+    const firstParts = this._locationParts(first);
+    const secondParts = this._locationParts(second);
+
+    if (firstParts.includes('remote') || secondParts.includes('remote')) {
+      return null;
+    }
+
+    if (firstParts.some(part => secondParts.includes(part))) {
+      return true;
+    }
+
+    // Nothing in common: "Milan" and "New York" are different cities even without a region
+    const [firstCity] = firstParts;
+    const [secondCity] = secondParts;
+    return firstCity && secondCity && firstCity !== secondCity ? false : null;
+  }
+
+  /**
+   * Check whether a booking location is in the place of a stay (city name or a close variant,
+   * e.g. "Milan, Italy" and "Hotel Milano")
+   */
+  static _placeMatches(location, place) {
+    const city = this._locationParts(location)[0];
+    if (!city || !place) {
+      return false;
+    }
+
+    const words = this._locationParts(place).join(' ').split(/[^a-z0-9]+/).filter(word => word && !PLACE_STOPWORDS.has(word));
+    const cityWords = city.split(/[^a-z0-9]+/).filter(Boolean);
+    const text = ` ${words.join(' ')} `;
+
+    if (text.includes(` ${cityWords.join(' ')} `)) {
+      return true;
+    }
+
+    // Single-word city names written in another language ("Milan" / "Milano", "Roma" / "Rome")
+    return cityWords.length === 1 && cityWords[0].length >= 4 &&
+      words.some(word => word.length >= 4 && (word.startsWith(cityWords[0].slice(0, 4)) && Math.abs(word.length - cityWords[0].length) <= 2));
+  }
+}
+
+export default ConflictService;
@@ -0,0 +1,220 @@
+/**
+ * Context Budget Service for ModelDay Backend
+ * Estimates token usage and decides which records fit into the AI context
+ */
+
+import DateService from './dateService.js';
+
+const DEFAULT_TOKEN_BUDGET = 6000;
+const MIN_TOKEN_BUDGET = 500;
+
+// Rough average for English text with OpenAI tokenizers
+const CHARS_PER_TOKEN = 4;
+
+class ContextBudgetService {
+  /**
+   * Resolve the token budget for a request
+   * @param {number|string} requested - Budget requested by the caller (optional)
+   * @returns {number} Token budget (CONTEXT_TOKEN_BUDGET or 6000 by default, at least 500)
+   */
+  static resolveBudget(requested) {
+    const candidates = [requested, process.env.CONTEXT_TOKEN_BUDGET, DEFAULT_TOKEN_BUDGET];
+    const budget = candidates
+      .map(value => parseInt(value, 10))
+      .find(value => Number.isFinite(value) && value > 0);
+
+    return Math.max(budget, MIN_TOKEN_BUDGET);
+  }
+
+  /**
+   * Estimate the number of tokens in a text
+   * @param {string} text - Text to measure
+   * @returns {number} Estimated token count
+   */
+  static estimateTokens(text = '') {
+    return this.estimateTokensForLength(String(text || '').length);
+  }
+
+  /**
+   * Estimate the number of tokens in a text of a given length
+   * @param {number} length - Text length in characters
+   * @returns {number} Estimated token count
+   */
+  static estimateTokensForLength(length) {
+    return Math.ceil(length / CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Sort records by relevance: upcoming records first (soonest first), then past
+   * records (most recent first), then records without a usable date
+   * @param {Array} records - Records to rank
+   * @param {Function} getDate - (record) => date value
+   * @param {Date} now - Reference time
+   * @param {string} timeZone - User time zone deciding where "today" starts (default: DEFAULT_TIME_ZONE)
+   * @returns {Array} New array in relevance order
+   */
+  static rankByRelevance(records = [], getDate, now = new Date(), timeZone = DateService.getDefaultTimeZone()) {
+    // Record dates are calendar days, so today's date is compared as written
+    const startOfToday = new Date(`${DateService.today(timeZone, now)}T00:00:00Z`);
+
+    const upcoming = [];
+    const past = [];
+    const undated = [];
+
+    records.forEach(record => {
+      const date = this._toDate(getDate(record));
+      if (!date) {
+        undated.push(record);
+      } else if (date >= startOfToday) {
+        upcoming.push({ record, time: date.getTime() });
+      } else {
+        past.push({ record, time: date.getTime() });
+      }
+    });
+
+    upcoming.sort((a, b) => a.time - b.time);
+    past.sort((a, b) => b.time - a.time);
+
+    return [...upcoming.map(item => item.record), ...past.map(item => item.record), ...undated];
+  }
+
+  /**
+   * Decide how many of each section's ranked records fit in the available tokens
+   * The least relevant record of the section using the most tokens is dropped first,
+   * so small sections (agents, agencies) stay complete as long as possible
+   * @param {Array} sections - [{ key, ranked, costs }] with one token cost per ranked record
+   * @param {number} availableTokens - Tokens left for records
+   * @returns {Object} Map of section key to number of records included
+   */
+  static fitToBudget(sections, availableTokens) {
+    const included = Object.fromEntries(sections.map(({ key, ranked }) => [key, ranked.length]));
+    let total = sections.reduce((sum, section) => sum + this._usedTokens(section, included[section.key]), 0);
+
+    while (total > availableTokens) {
+      const section = this._largestSection(sections, included);
+      if (!section) {
+        break;
+      }
+      included[section.key]--;
+      total -= section.costs[included[section.key]];
+    }
+
+    return included;
+  }
+
+  /**
+   * Drop the least relevant record of the largest section
+   * @param {Array} sections - [{ key, ranked, costs }]
+   * @param {Object} included - Map of section key to records included (updated in place)
+   * @returns {string|null} Key of the section the record was dropped from, null when there is nothing left to drop
+   */
+  static dropLeastRelevant(sections, included) {
+    const section = this._largestSection(sections, included);
+    if (!section) {
+      return null;
+    }
+
+    included[section.key]--;
+    return section.key;
+  }
+
+  /**
+   * Describe what was kept and left out of the context
+   * @param {Array} sections - [{ key, ranked, costs }]
+   * @param {Object} included - Map of section key to records included
+   * @param {Object} totals - { maxTokens, estimatedTokens }
+   * @returns {Object} Budget report
+   */
+  static buildReport(sections, included, { maxTokens, estimatedTokens }) {
+    const report = {
+      maxTokens,
+      estimatedTokens,
+      withinBudget: estimatedTokens <= maxTokens,
+      omittedRecords: 0,
+      sections: {}
+    };
+
+    sections.forEach(({ key, ranked }) => {
+      const omitted = ranked.slice(included[key]);
+      report.omittedRecords += omitted.length;
+      report.sections[key] = {
+        total: ranked.length,
+        included: included[key],
+        omitted: omitted.length,
+        omittedIds: omitted.map(record => record?.id).filter(Boolean)
+      };
+    });
+
+    return report;
+  }
+
+  /**
+   * Describe the date range covered by a set of records
+   * @param {Array} records - Records to describe
+   * @param {Function} getDate - (record) => date value
+   * @returns {string|null} e.g. "2023-01-04 to 2024-03-02", or null when no record has a date
+   */
+  static describeDateRange(records = [], getDate) {
+    const times = records
+      .map(record => this._toDate(getDate(record)))
+      .filter(Boolean)
+      .map(date => date.getTime());
+
+    if (times.length === 0) {
+      return null;
+    }
+
+    const first = new Date(Math.min(...times)).toISOString().slice(0, 10);
+    const last = new Date(Math.max(...times)).toISOString().slice(0, 10);
+    return first === last ? first : `${first} to ${last}`;
+  }
+
+  /**
+   * Tokens used by the first `count` records of a section
+   * @param {Object} section - { costs }
+   * @param {number} count - Records included
+   * @returns {number} Token total
+   */
+  static _usedTokens(section, count) {
+    return section.costs.slice(0, count).reduce((sum, cost) => sum + cost, 0);
+  }
+
+  /**
+   * Find the section currently using the most tokens that still has records to drop
+   * @param {Array} sections - [{ key, ranked, costs }]
+   * @param {Object} included - Map of section key to records included
+   * @returns {Object|null} Section, or null when every section is empty
+   */
+  static _largestSection(sections, included) {
+    let largest = null;
+    let largestTokens = -1;
+
+    sections.forEach(section => {
+      if (included[section.key] === 0) {
+        return;
+      }
+      const tokens = this._usedTokens(section, included[section.key]);
+      if (tokens > largestTokens) {
+        largest = section;
+        largestTokens = tokens;
+      }
+    });
+
+    return largest;
+  }
+
+  /**
+   * Parse a date value, returning null for missing or invalid dates
+   * @param {string|Date} value - Date value
+   * @returns {Date|null} Parsed date
+   */
+  static _toDate(value) {
+    if (!value) {
+      return null;
+    }
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+}
+
+export default ContextBudgetService;
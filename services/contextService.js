@@ -3,124 +3,412 @@
  * Builds comprehensive user context for OpenAI similar to the Flutter version
  */
 
+import CurrencyService from './currencyService.js';
+import ContextBudgetService from './contextBudgetService.js';
+import ConflictService from './conflictService.js';
+import ReceivablesService from './receivablesService.js';
+import EarningsService from './earningsService.js';
+import DateService from './dateService.js';
+import LocaleService from './localeService.js';
+
+// Records listed per section when no token budget is applied
+const SECTION_LIMITS = {
+  events: 20,
+  aiJobs: 5,
+  meetings: 10,
+  onStays: 10,
+  shootings: 10
+};
+
+// First line of every built context, in every language, so a context sent back to chat
+// can be told apart from other text
+const CONTEXT_MARKER = '[ModelDay user data]';
+
+// List sections and the date used to rank their records by relevance
+const LIST_SECTIONS = {
+  jobs: { getDate: job => job.date },
+  events: { getDate: event => event.date },
+  aiJobs: { getDate: job => job.date },
+  agencies: { getDate: null },
+  agents: { getDate: null },
+  meetings: { getDate: meeting => meeting.date },
+  onStays: { getDate: stay => stay.checkOutDate || stay.checkInDate },
+  shootings: { getDate: shooting => shooting.date }
+};
+
 class ContextService {
   /**
    * Build comprehensive user context for OpenAI (similar to Dart version)
    * @param {Object} userData - User data object containing all user information
+   * @param {Object} options - Time zone and locale options
+   * @param {string} options.timeZone - User time zone (default: userProfile.timeZone, then DEFAULT_TIME_ZONE)
+   * @param {string} options.locale - User locale (default: userProfile.locale, then DEFAULT_LOCALE)
+   * @param {Date} options.now - Reference time (default: now)
    * @returns {string} Formatted context string for OpenAI
    */
-  static buildUserContext(userData = {}) {
+  static buildUserContext(userData = {}, options = {}) {
     try {
       console.log('🤖 ContextService.buildUserContext() - Building comprehensive user context...');
 
-      // Handle null or undefined userData
-      const safeUserData = userData || {};
+      const safeUserData = this._readableUserData(userData);
+      const context = this._assembleContext(safeUserData, {}, this._resolveSettings(safeUserData, options));
 
-      const {
-        userProfile = {},
-        jobs = [],
-        events = [],
-        aiJobs = [],
-        agencies = [],
-        agents = [],
-        meetings = [],
-        onStays = [],
-        shootings = []
-      } = safeUserData;
-
-      // Build context sections
-      const userProfileSection = this._buildUserProfileSection(userProfile);
-      const jobsSection = this._buildJobsSection(jobs);
-      const eventsSection = this._buildEventsSection(events);
-      const aiJobsSection = this._buildAiJobsSection(aiJobs);
-      const agenciesSection = this._buildAgenciesSection(agencies);
-      const agentsSection = this._buildAgentsSection(agents);
-      const meetingsSection = this._buildMeetingsSection(meetings);
-      const onStaysSection = this._buildOnStaysSection(onStays);
-      const shootingsSection = this._buildShootingsSection(shootings);
-
-      // Calculate statistics
-      const statistics = this._calculateStatistics(jobs, events);
-      const calendarSummary = this._getCalendarSummary(jobs, events, meetings);
-
-      // Build comprehensive context in format similar to Dart version
-      const context = `
-You are an AI assistant for a modeling professional using Model Day. You have access to ONLY their data and can help analyze it and provide insights.
-
-CURRENT USER DATA CONTEXT:
+      console.log('🤖 ContextService.buildUserContext() - Comprehensive context built successfully');
+      return context;
+    } catch (error) {
+      console.error('❌ ContextService.buildUserContext() - Error:', error);
+      return 'Error gathering user data. Please try again.';
+    }
+  }
+
+  /**
+   * Check whether a text is a context built from user data by this service
+   * (the error text returned when building fails is not)
+   * @param {string} context - Context text, e.g. a pre-built context sent to chat
+   * @returns {boolean} True when the text carries the context marker
+   */
+  static isUserDataContext(context) {
+    return typeof context === 'string' && context.includes(CONTEXT_MARKER);
+  }
+
+  /**
+   * Build user context that fits a token budget
+   * Records are ranked by relevance (upcoming first, then most recent) and the least
+   * relevant ones are left out and summarized until the context fits. Totals and
+   * statistics are always computed from the full data.
+   * @param {Object} userData - User data object containing all user information
+   * @param {Object} options - Budget options
+   * @param {number} options.maxTokens - Token budget for the context (default: CONTEXT_TOKEN_BUDGET)
+   * @param {string} options.timeZone - User time zone (default: userProfile.timeZone, then DEFAULT_TIME_ZONE)
+   * @param {string} options.locale - User locale (default: userProfile.locale, then DEFAULT_LOCALE)
+   * @param {Date} options.now - Reference time (default: now)
+   * @param {boolean} options.includeIds - Show record IDs ("[id: job2]") so the model can refer to records
+   * @returns {Object} { context, budget } where budget reports what was left out
+   */
+  static buildBudgetedContext(userData = {}, options = {}) {
+    try {
+      console.log('🤖 ContextService.buildBudgetedContext() - Building token-budgeted user context...');
+
+      const safeUserData = this._readableUserData(userData);
+      const maxTokens = ContextBudgetService.resolveBudget(options.maxTokens);
+      const settings = this._resolveSettings(safeUserData, options);
+
+      // Rank every list section and measure what each record costs in the context
+      const sections = Object.entries(LIST_SECTIONS).map(([key, { getDate }]) => {
+        const records = Array.isArray(safeUserData[key]) ? safeUserData[key] : [];
+        const ranked = getDate ? ContextBudgetService.rankByRelevance(records, getDate, settings.now, settings.timeZone) : [...records];
+        return {
+          key,
+          ranked,
+          costs: ranked.map(record => ContextBudgetService.estimateTokens(this._formatEntry(key, record, settings)))
+        };
+      });
+
+      // Summaries and section texts are built once; each pass below only rebuilds the
+      // section a record was dropped from
+      const summaries = this._buildSummaries(safeUserData, settings);
+      const fixedLength = this._joinContext(Object.fromEntries(sections.map(({ key }) => [key, ''])), summaries, settings).length;
+      const sectionText = ({ key, ranked }, count) => this._buildListSection(key, safeUserData, ranked.slice(0, count), settings);
+      const measure = texts => ContextBudgetService.estimateTokensForLength(
+        Object.values(texts).reduce((length, text) => length + text.length, fixedLength)
+      );
+
+      const emptyTexts = Object.fromEntries(sections.map(section => [section.key, sectionText(section, 0)]));
+      const included = ContextBudgetService.fitToBudget(sections, maxTokens - measure(emptyTexts));
+      const texts = Object.fromEntries(sections.map(section => [section.key, sectionText(section, included[section.key])]));
+
+      // Omitted-record notes add a little text, so trim further if the estimate was short
+      let dropped;
+      while (measure(texts) > maxTokens && (dropped = ContextBudgetService.dropLeastRelevant(sections, included))) {
+        texts[dropped] = sectionText(sections.find(({ key }) => key === dropped), included[dropped]);
+      }
+      const context = this._joinContext(texts, summaries, settings);
+
+      const budget = ContextBudgetService.buildReport(sections, included, {
+        maxTokens,
+        estimatedTokens: ContextBudgetService.estimateTokens(context)
+      });
+
+      console.log('🤖 ContextService.buildBudgetedContext() - Context built:', {
+        maxTokens: budget.maxTokens,
+        estimatedTokens: budget.estimatedTokens,
+        omittedRecords: budget.omittedRecords
+      });
+
+      return { context, budget };
+    } catch (error) {
+      console.error('❌ ContextService.buildBudgetedContext() - Error:', error);
+      return {
+        context: 'Error gathering user data. Please try again.',
+        budget: null
+      };
+    }
+  }
+
+  /**
+   * userData without what the context cannot read: list sections that are not lists,
+   * records that are not objects and a userProfile that is not an object are left out
+   * @param {Object} userData - User data object (null and undefined read as empty)
+   * @returns {Object} Shallow copy safe to build the context from
+   */
+  static _readableUserData(userData) {
+    const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(userData)) {
+      return {};
+    }
+
+    const readable = { ...userData };
+    if (readable.userProfile !== undefined && !isObject(readable.userProfile)) {
+      delete readable.userProfile;
+    }
+    Object.keys(LIST_SECTIONS).forEach(key => {
+      if (readable[key] !== undefined) {
+        readable[key] = Array.isArray(readable[key]) ? readable[key].filter(isObject) : [];
+      }
+    });
+    return readable;
+  }
+
+  /**
+   * Resolve the user's settings: the reference time, their time zone, today's date there and their locale
+   * @param {Object} userData - User data (userProfile.timeZone and userProfile.locale are used when options has none)
+   * @param {Object} options - { timeZone, locale, now, includeIds }
+   * @returns {Object} { now, timeZone, today, locale, includeIds }
+   */
+  static _resolveSettings(userData = {}, options = {}) {
+    const now = options.now instanceof Date && !isNaN(options.now.getTime()) ? options.now : new Date();
+    const timeZone = DateService.resolveTimeZone(options.timeZone, userData?.userProfile?.timeZone);
+    const locale = LocaleService.resolveLocale(options.locale, userData?.userProfile?.locale);
+    return { now, timeZone, today: DateService.today(timeZone, now), locale, includeIds: options.includeIds === true };
+  }
+
+  /**
+   * Translate a context template into the user's locale
+   * @param {Object} settings - Result of _resolveSettings()
+   * @param {string} key - Template key
+   * @param {Object} params - Values for {placeholders}
+   * @returns {string} Translated text
+   */
+  static _t(settings, key, params = {}) {
+    return LocaleService.t(settings.locale, key, params);
+  }
+
+  /**
+   * Assemble the full context string
+   * @param {Object} userData - User data object containing all user information
+   * @param {Object} visible - Optional map of section key to the records to list
+   * @param {Object} settings - Result of _resolveSettings() (default: resolved from userData)
+   * @returns {string} Formatted context string for OpenAI
+   */
+  static _assembleContext(userData, visible = {}, settings = this._resolveSettings(userData)) {
+    const texts = Object.fromEntries(
+      Object.keys(LIST_SECTIONS).map(key => [key, this._buildListSection(key, userData, visible[key], settings)])
+    );
+    return this._joinContext(texts, this._buildSummaries(userData, settings), settings);
+  }
+
+  /**
+   * Build one list section
+   * @param {string} key - Section key (e.g. 'jobs', 'events')
+   * @param {Object} userData - User data object containing all user information
+   * @param {Array} visible - Records to list (default: all of them)
+   * @param {Object} settings - Result of _resolveSettings()
+   * @returns {string} Formatted section
+   */
+  static _buildListSection(key, userData, visible, settings) {
+    const records = userData[key] || [];
+    const homeCurrency = CurrencyService.getHomeCurrency(userData.userProfile || {});
+    const builders = {
+      jobs: () => this._buildJobsSection(records, homeCurrency, visible, settings),
+      events: () => this._buildEventsSection(records, homeCurrency, visible, settings),
+      aiJobs: () => this._buildAiJobsSection(records, visible, settings),
+      agencies: () => this._buildAgenciesSection(records, visible, settings),
+      agents: () => this._buildAgentsSection(records, visible, settings),
+      meetings: () => this._buildMeetingsSection(records, visible, settings),
+      onStays: () => this._buildOnStaysSection(records, homeCurrency, visible, settings),
+      shootings: () => this._buildShootingsSection(records, homeCurrency, visible, settings)
+    };
+    return builders[key]();
+  }
+
+  /**
+   * Build the parts of the context that do not depend on which records are listed
+   * @param {Object} userData - User data object containing all user information
+   * @param {Object} settings - Result of _resolveSettings()
+   * @returns {Object} { userProfileSection, statistics, calendarSummary, conflictsSummary, receivablesSummary }
+   */
+  static _buildSummaries(userData, settings) {
+    const {
+      userProfile = {},
+      jobs = [],
+      events = [],
+      agencies = [],
+      meetings = [],
+      onStays = [],
+      shootings = []
+    } = userData;
+
+    const homeCurrency = CurrencyService.getHomeCurrency(userProfile);
+
+    return {
+      userProfileSection: this._buildUserProfileSection(userProfile, settings),
+      statistics: this._calculateStatistics(jobs, events, { shootings, onStays, agencies, userProfile, homeCurrency, settings }),
+      calendarSummary: this._getCalendarSummary(jobs, events, meetings, settings),
+      conflictsSummary: this._getConflictsSummary(userData, settings),
+      receivablesSummary: this._getReceivablesSummary(userData, settings)
+    };
+  }
+
+  /**
+   * Put the list sections and summaries together in the context layout
+   * @param {Object} texts - Map of section key to its formatted text
+   * @param {Object} summaries - Result of _buildSummaries()
+   * @param {Object} settings - Result of _resolveSettings()
+   * @returns {string} Formatted context string
+   */
+  static _joinContext(texts, summaries, settings) {
+    const { userProfileSection, statistics, calendarSummary, conflictsSummary, receivablesSummary } = summaries;
+
+    // Build comprehensive context in format similar to Dart version
+    const t = (key, params) => this._t(settings, key, params);
+    return `
+${CONTEXT_MARKER}
+${t('context.intro')}
+
+${t('context.userData')}
 ${userProfileSection}
 
-JOBS DATA:
-${jobsSection}
+${t('context.jobsData')}
+${texts.jobs}
 
-EVENTS DATA:
-${eventsSection}
+${t('context.eventsData')}
+${texts.events}
 
-AI JOBS DATA:
-${aiJobsSection}
+${t('context.aiJobsData')}
+${texts.aiJobs}
 
-AGENCIES DATA:
-${agenciesSection}
+${t('context.agenciesData')}
+${texts.agencies}
 
-AGENTS DATA:
-${agentsSection}
+${t('context.agentsData')}
+${texts.agents}
 
-MEETINGS DATA:
-${meetingsSection}
+${t('context.meetingsData')}
+${texts.meetings}
 
-ON STAYS DATA:
-${onStaysSection}
+${t('context.onStaysData')}
+${texts.onStays}
 
-SHOOTINGS DATA:
-${shootingsSection}
+${t('context.shootingsData')}
+${texts.shootings}
 
-STATISTICS:
+${t('context.statisticsData')}
 ${statistics}
 
-UPCOMING CALENDAR (Next 10 Events):
+${receivablesSummary}
+
+${t('context.calendarData')}
 ${calendarSummary}
 
-Current Date: ${this._formatDisplayDate(new Date())}
-Current Time: ${this._formatTime(new Date())}
+${conflictsSummary}
 
-Provide helpful, professional responses based on the actual data. Consider:
-1. Financial insights: Total earnings, booking rates, job trends
-2. Calendar management: Upcoming events, schedule conflicts, busy periods
-3. Career development: Patterns in castings, successful job types, agent relationships
-4. Network analysis: Industry contacts, agency relationships
-5. Activity trends: Monthly or seasonal patterns in bookings and events
+${t('context.currentDate', { date: this._formatDisplayDate(settings.now, settings.timeZone, settings.locale) })}
+${t('context.currentTime', { time: this._formatTime(settings.now, settings.timeZone, settings.locale) })}
+${t('context.timeZone', { timeZone: settings.timeZone })}
 
-If calculating totals or analyzing trends, show actual numbers. If asked about something not in the data, let them know politely. Maintain a friendly, professional tone.
+${t('context.instructions')}
 `;
+  }
 
-      console.log('🤖 ContextService.buildUserContext() - Comprehensive context built successfully');
-      return context;
-    } catch (error) {
-      console.error('❌ ContextService.buildUserContext() - Error:', error);
-      return 'Error gathering user data. Please try again.';
+  /**
+   * Format a single record of a list section
+   * @param {string} key - Section key (e.g. 'jobs', 'events')
+   * @param {Object} record - Record to format
+   * @param {Object} settings - Result of _resolveSettings()
+   * @returns {string} Formatted entry
+   */
+  static _formatEntry(key, record, settings = this._resolveSettings()) {
+    const formatters = {
+      jobs: this._formatJobEntry,
+      events: this._formatEventEntry,
+      aiJobs: this._formatAiJobEntry,
+      agencies: this._formatAgencyEntry,
+      agents: this._formatAgentEntry,
+      meetings: this._formatMeetingEntry,
+      onStays: this._formatOnStayEntry,
+      shootings: this._formatShootingEntry
+    };
+    const formatter = formatters[key];
+    if (!formatter) {
+      return '';
+    }
+
+    const entry = formatter.call(this, record, settings);
+    if (!settings.includeIds || record?.id === undefined || record?.id === null) {
+      return entry;
+    }
+    // Record ID on the first line, so the model can point to the record (chat actions)
+    return entry.replace('\n', ` [id: ${record.id}]\n`);
+  }
+
+  /**
+   * Describe records that are counted but not listed in a section
+   * @param {Array} records - All records of the section
+   * @param {Array} shown - Records listed in the section
+   * @param {string} key - Section key from LIST_SECTIONS
+   * @param {Object} settings - Result of _resolveSettings()
+   * @returns {string} Note line, or an empty string when nothing was left out
+   */
+  static _buildOmittedNote(records, shown, key, settings = this._resolveSettings()) {
+    const omittedCount = records.length - shown.length;
+    if (omittedCount <= 0) {
+      return '';
     }
+
+    const { getDate } = LIST_SECTIONS[key];
+    const shownSet = new Set(shown);
+    const omitted = records.filter(record => !shownSet.has(record));
+    const range = getDate ? ContextBudgetService.describeDateRange(omitted, getDate) : null;
+
+    return `- ${this._t(settings, 'context.omitted', {
+      count: omittedCount,
+      label: this._t(settings, `sections.${key}`),
+      range: range ? ` (${range})` : ''
+    })}\n`;
   }
 
   /**
    * Build user profile section
    * @param {Object} userProfile - User profile data
+   * @param {Object} settings - Result of _resolveSettings()
    * @returns {string} Formatted user profile section
    */
-  static _buildUserProfileSection(userProfile) {
+  static _buildUserProfileSection(userProfile, settings = this._resolveSettings({ userProfile })) {
+    const t = key => this._t(settings, key);
     if (!userProfile || Object.keys(userProfile).length === 0) {
-      return 'USER PROFILE: Profile not found.';
+      return t('profile.missing');
     }
 
-    let section = 'USER PROFILE:\n';
-    section += `- Name: ${userProfile.name || 'Not specified'}\n`;
-    section += `- Email: ${userProfile.email || 'Not specified'}\n`;
+    let section = `${t('profile.title')}\n`;
+    section += `- ${t('profile.name')}: ${userProfile.name || t('common.notSpecified')}\n`;
+    section += `- ${t('common.email')}: ${userProfile.email || t('common.notSpecified')}\n`;
     
     if (userProfile.phone) {
-      section += `- Phone: ${userProfile.phone}\n`;
+      section += `- ${t('common.phone')}: ${userProfile.phone}\n`;
     }
     
     if (userProfile.displayName) {
-      section += `- Display Name: ${userProfile.displayName}\n`;
+      section += `- ${t('profile.displayName')}: ${userProfile.displayName}\n`;
+    }
+
+    section += `- ${t('profile.homeCurrency')}: ${CurrencyService.getHomeCurrency(userProfile)}\n`;
+
+    if (DateService.isValidTimeZone(userProfile.timeZone)) {
+      section += `- ${t('profile.timeZone')}: ${userProfile.timeZone}\n`;
+    }
+
+    if (LocaleService.normalizeLocale(userProfile.locale)) {
+      section += `- ${t('profile.language')}: ${LocaleService.normalizeLocale(userProfile.locale)}\n`;
     }
     
     section += '\n';
@@ -130,321 +418,468 @@ If calculating totals or analyzing trends, show actual numbers. If asked about s
   /**
    * Build jobs section with comprehensive data
    * @param {Array} jobs - Array of job objects
+   * @param {string} homeCurrency - Currency used for the converted total
+   * @param {Array} visibleJobs - Jobs to list (default: all)
+   * @param {Object} settings - Result of _resolveSettings()
    * @returns {string} Formatted jobs section
    */
-  static _buildJobsSection(jobs) {
+  static _buildJobsSection(jobs, homeCurrency = CurrencyService.getDefaultCurrency(), visibleJobs = null, settings = this._resolveSettings()) {
+    const t = (key, params) => this._t(settings, key, params);
     if (!jobs || jobs.length === 0) {
-      return 'JOBS: No jobs found.';
+      return t('jobs.none');
     }
 
-    let section = `JOBS (${jobs.length} total):\n`;
+    let section = `${t('jobs.title', { count: jobs.length })}\n`;
     
     // Calculate totals
-    let totalEarnings = 0;
+    const earnings = CurrencyService.summarize(jobs, { amountField: 'rate', homeCurrency });
     let upcomingJobs = 0;
     let completedJobs = 0;
-    const now = new Date();
 
     jobs.forEach(job => {
-      if (job.rate) {
-        totalEarnings += parseFloat(job.rate) || 0;
-      }
-
-      try {
-        if (job.date) {
-          const jobDate = new Date(job.date);
-          if (jobDate > now) {
-            upcomingJobs++;
-          } else {
-            completedJobs++;
-          }
-        }
-      } catch (e) {
-        // Skip invalid dates
+      const upcoming = this._isUpcoming(job.date, job.time, job.timeZone, settings);
+      if (upcoming === true) {
+        upcomingJobs++;
+      } else if (upcoming === false) {
+        completedJobs++;
       }
+    });
 
-      const dateStr = this._formatJobDate(job.date);
-      section += `- ${dateStr}: ${job.clientName || 'Unknown Client'} (${job.type || 'Job'})\n`;
-      section += `  Rate: ${job.rate || 'TBD'} ${job.currency || 'USD'} | Status: ${job.status || 'Unknown'} | Payment: ${job.paymentStatus || 'Unknown'}\n`;
-      section += `  Location: ${job.location || 'TBD'}\n`;
-      
-      if (job.notes) {
-        section += `  Notes: ${job.notes}\n`;
-      }
-      
-      section += '\n';
+    const shownJobs = visibleJobs || jobs;
+    shownJobs.forEach(job => {
+      section += this._formatEntry('jobs', job, settings);
     });
+    section += this._buildOmittedNote(jobs, shownJobs, 'jobs', settings);
 
-    section += 'SUMMARY:\n';
-    section += `- Total Earnings: $${totalEarnings.toFixed(2)} USD\n`;
-    section += `- Upcoming Jobs: ${upcomingJobs}\n`;
-    section += `- Completed Jobs: ${completedJobs}\n`;
+    section += `${t('jobs.summary')}\n`;
+    section += `- ${t('jobs.totalEarnings')}: ${CurrencyService.formatSummary(earnings, settings.locale)}\n`;
+    section += `- ${t('jobs.upcoming')}: ${upcomingJobs}\n`;
+    section += `- ${t('jobs.completed')}: ${completedJobs}\n`;
 
     return section;
   }
 
+  /**
+   * Format a single job
+   * @param {Object} job - Job object
+   * @param {Object} settings - Result of _resolveSettings()
+   * @returns {string} Formatted job entry
+   */
+  static _formatJobEntry(job, settings = this._resolveSettings()) {
+    const t = key => this._t(settings, key);
+    const dateStr = this._formatJobDate(job.date, settings.locale);
+    const timeStr = this._formatRecordTime(job.date, job.time, job.timeZone, settings);
+    const when = timeStr ? this._t(settings, 'common.dateAt', { date: dateStr, time: timeStr }) : dateStr;
+    let entry = `- ${when}: ${job.clientName || t('common.unknownClient')} (${job.type || t('jobs.defaultType')})\n`;
+    entry += `  ${t('common.rate')}: ${this._formatRate(job.rate, settings)} ${CurrencyService.normalizeCode(job.currency, CurrencyService.getDefaultCurrency())} | ${t('common.status')}: ${job.status || t('common.unknown')} | ${t('common.payment')}: ${job.paymentStatus || t('common.unknown')}\n`;
+    entry += `  ${t('common.location')}: ${job.location || t('common.tbd')}\n`;
+    
+    if (job.notes) {
+      entry += `  ${t('common.notes')}: ${job.notes}\n`;
+    }
+    
+    entry += '\n';
+    return entry;
+  }
+
   /**
    * Build events section
    * @param {Array} events - Array of event objects
+   * @param {string} homeCurrency - Currency used for the converted total
+   * @param {Array} visibleEvents - Events to list (default: first 20)
+   * @param {Object} settings - Result of _resolveSettings()
    * @returns {string} Formatted events section
    */
-  static _buildEventsSection(events) {
+  static _buildEventsSection(events, homeCurrency = CurrencyService.getDefaultCurrency(), visibleEvents = null, settings = this._resolveSettings()) {
+    const t = (key, params) => this._t(settings, key, params);
     if (!events || events.length === 0) {
-      return 'EVENTS: No events found.';
+      return t('events.none');
     }
 
-    let section = `EVENTS (${events.length} total):\n`;
+    let section = `${t('events.title', { count: events.length })}\n`;
     
-    // Limit to 20 most recent events
-    const limitedEvents = events.slice(0, 20);
+    // Limit to 20 most recent events unless a budget chose the events
+    const limitedEvents = visibleEvents || events.slice(0, SECTION_LIMITS.events);
     
     limitedEvents.forEach(event => {
-      const dateStr = this._formatJobDate(event.date);
-      const timeStr = event.startTime || 'Time TBD';
-      const location = event.location || 'Location TBD';
-      const eventType = event.type ? event.type.toString().toUpperCase() : 'EVENT';
-
-      section += `- ${dateStr} at ${timeStr}: ${eventType}\n`;
-      section += `  Client: ${event.clientName || 'Unknown Client'}\n`;
-      section += `  Location: ${location}\n`;
-      
-      if (event.dayRate) {
-        section += `  Day Rate: ${event.dayRate} ${event.currency || 'USD'}\n`;
-      }
-      
-      if (event.notes) {
-        section += `  Notes: ${event.notes}\n`;
-      }
-      
-      section += '\n';
+      section += this._formatEntry('events', event, settings);
     });
+    section += this._buildOmittedNote(events, limitedEvents, 'events', settings);
+
+    const dayRates = CurrencyService.summarize(events, { amountField: 'dayRate', homeCurrency });
+    if (dayRates.count > 0) {
+      section += `- ${t('events.totalDayRates', { count: events.length })}: ${CurrencyService.formatSummary(dayRates, settings.locale)}\n`;
+    }
 
     return section;
   }
 
+  /**
+   * Format a single event
+   * @param {Object} event - Event object
+   * @param {Object} settings - Result of _resolveSettings()
+   * @returns {string} Formatted event entry
+   */
+  static _formatEventEntry(event, settings = this._resolveSettings()) {
+    const t = key => this._t(settings, key);
+    const dateStr = this._formatJobDate(event.date, settings.locale);
+    const timeStr = this._formatRecordTime(event.date, event.startTime, event.timeZone, settings) || t('common.timeTbd');
+    const location = event.location || t('common.locationTbd');
+    const eventType = event.type ? event.type.toString().toUpperCase() : t('events.defaultType');
+
+    let entry = `- ${this._t(settings, 'common.dateAt', { date: dateStr, time: timeStr })}: ${eventType}\n`;
+    entry += `  ${t('common.client')}: ${event.clientName || t('common.unknownClient')}\n`;
+    entry += `  ${t('common.location')}: ${location}\n`;
+    
+    if (event.dayRate) {
+      entry += `  ${t('events.dayRate')}: ${this._formatRate(event.dayRate, settings)} ${CurrencyService.normalizeCode(event.currency, CurrencyService.getDefaultCurrency())}\n`;
+    }
+    
+    if (event.notes) {
+      entry += `  ${t('common.notes')}: ${event.notes}\n`;
+    }
+    
+    entry += '\n';
+    return entry;
+  }
+
   /**
    * Build AI jobs section
    * @param {Array} aiJobs - Array of AI job objects
+   * @param {Array} visibleJobs - AI jobs to list (default: first 5)
+   * @param {Object} settings - Result of _resolveSettings()
    * @returns {string} Formatted AI jobs section
    */
-  static _buildAiJobsSection(aiJobs) {
+  static _buildAiJobsSection(aiJobs, visibleJobs = null, settings = this._resolveSettings()) {
     if (!aiJobs || aiJobs.length === 0) {
-      return 'AI JOBS: No AI jobs found.';
+      return this._t(settings, 'aiJobs.none');
     }
 
-    let section = 'AI JOBS:\n';
+    let section = `${this._t(settings, 'aiJobs.title')}\n`;
     
-    // Limit to 5 most recent
-    const limitedJobs = aiJobs.slice(0, 5);
+    // Limit to 5 most recent unless a budget chose the jobs
+    const limitedJobs = visibleJobs || aiJobs.slice(0, SECTION_LIMITS.aiJobs);
     
     limitedJobs.forEach(job => {
-      const dateStr = this._formatJobDate(job.date);
-      const rate = job.rate ? `${job.rate} ${job.currency || 'USD'}` : 'Rate TBD';
-      
-      section += `- ${dateStr}: ${job.clientName || 'Unknown Client'} (${job.type || 'AI Job'})\n`;
-      section += `  Rate: ${rate} | Status: ${job.status || 'Unknown'} | Payment: ${job.paymentStatus || 'Unknown'}\n`;
-      
-      if (job.location) {
-        section += `  Location: ${job.location}\n`;
-      }
-      
-      section += '\n';
+      section += this._formatEntry('aiJobs', job, settings);
     });
+    section += this._buildOmittedNote(aiJobs, limitedJobs, 'aiJobs', settings);
 
     return section;
   }
 
+  /**
+   * Format a single AI job
+   * @param {Object} job - AI job object
+   * @param {Object} settings - Result of _resolveSettings()
+   * @returns {string} Formatted AI job entry
+   */
+  static _formatAiJobEntry(job, settings = this._resolveSettings()) {
+    const t = key => this._t(settings, key);
+    const dateStr = this._formatJobDate(job.date, settings.locale);
+    const rate = job.rate ? `${this._formatRate(job.rate, settings)} ${CurrencyService.normalizeCode(job.currency, CurrencyService.getDefaultCurrency())}` : t('common.rateTbd');
+    
+    let entry = `- ${dateStr}: ${job.clientName || t('common.unknownClient')} (${job.type || t('aiJobs.defaultType')})\n`;
+    entry += `  ${t('common.rate')}: ${rate} | ${t('common.status')}: ${job.status || t('common.unknown')} | ${t('common.payment')}: ${job.paymentStatus || t('common.unknown')}\n`;
+    
+    if (job.location) {
+      entry += `  ${t('common.location')}: ${job.location}\n`;
+    }
+    
+    entry += '\n';
+    return entry;
+  }
+
   /**
    * Build agencies section
    * @param {Array} agencies - Array of agency objects
+   * @param {Array} visibleAgencies - Agencies to list (default: all)
+   * @param {Object} settings - Result of _resolveSettings()
    * @returns {string} Formatted agencies section
    */
-  static _buildAgenciesSection(agencies) {
+  static _buildAgenciesSection(agencies, visibleAgencies = null, settings = this._resolveSettings()) {
     if (!agencies || agencies.length === 0) {
-      return 'AGENCIES: No agencies found.';
+      return this._t(settings, 'agencies.none');
     }
 
-    let section = `AGENCIES (${agencies.length} total):\n`;
+    let section = `${this._t(settings, 'agencies.title', { count: agencies.length })}\n`;
     
-    agencies.forEach(agency => {
-      section += `- ${agency.name || 'Unknown Agency'}\n`;
-      
-      if (agency.city) {
-        section += `  Location: ${agency.city}${agency.country ? `, ${agency.country}` : ''}\n`;
-      }
-      
-      if (agency.commissionRate && agency.commissionRate > 0) {
-        section += `  Commission Rate: ${agency.commissionRate}%\n`;
-      }
-      
-      section += '\n';
+    const shownAgencies = visibleAgencies || agencies;
+    shownAgencies.forEach(agency => {
+      section += this._formatEntry('agencies', agency, settings);
     });
+    section += this._buildOmittedNote(agencies, shownAgencies, 'agencies', settings);
 
     return section;
   }
 
+  /**
+   * Format a single agency
+   * @param {Object} agency - Agency object
+   * @param {Object} settings - Result of _resolveSettings()
+   * @returns {string} Formatted agency entry
+   */
+  static _formatAgencyEntry(agency, settings = this._resolveSettings()) {
+    const t = key => this._t(settings, key);
+    let entry = `- ${agency.name || t('agencies.unknown')}\n`;
+    
+    if (agency.city) {
+      entry += `  ${t('common.location')}: ${agency.city}${agency.country ? `, ${agency.country}` : ''}\n`;
+    }
+    
+    if (agency.commissionRate && agency.commissionRate > 0) {
+      entry += `  ${t('agencies.commissionRate')}: ${LocaleService.formatNumber(Number(agency.commissionRate), settings.locale)}%\n`;
+    }
+    
+    entry += '\n';
+    return entry;
+  }
+
   /**
    * Build agents section
    * @param {Array} agents - Array of agent objects
+   * @param {Array} visibleAgents - Agents to list (default: all)
+   * @param {Object} settings - Result of _resolveSettings()
    * @returns {string} Formatted agents section
    */
-  static _buildAgentsSection(agents) {
+  static _buildAgentsSection(agents, visibleAgents = null, settings = this._resolveSettings()) {
     if (!agents || agents.length === 0) {
-      return 'AGENTS: No agents found.';
+      return this._t(settings, 'agents.none');
     }
 
-    let section = `AGENTS (${agents.length} total):\n`;
+    let section = `${this._t(settings, 'agents.title', { count: agents.length })}\n`;
     
-    agents.forEach(agent => {
-      section += `- ${agent.name || 'Unknown Agent'}\n`;
-      
-      if (agent.email) {
-        section += `  Email: ${agent.email}\n`;
-      }
-      
-      if (agent.phone) {
-        section += `  Phone: ${agent.phone}\n`;
-      }
-      
-      if (agent.city) {
-        section += `  Location: ${agent.city}${agent.country ? `, ${agent.country}` : ''}\n`;
-      }
-      
-      section += '\n';
+    const shownAgents = visibleAgents || agents;
+    shownAgents.forEach(agent => {
+      section += this._formatEntry('agents', agent, settings);
     });
+    section += this._buildOmittedNote(agents, shownAgents, 'agents', settings);
 
     return section;
   }
 
+  /**
+   * Format a single agent
+   * @param {Object} agent - Agent object
+   * @param {Object} settings - Result of _resolveSettings()
+   * @returns {string} Formatted agent entry
+   */
+  static _formatAgentEntry(agent, settings = this._resolveSettings()) {
+    const t = key => this._t(settings, key);
+    let entry = `- ${agent.name || t('agents.unknown')}\n`;
+    
+    if (agent.email) {
+      entry += `  ${t('common.email')}: ${agent.email}\n`;
+    }
+    
+    if (agent.phone) {
+      entry += `  ${t('common.phone')}: ${agent.phone}\n`;
+    }
+    
+    if (agent.city) {
+      entry += `  ${t('common.location')}: ${agent.city}${agent.country ? `, ${agent.country}` : ''}\n`;
+    }
+    
+    entry += '\n';
+    return entry;
+  }
+
   /**
    * Build meetings section
    * @param {Array} meetings - Array of meeting objects
+   * @param {Array} visibleMeetings - Meetings to list (default: first 10)
+   * @param {Object} settings - Result of _resolveSettings()
    * @returns {string} Formatted meetings section
    */
-  static _buildMeetingsSection(meetings) {
+  static _buildMeetingsSection(meetings, visibleMeetings = null, settings = this._resolveSettings()) {
     if (!meetings || meetings.length === 0) {
-      return 'MEETINGS: No meetings found.';
+      return this._t(settings, 'meetings.none');
     }
 
-    let section = `MEETINGS (${meetings.length} total):\n`;
+    let section = `${this._t(settings, 'meetings.title', { count: meetings.length })}\n`;
 
-    // Limit to 10 meetings
-    const limitedMeetings = meetings.slice(0, 10);
+    // Limit to 10 meetings unless a budget chose the meetings
+    const limitedMeetings = visibleMeetings || meetings.slice(0, SECTION_LIMITS.meetings);
 
     limitedMeetings.forEach(meeting => {
-      const dateStr = this._formatJobDate(meeting.date);
-      section += `- ${dateStr}: ${meeting.clientName || 'Unknown Client'}\n`;
+      section += this._formatEntry('meetings', meeting, settings);
+    });
+    section += this._buildOmittedNote(meetings, limitedMeetings, 'meetings', settings);
 
-      if (meeting.time) {
-        section += `  Time: ${meeting.time}\n`;
-      }
+    return section;
+  }
 
-      if (meeting.location) {
-        section += `  Location: ${meeting.location}\n`;
-      }
+  /**
+   * Format a single meeting
+   * @param {Object} meeting - Meeting object
+   * @param {Object} settings - Result of _resolveSettings()
+   * @returns {string} Formatted meeting entry
+   */
+  static _formatMeetingEntry(meeting, settings = this._resolveSettings()) {
+    const t = key => this._t(settings, key);
+    const dateStr = this._formatJobDate(meeting.date, settings.locale);
+    let entry = `- ${dateStr}: ${meeting.clientName || t('common.unknownClient')}\n`;
 
-      section += '\n';
-    });
+    if (meeting.time) {
+      entry += `  ${t('common.time')}: ${this._formatRecordTime(meeting.date, meeting.time, meeting.timeZone, settings)}\n`;
+    }
 
-    return section;
+    if (meeting.location) {
+      entry += `  ${t('common.location')}: ${meeting.location}\n`;
+    }
+
+    entry += '\n';
+    return entry;
   }
 
   /**
    * Build on stays section
    * @param {Array} onStays - Array of stay objects
+   * @param {string} homeCurrency - Currency used for the converted total
+   * @param {Array} visibleStays - Stays to list (default: first 10)
+   * @param {Object} settings - Result of _resolveSettings()
    * @returns {string} Formatted on stays section
    */
-  static _buildOnStaysSection(onStays) {
+  static _buildOnStaysSection(onStays, homeCurrency = CurrencyService.getDefaultCurrency(), visibleStays = null, settings = this._resolveSettings()) {
+    const t = (key, params) => this._t(settings, key, params);
     if (!onStays || onStays.length === 0) {
-      return 'ON STAYS: No stays found.';
+      return t('onStays.none');
     }
 
-    let section = `ON STAYS (${onStays.length} total):\n`;
+    let section = `${t('onStays.title', { count: onStays.length })}\n`;
 
-    // Limit to 10 stays
-    const limitedStays = onStays.slice(0, 10);
+    // Limit to 10 stays unless a budget chose the stays
+    const limitedStays = visibleStays || onStays.slice(0, SECTION_LIMITS.onStays);
 
     limitedStays.forEach(stay => {
-      section += `- ${stay.locationName || 'Unknown Location'}\n`;
+      section += this._formatEntry('onStays', stay, settings);
+    });
+    section += this._buildOmittedNote(onStays, limitedStays, 'onStays', settings);
 
-      if (stay.checkInDate) {
-        section += `  Check-in: ${this._formatDisplayDate(new Date(stay.checkInDate))}\n`;
-      }
+    const costs = CurrencyService.summarize(onStays, { amountField: 'cost', homeCurrency });
+    if (costs.count > 0) {
+      section += `- ${t('onStays.totalCosts', { count: onStays.length })}: ${CurrencyService.formatSummary(costs, settings.locale)}\n`;
+    }
 
-      if (stay.checkOutDate) {
-        section += `  Check-out: ${this._formatDisplayDate(new Date(stay.checkOutDate))}\n`;
-      }
+    return section;
+  }
 
-      section += `  Cost: ${stay.cost || 'TBD'} ${stay.currency || 'USD'}\n`;
-      section += '\n';
-    });
+  /**
+   * Format a single stay
+   * @param {Object} stay - Stay object
+   * @param {Object} settings - Result of _resolveSettings()
+   * @returns {string} Formatted stay entry
+   */
+  static _formatOnStayEntry(stay, settings = this._resolveSettings()) {
+    const t = key => this._t(settings, key);
+    let entry = `- ${stay.locationName || t('onStays.unknown')}\n`;
 
-    return section;
+    if (stay.checkInDate) {
+      entry += `  ${t('onStays.checkIn')}: ${this._formatJobDate(stay.checkInDate, settings.locale)}\n`;
+    }
+
+    if (stay.checkOutDate) {
+      entry += `  ${t('onStays.checkOut')}: ${this._formatJobDate(stay.checkOutDate, settings.locale)}\n`;
+    }
+
+    entry += `  ${t('onStays.cost')}: ${this._formatRate(stay.cost, settings)} ${CurrencyService.normalizeCode(stay.currency, CurrencyService.getDefaultCurrency())}\n`;
+    entry += '\n';
+    return entry;
   }
 
   /**
    * Build shootings section
    * @param {Array} shootings - Array of shooting objects
+   * @param {string} homeCurrency - Currency used for the converted total
+   * @param {Array} visibleShootings - Shootings to list (default: first 10)
+   * @param {Object} settings - Result of _resolveSettings()
    * @returns {string} Formatted shootings section
    */
-  static _buildShootingsSection(shootings) {
+  static _buildShootingsSection(shootings, homeCurrency = CurrencyService.getDefaultCurrency(), visibleShootings = null, settings = this._resolveSettings()) {
+    const t = (key, params) => this._t(settings, key, params);
     if (!shootings || shootings.length === 0) {
-      return 'SHOOTINGS: No shootings found.';
+      return t('shootings.none');
     }
 
-    let section = `SHOOTINGS (${shootings.length} total):\n`;
+    let section = `${t('shootings.title', { count: shootings.length })}\n`;
 
-    // Limit to 10 shootings
-    const limitedShootings = shootings.slice(0, 10);
+    // Limit to 10 shootings unless a budget chose the shootings
+    const limitedShootings = visibleShootings || shootings.slice(0, SECTION_LIMITS.shootings);
 
     limitedShootings.forEach(shooting => {
-      const dateStr = this._formatJobDate(shooting.date);
-      section += `- ${dateStr}: ${shooting.clientName || 'Unknown Client'}\n`;
+      section += this._formatEntry('shootings', shooting, settings);
+    });
+    section += this._buildOmittedNote(shootings, limitedShootings, 'shootings', settings);
 
-      if (shooting.location) {
-        section += `  Location: ${shooting.location}\n`;
-      }
+    const rates = CurrencyService.summarize(shootings, { amountField: 'rate', homeCurrency });
+    if (rates.count > 0) {
+      section += `- ${t('shootings.totalRates', { count: shootings.length })}: ${CurrencyService.formatSummary(rates, settings.locale)}\n`;
+    }
 
-      if (shooting.rate) {
-        section += `  Rate: ${shooting.rate} ${shooting.currency || 'USD'}\n`;
-      }
+    return section;
+  }
 
-      section += '\n';
-    });
+  /**
+   * Format a single shooting
+   * @param {Object} shooting - Shooting object
+   * @param {Object} settings - Result of _resolveSettings()
+   * @returns {string} Formatted shooting entry
+   */
+  static _formatShootingEntry(shooting, settings = this._resolveSettings()) {
+    const t = key => this._t(settings, key);
+    const dateStr = this._formatJobDate(shooting.date, settings.locale);
+    let entry = `- ${dateStr}: ${shooting.clientName || t('common.unknownClient')}\n`;
 
-    return section;
+    if (shooting.location) {
+      entry += `  ${t('common.location')}: ${shooting.location}\n`;
+    }
+
+    if (shooting.rate) {
+      entry += `  ${t('common.rate')}: ${this._formatRate(shooting.rate, settings)} ${CurrencyService.normalizeCode(shooting.currency, CurrencyService.getDefaultCurrency())}\n`;
+    }
+
+    entry += '\n';
+    return entry;
   }
 
   /**
    * Calculate comprehensive statistics (like Dart version)
    * @param {Array} jobs - Array of job objects
    * @param {Array} events - Array of event objects
+   * @param {Object} options - Additional data for financial statistics
+   * @param {Array} options.shootings - Array of shooting objects
+   * @param {Array} options.onStays - Array of stay objects
+   * @param {string} options.homeCurrency - Currency used for converted totals
+   * @param {Object} options.settings - Result of _resolveSettings()
    * @returns {string} Formatted statistics section
    */
-  static _calculateStatistics(jobs = [], events = []) {
+  static _calculateStatistics(jobs = [], events = [], options = {}) {
     try {
-      // Calculate financial statistics
-      let totalIncome = 0;
+      const {
+        shootings = [],
+        onStays = [],
+        agencies = [],
+        userProfile = {},
+        homeCurrency = CurrencyService.getDefaultCurrency(),
+        settings = this._resolveSettings({ userProfile })
+      } = options;
+
+      // Calculate financial statistics (gross, then commission, expenses, tax and net)
+      const earnings = EarningsService.calculate({ jobs, events, shootings, onStays, agencies, userProfile }, { homeCurrency });
+      const jobIncome = earnings.bySource.jobs.gross;
+      const eventIncome = earnings.bySource.events.gross;
+      const shootingIncome = earnings.bySource.shootings.gross;
+      const totalIncome = earnings.totals.gross;
+      const stayCosts = earnings.stayCosts;
       let upcomingJobs = 0;
       let completedJobs = 0;
-      const now = new Date();
 
       jobs.forEach(job => {
-        if (job.rate) {
-          totalIncome += parseFloat(job.rate) || 0;
-        }
-
-        try {
-          if (job.date) {
-            const jobDate = new Date(job.date);
-            if (jobDate > now) {
-              upcomingJobs++;
-            } else {
-              completedJobs++;
-            }
-          }
-        } catch (e) {
-          // Skip invalid dates
+        const upcoming = this._isUpcoming(job.date, job.time, job.timeZone, settings);
+        if (upcoming === true) {
+          upcomingJobs++;
+        } else if (upcoming === false) {
+          completedJobs++;
         }
       });
 
@@ -458,37 +893,47 @@ If calculating totals or analyzing trends, show actual numbers. If asked about s
           dateStr = event.date;
         }
 
-        if (dateStr) {
-          try {
-            const date = new Date(dateStr);
-            const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-            eventsByMonth[monthKey] = (eventsByMonth[monthKey] || 0) + 1;
-          } catch (e) {
-            // Skip invalid dates
-          }
+        // Calendar month of the date as written (no time zone shift)
+        const date = DateService.parseDate(dateStr);
+        if (date) {
+          const monthKey = date.slice(0, 7);
+          eventsByMonth[monthKey] = (eventsByMonth[monthKey] || 0) + 1;
         }
       });
 
-      let section = 'STATISTICS:\n';
-      section += `- Total Income: $${totalIncome.toFixed(2)} USD\n`;
-      section += `- Total Jobs: ${jobs.length}\n`;
-      section += `- Upcoming Jobs: ${upcomingJobs}\n`;
-      section += `- Completed Jobs: ${completedJobs}\n`;
-      section += `- Total Events: ${events.length}\n`;
+      const { locale } = settings;
+      const t = (key, params) => this._t(settings, key, params);
+      let section = `${t('statistics.title')}\n`;
+      section += `- ${t('statistics.jobIncome')}: ${CurrencyService.formatSummary(jobIncome, locale)}\n`;
+      if (eventIncome.count > 0) {
+        section += `- ${t('statistics.eventDayRates')}: ${CurrencyService.formatSummary(eventIncome, locale)}\n`;
+      }
+      if (shootingIncome.count > 0) {
+        section += `- ${t('statistics.shootingRates')}: ${CurrencyService.formatSummary(shootingIncome, locale)}\n`;
+      }
+      section += `- ${t('statistics.totalIncome')}: ${CurrencyService.formatSummary(totalIncome, locale)}\n`;
+      if (stayCosts.count > 0) {
+        section += `- ${t('statistics.stayCosts')}: ${CurrencyService.formatSummary(stayCosts, locale)}\n`;
+      }
+      section += EarningsService.formatNetIncomeLines(earnings, locale);
+      section += `- ${t('statistics.totalJobs')}: ${jobs.length}\n`;
+      section += `- ${t('jobs.upcoming')}: ${upcomingJobs}\n`;
+      section += `- ${t('jobs.completed')}: ${completedJobs}\n`;
+      section += `- ${t('statistics.totalEvents')}: ${events.length}\n`;
 
       if (Object.keys(eventsByMonth).length > 0) {
-        section += '- Activity by Month:\n';
+        section += `- ${t('statistics.activityByMonth')}\n`;
         const sortedMonths = Object.keys(eventsByMonth).sort();
         // Last 6 months
         sortedMonths.slice(-6).forEach(month => {
-          section += `  ${month}: ${eventsByMonth[month]} events\n`;
+          section += `  ${month}: ${t('statistics.monthEvents', { count: eventsByMonth[month] })}\n`;
         });
       }
 
       return section;
     } catch (error) {
       console.error('❌ Error calculating statistics:', error);
-      return 'STATISTICS: Error calculating statistics.';
+      return this._t(options.settings || this._resolveSettings(), 'statistics.error');
     }
   }
 
@@ -497,90 +942,60 @@ If calculating totals or analyzing trends, show actual numbers. If asked about s
    * @param {Array} jobs - Array of job objects
    * @param {Array} events - Array of event objects
    * @param {Array} meetings - Array of meeting objects
+   * @param {Object} settings - Result of _resolveSettings()
    * @returns {string} Formatted calendar summary
    */
-  static _getCalendarSummary(jobs = [], events = [], meetings = []) {
+  static _getCalendarSummary(jobs = [], events = [], meetings = [], settings = this._resolveSettings()) {
     try {
       const upcomingEvents = [];
-      const now = new Date();
 
-      // Add jobs
-      jobs.forEach(job => {
-        try {
-          if (job.date) {
-            const jobDate = new Date(job.date);
-            if (jobDate > now) {
-              upcomingEvents.push({
-                type: 'job',
-                title: job.clientName || 'Unknown Client',
-                date: jobDate,
-                time: job.time || '',
-                location: job.location || ''
-              });
-            }
-          }
-        } catch (e) {
-          // Skip invalid dates
+      const addUpcoming = (record, type, title, time) => {
+        if (this._isUpcoming(record.date, time, record.timeZone, settings) !== true) {
+          return;
         }
-      });
+        upcomingEvents.push({
+          type,
+          title,
+          date: record.date,
+          time: time || '',
+          timeZone: record.timeZone,
+          location: record.location || '',
+          instant: this._recordInstant(record.date, time, record.timeZone, settings)
+        });
+      };
+
+      // Add jobs
+      jobs.forEach(job => addUpcoming(job, 'job', job.clientName || this._t(settings, 'common.unknownClient'), job.time));
 
       // Add events
-      events.forEach(event => {
-        try {
-          if (event.date) {
-            const eventDate = new Date(event.date);
-            if (eventDate > now) {
-              upcomingEvents.push({
-                type: event.type ? event.type.toString().split('.').pop() : 'event',
-                title: event.clientName || 'Event',
-                date: eventDate,
-                time: event.startTime || '',
-                location: event.location || ''
-              });
-            }
-          }
-        } catch (e) {
-          // Skip invalid dates
-        }
-      });
+      events.forEach(event => addUpcoming(
+        event,
+        event.type ? event.type.toString().split('.').pop() : 'event',
+        event.clientName || this._t(settings, 'calendar.event'),
+        event.startTime
+      ));
 
       // Add meetings
-      meetings.forEach(meeting => {
-        try {
-          if (meeting.date) {
-            const meetingDate = new Date(meeting.date);
-            if (meetingDate > now) {
-              upcomingEvents.push({
-                type: 'meeting',
-                title: meeting.clientName || 'Unknown Client',
-                date: meetingDate,
-                time: meeting.time || '',
-                location: meeting.location || ''
-              });
-            }
-          }
-        } catch (e) {
-          // Skip invalid dates
-        }
-      });
+      meetings.forEach(meeting => addUpcoming(meeting, 'meeting', meeting.clientName || this._t(settings, 'common.unknownClient'), meeting.time));
 
-      // Sort by date and take top 10
-      upcomingEvents.sort((a, b) => a.date - b.date);
+      // Sort by start (in the user's time zone) and take top 10
+      upcomingEvents.sort((a, b) => a.instant - b.instant);
       const topEvents = upcomingEvents.slice(0, 10);
 
       if (topEvents.length === 0) {
-        return 'UPCOMING CALENDAR: No upcoming events scheduled.';
+        return this._t(settings, 'calendar.none');
       }
 
-      let section = `UPCOMING CALENDAR (Next ${topEvents.length} Events):\n`;
+      let section = `${this._t(settings, 'calendar.title', { count: topEvents.length })}\n`;
       topEvents.forEach(event => {
-        const dateStr = this._formatDisplayDate(event.date);
-        const timeStr = event.time;
+        const dateStr = this._formatJobDate(event.date, settings.locale);
+        const timeStr = this._formatRecordTime(event.date, event.time, event.timeZone, settings);
         const location = event.location;
+        const when = timeStr ? this._t(settings, 'common.dateAt', { date: dateStr, time: timeStr }) : dateStr;
 
-        section += `- ${dateStr}${timeStr ? ` at ${timeStr}` : ''}: ${event.type.toUpperCase()} - ${event.title}\n`;
+        section += `- ${when}: ${event.type.toUpperCase()} - ${event.title}\n`;
         if (location) {
-          section += `  Location: ${location}\n`;
+          section += `  ${this._t(settings, 'common.location')}: ${location}\n`;
         }
         section += '\n';
       });
@@ -588,63 +1003,176 @@ If calculating totals or analyzing trends, show actual numbers. If asked about s
       return section;
     } catch (error) {
       console.error('❌ Error getting calendar summary:', error);
-      return 'UPCOMING CALENDAR: Error loading calendar data.';
+      return this._t(settings, 'calendar.error');
     }
   }
 
+  /**
+   * Get outstanding payments with aging and overdue clients
+   * @param {Object} userData - User data
+   * @param {Object} settings - Result of _resolveSettings()
+   * @returns {string} Formatted receivables section
+   */
+  static _getReceivablesSummary(userData, settings = this._resolveSettings(userData)) {
+    try {
+      return ReceivablesService.formatReceivablesSection(
+        ReceivablesService.analyze(userData, { now: settings.now, timeZone: settings.timeZone }),
+        undefined,
+        settings.locale
+      );
+    } catch (error) {
+      console.error('❌ Error analyzing receivables:', error);
+      return this._t(settings, 'receivables.error');
+    }
+  }
+
+  /**
+   * Get upcoming schedule conflicts (overlaps, double bookings, bookings outside a stay)
+   * @param {Object} userData - User data
+   * @param {Object} settings - Result of _resolveSettings()
+   * @returns {string} Formatted conflicts section
+   */
+  static _getConflictsSummary(userData, settings = this._resolveSettings(userData)) {
+    try {
+      const { conflicts } = ConflictService.detectConflicts(userData, { now: settings.now, timeZone: settings.timeZone });
+      return ConflictService.formatConflictsSection(conflicts, undefined, settings.locale);
+    } catch (error) {
+      console.error('❌ Error detecting schedule conflicts:', error);
+      return this._t(settings, 'conflicts.error');
+    }
+  }
+
+  /**
+   * Whether a dated record is still ahead of the user
+   * Timed records compare their start (in the record's time zone, else the user's) with now;
+   * date-only records count as upcoming until their day is over in that time zone.
+   * @param {string} date - Record date
+   * @param {string} time - Record start time (optional)
+   * @param {string} timeZone - Record time zone (optional)
+   * @param {Object} settings - Result of _resolveSettings()
+   * @returns {boolean|null} null when the date cannot be read
+   */
+  static _isUpcoming(date, time, timeZone, settings) {
+    const day = DateService.parseDate(date);
+    if (!day) {
+      return null;
+    }
+
+    const zone = DateService.resolveTimeZone(timeZone, settings.timeZone);
+    const start = DateService.parseTime(time);
+    if (start) {
+      return DateService.fromZonedDateTime(day, start, zone) > settings.now;
+    }
+    return day >= DateService.today(zone, settings.now);
+  }
+
+  /**
+   * Start of a record as a moment, for sorting (midnight when it has no time)
+   */
+  static _recordInstant(date, time, timeZone, settings) {
+    const zone = DateService.resolveTimeZone(timeZone, settings.timeZone);
+    return DateService.fromZonedDateTime(DateService.parseDate(date), DateService.parseTime(time) || '00:00', zone).getTime();
+  }
+
+  /**
+   * Format a record's time, adding the user's local time when the record is in another time zone
+   * @param {string} date - Record date
+   * @param {string} time - Record time as written
+   * @param {string} timeZone - Record time zone (optional)
+   * @param {Object} settings - Result of _resolveSettings()
+   * @returns {string} e.g. "10:00 Europe/Paris (17:00 Asia/Tokyo)", or the time as written
+   */
+  static _formatRecordTime(date, time, timeZone, settings) {
+    if (!time) {
+      return '';
+    }
+
+    const day = DateService.parseDate(date);
+    const start = DateService.parseTime(time);
+    if (!settings || !day || !start || !DateService.isValidTimeZone(timeZone) || timeZone === settings.timeZone) {
+      return time;
+    }
+
+    const local = DateService.convertDateTime(day, start, timeZone, settings.timeZone);
+    const otherDay = local.date !== day ? `, ${this._formatJobDate(local.date, settings.locale)}` : '';
+    return `${start} ${timeZone} (${local.time} ${settings.timeZone}${otherDay})`;
+  }
+
+  /**
+   * Format an amount from a record (numbers in the locale's format, text as written)
+   * @param {number|string} value - Rate or cost
+   * @param {Object} settings - Result of _resolveSettings()
+   * @returns {string} Formatted value, or "TBD" when missing
+   */
+  static _formatRate(value, settings) {
+    if (!value) {
+      return this._t(settings, 'common.tbd');
+    }
+    return typeof value === 'number'
+      ? LocaleService.formatNumber(value, settings.locale, { maximumFractionDigits: 2 })
+      : String(value);
+  }
+
   /**
    * Format date for display (like Dart version)
    * @param {Date} date - Date to format
+   * @param {string} timeZone - Time zone to show the date in (default: UTC)
+   * @param {string} locale - Locale for the date format (default: en-US)
    * @returns {string} Formatted date string
    */
-  static _formatDisplayDate(date) {
-    if (!date || !(date instanceof Date)) {
-      return 'Date TBD';
+  static _formatDisplayDate(date, timeZone = 'UTC', locale = 'en-US') {
+    if (!date || !(date instanceof Date) || isNaN(date.getTime())) {
+      return LocaleService.t(locale, 'common.dateTbd');
     }
 
     const options = {
       weekday: 'long',
       year: 'numeric',
       month: 'long',
-      day: 'numeric'
+      day: 'numeric',
+      timeZone
     };
 
-    return date.toLocaleDateString('en-US', options);
+    return date.toLocaleDateString(locale, options);
   }
 
   /**
    * Format time for display
    * @param {Date} date - Date to format
+   * @param {string} timeZone - Time zone to show the time in (default: UTC)
+   * @param {string} locale - Locale for the time format (default: en-US)
    * @returns {string} Formatted time string
    */
-  static _formatTime(date) {
-    if (!date || !(date instanceof Date)) {
-      return 'Time TBD';
+  static _formatTime(date, timeZone = 'UTC', locale = 'en-US') {
+    if (!date || !(date instanceof Date) || isNaN(date.getTime())) {
+      return LocaleService.t(locale, 'common.timeTbd');
     }
 
-    return date.toLocaleTimeString('en-US', {
+    return date.toLocaleTimeString(locale, {
       hour: '2-digit',
       minute: '2-digit',
-      hour12: false
+      hourCycle: 'h23',
+      timeZone
     });
   }
 
   /**
    * Format job date (handles string dates)
+   * Calendar dates are shown as written, without shifting them into another time zone.
    * @param {string|Date} date - Date to format
+   * @param {string} locale - Locale for the date format (default: en-US)
    * @returns {string} Formatted date string
    */
-  static _formatJobDate(date) {
+  static _formatJobDate(date, locale = 'en-US') {
     if (!date) {
-      return 'Date TBD';
+      return LocaleService.t(locale, 'common.dateTbd');
     }
 
-    try {
-      const dateObj = typeof date === 'string' ? new Date(date) : date;
-      return this._formatDisplayDate(dateObj);
-    } catch (e) {
-      return typeof date === 'string' ? date : 'Date TBD';
+    const day = DateService.parseDate(date);
+    if (!day) {
+      return typeof date === 'string' ? date : LocaleService.t(locale, 'common.dateTbd');
     }
+    return this._formatDisplayDate(new Date(`${day}T00:00:00Z`), 'UTC', locale);
   }
 }
 
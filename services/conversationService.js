@@ -0,0 +1,200 @@
+/**
+ * Conversation Service for ModelDay Backend
+ * Stores chat conversations server-side so clients can send only a conversation ID
+ * and the new message instead of the whole history (and userData) on every request
+ *
+ * Configuration (environment variables):
+ * - CONVERSATION_STORE: file (default) | memory
+ * - CONVERSATION_STORE_DIR: directory for the file store (defaults to data/conversations)
+ * - CONVERSATION_HISTORY_LIMIT: stored messages sent to the model with each new message (default 20)
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import FileConversationStore from './stores/fileConversationStore.js';
+import MemoryConversationStore from './stores/memoryConversationStore.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_STORE_DIR = path.join(__dirname, '..', 'data', 'conversations');
+
+const DEFAULT_STORE = 'file';
+const DEFAULT_HISTORY_LIMIT = 20;
+const TITLE_LENGTH = 60;
+
+class ConversationService {
+  static _factories = {
+    'file': () => new FileConversationStore({
+      directory: process.env.CONVERSATION_STORE_DIR || DEFAULT_STORE_DIR
+    }),
+    'memory': () => new MemoryConversationStore()
+  };
+
+  static _store = null;
+
+  /**
+   * Register a custom store factory
+   * @param {string} name - Store name used in CONVERSATION_STORE
+   * @param {Function} factory - () => store implementing get, list, save, update and delete
+   */
+  static registerStore(name, factory) {
+    this._factories[name] = factory;
+    this._store = null;
+  }
+
+  /**
+   * Get the configured store (created once and reused)
+   * @returns {Object} Store instance
+   */
+  static getStore() {
+    if (!this._store) {
+      const name = (process.env.CONVERSATION_STORE || DEFAULT_STORE).trim().toLowerCase();
+      const factory = this._factories[name];
+      if (!factory) {
+        throw new Error(`Unknown conversation store "${name}". Available: ${Object.keys(this._factories).join(', ')}`);
+      }
+      this._store = factory();
+    }
+
+    return this._store;
+  }
+
+  /**
+   * Number of stored messages sent to the model as history
+   * @returns {number} Message limit
+   */
+  static getHistoryLimit() {
+    const configured = parseInt(process.env.CONVERSATION_HISTORY_LIMIT, 10);
+    return Number.isInteger(configured) && configured >= 0 ? configured : DEFAULT_HISTORY_LIMIT;
+  }
+
+  /**
+   * Create a conversation
+   * @param {Object} options - { title, userData, ownerId }
+   * @returns {Promise<Object>} New conversation
+   */
+  static async createConversation({ title = null, userData = null, ownerId = null } = {}) {
+    const now = new Date().toISOString();
+    const conversation = {
+      id: crypto.randomUUID(),
+      title: this._cleanTitle(title),
+      ownerId,
+      createdAt: now,
+      updatedAt: now,
+      userData: this._hasUserData(userData) ? userData : null,
+      messages: []
+    };
+
+    return this.getStore().save(conversation);
+  }
+
+  /**
+   * Get a conversation visible to an owner
+   * @param {string} id - Conversation ID
+   * @param {string|null} ownerId - Owner the conversation must belong to
+   * @returns {Promise<Object|null>} Conversation, or null when missing or owned by someone else
+   */
+  static async getConversation(id, ownerId = null) {
+    const conversation = await this.getStore().get(id);
+    return conversation && conversation.ownerId === ownerId ? conversation : null;
+  }
+
+  /**
+   * List an owner's conversations without their messages
+   * @param {Object} options - { ownerId, limit }
+   * @returns {Promise<Array>} Conversation summaries, most recently updated first
+   */
+  static async listConversations({ ownerId = null, limit = 50 } = {}) {
+    const conversations = await this.getStore().list({ ownerId });
+    return conversations.slice(0, limit).map(conversation => this.summarize(conversation));
+  }
+
+  /**
+   * Delete a conversation
+   * @param {string} id - Conversation ID
+   * @param {string|null} ownerId - Owner the conversation must belong to
+   * @returns {Promise<boolean>} True when it was deleted
+   */
+  static async deleteConversation(id, ownerId = null) {
+    if (!(await this.getConversation(id, ownerId))) {
+      return false;
+    }
+    return this.getStore().delete(id);
+  }
+
+  /**
+   * Append the user message and the assistant reply of one exchange
+   * @param {string} id - Conversation ID
+   * @param {Object} exchange - { message, response, usage, model, userData }
+   * @returns {Promise<Object|null>} { conversation, userMessage, assistantMessage }, or null when the conversation is gone
+   */
+  static async appendExchange(id, { message, response, usage = null, model = null, userData = null }) {
+    const now = new Date().toISOString();
+    const userMessage = { id: crypto.randomUUID(), role: 'user', content: message, createdAt: now };
+    const assistantMessage = { id: crypto.randomUUID(), role: 'assistant', content: response, createdAt: now, model, usage };
+
+    const conversation = await this.getStore().update(id, current => ({
+      ...current,
+      title: current.title || this._cleanTitle(message),
+      updatedAt: now,
+      userData: this._hasUserData(userData) ? userData : current.userData,
+      messages: [...current.messages, userMessage, assistantMessage]
+    }));
+
+    return conversation ? { conversation, userMessage, assistantMessage } : null;
+  }
+
+  /**
+   * Convert stored messages into the `conversation` format used by /api/chat
+   * @param {Object} conversation - Stored conversation
+   * @returns {Array} Last messages as { role, content }
+   */
+  static toHistory(conversation) {
+    const limit = this.getHistoryLimit();
+    const messages = limit > 0 ? conversation.messages.slice(-limit) : [];
+    return messages.map(({ role, content }) => ({ role, content }));
+  }
+
+  /**
+   * Summarize a conversation for listings
+   * @param {Object} conversation - Stored conversation
+   * @returns {Object} { id, title, createdAt, updatedAt, messageCount, hasUserData, lastMessage }
+   */
+  static summarize(conversation) {
+    const lastMessage = conversation.messages[conversation.messages.length - 1];
+    return {
+      id: conversation.id,
+      title: conversation.title,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      messageCount: conversation.messages.length,
+      hasUserData: Boolean(conversation.userData),
+      lastMessage: lastMessage ? {
+        role: lastMessage.role,
+        preview: lastMessage.content.slice(0, 120),
+        createdAt: lastMessage.createdAt
+      } : null
+    };
+  }
+
+  /**
+   * Drop the cached store so configuration changes take effect
+   */
+  static reset() {
+    this._store = null;
+  }
+
+  static _hasUserData(userData) {
+    return Boolean(userData && typeof userData === 'object' && Object.keys(userData).length > 0);
+  }
+
+  static _cleanTitle(title) {
+    if (typeof title !== 'string' || title.trim().length === 0) {
+      return null;
+    }
+    const singleLine = title.trim().replace(/\s+/g, ' ');
+    return singleLine.length > TITLE_LENGTH ? `${singleLine.slice(0, TITLE_LENGTH - 1)}…` : singleLine;
+  }
+}
+
+export default ConversationService;
@@ -0,0 +1,404 @@
+/**
+ * Currency Service for ModelDay Backend
+ * Keeps money totals per currency and converts them into the user's home currency
+ * using an exchange-rate table that is loaded from disk (no network access needed)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import LocaleService from './localeService.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_RATES_FILE = path.join(__dirname, '..', 'data', 'exchangeRates.json');
+
+// Common symbols and names that show up in user data instead of ISO codes
+const CURRENCY_ALIASES = {
+  '$': 'USD',
+  'US$': 'USD',
+  'DOLLAR': 'USD',
+  'DOLLARS': 'USD',
+  '€': 'EUR',
+  'EURO': 'EUR',
+  'EUROS': 'EUR',
+  '£': 'GBP',
+  'POUND': 'GBP',
+  'POUNDS': 'GBP',
+  'ZŁ': 'PLN',
+  'ZL': 'PLN',
+  'ZLOTY': 'PLN',
+  '¥': 'JPY',
+  'YEN': 'JPY'
+};
+
+// ISO 4217 codes known to the runtime (used to reject made-up codes)
+const ISO_CURRENCY_CODES = new Set(
+  typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('currency') : []
+);
+
+// Currency markers recognized inside free-text amounts such as "€1,200" or "500 euros"
+const AMOUNT_CURRENCY_PATTERN = /(US\$|[$€£¥]|zł|\b(?:euros?|dollars?|pounds?|zloty|yen)\b)/gi;
+
+// Currency codes inside free-text amounts, upper case only ("all" and "per" are words, not ALL and PER)
+const AMOUNT_CODE_PATTERN = /\b([A-Z]{3})\b/g;
+
+// Numbers inside free-text amounts; a space only groups thousands when exactly three digits follow
+// ("1 200,50" is one number, "5 2" two)
+const AMOUNT_NUMBER_PATTERN = /-?\d+(?:[.,]\d+|\s\d{3}(?!\d))*/g;
+
+class CurrencyService {
+  static _rateTable = null;
+
+  /**
+   * Default currency used when a record does not specify one
+   * @returns {string} ISO 4217 currency code
+   */
+  static getDefaultCurrency() {
+    return this.normalizeCode(process.env.DEFAULT_CURRENCY, 'USD');
+  }
+
+  /**
+   * Normalize a currency code, symbol or name to an ISO 4217 code
+   * @param {string} code - Raw currency value (e.g. "eur", "€", "euros")
+   * @param {string} fallback - Code returned when the value is empty or unrecognized
+   * @returns {string} Upper-case ISO currency code
+   */
+  static normalizeCode(code, fallback = null) {
+    const defaultCode = fallback || 'USD';
+
+    if (!code || typeof code !== 'string') {
+      return defaultCode;
+    }
+
+    // "CHF." and "EUR." are abbreviations of the code
+    const trimmed = code.trim().toUpperCase().replace(/\.+$/, '');
+    if (CURRENCY_ALIASES[trimmed]) {
+      return CURRENCY_ALIASES[trimmed];
+    }
+
+    if (/^[A-Z]{3}$/.test(trimmed)) {
+      return trimmed;
+    }
+
+    return defaultCode;
+  }
+
+  /**
+   * Check whether a value is a known ISO 4217 currency code
+   * @param {string} code - Currency code
+   * @returns {boolean} True for known codes (or any 3-letter code when the runtime has no list)
+   */
+  static isKnownCode(code) {
+    if (typeof code !== 'string' || !/^[A-Z]{3}$/.test(code)) {
+      return false;
+    }
+
+    if (ISO_CURRENCY_CODES.size === 0) {
+      return true;
+    }
+
+    return ISO_CURRENCY_CODES.has(code) || Boolean(this.getRates().rates[code]);
+  }
+
+  /**
+   * Parse a money amount written as text, e.g. "500 EUR", "€1,200.50", "1.200,50 zł" or "2,500"
+   * When both "," and "." appear, the last one is the decimal separator; a lone separator
+   * followed by exactly three digits is treated as a thousands separator, and so is a space
+   * (only then). Currency codes count in upper case only.
+   * @param {number|string} value - Amount value
+   * @returns {Object|null} { amount, currency, ambiguous } or null when no number is found
+   */
+  static parseMoney(value) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? { amount: value, currency: null, ambiguous: false } : null;
+    }
+
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    // First marker that is a real currency ("500 PER DAY EUR" must not stop at "PER")
+    const currency = [...value.matchAll(AMOUNT_CURRENCY_PATTERN), ...value.matchAll(AMOUNT_CODE_PATTERN)]
+      .sort((a, b) => a.index - b.index)
+      .map(match => this.normalizeCode(match[1], 'XXX'))
+      .find(code => code !== 'XXX' && this.isKnownCode(code)) || null;
+
+    const numbers = value.match(AMOUNT_NUMBER_PATTERN);
+    if (!numbers) {
+      return null;
+    }
+
+    let token = numbers[0].replace(/\s/g, '');
+    const lastComma = token.lastIndexOf(',');
+    const lastDot = token.lastIndexOf('.');
+
+    if (lastComma !== -1 && lastDot !== -1) {
+      const decimalSeparator = lastComma > lastDot ? ',' : '.';
+      const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+      token = token.split(thousandsSeparator).join('').replace(decimalSeparator, '.');
+    } else if (lastComma !== -1 || lastDot !== -1) {
+      const separator = lastComma !== -1 ? ',' : '.';
+      const groups = token.split(separator);
+      const isThousands = groups.length > 2 || groups[groups.length - 1].length === 3;
+      token = isThousands ? groups.join('') : groups.join('.');
+    }
+
+    const amount = parseFloat(token);
+    if (!Number.isFinite(amount)) {
+      return null;
+    }
+
+    return {
+      amount,
+      currency,
+      ambiguous: numbers.length > 1
+    };
+  }
+
+  /**
+   * Read the amount of a record field ("2,500" is 2500 and "1.200,50" is 1200.5, see parseMoney)
+   * @param {number|string} value - Amount value
+   * @returns {number|null} Amount, or null when the value holds no number
+   */
+  static parseAmount(value) {
+    const parsed = this.parseMoney(value);
+    return parsed ? parsed.amount : null;
+  }
+
+  /**
+   * Resolve the user's home currency from their profile
+   * @param {Object} userProfile - User profile data
+   * @returns {string} ISO currency code
+   */
+  static getHomeCurrency(userProfile = {}) {
+    const profile = userProfile || {};
+    return this.normalizeCode(profile.homeCurrency || profile.currency, this.getDefaultCurrency());
+  }
+
+  /**
+   * Load an exchange-rate table from a JSON file
+   * Expected shape: { base: 'USD', updatedAt: '2025-07-01', rates: { USD: 1, EUR: 0.92 } }
+   * where each rate is the amount of that currency for one unit of the base currency
+   * @param {string} filePath - Path to the JSON file
+   * @returns {Object} Loaded rate table
+   */
+  static loadRatesFromFile(filePath) {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    return this.setRates(JSON.parse(raw));
+  }
+
+  /**
+   * Replace the active exchange-rate table
+   * @param {Object} table - Rate table ({ base, updatedAt, rates })
+   * @returns {Object} Normalized rate table
+   */
+  static setRates(table) {
+    if (!table || typeof table.rates !== 'object' || table.rates === null) {
+      throw new Error('Exchange rate table must contain a "rates" object');
+    }
+
+    const base = this.normalizeCode(table.base, 'USD');
+    const rates = {};
+
+    Object.entries(table.rates).forEach(([code, rate]) => {
+      const value = parseFloat(rate);
+      if (Number.isFinite(value) && value > 0) {
+        rates[this.normalizeCode(code, code)] = value;
+      }
+    });
+    rates[base] = 1;
+
+    this._rateTable = {
+      base,
+      updatedAt: table.updatedAt || null,
+      source: table.source || null,
+      rates
+    };
+
+    return this._rateTable;
+  }
+
+  /**
+   * Get the active exchange-rate table, loading it lazily on first use
+   * EXCHANGE_RATES_FILE overrides the bundled data/exchangeRates.json
+   * @returns {Object} Rate table ({ base, updatedAt, rates })
+   */
+  static getRates() {
+    if (!this._rateTable) {
+      const filePath = process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE;
+      try {
+        this.loadRatesFromFile(filePath);
+      } catch (error) {
+        console.error(`❌ CurrencyService - Could not load exchange rates from ${filePath}:`, error.message);
+        this._rateTable = { base: 'USD', updatedAt: null, source: null, rates: { USD: 1 } };
+      }
+    }
+
+    return this._rateTable;
+  }
+
+  /**
+   * Convert an amount between two currencies
+   * @param {number} amount - Amount to convert
+   * @param {string} from - Source currency code
+   * @param {string} to - Target currency code
+   * @returns {number|null} Converted amount, or null when a rate is missing
+   */
+  static convert(amount, from, to) {
+    const value = parseFloat(amount);
+    if (!Number.isFinite(value)) {
+      return null;
+    }
+
+    const fromCode = this.normalizeCode(from, this.getDefaultCurrency());
+    const toCode = this.normalizeCode(to, this.getDefaultCurrency());
+
+    if (fromCode === toCode) {
+      return value;
+    }
+
+    const { rates } = this.getRates();
+    if (!rates[fromCode] || !rates[toCode]) {
+      return null;
+    }
+
+    return (value / rates[fromCode]) * rates[toCode];
+  }
+
+  /**
+   * Sum amounts from a list of records, grouped by currency
+   * @param {Array} records - Records carrying an amount and a currency
+   * @param {Object} options - Summary options
+   * @param {string} options.amountField - Field holding the amount (e.g. 'rate', 'dayRate', 'cost')
+   * @param {string} options.currencyField - Field holding the currency code
+   * @param {string} options.homeCurrency - Currency to convert the grand total into
+   * @returns {Object} { totals, count, homeCurrency, convertedTotal, unconverted }
+   */
+  static summarize(records = [], options = {}) {
+    const {
+      amountField = 'rate',
+      currencyField = 'currency',
+      homeCurrency = this.getDefaultCurrency()
+    } = options;
+
+    const totals = {};
+    let count = 0;
+
+    (records || []).forEach(record => {
+      if (!record || record[amountField] === undefined || record[amountField] === null) {
+        return;
+      }
+
+      const amount = this.parseAmount(record[amountField]);
+      if (amount === null) {
+        return;
+      }
+
+      const currency = this.normalizeCode(record[currencyField], this.getDefaultCurrency());
+      totals[currency] = (totals[currency] || 0) + amount;
+      count++;
+    });
+
+    return this.convertTotals(totals, homeCurrency, count);
+  }
+
+  /**
+   * Convert a per-currency totals map into the home currency
+   * @param {Object} totals - Map of currency code to amount
+   * @param {string} homeCurrency - Currency to convert into
+   * @param {number} count - Number of records that contributed to the totals
+   * @returns {Object} { totals, count, homeCurrency, convertedTotal, unconverted }
+   */
+  static convertTotals(totals = {}, homeCurrency = this.getDefaultCurrency(), count = 0) {
+    const home = this.normalizeCode(homeCurrency, this.getDefaultCurrency());
+    let convertedTotal = 0;
+    const unconverted = [];
+
+    Object.entries(totals).forEach(([currency, amount]) => {
+      const converted = this.convert(amount, currency, home);
+      if (converted === null) {
+        unconverted.push(currency);
+      } else {
+        convertedTotal += converted;
+      }
+    });
+
+    return {
+      totals,
+      count,
+      homeCurrency: home,
+      convertedTotal: Math.round(convertedTotal * 100) / 100,
+      unconverted
+    };
+  }
+
+  /**
+   * Merge several summaries produced by summarize()
+   * @param {Array} summaries - Summaries to merge
+   * @param {string} homeCurrency - Currency to convert the merged total into
+   * @returns {Object} Merged summary
+   */
+  static mergeSummaries(summaries = [], homeCurrency = this.getDefaultCurrency()) {
+    const totals = {};
+    let count = 0;
+
+    summaries.forEach(summary => {
+      if (!summary) {
+        return;
+      }
+      Object.entries(summary.totals || {}).forEach(([currency, amount]) => {
+        totals[currency] = (totals[currency] || 0) + amount;
+      });
+      count += summary.count || 0;
+    });
+
+    return this.convertTotals(totals, homeCurrency, count);
+  }
+
+  /**
+   * Format an amount with its currency code
+   * @param {number} amount - Amount to format
+   * @param {string} currency - ISO currency code
+   * @param {string} locale - Locale for the number format (default: en-US)
+   * @returns {string} Formatted amount (e.g. "3,000.00 EUR", "3 000,00 EUR" for pl-PL)
+   */
+  static formatAmount(amount, currency, locale = 'en-US') {
+    const formatted = LocaleService.formatNumber(amount, locale, {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    });
+    return `${formatted} ${currency}`;
+  }
+
+  /**
+   * Format a summary as a single line for the AI context
+   * @param {Object} summary - Summary produced by summarize()
+   * @param {string} locale - Locale for numbers and wording (default: en-US)
+   * @returns {string} e.g. "7,500.00 USD + 3,000.00 EUR (≈ 10,760.87 USD total)"
+   */
+  static formatSummary(summary, locale = 'en-US') {
+    const currencies = Object.keys(summary?.totals || {}).sort();
+
+    if (currencies.length === 0) {
+      return this.formatAmount(0, summary?.homeCurrency || this.getDefaultCurrency(), locale);
+    }
+
+    const parts = currencies.map(currency => this.formatAmount(summary.totals[currency], currency, locale));
+    const isOnlyHomeCurrency = currencies.length === 1 && currencies[0] === summary.homeCurrency;
+
+    if (isOnlyHomeCurrency) {
+      return parts[0];
+    }
+
+    const convertedTotal = this.formatAmount(summary.convertedTotal, summary.homeCurrency, locale);
+    let line = `${parts.join(' + ')} (${LocaleService.t(locale, 'currency.convertedTotal', { amount: convertedTotal })}`;
+    if (summary.unconverted.length > 0) {
+      line += `, ${LocaleService.t(locale, 'currency.excluding', { currencies: summary.unconverted.join(', ') })}`;
+    }
+    line += ')';
+
+    return line;
+  }
+}
+
+export default CurrencyService;
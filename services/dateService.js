@@ -0,0 +1,266 @@
+/**
+ * Date Service for ModelDay Backend
+ * Parses the date and time formats found in user data and documents into
+ * canonical YYYY-MM-DD dates and HH:MM times, and converts wall-clock times
+ * between IANA time zones
+ *
+ * Configuration (environment variables):
+ * - DEFAULT_TIME_ZONE: time zone used when neither the request nor userProfile sets one (default UTC)
+ */
+
+const MONTHS = {
+  jan: 1, january: 1,
+  feb: 2, february: 2,
+  mar: 3, march: 3,
+  apr: 4, april: 4,
+  may: 5,
+  jun: 6, june: 6,
+  jul: 7, july: 7,
+  aug: 8, august: 8,
+  sep: 9, sept: 9, september: 9,
+  oct: 10, october: 10,
+  nov: 11, november: 11,
+  dec: 12, december: 12
+};
+
+class DateService {
+  /**
+   * Build a YYYY-MM-DD string if the parts form a real calendar date
+   * @param {number} year - Full year
+   * @param {number} month - Month (1-12)
+   * @param {number} day - Day of month
+   * @returns {string|null} ISO date, or null for impossible dates (e.g. 2025-02-30)
+   */
+  static toIsoDate(year, month, day) {
+    if (![year, month, day].every(Number.isInteger)) {
+      return null;
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
+    }
+
+    return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  /**
+   * Check that a value is a real date written as YYYY-MM-DD
+   * @param {string} value - Value to check
+   * @returns {boolean} True for valid ISO dates
+   */
+  static isIsoDate(value) {
+    if (typeof value !== 'string') {
+      return false;
+    }
+    const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    return Boolean(match && this.toIsoDate(+match[1], +match[2], +match[3]));
+  }
+
+  /**
+   * Parse a date written in one of the common document formats
+   * Supports YYYY-MM-DD (optionally with a time part), YYYY/MM/DD, DD/MM/YYYY,
+   * DD.MM.YYYY, MM/DD/YYYY (when the day is above 12), "July 20, 2025" and "20 July 2025"
+   * @param {string|Date} value - Date value
+   * @returns {string|null} YYYY-MM-DD, or null when the value is not a valid date
+   */
+  static parseDate(value) {
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+    }
+
+    if (typeof value !== 'string' || value.trim().length === 0) {
+      return null;
+    }
+
+    const text = value.trim();
+    let match;
+
+    // 2025-07-20, 2025/07/20, 2025-07-20T10:00:00Z
+    if ((match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/))) {
+      return this.toIsoDate(+match[1], +match[2], +match[3]);
+    }
+
+    // 20/07/2025, 20.07.2025, 20-07-2025 (day first unless that is impossible)
+    if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/))) {
+      const first = +match[1];
+      const second = +match[2];
+      const year = +match[3];
+      if (second > 12 && first <= 12) {
+        return this.toIsoDate(year, first, second);
+      }
+      return this.toIsoDate(year, second, first);
+    }
+
+    // July 20, 2025 / Jul 20 2025 / July 20th, 2025
+    if ((match = text.match(/^([A-Za-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/))) {
+      const month = MONTHS[match[1].toLowerCase()];
+      return month ? this.toIsoDate(+match[3], month, +match[2]) : null;
+    }
+
+    // 20 July 2025 / 20th Jul 2025
+    if ((match = text.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([A-Za-z]+)\.?,?\s+(\d{4})$/))) {
+      const month = MONTHS[match[2].toLowerCase()];
+      return month ? this.toIsoDate(+match[3], month, +match[1]) : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse a time of day such as "9:00", "09:00", "9:00 AM", "9 AM" or "0900"
+   * @param {string} value - Time value
+   * @returns {string|null} HH:MM (24-hour), or null when the value is not a valid time
+   */
+  static parseTime(value) {
+    if (typeof value !== 'string' || value.trim().length === 0) {
+      return null;
+    }
+
+    const match = value.trim().match(/^(\d{1,2})(?:[:.h]?(\d{2}))?\s*([AaPp]\.?[Mm]\.?)?$/);
+    if (!match) {
+      return null;
+    }
+
+    let hours = +match[1];
+    const minutes = match[2] ? +match[2] : 0;
+    const meridiem = match[3] ? match[3][0].toLowerCase() : null;
+
+    if (!match[2] && !meridiem) {
+      // A bare number like "9" is too ambiguous to be a time
+      return null;
+    }
+
+    if (meridiem) {
+      if (hours < 1 || hours > 12) {
+        return null;
+      }
+      hours = (hours % 12) + (meridiem === 'p' ? 12 : 0);
+    }
+
+    if (hours > 23 || minutes > 59) {
+      return null;
+    }
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+  }
+
+  /**
+   * Check that a value is an IANA time zone name known to the runtime (e.g. "Europe/Milan")
+   * @param {string} timeZone - Time zone name
+   * @returns {boolean} True for supported zones
+   */
+  static isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || timeZone.trim().length === 0) {
+      return false;
+    }
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timeZone.trim() });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Time zone used when the request and the user profile set none
+   * @returns {string} DEFAULT_TIME_ZONE when valid, otherwise UTC
+   */
+  static getDefaultTimeZone() {
+    const configured = (process.env.DEFAULT_TIME_ZONE || '').trim();
+    return this.isValidTimeZone(configured) ? configured : 'UTC';
+  }
+
+  /**
+   * Pick the user's time zone
+   * @param {...string} candidates - Time zones in order of preference (e.g. request, userProfile.timeZone)
+   * @returns {string} First valid IANA time zone, otherwise the default
+   */
+  static resolveTimeZone(...candidates) {
+    const timeZone = candidates.find(candidate => this.isValidTimeZone(candidate));
+    return timeZone ? timeZone.trim() : this.getDefaultTimeZone();
+  }
+
+  /**
+   * Current date in a time zone
+   * @param {string} timeZone - IANA time zone
+   * @param {Date} now - Reference moment
+   * @returns {string} YYYY-MM-DD
+   */
+  static today(timeZone, now = new Date()) {
+    return this.toZonedDateTime(now, timeZone).date;
+  }
+
+  /**
+   * Convert a wall-clock date and time from one time zone to another
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} time - HH:MM
+   * @param {string} fromZone - Zone the date and time are written in
+   * @param {string} toZone - Target zone
+   * @returns {Object} { date, time } in the target zone
+   */
+  static convertDateTime(date, time, fromZone, toZone) {
+    if (fromZone === toZone) {
+      return { date, time };
+    }
+    return this.toZonedDateTime(this.fromZonedDateTime(date, time, fromZone), toZone);
+  }
+
+  /**
+   * Wall-clock date and time of a moment in a time zone
+   * @param {Date|number} instant - Moment (Date or epoch milliseconds)
+   * @param {string} timeZone - IANA time zone
+   * @returns {Object} { date: 'YYYY-MM-DD', time: 'HH:MM' }
+   */
+  static toZonedDateTime(instant, timeZone) {
+    const parts = Object.fromEntries(
+      this._getFormatter(timeZone)
+        .formatToParts(new Date(instant))
+        .map(part => [part.type, part.value])
+    );
+    const hours = parts.hour === '24' ? '00' : parts.hour;
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      time: `${hours}:${parts.minute}`
+    };
+  }
+
+  /**
+   * Moment at which a wall-clock date and time occurs in a time zone
+   * Times skipped by a daylight saving change are moved forward by the length of the gap
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} time - HH:MM
+   * @param {string} timeZone - IANA time zone
+   * @returns {Date} Moment
+   */
+  static fromZonedDateTime(date, time, timeZone) {
+    const wallClock = Date.parse(`${date}T${time}:00Z`);
+    // The zone offset can differ between the guess and the result around DST changes, so correct twice
+    let instant = wallClock;
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const zoned = this.toZonedDateTime(instant, timeZone);
+      instant += wallClock - Date.parse(`${zoned.date}T${zoned.time}:00Z`);
+    }
+    return new Date(instant);
+  }
+
+  static _getFormatter(timeZone) {
+    if (!this._formatters) {
+      this._formatters = new Map();
+    }
+    if (!this._formatters.has(timeZone)) {
+      this._formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+      }));
+    }
+    return this._formatters.get(timeZone);
+  }
+}
+
+export default DateService;
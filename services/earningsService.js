@@ -0,0 +1,262 @@
+/**
+ * Earnings Service for ModelDay Backend
+ * Gross and net income per job and in total: agency commission, expenses and tax
+ *
+ * Per record (jobs, events, shootings):
+ * - gross = rate (or dayRate) + usageRate + extraHours paid at extraHourRate
+ *   (the rate divided by 8 when no extraHourRate is set)
+ * - commission = gross x commission rate: the record's commissionRate or agencyFee (percent),
+ *   else the commissionRate of its agency (agencyId or agencyName), else of the user's only agency
+ * - expenses = additionalFees + expenses (costs the model pays)
+ * - tax = (gross - commission - expenses) x tax rate: the record's tax or taxRate (percent),
+ *   else userProfile.taxRate, else DEFAULT_TAX_RATE
+ * - net = gross - commission - expenses - tax
+ *
+ * Stay costs (onStays) are deducted from the net total, not from single jobs.
+ *
+ * Configuration (environment variables):
+ * - DEFAULT_TAX_RATE: tax percentage used when neither the record nor the profile sets one (default 0)
+ */
+
+import CurrencyService from './currencyService.js';
+import DateService from './dateService.js';
+import LocaleService from './localeService.js';
+
+// Records that earn money and the fields holding their base amount
+const INCOME_SOURCES = {
+  jobs: { amountFields: ['rate', 'dayRate'], type: 'job' },
+  events: { amountFields: ['dayRate', 'rate'], type: 'event' },
+  shootings: { amountFields: ['rate', 'dayRate'], type: 'shooting' }
+};
+
+// Hours in a working day, used to price extra hours without an extraHourRate
+const WORKDAY_HOURS = 8;
+
+const AMOUNT_KEYS = ['gross', 'commission', 'expenses', 'tax', 'net'];
+
+class EarningsService {
+  /**
+   * Default tax percentage
+   * @returns {number} DEFAULT_TAX_RATE or 0
+   */
+  static getDefaultTaxRate() {
+    const rate = parseFloat(process.env.DEFAULT_TAX_RATE);
+    return Number.isFinite(rate) && rate >= 0 && rate <= 100 ? rate : 0;
+  }
+
+  /**
+   * Keys of userData that hold income records
+   * @returns {Array<string>} ['jobs', 'events', 'shootings']
+   */
+  static getSourceNames() {
+    return Object.keys(INCOME_SOURCES);
+  }
+
+  /**
+   * Calculate gross, deductions and net for one record
+   * @param {Object} record - Job, event or shooting
+   * @param {Object} options - { agencies, userProfile, type, amountFields }
+   * @returns {Object|null} Breakdown in the record's currency, or null when it has no amount
+   */
+  static calculateRecord(record, options = {}) {
+    const {
+      agencies = [],
+      userProfile = {},
+      type = 'job',
+      amountFields = INCOME_SOURCES.jobs.amountFields
+    } = options;
+
+    const amountField = amountFields.find(field => this._toNumber(record?.[field]) !== null);
+    if (!record || !amountField) {
+      return null;
+    }
+
+    const base = this._toNumber(record[amountField]);
+    const usage = this._toNumber(record.usageRate) || 0;
+    const extraHours = this._toNumber(record.extraHours) || 0;
+    const extraHourRate = this._toNumber(record.extraHourRate) ?? base / WORKDAY_HOURS;
+    const extraHoursAmount = extraHours * extraHourRate;
+    const gross = base + usage + extraHoursAmount;
+
+    const { rate: commissionRate, source: commissionSource } = this._resolveCommissionRate(record, agencies);
+    const commission = gross * commissionRate / 100;
+
+    const expenses = (this._toNumber(record.additionalFees) || 0) + (this._toNumber(record.expenses) || 0);
+
+    const { rate: taxRate, source: taxSource } = this._resolveTaxRate(record, userProfile);
+    const tax = Math.max(gross - commission - expenses, 0) * taxRate / 100;
+
+    return {
+      id: record.id || null,
+      source: type,
+      clientName: record.clientName || 'Unknown Client',
+      type: record.type || type,
+      date: DateService.parseDate(record.date),
+      currency: CurrencyService.normalizeCode(record.currency, CurrencyService.getDefaultCurrency()),
+      base: this._round(base),
+      usage: this._round(usage),
+      extraHours,
+      extraHoursAmount: this._round(extraHoursAmount),
+      gross: this._round(gross),
+      commissionRate,
+      commissionSource,
+      commission: this._round(commission),
+      expenses: this._round(expenses),
+      taxRate,
+      taxSource,
+      tax: this._round(tax),
+      net: this._round(gross - commission - expenses - tax)
+    };
+  }
+
+  /**
+   * Calculate earnings for all income records of a user
+   * @param {Object} userData - User data
+   * @param {Object} options - { homeCurrency, filter } (filter: (record, source) => boolean, source being 'jobs', 'events' or 'shootings')
+   * @returns {Object} { homeCurrency, records, bySource, totals, stayCosts, netAfterStays }
+   */
+  static calculate(userData = {}, options = {}) {
+    const homeCurrency = options.homeCurrency || CurrencyService.getHomeCurrency(userData.userProfile || {});
+    const filter = options.filter || null;
+    const records = [];
+    const bySource = {};
+
+    Object.entries(INCOME_SOURCES).forEach(([source, { amountFields, type }]) => {
+      const sourceRecords = (userData[source] || [])
+        .filter(record => record && (!filter || filter(record, source)))
+        .map(record => this.calculateRecord(record, {
+          agencies: userData.agencies || [],
+          userProfile: userData.userProfile || {},
+          type,
+          amountFields
+        }))
+        .filter(Boolean);
+
+      records.push(...sourceRecords);
+      bySource[source] = this.summarize(sourceRecords, homeCurrency);
+    });
+
+    const totals = this.summarize(records, homeCurrency);
+    const stayCosts = CurrencyService.summarize(userData.onStays || [], { amountField: 'cost', homeCurrency });
+    const netAfterStays = this._subtractTotals(totals.net, stayCosts, homeCurrency);
+
+    return {
+      homeCurrency,
+      records,
+      bySource,
+      totals,
+      stayCosts,
+      netAfterStays
+    };
+  }
+
+  /**
+   * Sum gross, commission, expenses, tax and net per currency
+   * @param {Array} breakdowns - Results of calculateRecord()
+   * @param {string} homeCurrency - Currency for the converted totals
+   * @returns {Object} { count, gross, commission, expenses, tax, net } (each a CurrencyService summary)
+   */
+  static summarize(breakdowns, homeCurrency = CurrencyService.getDefaultCurrency()) {
+    return AMOUNT_KEYS.reduce((result, key) => {
+      result[key] = CurrencyService.summarize(breakdowns, { amountField: key, homeCurrency });
+      return result;
+    }, { count: breakdowns.length });
+  }
+
+  /**
+   * Format the deduction and net lines for the statistics section (gross is listed by the caller)
+   * @param {Object} earnings - Result of calculate()
+   * @param {string} locale - Locale for labels and amounts (default: en-US)
+   * @returns {string} Formatted lines
+   */
+  static formatNetIncomeLines(earnings, locale = 'en-US') {
+    const { totals, stayCosts, netAfterStays } = earnings;
+    const label = key => LocaleService.t(locale, `earnings.${key}`);
+    let lines = '';
+
+    if (this._hasAmounts(totals.commission)) {
+      lines += `- ${label('commission')}: -${CurrencyService.formatSummary(totals.commission, locale)}\n`;
+    }
+    if (this._hasAmounts(totals.expenses)) {
+      lines += `- ${label('expenses')}: -${CurrencyService.formatSummary(totals.expenses, locale)}\n`;
+    }
+    if (this._hasAmounts(totals.tax)) {
+      lines += `- ${label('tax')}: -${CurrencyService.formatSummary(totals.tax, locale)}\n`;
+    }
+    lines += `- ${label('net')}: ${CurrencyService.formatSummary(totals.net, locale)}\n`;
+
+    if (stayCosts.count > 0) {
+      lines += `- ${label('netAfterStays')}: ${CurrencyService.formatSummary(netAfterStays, locale)}\n`;
+    }
+
+    return lines;
+  }
+
+  static _resolveCommissionRate(record, agencies) {
+    const ownRate = this._toPercent(record.commissionRate) ?? this._toPercent(record.agencyFee);
+    if (ownRate !== null) {
+      return { rate: ownRate, source: 'record' };
+    }
+
+    const validAgencies = (agencies || []).filter(Boolean);
+    const agencyName = String(record.agencyName || '').trim().toLowerCase();
+    const agency = validAgencies.find(candidate => record.agencyId && candidate.id === record.agencyId) ||
+      (agencyName ? validAgencies.find(candidate => String(candidate.name || '').trim().toLowerCase() === agencyName) : null);
+
+    if (agency && this._toPercent(agency.commissionRate) !== null) {
+      return { rate: this._toPercent(agency.commissionRate), source: 'agency' };
+    }
+
+    // A user with a single agency is booked through it unless the record says otherwise
+    if (!agency && !record.agencyId && !agencyName && validAgencies.length === 1 && this._toPercent(validAgencies[0].commissionRate) !== null) {
+      return { rate: this._toPercent(validAgencies[0].commissionRate), source: 'onlyAgency' };
+    }
+
+    return { rate: 0, source: 'none' };
+  }
+
+  static _resolveTaxRate(record, userProfile) {
+    const ownRate = this._toPercent(record.tax) ?? this._toPercent(record.taxRate);
+    if (ownRate !== null) {
+      return { rate: ownRate, source: 'record' };
+    }
+
+    const profileRate = this._toPercent(userProfile?.taxRate);
+    if (profileRate !== null) {
+      return { rate: profileRate, source: 'profile' };
+    }
+
+    return { rate: this.getDefaultTaxRate(), source: 'default' };
+  }
+
+  /**
+   * Net totals minus stay costs, per currency
+   */
+  static _subtractTotals(net, costs, homeCurrency) {
+    const totals = { ...net.totals };
+    Object.entries(costs.totals).forEach(([currency, amount]) => {
+      totals[currency] = this._round((totals[currency] || 0) - amount);
+    });
+    return CurrencyService.convertTotals(totals, homeCurrency, net.count);
+  }
+
+  static _hasAmounts(summary) {
+    return Object.values(summary.totals || {}).some(amount => amount !== 0);
+  }
+
+  // Same reading of text amounts as the currency totals ("2,500" is 2500)
+  static _toNumber(value) {
+    return CurrencyService.parseAmount(value);
+  }
+
+  static _toPercent(value) {
+    const number = this._toNumber(value);
+    return number !== null && number >= 0 && number <= 100 ? number : null;
+  }
+
+  static _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+export default EarningsService;
@@ -0,0 +1,503 @@
+/**
+ * Email Service for ModelDay Backend
+ * Reads raw RFC 822 / MIME messages (.eml files, booking confirmations forwarded by
+ * users) into plain text that /api/ocr can analyze
+ *
+ * Headers are unfolded and RFC 2047 encoded words decoded; bodies are decoded from
+ * quoted-printable and base64 in their declared charset. The text/plain body is preferred
+ * and HTML bodies are converted to text when there is none. Text-like attachments
+ * (text/*, JSON, XML, calendar files and forwarded messages) are read as well; other
+ * attachments are listed without their contents.
+ */
+
+const EMAIL_ERRORS = {
+  INVALID_EMAIL: { status: 400, message: 'The message is not an RFC 822 e-mail (no headers found)' },
+  EMAIL_NO_TEXT: { status: 422, message: 'The e-mail has no text body or text attachment to analyze' }
+};
+
+// Nested multiparts and forwarded messages read before giving up
+const MAX_DEPTH = 10;
+
+// Characters kept per attachment
+const MAX_ATTACHMENT_CHARACTERS = 20000;
+
+// Attachment types read as text besides text/*
+const TEXT_ATTACHMENT_TYPES = new Set([
+  'application/json',
+  'application/xml',
+  'application/ics',
+  'application/x-ics',
+  'message/rfc822'
+]);
+
+// Reply and forward prefixes removed from the subject hint
+const SUBJECT_PREFIX = /^\s*((re|fw|fwd|aw|wg|tr|rif|odp|pd)\s*(\[\d+\])?\s*:\s*)+/i;
+
+const HTML_ENTITIES = {
+  nbsp: ' ',
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  euro: '€',
+  pound: '£',
+  yen: '¥',
+  copy: '©',
+  reg: '®',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  laquo: '«',
+  raquo: '»'
+};
+
+class EmailService {
+  /**
+   * Parse a raw e-mail
+   * @param {string|Buffer} raw - RFC 822 message (a Buffer keeps 8-bit bodies byte-exact)
+   * @returns {Object} { from, to, subject, date, messageId, text, hasHtml, attachments, warnings }
+   *   - from: { name, address } or null; to: [{ name, address }]
+   *   - date: ISO 8601 timestamp or null
+   *   - text: body text (text/plain, else the HTML body as text)
+   *   - hasHtml: an HTML body was read (multipart/alternative only keeps the plain-text version)
+   *   - attachments: [{ fileName, contentType, size, text, extracted, reason }]
+   * @throws {Error} INVALID_EMAIL when the message has no header block
+   */
+  static parseMessage(raw) {
+    // Work on a byte string so every part can be decoded in its own charset
+    const bytes = (Buffer.isBuffer(raw) ? raw : Buffer.from(String(raw || ''), 'utf8')).toString('latin1');
+    return this._parse(bytes, 0);
+  }
+
+  /**
+   * Parse a message byte string; depth counts the MIME levels above it, forwarded
+   * messages included, so nesting is limited across the whole e-mail
+   */
+  static _parse(bytes, depth) {
+    const { headers, body } = this._splitHeaders(bytes);
+
+    if (!headers.from && !headers.subject && !headers.date && !headers['content-type']) {
+      throw this.createError('INVALID_EMAIL');
+    }
+
+    const warnings = [];
+    const parts = { text: [], html: [], attachments: [] };
+    this._readPart(headers, body, parts, warnings, depth);
+
+    const text = parts.text.length > 0
+      ? parts.text.join('\n\n')
+      : parts.html.map(html => this.htmlToText(html)).join('\n\n');
+
+    return {
+      from: this.parseAddresses(headers.from)[0] || null,
+      to: this.parseAddresses(headers.to),
+      subject: headers.subject ? this.decodeHeader(headers.subject) : null,
+      date: this._parseDate(headers.date),
+      messageId: headers['message-id'] ? headers['message-id'].trim() : null,
+      text: this._cleanText(text),
+      hasHtml: parts.html.length > 0,
+      attachments: parts.attachments,
+      warnings
+    };
+  }
+
+  /**
+   * Build the text sent to the OCR extraction: the main headers, the body and the text of
+   * every readable attachment
+   * @param {Object} email - Result of parseMessage()
+   * @returns {string} Document text
+   * @throws {Error} EMAIL_NO_TEXT when neither the body nor an attachment has text
+   */
+  static buildDocumentText(email) {
+    const attachments = email.attachments.filter(attachment => attachment.text);
+    if (!email.text && attachments.length === 0) {
+      throw this.createError('EMAIL_NO_TEXT');
+    }
+
+    return this._documentText(email);
+  }
+
+  /**
+   * Headers, body and attachment sections of an e-mail (an empty body is allowed)
+   */
+  static _documentText(email) {
+    const attachments = email.attachments.filter(attachment => attachment.text);
+    const headerLines = [
+      email.from && `From: ${this.formatAddress(email.from)}`,
+      email.to.length > 0 && `To: ${email.to.map(address => this.formatAddress(address)).join(', ')}`,
+      email.subject && `Subject: ${email.subject}`,
+      email.date && `Date: ${email.date}`
+    ].filter(Boolean);
+
+    const sections = [headerLines.join('\n'), email.text];
+    attachments.forEach(attachment => {
+      sections.push(`--- Attachment: ${attachment.fileName || attachment.contentType} ---\n${attachment.text}`);
+    });
+
+    return sections.filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * Hints for fields the e-mail headers already answer
+   * @param {Object} email - Result of parseMessage()
+   * @returns {Object} { contactPerson, subject } (null when unknown)
+   */
+  static getHints(email) {
+    const subject = email.subject ? email.subject.replace(SUBJECT_PREFIX, '').trim() : '';
+    return {
+      contactPerson: email.from ? (email.from.name || email.from.address) : null,
+      subject: subject || null
+    };
+  }
+
+  /**
+   * Decode RFC 2047 encoded words ("=?UTF-8?B?...?=", "=?ISO-8859-1?Q?...?=") in a header
+   * @param {string} value - Raw header value (byte string)
+   * @returns {string} Decoded text
+   */
+  static decodeHeader(value) {
+    // Whitespace between two encoded words is not part of the text
+    const source = String(value || '').replace(/(=\?[^?]+\?[bq]\?[^?]*\?=)\s+(?==\?[^?]+\?[bq]\?[^?]*\?=)/gi, '$1');
+    // Text outside encoded words is read as UTF-8 (invalid UTF-8 as Windows-1252)
+    const decodeRaw = text => this._decodeBytes(Buffer.from(text, 'latin1'), 'utf-8');
+    let decoded = '';
+    let position = 0;
+
+    for (const match of source.matchAll(/=\?([^?*]+)(?:\*[^?]*)?\?([bq])\?([^?]*)\?=/gi)) {
+      const [encodedWord, charset, encoding, encoded] = match;
+      const bytes = encoding.toLowerCase() === 'b'
+        ? Buffer.from(encoded, 'base64')
+        : this._decodeQuotedPrintable(encoded.replace(/_/g, ' '));
+      decoded += decodeRaw(source.slice(position, match.index)) + this._decodeBytes(bytes, charset);
+      position = match.index + encodedWord.length;
+    }
+
+    return (decoded + decodeRaw(source.slice(position))).trim();
+  }
+
+  /**
+   * Parse an address list header
+   * @param {string} value - Raw header value ("Anna Nowak <anna@agency.com>, bookings@studio.com")
+   * @returns {Array<Object>} [{ name, address }]
+   */
+  static parseAddresses(value) {
+    if (!value) {
+      return [];
+    }
+
+    const decoded = this.decodeHeader(value);
+    const entries = decoded.match(/("[^"]*"|[^,])+/g) || [];
+
+    return entries.map(entry => {
+      const angle = entry.match(/^\s*(.*?)\s*<([^>]+)>\s*$/);
+      if (angle) {
+        return { name: angle[1].replace(/^"|"$/g, '').trim() || null, address: angle[2].trim() };
+      }
+      // "address (Name)" form
+      const comment = entry.match(/^\s*([^\s()]+@[^\s()]+)\s*\(([^)]*)\)\s*$/);
+      if (comment) {
+        return { name: comment[2].trim() || null, address: comment[1] };
+      }
+      return { name: null, address: entry.trim() };
+    }).filter(address => address.address);
+  }
+
+  /**
+   * Format an address for display ("Anna Nowak <anna@agency.com>")
+   * @param {Object} address - { name, address }
+   * @returns {string} Address text
+   */
+  static formatAddress({ name, address }) {
+    return name ? `${name} <${address}>` : address;
+  }
+
+  /**
+   * Convert an HTML body to readable text (block elements become line breaks)
+   * @param {string} html - HTML
+   * @returns {string} Text
+   */
+  static htmlToText(html) {
+    const text = String(html || '')
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<(head|style|script|title)\b[\s\S]*?<\/\1\s*>/gi, '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<li\b[^>]*>/gi, '\n- ')
+      .replace(/<\/(td|th)\s*>/gi, '\t')
+      .replace(/<\/?(p|div|tr|table|ul|ol|li|h[1-6]|blockquote|section|article|header|footer)\b[^>]*>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+          const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+          return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        }
+        return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+      });
+
+    return this._cleanText(text);
+  }
+
+  /**
+   * Create an error for an e-mail that cannot be read
+   * @param {string} code - Key of EMAIL_ERRORS
+   * @param {string} detail - Underlying problem
+   * @returns {Error} Error with code, status and detail
+   */
+  static createError(code, detail = null) {
+    const definition = EMAIL_ERRORS[code];
+    const error = new Error(definition.message);
+    error.code = code;
+    error.status = definition.status;
+    error.detail = detail;
+    return error;
+  }
+
+  /**
+   * Read one MIME entity into the text, HTML and attachment lists
+   */
+  static _readPart(headers, body, parts, warnings, depth) {
+    const contentType = this._parseHeaderParams(headers['content-type'] || 'text/plain');
+    const disposition = this._parseHeaderParams(headers['content-disposition'] || '');
+    const mimeType = contentType.value.toLowerCase() || 'text/plain';
+    const fileName = this._fileName(disposition.params, contentType.params);
+
+    if (depth > MAX_DEPTH) {
+      warnings.push('The message is nested too deeply; inner parts were skipped');
+      return;
+    }
+
+    if (mimeType.startsWith('multipart/')) {
+      const children = this._splitMultipart(body, contentType.params.boundary);
+      if (children === null) {
+        warnings.push(`${mimeType} part without a boundary was skipped`);
+        return;
+      }
+
+      // Alternatives carry the same content: keep the plain text one, else the HTML one
+      const selected = mimeType === 'multipart/alternative' ? this._pickAlternative(children) : children;
+      selected.forEach(child => this._readPart(child.headers, child.body, parts, warnings, depth + 1));
+      return;
+    }
+
+    const isAttachment = disposition.value.toLowerCase() === 'attachment' || (fileName && disposition.value.toLowerCase() !== 'inline');
+    const bytes = this._decodeTransfer(body, headers['content-transfer-encoding']);
+
+    if (!isAttachment && (mimeType === 'text/plain' || mimeType === 'text/html')) {
+      const text = this._decodeBytes(bytes, contentType.params.charset);
+      (mimeType === 'text/html' ? parts.html : parts.text).push(text);
+      return;
+    }
+
+    parts.attachments.push(this._readAttachment(mimeType, fileName, bytes, contentType.params.charset, warnings, depth));
+  }
+
+  static _readAttachment(mimeType, fileName, bytes, charset, warnings, depth) {
+    const attachment = { fileName, contentType: mimeType, size: bytes.length, text: null, extracted: false, reason: null };
+
+    if (!mimeType.startsWith('text/') && !TEXT_ATTACHMENT_TYPES.has(mimeType)) {
+      attachment.reason = 'Not a text attachment';
+      return attachment;
+    }
+
+    let text;
+    if (mimeType === 'message/rfc822') {
+      // Forwarded message: its headers and text, attachments included
+      if (depth >= MAX_DEPTH) {
+        warnings.push('The message is nested too deeply; inner parts were skipped');
+        attachment.reason = 'Forwarded message nested too deeply';
+        return attachment;
+      }
+      try {
+        const forwarded = this._parse(bytes.toString('latin1'), depth + 1);
+        forwarded.warnings.forEach(warning => {
+          if (!warnings.includes(warning)) {
+            warnings.push(warning);
+          }
+        });
+        // Its headers are kept even when nothing inside it could be read
+        text = this._documentText(forwarded);
+      } catch (error) {
+        attachment.reason = error.message;
+        return attachment;
+      }
+    } else {
+      const decoded = this._decodeBytes(bytes, charset);
+      text = mimeType === 'text/html' ? this.htmlToText(decoded) : this._cleanText(decoded);
+    }
+
+    if (text.length > MAX_ATTACHMENT_CHARACTERS) {
+      warnings.push(`Attachment ${fileName || mimeType} was cut to ${MAX_ATTACHMENT_CHARACTERS} characters`);
+      text = text.slice(0, MAX_ATTACHMENT_CHARACTERS);
+    }
+
+    attachment.text = text || null;
+    attachment.extracted = Boolean(text);
+    attachment.reason = text ? null : 'Attachment is empty';
+    return attachment;
+  }
+
+  /**
+   * Split a message (or part) into unfolded headers and its body
+   * @returns {Object} { headers, body } - header names in lower case, first value kept
+   */
+  static _splitHeaders(bytes) {
+    const match = bytes.match(/\r?\n\r?\n/);
+    const headerBlock = match ? bytes.slice(0, match.index) : bytes;
+    const body = match ? bytes.slice(match.index + match[0].length) : '';
+    const headers = {};
+
+    headerBlock
+      .replace(/\r?\n[ \t]+/g, ' ')
+      .split(/\r?\n/)
+      .forEach(line => {
+        const header = line.match(/^([!-9;-~]+):\s?(.*)$/);
+        if (header && headers[header[1].toLowerCase()] === undefined) {
+          headers[header[1].toLowerCase()] = header[2];
+        }
+      });
+
+    // A block without any header line is body text (a part with no headers)
+    if (Object.keys(headers).length === 0) {
+      return { headers, body: bytes };
+    }
+    return { headers, body };
+  }
+
+  static _splitMultipart(body, boundary) {
+    if (!boundary) {
+      return null;
+    }
+
+    const delimiter = `--${boundary}`;
+    const children = [];
+    const lines = body.split(/\r?\n/);
+    let current = null;
+
+    for (const line of lines) {
+      const trimmed = line.trimEnd();
+      if (trimmed === `${delimiter}--`) {
+        break;
+      }
+      if (trimmed === delimiter) {
+        if (current) {
+          children.push(current.join('\r\n'));
+        }
+        current = [];
+      } else if (current) {
+        current.push(line);
+      }
+    }
+    if (current) {
+      children.push(current.join('\r\n'));
+    }
+
+    return children.map(child => this._splitHeaders(child));
+  }
+
+  static _pickAlternative(children) {
+    const typeOf = child => this._parseHeaderParams(child.headers['content-type'] || 'text/plain').value.toLowerCase();
+    const plain = children.find(child => typeOf(child) === 'text/plain');
+    if (plain) {
+      return [plain];
+    }
+    const html = children.find(child => typeOf(child) === 'text/html');
+    return html ? [html] : children.slice(-1);
+  }
+
+  /**
+   * Parse "value; name=param; name2=\"quoted\"" headers (Content-Type, Content-Disposition)
+   * @returns {Object} { value, params } - parameter names in lower case
+   */
+  static _parseHeaderParams(header) {
+    const [value, ...rest] = String(header).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    const params = {};
+
+    rest.forEach(param => {
+      const match = param.match(/^\s*([^=\s]+)\s*=\s*(.*?)\s*$/);
+      if (match) {
+        params[match[1].toLowerCase()] = match[2].replace(/^"(.*)"$/, '$1');
+      }
+    });
+
+    return { value: value.trim(), params };
+  }
+
+  /**
+   * File name from Content-Disposition or Content-Type, including RFC 2231 (filename*=UTF-8''...)
+   */
+  static _fileName(dispositionParams, typeParams) {
+    const extended = dispositionParams['filename*'] || typeParams['name*'];
+    const match = extended && extended.match(/^([^']*)'[^']*'(.*)$/);
+    if (match) {
+      const bytes = [];
+      match[2].replace(/%([0-9A-Fa-f]{2})|([\s\S])/g, (token, hex, chr) => {
+        bytes.push(hex ? parseInt(hex, 16) : chr.charCodeAt(0) & 0xff);
+        return token;
+      });
+      return this._decodeBytes(Buffer.from(bytes), match[1] || 'utf-8');
+    }
+
+    const name = dispositionParams.filename || typeParams.name;
+    return name ? this.decodeHeader(name) : null;
+  }
+
+  static _decodeTransfer(body, encoding = '') {
+    switch (String(encoding).trim().toLowerCase()) {
+      case 'base64':
+        return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+      case 'quoted-printable':
+        return this._decodeQuotedPrintable(body);
+      default:
+        return Buffer.from(body, 'latin1');
+    }
+  }
+
+  static _decodeQuotedPrintable(text) {
+    const withoutSoftBreaks = String(text).replace(/=\r?\n/g, '');
+    const bytes = [];
+
+    for (let index = 0; index < withoutSoftBreaks.length; index++) {
+      const chr = withoutSoftBreaks[index];
+      const hex = withoutSoftBreaks.slice(index + 1, index + 3);
+      if (chr === '=' && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+        bytes.push(parseInt(hex, 16));
+        index += 2;
+      } else {
+        bytes.push(chr.charCodeAt(0) & 0xff);
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Decode bytes in a charset (UTF-8 by default; invalid UTF-8 is read as Windows-1252)
+   */
+  static _decodeBytes(bytes, charset = 'utf-8') {
+    const label = String(charset || 'utf-8').trim().toLowerCase();
+
+    try {
+      return new TextDecoder(label, { fatal: label === 'utf-8' || label === 'utf8' || label === 'us-ascii' }).decode(bytes);
+    } catch (error) {
+      return new TextDecoder('windows-1252').decode(bytes);
+    }
+  }
+
+  static _parseDate(value) {
+    if (!value) {
+      return null;
+    }
+    const timestamp = Date.parse(value.replace(/\s*\([^)]*\)\s*$/, ''));
+    return Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString();
+  }
+
+  static _cleanText(text) {
+    return String(text || '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/[ \t ]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
+
+export default EmailService;
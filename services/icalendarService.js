@@ -0,0 +1,988 @@
+/**
+ * iCalendar Service for ModelDay Backend
+ * Writes the user's schedule as an RFC 5545 iCalendar (.ics) feed so bookings can be
+ * added to phone and desktop calendars
+ *
+ * Jobs, events (castings, fittings, ...), meetings and shootings become timed events when
+ * they have a start time and all-day events otherwise; stays become all-day spans from
+ * check-in to check-out. Times are written in UTC when their time zone is known (the
+ * record's timeZone, else the user's) and as floating local time, as entered, otherwise.
+ *
+ * Parsing reads VEVENTs from feeds sent by agencies and calendar apps: TZID, UTC and
+ * floating times, all-day events, DURATION, and RRULE/RDATE/EXDATE recurrence with
+ * RECURRENCE-ID overrides, expanded into single occurrences.
+ */
+
+import crypto from 'crypto';
+import DateService from './dateService.js';
+import CurrencyService from './currencyService.js';
+
+const PRODUCT_ID = '-//ModelDay//ModelDay Backend//EN';
+const DEFAULT_CALENDAR_NAME = 'ModelDay';
+const UID_DOMAIN = 'modelday.app';
+
+// Assumed length (minutes) of entries that have a start time but no end time
+const DEFAULT_DURATIONS = {
+  job: 240,
+  event: 120,
+  meeting: 60,
+  shooting: 240
+};
+
+// Longest line in octets before folding (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75;
+
+const STATUS_MAP = {
+  confirmed: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  booked: 'CONFIRMED',
+  option: 'TENTATIVE',
+  tentative: 'TENTATIVE',
+  pending: 'TENTATIVE',
+  cancelled: 'CANCELLED',
+  canceled: 'CANCELLED'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Occurrences expanded per recurring event, and how far ahead open-ended rules are expanded
+const MAX_OCCURRENCES = 100;
+const RECURRENCE_HORIZON_DAYS = 365;
+
+// Rule periods walked per recurring event (a rule that never matches must still end)
+const MAX_RECURRENCE_PERIODS = 3660;
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const SUPPORTED_RULE_PARTS = new Set(['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'WKST']);
+
+// Windows zone names sent by Outlook and Exchange
+const WINDOWS_TIME_ZONES = {
+  'UTC': 'UTC',
+  'GMT Standard Time': 'Europe/London',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Central European Standard Time': 'Europe/Warsaw',
+  'E. Europe Standard Time': 'Europe/Chisinau',
+  'GTB Standard Time': 'Europe/Bucharest',
+  'Russian Standard Time': 'Europe/Moscow',
+  'Eastern Standard Time': 'America/New_York',
+  'Central Standard Time': 'America/Chicago',
+  'Mountain Standard Time': 'America/Denver',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'China Standard Time': 'Asia/Shanghai',
+  'AUS Eastern Standard Time': 'Australia/Sydney'
+};
+
+/**
+ * Errors raised while reading an iCalendar payload (code is returned to the client)
+ */
+const ICS_ERRORS = {
+  INVALID_ICS: { status: 400, message: 'The payload is not a valid iCalendar file (BEGIN:VCALENDAR is missing)' }
+};
+
+class ICalendarService {
+  /**
+   * Build an iCalendar feed from user data
+   * @param {Object} userData - User data (jobs, events, meetings, shootings, onStays)
+   * @param {Object} options - { calendarName, now, timeZone } (timeZone defaults to userProfile.timeZone)
+   * @returns {Object} { calendar, eventCount, skipped } - calendar is the .ics text (CRLF line endings)
+   */
+  static buildCalendar(userData = {}, options = {}) {
+    const { calendarName = DEFAULT_CALENDAR_NAME, now = new Date() } = options;
+    const userZone = [options.timeZone, userData.userProfile?.timeZone].find(zone => DateService.isValidTimeZone(zone)) || null;
+    const stamp = this.formatUtcDateTime(now);
+    const entries = this._collectEntries(userData, userZone);
+    const skipped = entries.filter(entry => !entry.start).length;
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(calendarName)}`
+    ];
+    if (userZone) {
+      lines.push(`X-WR-TIMEZONE:${userZone}`);
+    }
+
+    const exported = entries.filter(entry => entry.start);
+    exported.forEach(entry => {
+      lines.push(...this._buildEvent(entry, stamp));
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return {
+      calendar: lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n',
+      eventCount: exported.length,
+      skipped
+    };
+  }
+
+  /**
+   * Parse an iCalendar payload into single event occurrences
+   * Recurring events are expanded from `from` (or today) on: at most 100 occurrences each,
+   * open-ended rules up to a year ahead. DTSTART and RDATEs are always kept. Timed occurrences are converted to `timeZone` when it is given,
+   * otherwise they keep the wall-clock time of their own zone.
+   * @param {string} text - iCalendar text
+   * @param {Object} options - { timeZone, from, until, now } (from/until: YYYY-MM-DD range filter)
+   * @returns {Object} { calendarName, timeZone, events, warnings }
+   * @throws {Error} With code INVALID_ICS when the text is not an iCalendar file
+   */
+  static parseCalendar(text, options = {}) {
+    if (typeof text !== 'string' || !/^BEGIN:VCALENDAR\s*$/im.test(text)) {
+      throw this.createError('INVALID_ICS');
+    }
+
+    const { timeZone = null, from = null, until = null, now = new Date() } = options;
+    const warnings = [];
+    const { properties, events: rawEvents } = this._readComponents(this._unfoldLines(text));
+    const calendarZone = this._resolveTimeZone(properties['X-WR-TIMEZONE']?.[0]?.value, warnings);
+
+    const events = rawEvents
+      .map(raw => this._readEvent(raw, calendarZone, warnings))
+      .filter(Boolean);
+
+    // RECURRENCE-ID components replace single occurrences of their recurring event
+    const overrides = new Map();
+    events.filter(event => event.recurrenceId).forEach(event => {
+      overrides.set(`${event.uid}|${event.recurrenceId}`, event);
+    });
+
+    const windowStart = from || DateService.parseDate(now);
+    const horizon = until || this._addDays(windowStart, RECURRENCE_HORIZON_DAYS);
+    const occurrences = [];
+
+    events.filter(event => !event.recurrenceId).forEach(event => {
+      if (!event.rrule && event.rdates.length === 0) {
+        occurrences.push(event);
+        return;
+      }
+
+      this._expandRecurrence(event, windowStart, horizon, warnings).forEach(start => {
+        const override = overrides.get(`${event.uid}|${start.date}`);
+        overrides.delete(`${event.uid}|${start.date}`);
+        occurrences.push(override
+          ? { ...override, recurring: true }
+          : this._shiftOccurrence(event, start));
+      });
+    });
+
+    // Overrides whose recurring event was not in the payload are kept as single events
+    occurrences.push(...overrides.values());
+
+    const converted = occurrences
+      .map(event => this._toOutputZone(event, timeZone))
+      .filter(event => (!from || (event.endDate || event.startDate) >= from) && (!until || event.startDate <= until))
+      .sort((a, b) => `${a.startDate} ${a.startTime || ''}`.localeCompare(`${b.startDate} ${b.startTime || ''}`));
+
+    return {
+      calendarName: properties['X-WR-CALNAME']?.[0]?.value || null,
+      timeZone: calendarZone,
+      events: converted.map(({ zone, durationDays, durationMinutes, recurrenceId, rrule, rdates, exdates, ...event }) => event),
+      warnings: [...new Set(warnings)]
+    };
+  }
+
+  /**
+   * Create an error for an iCalendar problem
+   * @param {string} code - Key of ICS_ERRORS
+   * @param {string} detail - Underlying parser message
+   * @returns {Error} Error with code, status and detail
+   */
+  static createError(code, detail = null) {
+    const definition = ICS_ERRORS[code];
+    const error = new Error(definition.message);
+    error.code = code;
+    error.status = definition.status;
+    error.detail = detail;
+    return error;
+  }
+
+  /**
+   * Unescape a TEXT value
+   * @param {string} text - Escaped text
+   * @returns {string} Raw text
+   */
+  static unescapeText(text) {
+    return String(text ?? '').replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+  }
+
+  /**
+   * Escape a TEXT value (backslash, semicolon, comma and newlines)
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  static escapeText(text) {
+    return String(text ?? '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r\n|\r|\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line longer than 75 octets (continuation lines start with a space)
+   * Multi-byte characters are never split
+   * @param {string} line - Unfolded content line
+   * @returns {string} Folded line joined with CRLF
+   */
+  static foldLine(line) {
+    if (Buffer.byteLength(line, 'utf8') <= MAX_LINE_OCTETS) {
+      return line;
+    }
+
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+    let limit = MAX_LINE_OCTETS;
+
+    for (const char of line) {
+      const octets = Buffer.byteLength(char, 'utf8');
+      if (currentOctets + octets > limit) {
+        parts.push(current);
+        current = '';
+        currentOctets = 0;
+        // Continuation lines lose one octet to the leading space
+        limit = MAX_LINE_OCTETS - 1;
+      }
+      current += char;
+      currentOctets += octets;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+
+  /**
+   * Format a moment as a UTC DATE-TIME (e.g. 20250815T090000Z)
+   * @param {Date} date - Moment
+   * @returns {string} UTC date-time
+   */
+  static formatUtcDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Normalize calendar entities into exportable entries
+   */
+  static _collectEntries(userData, userZone = null) {
+    const entries = [];
+
+    const addTimed = (type, record, index, { title, category, time }) => {
+      const date = DateService.parseDate(record.date);
+      const endDate = DateService.parseDate(record.endDate);
+      entries.push({
+        type,
+        id: record.id || `${type}-${index + 1}`,
+        title,
+        category,
+        start: date,
+        endDate: endDate && date && endDate > date ? endDate : null,
+        startTime: DateService.parseTime(time || ''),
+        endTime: DateService.parseTime(record.endTime || ''),
+        timeZone: DateService.isValidTimeZone(record.timeZone) ? record.timeZone : userZone,
+        location: record.location || null,
+        description: this._describe(record),
+        status: this._mapStatus(record.status)
+      });
+    };
+
+    (userData.jobs || []).filter(Boolean).forEach((job, index) => {
+      addTimed('job', job, index, {
+        title: `${job.type || 'Job'}: ${job.clientName || 'Unknown Client'}`,
+        category: 'Job',
+        time: job.time || job.startTime
+      });
+    });
+
+    (userData.events || []).filter(Boolean).forEach((event, index) => {
+      const label = this._eventLabel(event.type);
+      addTimed('event', event, index, {
+        title: `${label}: ${event.clientName || 'Event'}`,
+        category: label,
+        time: event.startTime || event.time
+      });
+    });
+
+    (userData.meetings || []).filter(Boolean).forEach((meeting, index) => {
+      addTimed('meeting', meeting, index, {
+        title: `Meeting: ${meeting.clientName || 'Unknown Client'}`,
+        category: 'Meeting',
+        time: meeting.time || meeting.startTime
+      });
+    });
+
+    (userData.shootings || []).filter(Boolean).forEach((shooting, index) => {
+      addTimed('shooting', shooting, index, {
+        title: `Shooting: ${shooting.clientName || 'Unknown Client'}`,
+        category: 'Shooting',
+        time: shooting.startTime || shooting.time
+      });
+    });
+
+    (userData.onStays || []).filter(Boolean).forEach((stay, index) => {
+      const checkIn = DateService.parseDate(stay.checkInDate);
+      const checkOut = DateService.parseDate(stay.checkOutDate);
+      entries.push({
+        type: 'onStay',
+        id: stay.id || `onStay-${index + 1}`,
+        title: `Stay: ${stay.locationName || 'Accommodation'}`,
+        category: 'Stay',
+        start: checkIn,
+        endDate: checkOut && checkIn && checkOut > checkIn ? checkOut : null,
+        startTime: null,
+        endTime: null,
+        location: stay.address || stay.locationName || null,
+        description: this._describe(stay, 'cost'),
+        status: this._mapStatus(stay.status)
+      });
+    });
+
+    return entries;
+  }
+
+  /**
+   * Build the VEVENT lines of one entry
+   */
+  static _buildEvent(entry, stamp) {
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${this._buildUid(entry)}`,
+      `DTSTAMP:${stamp}`
+    ];
+
+    if (entry.startTime) {
+      const start = this._formatLocalDateTime(entry.start, entry.startTime);
+      lines.push(`DTSTART:${this._zonedValue(start, entry.timeZone)}`);
+      lines.push(`DTEND:${this._zonedValue(this._formatTimedEnd(entry), entry.timeZone)}`);
+    } else {
+      // All-day: DTEND is the day after the last day (exclusive)
+      lines.push(`DTSTART;VALUE=DATE:${entry.start.replace(/-/g, '')}`);
+      lines.push(`DTEND;VALUE=DATE:${this._addDays(entry.endDate || entry.start, 1).replace(/-/g, '')}`);
+    }
+
+    lines.push(`SUMMARY:${this.escapeText(entry.title)}`);
+    if (entry.location) {
+      lines.push(`LOCATION:${this.escapeText(entry.location)}`);
+    }
+    if (entry.description) {
+      lines.push(`DESCRIPTION:${this.escapeText(entry.description)}`);
+    }
+    lines.push(`CATEGORIES:${this.escapeText(entry.category)}`);
+    if (entry.status) {
+      lines.push(`STATUS:${entry.status}`);
+    }
+    lines.push(`X-MODELDAY-TYPE:${entry.type}`);
+    lines.push(`X-MODELDAY-ID:${this.escapeText(entry.id)}`);
+    lines.push('END:VEVENT');
+
+    return lines;
+  }
+
+  /**
+   * End of a timed entry: endTime (on the end date, or the next day when it is before the
+   * start on a single-day entry), otherwise start plus the default duration
+   */
+  static _formatTimedEnd(entry) {
+    const endDate = entry.endDate || entry.start;
+    if (entry.endTime && (entry.endDate || entry.endTime > entry.startTime)) {
+      return this._formatLocalDateTime(endDate, entry.endTime);
+    }
+    if (entry.endTime) {
+      return this._formatLocalDateTime(this._addDays(endDate, 1), entry.endTime);
+    }
+
+    const [hours, minutes] = entry.startTime.split(':').map(Number);
+    const startMs = Date.parse(`${entry.start}T00:00:00Z`) + (hours * 60 + minutes) * 60000;
+    const end = new Date(startMs + DEFAULT_DURATIONS[entry.type] * 60000);
+    // Floating local time: format the UTC parts without the Z suffix
+    return this.formatUtcDateTime(end).replace('Z', '');
+  }
+
+  /**
+   * Local date-time value (YYYYMMDDTHHMMSS) as UTC when its time zone is known, floating otherwise
+   */
+  static _zonedValue(value, timeZone) {
+    if (!timeZone) {
+      return value;
+    }
+    const date = `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+    const time = `${value.slice(9, 11)}:${value.slice(11, 13)}`;
+    return this.formatUtcDateTime(DateService.fromZonedDateTime(date, time, timeZone));
+  }
+
+  static _formatLocalDateTime(date, time) {
+    return `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+  }
+
+  static _addDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Stable UID so re-importing the feed updates events instead of duplicating them
+   */
+  static _buildUid(entry) {
+    const safeId = String(entry.id).replace(/[^A-Za-z0-9._-]/g, '');
+    const id = safeId || crypto.createHash('sha1').update(String(entry.id)).digest('hex').slice(0, 16);
+    return `${entry.type}-${id}@${UID_DOMAIN}`;
+  }
+
+  static _describe(record, amountField = null) {
+    const lines = [];
+    const amount = amountField ? record[amountField] : (record.rate ?? record.dayRate);
+    const currency = CurrencyService.normalizeCode(record.currency, CurrencyService.getDefaultCurrency());
+
+    if (amount !== undefined && amount !== null && amount !== '') {
+      lines.push(`${amountField === 'cost' ? 'Cost' : 'Rate'}: ${amount} ${currency}`);
+    }
+    if (record.status) {
+      lines.push(`Status: ${record.status}`);
+    }
+    if (record.paymentStatus) {
+      lines.push(`Payment: ${record.paymentStatus}`);
+    }
+    if (record.notes) {
+      lines.push(`Notes: ${record.notes}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  static _eventLabel(type) {
+    const label = type ? type.toString().split('.').pop() : '';
+    return label ? label.charAt(0).toUpperCase() + label.slice(1) : 'Event';
+  }
+
+  static _mapStatus(status) {
+    return STATUS_MAP[String(status || '').trim().toLowerCase()] || null;
+  }
+
+  /**
+   * Split text into unfolded content lines
+   */
+  static _unfoldLines(text) {
+    return text
+      .replace(/\r\n|\r/g, '\n')
+      .replace(/\n[ \t]/g, '')
+      .split('\n')
+      .filter(line => line.trim().length > 0);
+  }
+
+  /**
+   * Parse "NAME;PARAM=value;PARAM="quoted":value" into { name, params, value }
+   */
+  static _parseContentLine(line) {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') {
+        inQuotes = !inQuotes;
+      } else if (line[i] === ':' && !inQuotes) {
+        colon = i;
+        break;
+      }
+    }
+    if (colon <= 0) {
+      return null;
+    }
+
+    const [name, ...rawParams] = line.slice(0, colon).match(/(?:[^;"]+|"[^"]*")+/g) || [];
+    const params = {};
+    rawParams.forEach(param => {
+      const equals = param.indexOf('=');
+      if (equals > 0) {
+        params[param.slice(0, equals).toUpperCase()] = param.slice(equals + 1).replace(/^"|"$/g, '');
+      }
+    });
+
+    return { name: (name || '').toUpperCase(), params, value: line.slice(colon + 1) };
+  }
+
+  /**
+   * Collect calendar-level properties and the properties of each VEVENT (nested VALARMs are ignored)
+   */
+  static _readComponents(lines) {
+    const properties = {};
+    const events = [];
+    const stack = [];
+
+    lines.forEach(line => {
+      const parsed = this._parseContentLine(line);
+      if (!parsed) {
+        return;
+      }
+
+      if (parsed.name === 'BEGIN') {
+        stack.push(parsed.value.trim().toUpperCase());
+        if (stack[stack.length - 1] === 'VEVENT') {
+          events.push({});
+        }
+        return;
+      }
+      if (parsed.name === 'END') {
+        stack.pop();
+        return;
+      }
+
+      const current = stack[stack.length - 1];
+      const target = current === 'VEVENT' ? events[events.length - 1] : (current === 'VCALENDAR' ? properties : null);
+      if (target) {
+        (target[parsed.name] = target[parsed.name] || []).push({ params: parsed.params, value: parsed.value });
+      }
+    });
+
+    return { properties, events };
+  }
+
+  /**
+   * Normalize one VEVENT (null when it has no usable DTSTART)
+   */
+  static _readEvent(raw, calendarZone, warnings) {
+    const text = name => (raw[name]?.[0] ? this.unescapeText(raw[name][0].value).trim() : null);
+    const summary = text('SUMMARY') || '';
+    const dtstart = raw.DTSTART?.[0];
+    const start = dtstart ? this._parseDateValue(dtstart.value) : null;
+
+    if (!start) {
+      warnings.push(`Skipped "${summary || 'untitled event'}": missing or invalid DTSTART`);
+      return null;
+    }
+
+    const allDay = !start.time;
+    const zone = allDay ? null : this._valueZone(start, dtstart.params, calendarZone, warnings);
+    const event = {
+      uid: text('UID') || `${start.date}-${summary}`,
+      summary,
+      description: text('DESCRIPTION'),
+      location: text('LOCATION'),
+      categories: (raw.CATEGORIES || [])
+        .flatMap(entry => entry.value.split(/(?<!\\),/))
+        .map(category => this.unescapeText(category).trim())
+        .filter(Boolean),
+      status: text('STATUS')?.toUpperCase() || null,
+      modeldayType: text('X-MODELDAY-TYPE'),
+      modeldayId: text('X-MODELDAY-ID'),
+      allDay,
+      startDate: start.date,
+      startTime: start.time,
+      zone,
+      recurring: false,
+      recurrenceId: null,
+      rrule: null,
+      rdates: [],
+      exdates: new Set()
+    };
+
+    // Duration from DTEND or DURATION: whole days for all-day events, minutes otherwise
+    const dtend = raw.DTEND?.[0];
+    const end = dtend ? this._parseDateValue(dtend.value) : null;
+    const duration = raw.DURATION?.[0] ? this._parseDuration(raw.DURATION[0].value) : null;
+
+    if (allDay) {
+      const days = end ? this._daysBetween(start.date, end.date) : Math.floor((duration || 0) / 1440);
+      event.durationDays = Math.max(days, 1);
+    } else if (end && end.time) {
+      const endZone = this._valueZone(end, dtend.params, calendarZone, warnings);
+      event.durationMinutes = Math.max(this._minutesBetween(start, zone, end, endZone), 0);
+    } else {
+      event.durationMinutes = duration || 0;
+    }
+    Object.assign(event, this._applyDuration(event, event.startDate, event.startTime));
+
+    const recurrenceId = raw['RECURRENCE-ID']?.[0];
+    if (recurrenceId) {
+      event.recurrenceId = this._dateInZone(recurrenceId, zone, calendarZone, warnings);
+      event.recurring = true;
+    }
+
+    if (raw.RRULE?.[0]) {
+      event.rrule = this._parseRule(raw.RRULE[0].value, summary, warnings);
+    }
+    (raw.RDATE || []).forEach(entry => {
+      entry.value.split(',').forEach(value => {
+        const date = this._dateInZone({ params: entry.params, value: value.split('/')[0] }, zone, calendarZone, warnings);
+        if (date) {
+          event.rdates.push(date);
+        }
+      });
+    });
+    (raw.EXDATE || []).forEach(entry => {
+      entry.value.split(',').forEach(value => {
+        const date = this._dateInZone({ params: entry.params, value }, zone, calendarZone, warnings);
+        if (date) {
+          event.exdates.add(date);
+        }
+      });
+    });
+
+    return event;
+  }
+
+  /**
+   * Parse DATE (20250815) and DATE-TIME (20250815T090000, 20250815T070000Z) values
+   */
+  static _parseDateValue(value) {
+    const match = String(value || '').trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) {
+      return null;
+    }
+
+    const date = DateService.toIsoDate(+match[1], +match[2], +match[3]);
+    if (!date || (match[4] && (+match[4] > 23 || +match[5] > 59))) {
+      return null;
+    }
+
+    return {
+      date,
+      time: match[4] ? `${match[4]}:${match[5]}` : null,
+      utc: Boolean(match[7])
+    };
+  }
+
+  /**
+   * Zone of a DATE-TIME value: UTC, its TZID, or the calendar zone for floating times
+   */
+  static _valueZone(parsed, params, calendarZone, warnings) {
+    if (parsed.utc) {
+      return 'UTC';
+    }
+    if (params.TZID) {
+      return this._resolveTimeZone(params.TZID, warnings);
+    }
+    return calendarZone;
+  }
+
+  /**
+   * Date of a RECURRENCE-ID, RDATE or EXDATE value in the event's own zone
+   */
+  static _dateInZone(entry, zone, calendarZone, warnings) {
+    const parsed = this._parseDateValue(entry.value);
+    if (!parsed) {
+      return null;
+    }
+    const valueZone = parsed.time ? this._valueZone(parsed, entry.params, calendarZone, warnings) : null;
+    if (!parsed.time || !zone || !valueZone || valueZone === zone) {
+      return parsed.date;
+    }
+    return DateService.toZonedDateTime(DateService.fromZonedDateTime(parsed.date, parsed.time, valueZone), zone).date;
+  }
+
+  /**
+   * Map a TZID to an IANA zone: IANA names, Windows names, and prefixed names such as
+   * "/mozilla.org/20050126_1/Europe/Berlin" (null, with a warning, when unknown)
+   */
+  static _resolveTimeZone(tzid, warnings) {
+    if (!tzid) {
+      return null;
+    }
+
+    const name = String(tzid).replace(/^"|"$/g, '').trim();
+    if (DateService.isValidTimeZone(name)) {
+      return name;
+    }
+    if (WINDOWS_TIME_ZONES[name]) {
+      return WINDOWS_TIME_ZONES[name];
+    }
+
+    const suffix = name.match(/([A-Za-z]+(?:\/[A-Za-z0-9_+-]+)+)$/);
+    for (let candidate = suffix?.[1]; candidate; candidate = candidate.split('/').slice(1).join('/')) {
+      if (candidate.includes('/') && DateService.isValidTimeZone(candidate)) {
+        return candidate;
+      }
+    }
+
+    warnings.push(`Unknown time zone "${name}": times are kept as written`);
+    return null;
+  }
+
+  /**
+   * Parse a DURATION value (P1W, P2D, PT1H30M) into minutes
+   */
+  static _parseDuration(value) {
+    const match = String(value || '').trim().match(/^(-)?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match || match[1]) {
+      return null;
+    }
+    const [, , weeks = 0, days = 0, hours = 0, minutes = 0] = match;
+    return ((+weeks * 7 + +days) * 24 + +hours) * 60 + +minutes;
+  }
+
+  /**
+   * Parse an RRULE (null, with a warning, for frequencies below a day)
+   */
+  static _parseRule(value, summary, warnings) {
+    const parts = Object.fromEntries(value.split(';').map(part => {
+      const [key, ...rest] = part.split('=');
+      return [key.trim().toUpperCase(), rest.join('=').trim()];
+    }));
+
+    if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(parts.FREQ)) {
+      warnings.push(`"${summary}": recurrence FREQ=${parts.FREQ || '?'} is not supported, only the first occurrence was imported`);
+      return null;
+    }
+
+    Object.keys(parts)
+      .filter(key => key && !SUPPORTED_RULE_PARTS.has(key))
+      .forEach(key => warnings.push(`"${summary}": recurrence part ${key} is not supported and was ignored`));
+
+    const numbers = list => (list ? list.split(',').map(Number).filter(Number.isInteger) : null);
+    const byDay = parts.BYDAY
+      ? parts.BYDAY.split(',')
+        .map(code => code.trim().toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/))
+        .filter(Boolean)
+        .map(match => ({ ordinal: match[1] ? +match[1] : null, weekday: match[2] }))
+      : null;
+
+    return {
+      freq: parts.FREQ,
+      interval: Math.max(parseInt(parts.INTERVAL, 10) || 1, 1),
+      count: parseInt(parts.COUNT, 10) || null,
+      until: parts.UNTIL ? this._parseDateValue(parts.UNTIL) : null,
+      byDay: byDay?.length ? byDay : null,
+      byMonthDay: numbers(parts.BYMONTHDAY),
+      byMonth: numbers(parts.BYMONTH),
+      weekStart: WEEKDAYS.includes(parts.WKST) ? parts.WKST : 'MO'
+    };
+  }
+
+  /**
+   * Start dates of a recurring event: DTSTART, the dates produced by its RRULE (up to COUNT,
+   * UNTIL or the horizon) and RDATEs, minus EXDATEs
+   * Rule dates before `windowStart` are skipped without counting toward MAX_OCCURRENCES, so a
+   * long-running series still yields its upcoming dates
+   */
+  static _expandRecurrence(event, windowStart, horizon, warnings) {
+    const rule = event.rrule;
+    const dates = [event.startDate];
+
+    if (rule) {
+      let until = rule.until?.date || null;
+      if (rule.until?.utc && rule.until.time && event.zone) {
+        until = DateService.toZonedDateTime(DateService.fromZonedDateTime(rule.until.date, rule.until.time, 'UTC'), event.zone).date;
+      }
+      const last = until && until < horizon ? until : horizon;
+
+      // COUNT includes every occurrence since DTSTART, so those rules are walked from the start;
+      // the others jump to the period that reaches the window
+      const firstPeriod = rule.count ? 0 : this._periodsBefore(event.startDate, windowStart, rule);
+      let generated = 1;
+      let kept = 0;
+      let done = false;
+
+      // Each period is one day, week, month or year of the rule; stop once a period starts past the last date
+      for (let period = firstPeriod; !done; period++) {
+        if (period - firstPeriod >= MAX_RECURRENCE_PERIODS) {
+          warnings.push(`"${event.summary}": recurrence expansion stopped after ${MAX_RECURRENCE_PERIODS} periods`);
+          break;
+        }
+        const { anchor, candidates } = this._periodDates(event.startDate, rule, period);
+        if (anchor > last) {
+          break;
+        }
+
+        for (const date of candidates.filter(candidate => candidate > event.startDate && candidate <= last).sort()) {
+          if (rule.count && generated >= rule.count) {
+            done = true;
+            break;
+          }
+          generated++;
+          if (date < windowStart) {
+            continue;
+          }
+          if (kept >= MAX_OCCURRENCES) {
+            warnings.push(`"${event.summary}": only the first ${MAX_OCCURRENCES} occurrences from ${windowStart} were imported`);
+            done = true;
+            break;
+          }
+          dates.push(date);
+          kept++;
+        }
+      }
+    }
+
+    return [...new Set([...dates, ...event.rdates])]
+      .filter(date => !event.exdates.has(date))
+      .sort()
+      .map(date => ({ date, time: event.startTime }));
+  }
+
+  /**
+   * Number of whole rule periods between DTSTART and a date (rounded down, so the
+   * period holding the date is never skipped)
+   */
+  static _periodsBefore(startDate, date, rule) {
+    if (date <= startDate) {
+      return 0;
+    }
+
+    const [startYear, startMonth] = startDate.split('-').map(Number);
+    const [year, month] = date.split('-').map(Number);
+    let units;
+    if (rule.freq === 'DAILY') {
+      units = this._daysBetween(startDate, date);
+    } else if (rule.freq === 'WEEKLY') {
+      // One week less: periods start on WKST, before DTSTART's weekday
+      units = Math.floor(this._daysBetween(startDate, date) / 7) - 1;
+    } else if (rule.freq === 'MONTHLY') {
+      units = (year - startYear) * 12 + (month - startMonth) - 1;
+    } else {
+      units = year - startYear - 1;
+    }
+
+    return Math.max(Math.floor(units / rule.interval), 0);
+  }
+
+  /**
+   * Candidate dates of one rule period (period 0 contains DTSTART)
+   */
+  static _periodDates(startDate, rule, period) {
+    const [year, month] = startDate.split('-').map(Number);
+    const day = +startDate.slice(8, 10);
+    const step = period * rule.interval;
+    let anchor;
+    let candidates;
+
+    if (rule.freq === 'DAILY') {
+      anchor = this._addDays(startDate, step);
+      candidates = [anchor];
+    } else if (rule.freq === 'WEEKLY') {
+      const weekStart = WEEKDAYS.indexOf(rule.weekStart);
+      const offset = (this._weekday(startDate) - weekStart + 7) % 7;
+      anchor = this._addDays(startDate, step * 7 - offset);
+      const weekdays = rule.byDay ? rule.byDay.map(entry => entry.weekday) : [WEEKDAYS[this._weekday(startDate)]];
+      candidates = weekdays.map(code => this._addDays(anchor, (WEEKDAYS.indexOf(code) - weekStart + 7) % 7));
+    } else if (rule.freq === 'MONTHLY') {
+      const monthIndex = month - 1 + step;
+      const periodYear = year + Math.floor(monthIndex / 12);
+      const periodMonth = (monthIndex % 12) + 1;
+      anchor = DateService.toIsoDate(periodYear, periodMonth, 1);
+      candidates = this._monthDates(periodYear, periodMonth, rule, day);
+    } else {
+      anchor = DateService.toIsoDate(year + step, 1, 1);
+      candidates = (rule.byMonth || [month]).flatMap(periodMonth => this._monthDates(year + step, periodMonth, rule, day));
+    }
+
+    if (rule.byMonth && rule.freq !== 'YEARLY') {
+      candidates = candidates.filter(date => rule.byMonth.includes(+date.slice(5, 7)));
+    }
+    if (rule.freq === 'DAILY' && rule.byDay) {
+      candidates = candidates.filter(date => rule.byDay.some(entry => entry.weekday === WEEKDAYS[this._weekday(date)]));
+    }
+    if (['DAILY', 'WEEKLY'].includes(rule.freq) && rule.byMonthDay) {
+      candidates = candidates.filter(date => rule.byMonthDay.includes(+date.slice(8, 10)));
+    }
+
+    return { anchor, candidates: candidates.filter(Boolean).sort() };
+  }
+
+  /**
+   * Dates in a month matching BYMONTHDAY and/or BYDAY (e.g. 2TU, -1FR), or the DTSTART day
+   */
+  static _monthDates(year, month, rule, defaultDay) {
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const allDays = Array.from({ length: daysInMonth }, (_, index) => DateService.toIsoDate(year, month, index + 1));
+
+    if (rule.byMonthDay) {
+      const days = rule.byMonthDay
+        .map(day => (day > 0 ? day : daysInMonth + day + 1))
+        .map(day => DateService.toIsoDate(year, month, day))
+        .filter(Boolean);
+      return rule.byDay
+        ? days.filter(date => rule.byDay.some(entry => entry.weekday === WEEKDAYS[this._weekday(date)]))
+        : days;
+    }
+
+    if (rule.byDay) {
+      return rule.byDay.flatMap(({ ordinal, weekday }) => {
+        const matching = allDays.filter(date => WEEKDAYS[this._weekday(date)] === weekday);
+        if (!ordinal) {
+          return matching;
+        }
+        const date = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+        return date ? [date] : [];
+      });
+    }
+
+    const date = DateService.toIsoDate(year, month, defaultDay);
+    return date ? [date] : [];
+  }
+
+  /**
+   * Copy of a recurring event starting at another date
+   */
+  static _shiftOccurrence(event, start) {
+    return {
+      ...event,
+      startDate: start.date,
+      startTime: start.time,
+      ...this._applyDuration(event, start.date, start.time),
+      recurring: true
+    };
+  }
+
+  /**
+   * End date and time from the event's duration (endTime is null for timed events without an end)
+   */
+  static _applyDuration(event, date, time) {
+    if (event.allDay) {
+      return { endDate: this._addDays(date, event.durationDays - 1), endTime: null };
+    }
+    if (!event.durationMinutes) {
+      return { endDate: date, endTime: null };
+    }
+    const end = new Date(Date.parse(`${date}T${time}:00Z`) + event.durationMinutes * 60000).toISOString();
+    return { endDate: end.slice(0, 10), endTime: end.slice(11, 16) };
+  }
+
+  /**
+   * Move a timed occurrence into the requested time zone (all-day and floating events keep their dates)
+   */
+  static _toOutputZone(event, timeZone) {
+    if (!event.startTime) {
+      return { ...event, timeZone: null };
+    }
+    if (!timeZone || !event.zone || event.zone === timeZone) {
+      return { ...event, timeZone: event.zone || timeZone || null };
+    }
+
+    const start = DateService.toZonedDateTime(DateService.fromZonedDateTime(event.startDate, event.startTime, event.zone), timeZone);
+    const end = event.endTime
+      ? DateService.toZonedDateTime(DateService.fromZonedDateTime(event.endDate, event.endTime, event.zone), timeZone)
+      : { date: start.date, time: null };
+
+    return {
+      ...event,
+      startDate: start.date,
+      startTime: start.time,
+      endDate: end.date,
+      endTime: end.time,
+      timeZone
+    };
+  }
+
+  static _minutesBetween(start, startZone, end, endZone) {
+    const instant = (value, zone) => (zone
+      ? DateService.fromZonedDateTime(value.date, value.time, zone).getTime()
+      : Date.parse(`${value.date}T${value.time}:00Z`));
+    // Mixed floating and zoned values are compared as wall-clock times
+    const comparable = (startZone && endZone) || (!startZone && !endZone);
+    return comparable
+      ? Math.round((instant(end, endZone) - instant(start, startZone)) / 60000)
+      : Math.round((Date.parse(`${end.date}T${end.time}:00Z`) - Date.parse(`${start.date}T${start.time}:00Z`)) / 60000);
+  }
+
+  static _daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+  }
+
+  static _weekday(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay();
+  }
+}
+
+export default ICalendarService;
@@ -0,0 +1,139 @@
+/**
+ * LLM Service for ModelDay Backend
+ * Chooses the provider and model for each API route from configuration
+ *
+ * Configuration (environment variables):
+ * - LLM_PROVIDER: default provider for every route (openai | openai-compatible | mock)
+ * - CHAT_PROVIDER / OCR_PROVIDER: per-route provider override
+ * - CHAT_MODEL / OCR_MODEL: per-route model override
+ * - OPENAI_API_KEY, OPENAI_BASE_URL: settings for the openai provider
+ * - OPENAI_COMPATIBLE_BASE_URL, OPENAI_COMPATIBLE_API_KEY: settings for self-hosted models
+ */
+
+import OpenAIProvider from './providers/openaiProvider.js';
+import MockProvider from './providers/mockProvider.js';
+
+// Models each route used before providers were configurable
+const ROUTE_DEFAULTS = {
+  chat: { model: 'gpt-3.5-turbo' },
+  ocr: { model: 'gpt-4o-mini' }
+};
+
+const DEFAULT_PROVIDER = 'openai';
+
+class LLMService {
+  static _factories = {
+    'openai': () => new OpenAIProvider({
+      name: 'openai',
+      apiKey: process.env.OPENAI_API_KEY,
+      baseURL: process.env.OPENAI_BASE_URL
+    }),
+    'openai-compatible': () => new OpenAIProvider({
+      name: 'openai-compatible',
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+      baseURL: process.env.OPENAI_COMPATIBLE_BASE_URL,
+      requiresApiKey: false
+    }),
+    'mock': () => new MockProvider()
+  };
+
+  static _instances = {};
+
+  /**
+   * Register a custom provider factory
+   * @param {string} name - Provider name used in configuration
+   * @param {Function} factory - () => provider instance implementing createChatCompletion()
+   */
+  static registerProvider(name, factory) {
+    this._factories[name] = factory;
+    delete this._instances[name];
+  }
+
+  /**
+   * Resolve the provider and model configured for a route
+   * @param {string} route - Route name (e.g. 'chat', 'ocr')
+   * @returns {Object} { route, provider, model }
+   */
+  static getRouteConfig(route) {
+    const prefix = route.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+    const defaults = ROUTE_DEFAULTS[route] || ROUTE_DEFAULTS.chat;
+
+    return {
+      route,
+      provider: (process.env[`${prefix}_PROVIDER`] || process.env.LLM_PROVIDER || DEFAULT_PROVIDER).trim().toLowerCase(),
+      model: process.env[`${prefix}_MODEL`] || defaults.model
+    };
+  }
+
+  /**
+   * Get a provider instance by name (instances are created once and reused)
+   * @param {string} name - Provider name
+   * @returns {Object} Provider instance
+   */
+  static getProviderByName(name) {
+    if (!this._instances[name]) {
+      const factory = this._factories[name];
+      if (!factory) {
+        throw new Error(`Unknown LLM provider "${name}". Available: ${Object.keys(this._factories).join(', ')}`);
+      }
+      this._instances[name] = factory();
+    }
+
+    return this._instances[name];
+  }
+
+  /**
+   * Get the provider configured for a route
+   * @param {string} route - Route name
+   * @returns {Object} Provider instance
+   */
+  static getProvider(route) {
+    return this.getProviderByName(this.getRouteConfig(route).provider);
+  }
+
+  /**
+   * Get the model configured for a route
+   * @param {string} route - Route name
+   * @returns {string} Model name
+   */
+  static getModel(route) {
+    return this.getRouteConfig(route).model;
+  }
+
+  /**
+   * Check whether a route's provider can be used
+   * @param {string} route - Route name
+   * @returns {Object|null} { error, code } when it cannot, null when it is ready
+   */
+  static getConfigurationError(route) {
+    try {
+      return this.getProvider(route).getConfigurationError();
+    } catch (error) {
+      return {
+        error: error.message,
+        code: 'UNKNOWN_PROVIDER'
+      };
+    }
+  }
+
+  /**
+   * Describe the provider and model used by each known route
+   * @returns {Object} Map of route name to { provider, model }
+   */
+  static describe() {
+    return Object.keys(ROUTE_DEFAULTS).reduce((result, route) => {
+      const { provider, model } = this.getRouteConfig(route);
+      result[route] = { provider, model };
+      return result;
+    }, {});
+  }
+
+  /**
+   * Drop cached provider instances so configuration changes take effect
+   */
+  static reset() {
+    this._instances = {};
+  }
+}
+
+export default LLMService;
@@ -0,0 +1,191 @@
+/**
+ * Locale Service for ModelDay Backend
+ * Picks the user's locale and formats the AI context in it: translated templates,
+ * dates, numbers and amounts, plus the instruction telling the model which language to answer in
+ *
+ * Templates are loaded from data/locales/<language>.json; keys missing from a language
+ * fall back to English.
+ *
+ * Configuration (environment variables):
+ * - DEFAULT_LOCALE: locale used when neither the request nor userProfile.locale sets one (default en-US)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LOCALES_DIR = path.join(__dirname, '..', 'data', 'locales');
+
+// Supported languages, their default region and the name used in the language instruction
+const LANGUAGES = {
+  en: { locale: 'en-US', name: 'English' },
+  pl: { locale: 'pl-PL', name: 'Polish (polski)' },
+  it: { locale: 'it-IT', name: 'Italian (italiano)' },
+  fr: { locale: 'fr-FR', name: 'French (français)' },
+  de: { locale: 'de-DE', name: 'German (Deutsch)' }
+};
+
+const FALLBACK_LANGUAGE = 'en';
+
+class LocaleService {
+  static _templates = new Map();
+
+  /**
+   * Languages with translated templates
+   * @returns {Array<string>} ['en', 'pl', 'it', 'fr', 'de']
+   */
+  static getSupportedLanguages() {
+    return Object.keys(LANGUAGES);
+  }
+
+  /**
+   * Locale used when the request and the user profile set none
+   * @returns {string} DEFAULT_LOCALE when supported, otherwise en-US
+   */
+  static getDefaultLocale() {
+    return this.normalizeLocale(process.env.DEFAULT_LOCALE) || LANGUAGES[FALLBACK_LANGUAGE].locale;
+  }
+
+  /**
+   * Normalize a locale tag ("pl", "pl_PL", "de-at") to a supported BCP 47 tag
+   * A bare language gets its default region ("pl" -> "pl-PL"); other regions are kept for formatting
+   * @param {string} value - Locale tag
+   * @returns {string|null} Locale, or null when the language is not supported
+   */
+  static normalizeLocale(value) {
+    if (typeof value !== 'string' || value.trim().length === 0) {
+      return null;
+    }
+
+    let canonical;
+    try {
+      [canonical] = Intl.getCanonicalLocales(value.trim().replace(/_/g, '-'));
+    } catch (error) {
+      return null;
+    }
+
+    const language = canonical.split('-')[0].toLowerCase();
+    if (!LANGUAGES[language]) {
+      return null;
+    }
+    return canonical.includes('-') ? canonical : LANGUAGES[language].locale;
+  }
+
+  /**
+   * Read an Accept-Language header
+   * @param {string} header - e.g. "pl-PL,pl;q=0.9,en;q=0.8"
+   * @returns {Array<string>} Language tags, most preferred first (wildcards left out)
+   */
+  static parseAcceptLanguage(header) {
+    if (typeof header !== 'string') {
+      return [];
+    }
+
+    return header
+      .split(',')
+      .map((part, index) => {
+        const [tag, ...params] = part.trim().split(';');
+        const quality = params
+          .map(param => param.trim().match(/^q=([0-9.]+)$/i))
+          .find(Boolean);
+        return { tag: tag.trim(), quality: quality ? parseFloat(quality[1]) : 1, index };
+      })
+      .filter(({ tag, quality }) => tag && tag !== '*' && quality > 0)
+      .sort((a, b) => b.quality - a.quality || a.index - b.index)
+      .map(({ tag }) => tag);
+  }
+
+  /**
+   * First supported locale among the candidates
+   * @param {...string} candidates - Locale tags or Accept-Language headers, in order of preference
+   * @returns {string|null} Locale, or null when none is supported
+   */
+  static findLocale(...candidates) {
+    for (const candidate of candidates) {
+      for (const tag of this.parseAcceptLanguage(candidate)) {
+        const locale = this.normalizeLocale(tag);
+        if (locale) {
+          return locale;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Pick the user's locale
+   * @param {...string} candidates - e.g. request locale, userProfile.locale, Accept-Language header
+   * @returns {string} First supported locale, otherwise the default
+   */
+  static resolveLocale(...candidates) {
+    return this.findLocale(...candidates) || this.getDefaultLocale();
+  }
+
+  /**
+   * Language of a locale
+   * @param {string} locale - Locale tag
+   * @returns {string} Supported language code ('en' when not supported)
+   */
+  static getLanguage(locale) {
+    const language = String(locale || '').split('-')[0].toLowerCase();
+    return LANGUAGES[language] ? language : FALLBACK_LANGUAGE;
+  }
+
+  /**
+   * Translate a template
+   * @param {string} locale - Locale tag
+   * @param {string} key - Template key (e.g. 'jobs.title')
+   * @param {Object} params - Values for {placeholders}
+   * @returns {string} Translated text (English when the language lacks the key, the key when no language has it)
+   */
+  static t(locale, key, params = {}) {
+    const template = this._getTemplates(this.getLanguage(locale))[key] ??
+      this._getTemplates(FALLBACK_LANGUAGE)[key] ??
+      key;
+
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+  }
+
+  /**
+   * Format a number with the locale's separators
+   * @param {number} value - Number to format
+   * @param {string} locale - Locale tag
+   * @param {Object} options - Intl.NumberFormat options
+   * @returns {string} e.g. "1 234,50" for pl-PL
+   */
+  static formatNumber(value, locale = this.getDefaultLocale(), options = {}) {
+    const number = Number.isFinite(value) ? value : 0;
+    return number.toLocaleString(locale, options);
+  }
+
+  /**
+   * Instruction telling the model to answer in the user's language
+   * @param {string} locale - Locale tag
+   * @returns {string} Instruction appended to the system prompt
+   */
+  static getLanguageInstruction(locale) {
+    const { name } = LANGUAGES[this.getLanguage(locale)];
+    return `\n\nLANGUAGE: The user's preferred language is ${name} (${locale}). Always answer in ${name}, ` +
+      'unless the user writes to you in another language - then answer in that language. ' +
+      'Write dates, numbers and amounts the way they are written in that language.';
+  }
+
+  /**
+   * Templates of a language, loaded from data/locales on first use
+   */
+  static _getTemplates(language) {
+    if (!this._templates.has(language)) {
+      const filePath = path.join(LOCALES_DIR, `${language}.json`);
+      try {
+        this._templates.set(language, JSON.parse(fs.readFileSync(filePath, 'utf8')));
+      } catch (error) {
+        console.error(`❌ LocaleService - Could not load templates from ${filePath}:`, error.message);
+        this._templates.set(language, {});
+      }
+    }
+    return this._templates.get(language);
+  }
+}
+
+export default LocaleService;
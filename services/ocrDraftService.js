@@ -0,0 +1,351 @@
+/**
+ * OCR Draft Service for ModelDay Backend
+ * Turns the flat extractedData of /api/ocr into entity drafts shaped like the records in
+ * userData (jobs, events, onStays, agencies, agents, industry contacts, meetings,
+ * shootings), ready for the user to confirm and save
+ *
+ * The entity type comes from the extraction profile when one was used (or chosen in "auto"
+ * mode); for the generic profile it is classified from the fields that were filled in.
+ * A document describing more than one record (a job confirmation with the hotel booking)
+ * is split into one draft per record.
+ */
+
+import UserDataValidationService from './userDataValidationService.js';
+
+// Entity type of the drafts for each extraction profile
+const PROFILE_ENTITIES = {
+  job: 'job',
+  option: 'event',
+  onStay: 'onStay',
+  agency: 'agency',
+  agent: 'agent',
+  industryContact: 'industryContact',
+  meeting: 'meeting',
+  shooting: 'shooting'
+};
+
+// userData collection of each entity type
+const COLLECTIONS = {
+  job: 'jobs',
+  event: 'events',
+  onStay: 'onStays',
+  agency: 'agencies',
+  agent: 'agents',
+  industryContact: 'industryContacts',
+  meeting: 'meetings',
+  shooting: 'shootings'
+};
+
+// Extracted fields that point to each entity type and how much a filled field counts
+const ENTITY_FIELDS = {
+  job: { dayRate: 2, usageRate: 2, budget: 2, jobType: 2, media: 1, usagePeriod: 1, exclusivity: 1, releaseCountry: 1, extraHours: 1, agencyFee: 1 },
+  event: { optionType: 3, requirements: 1 },
+  shooting: { photographer: 2, callTime: 1 },
+  onStay: { checkInDate: 2, checkOutDate: 2, hotelAddress: 2, hotelCost: 2, pocketMoney: 1, flightCost: 1 },
+  agency: { agencyType: 3, agencyAddress: 2, commissionRate: 2, website: 1, contractDetails: 1 },
+  agent: { fullName: 3, mobile: 1 },
+  industryContact: { contactName: 3, company: 1, instagram: 1 },
+  meeting: { subject: 2, industryContact: 2 }
+};
+
+// Preferred type when scores tie
+const TIE_ORDER = ['job', 'event', 'shooting', 'meeting', 'onStay', 'agency', 'agent', 'industryContact'];
+
+// Score at which a draft's own evidence is complete (confidence 1)
+const FULL_SCORE = 4;
+
+// Records that can come with a stay of their own in the same document
+const SCHEDULED_ENTITIES = new Set(['job', 'event', 'shooting']);
+
+// Fields a stay needs before it is split off into its own draft
+const STAY_FIELDS = ['checkInDate', 'hotelAddress', 'hotelCost'];
+
+class OcrDraftService {
+  /**
+   * Map extractedData to entity drafts
+   * @param {Object} extractedData - Validated extraction (OcrValidationService.validate().data)
+   * @param {Object} options - Extraction details
+   * @param {string} options.documentType - Profile used for the extraction
+   * @param {Object} options.classification - "auto" mode classification ({ confidence }) when there was one
+   * @returns {Object} { classification, drafts, counts }
+   *   - classification: { entityType, confidence, reason, scores }
+   *   - drafts: [{ draftId, entityType, collection, confidence, reason, record, missingFields, sourceFields }]
+   */
+  static buildDrafts(extractedData = {}, options = {}) {
+    const data = extractedData || {};
+    const classification = this.classifyEntity(data, options);
+    const drafts = [this._buildDraft(classification.entityType, data, classification.confidence, classification.reason)];
+
+    // A booking that includes the hotel becomes a second (stay) draft
+    // (the notes and payment terms stay with the booking)
+    if (SCHEDULED_ENTITIES.has(classification.entityType) && STAY_FIELDS.some(field => this._isFilled(data[field]))) {
+      const stayData = { ...data, notes: null, paymentTerms: null };
+      const confidence = this._evidenceConfidence(classification.scores.onStay);
+      drafts.push(this._buildDraft('onStay', stayData, confidence, `Stay details found in the ${classification.entityType} document`));
+    }
+
+    const counts = Object.keys(COLLECTIONS).reduce((result, entityType) => {
+      result[entityType] = drafts.filter(draft => draft.entityType === entityType).length;
+      return result;
+    }, { total: drafts.length });
+
+    return {
+      classification,
+      drafts: drafts.map((draft, index) => ({ draftId: `ocr-${index + 1}`, ...draft })),
+      counts
+    };
+  }
+
+  /**
+   * Choose the entity type of the document's main record
+   * @param {Object} extractedData - Validated extraction
+   * @param {Object} options - { documentType, classification } (see buildDrafts)
+   * @returns {Object} { entityType, confidence, reason, scores }
+   */
+  static classifyEntity(extractedData = {}, options = {}) {
+    const scores = this._scoreFields(extractedData);
+    const profileEntity = PROFILE_ENTITIES[options.documentType];
+
+    if (profileEntity) {
+      return {
+        entityType: profileEntity,
+        confidence: options.classification ? options.classification.confidence ?? null : 1,
+        reason: options.classification
+          ? `Document classified as ${options.documentType}`
+          : `Extracted with the ${options.documentType} profile`,
+        scores
+      };
+    }
+
+    // Stays are usually booked for a job, so a document with both is the job (the stay is split off)
+    const hasBooking = [...SCHEDULED_ENTITIES].some(entityType => scores[entityType] > 0);
+    const ranked = TIE_ORDER
+      .filter(entityType => !(hasBooking && entityType === 'onStay'))
+      .map(entityType => [entityType, scores[entityType]])
+      .sort((a, b) => b[1] - a[1]);
+    const [bestType, bestScore] = ranked[0];
+    const totalScore = ranked.reduce((sum, [, score]) => sum + score, 0);
+
+    if (bestScore === 0) {
+      return {
+        entityType: 'job',
+        confidence: 0,
+        reason: 'No entity fields found, defaulting to job',
+        scores
+      };
+    }
+
+    return {
+      entityType: bestType,
+      confidence: Math.round((bestScore / totalScore) * 100) / 100,
+      reason: `Matched ${bestType} field(s) with score ${bestScore}`,
+      scores
+    };
+  }
+
+  /**
+   * Build one draft record, shaped like the records of its userData collection
+   * @param {string} entityType - Key of COLLECTIONS
+   * @param {Object} data - Validated extraction
+   * @returns {Object} Record without empty fields
+   */
+  static buildRecord(entityType, data = {}) {
+    const time = data.startTime || data.callTime;
+    const notes = this._joinNotes(data.requirements, data.notes);
+    let record;
+
+    switch (entityType) {
+      case 'event':
+        record = {
+          type: data.optionType ? data.optionType.toLowerCase() : 'other',
+          clientName: data.clientName,
+          title: data.jobTitle || data.eventName,
+          date: data.date,
+          endDate: data.endDate,
+          startTime: time,
+          endTime: data.endTime,
+          location: data.location,
+          dayRate: data.dayRate,
+          currency: this._currency(data, data.dayRate),
+          notes
+        };
+        break;
+      case 'onStay': {
+        const [hotelName, ...addressParts] = String(data.hotelAddress || '').split(',');
+        record = {
+          locationName: hotelName.trim() || data.location,
+          address: addressParts.length > 0 ? data.hotelAddress : null,
+          checkInDate: data.checkInDate,
+          checkOutDate: data.checkOutDate,
+          cost: data.hotelCost,
+          pocketMoney: data.pocketMoney,
+          flightCost: data.flightCost,
+          currency: this._currency(data, data.hotelCost ?? data.pocketMoney ?? data.flightCost),
+          notes: this._joinNotes(data.paymentTerms && `Payment: ${data.paymentTerms}`, data.notes)
+        };
+        break;
+      }
+      case 'agency':
+        record = {
+          name: data.agencyName || data.name || data.company,
+          type: data.agencyType,
+          address: data.agencyAddress || data.address,
+          city: data.location,
+          website: data.website,
+          email: data.email,
+          phone: data.phoneNumber || data.mobile,
+          commissionRate: data.commissionRate,
+          contactPerson: data.contactPerson,
+          notes: this._joinNotes(data.contractDetails, data.notes)
+        };
+        break;
+      case 'agent':
+        record = {
+          name: data.fullName || data.name || data.bookingAgent,
+          title: data.jobTitle,
+          agencyName: data.agencyName,
+          email: data.email,
+          phone: data.mobile || data.phoneNumber,
+          instagram: data.instagram,
+          city: data.location,
+          address: data.address,
+          notes: data.notes
+        };
+        break;
+      case 'industryContact':
+        record = {
+          name: data.contactName || data.name || data.fullName,
+          jobTitle: data.jobTitle,
+          company: data.company || data.organization,
+          email: data.email,
+          phone: data.mobile || data.phoneNumber,
+          instagram: data.instagram,
+          website: data.website,
+          address: data.address,
+          city: data.location,
+          notes: data.notes
+        };
+        break;
+      case 'meeting':
+        record = {
+          clientName: data.clientName || data.industryContact || data.company,
+          title: data.subject,
+          date: data.date,
+          time,
+          endTime: data.endTime,
+          location: data.location || data.address,
+          contactPerson: data.contactPerson || data.industryContact,
+          email: data.email,
+          phone: data.phoneNumber,
+          notes
+        };
+        break;
+      case 'shooting':
+        record = {
+          clientName: data.clientName,
+          type: data.jobType,
+          title: data.jobTitle,
+          photographer: data.photographer,
+          date: data.date,
+          endDate: data.endDate,
+          callTime: data.callTime,
+          time,
+          endTime: data.endTime,
+          location: data.location || data.address,
+          rate: data.dayRate ?? data.budget,
+          currency: this._currency(data, data.dayRate ?? data.budget),
+          bookingAgent: data.bookingAgent,
+          notes
+        };
+        break;
+      default:
+        record = {
+          clientName: data.clientName,
+          type: data.jobType,
+          title: data.jobTitle,
+          date: data.date,
+          endDate: data.endDate,
+          time,
+          endTime: data.endTime,
+          location: data.location,
+          // A budget without a day rate is the job's rate (see the extraction payment rules)
+          rate: data.dayRate ?? data.budget,
+          usageRate: data.usageRate,
+          extraHours: data.extraHours,
+          additionalFees: data.additionalFees,
+          currency: this._currency(data, data.dayRate ?? data.budget ?? data.usageRate),
+          agencyFee: data.agencyFee,
+          tax: data.tax,
+          agencyName: data.agencyName,
+          bookingAgent: data.bookingAgent,
+          contactPerson: data.contactPerson,
+          paymentTerms: data.paymentTerms,
+          usage: this._joinNotes(data.media, data.usagePeriod, data.exclusivity, data.releaseCountry),
+          status: 'Confirmed',
+          notes
+        };
+    }
+
+    return this._compact(record);
+  }
+
+  static _buildDraft(entityType, data, confidence, reason) {
+    const record = this.buildRecord(entityType, data);
+    return {
+      entityType,
+      collection: COLLECTIONS[entityType],
+      confidence,
+      reason,
+      record,
+      missingFields: this._missingFields(entityType, record),
+      sourceFields: Object.keys(ENTITY_FIELDS[entityType]).filter(field => this._isFilled(data[field]))
+    };
+  }
+
+  /**
+   * Fields the userData schema asks for that the draft does not have yet
+   */
+  static _missingFields(entityType, record) {
+    const collection = COLLECTIONS[entityType];
+    if (!UserDataValidationService.getSchemas()[collection]) {
+      return [];
+    }
+
+    const { warnings } = UserDataValidationService.validate({ [collection]: [record] });
+    return warnings
+      .filter(issue => issue.code === 'MISSING_FIELD')
+      .map(issue => issue.path.split('.').pop());
+  }
+
+  static _scoreFields(data) {
+    return Object.fromEntries(TIE_ORDER.map(entityType => [
+      entityType,
+      Object.entries(ENTITY_FIELDS[entityType])
+        .reduce((score, [field, weight]) => score + (this._isFilled(data[field]) ? weight : 0), 0)
+    ]));
+  }
+
+  static _evidenceConfidence(score) {
+    return Math.round(Math.min(score / FULL_SCORE, 1) * 100) / 100;
+  }
+
+  // The extracted currency, only on records that have an amount
+  static _currency(data, amount) {
+    return amount !== null && amount !== undefined ? data.currency : null;
+  }
+
+  static _joinNotes(...parts) {
+    const filled = parts.filter(part => this._isFilled(part));
+    return filled.length > 0 ? filled.join('; ') : null;
+  }
+
+  static _isFilled(value) {
+    return value !== null && value !== undefined && value !== '';
+  }
+
+  static _compact(record) {
+    return Object.fromEntries(Object.entries(record).filter(([, value]) => this._isFilled(value)));
+  }
+}
+
+export default OcrDraftService;
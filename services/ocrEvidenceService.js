@@ -0,0 +1,284 @@
+/**
+ * OCR Evidence Service for ModelDay Backend
+ * Scores every field /api/ocr extracts and points to the text it came from, so the app
+ * can highlight the values the user should check
+ *
+ * The extraction prompt asks the model to quote its source text and to say whether each
+ * value is written in the document (explicit), written in another format (converted) or
+ * deduced (inferred). The quotes are located in the document text on the server, since
+ * models cannot count characters; a value without a quote is searched for directly.
+ * Where the text settles the status it wins over the model's claim.
+ */
+
+// Statuses and the confidence they start from
+const STATUS_CONFIDENCE = {
+  explicit: 0.95,
+  converted: 0.85,
+  inferred: 0.5
+};
+
+// Deductions from the starting confidence
+const PENALTIES = {
+  NO_SOURCE: 0.1,
+  QUOTE_NOT_FOUND: 0.15,
+  ISSUE_WARNING: 0.2,
+  ISSUE_ERROR: 0.4
+};
+
+// Confidence from which a field counts as high / medium
+const LEVELS = [[0.8, 'high'], [0.5, 'medium'], [0, 'low']];
+
+// Validation issues that describe a normal conversion rather than a doubt about the value
+const NEUTRAL_ISSUES = new Set(['COERCED', 'CURRENCY_INFERRED', 'UNKNOWN_FIELD']);
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const EVIDENCE_INSTRUCTIONS = `FIELD EVIDENCE:
+Add an "_evidence" object with an entry for every field that is not null:
+"_evidence": { "<field>": { "source": "<text copied from the document>", "status": "explicit|converted|inferred" } }
+- explicit: the value is written in the document exactly as returned
+- converted: the value is written in the document in another format ("15/05/2025" returned as "2025-05-15", "6,000 EUR" as 6000, "9 AM" as "09:00")
+- inferred: the value is not written in the document but deduced from it (a date from "2nd week of May")
+- source: the shortest text that supports the value, copied character for character; null when no text supports it`;
+
+class OcrEvidenceService {
+  /**
+   * Prompt block asking the model for the evidence of each field
+   * @returns {string} Instructions appended to the extraction system prompt
+   */
+  static getInstructions() {
+    return EVIDENCE_INSTRUCTIONS;
+  }
+
+  /**
+   * Split the model's evidence from the extracted fields
+   * @param {Object} rawExtraction - Parsed JSON returned by the model
+   * @returns {Object} { fields, evidence } - fields without "_evidence"; evidence map (empty when missing)
+   */
+  static splitEvidence(rawExtraction) {
+    if (!rawExtraction || typeof rawExtraction !== 'object' || Array.isArray(rawExtraction)) {
+      return { fields: rawExtraction, evidence: {} };
+    }
+
+    const { _evidence: evidence, ...fields } = rawExtraction;
+    return {
+      fields,
+      evidence: evidence && typeof evidence === 'object' && !Array.isArray(evidence) ? evidence : {}
+    };
+  }
+
+  /**
+   * Build the evidence of every extracted field
+   * @param {Object} extractedData - Validated extraction
+   * @param {string} text - Document text the model read
+   * @param {Object} options - Evidence details
+   * @param {Object} options.evidence - Model evidence from splitEvidence()
+   * @param {Array} options.issues - Validation issues (OcrValidationService.validate().issues)
+   * @param {Array<string>} options.hintFields - Fields filled from hints rather than by the model
+   * @param {boolean} options.pdf - The text has [Page N] markers; sources get their page number
+   * @returns {Object} { fields, confidence, uncertainFields }
+   *   - fields: { [field]: { status, confidence, level, source: { text, start, end, page } | null, reasons } }
+   *     (offsets are character positions in text, end exclusive)
+   *   - confidence: lowest level of the extracted fields ("low" when nothing was extracted)
+   *   - uncertainFields: fields below "high", least confident first
+   */
+  static buildFieldEvidence(extractedData = {}, text = '', options = {}) {
+    const modelEvidence = options.evidence || {};
+    const issues = options.issues || [];
+    const fields = {};
+
+    Object.entries(extractedData || {}).forEach(([field, value]) => {
+      if (value === null || value === undefined) {
+        return;
+      }
+      fields[field] = this._fieldEvidence(value, text, modelEvidence[field], issues.filter(issue => issue.field === field), options);
+      if ((options.hintFields || []).includes(field)) {
+        fields[field].reasons.unshift('Taken from the known values sent with the document');
+      }
+    });
+
+    const ranked = Object.entries(fields).sort((a, b) => a[1].confidence - b[1].confidence);
+    return {
+      fields,
+      confidence: ranked.length > 0 ? ranked[0][1].level : 'low',
+      uncertainFields: ranked.filter(([, evidence]) => evidence.level !== 'high').map(([field]) => field)
+    };
+  }
+
+  /**
+   * Find the first place a quote appears in the text (case and whitespace are ignored)
+   * @param {string} text - Document text
+   * @param {string} quote - Text to find
+   * @returns {Object|null} { text, start, end }
+   */
+  static locateQuote(text, quote) {
+    const trimmed = typeof quote === 'string' ? quote.trim() : '';
+    if (!trimmed || !text) {
+      return null;
+    }
+
+    const exact = text.indexOf(trimmed);
+    if (exact !== -1) {
+      return { text: trimmed, start: exact, end: exact + trimmed.length };
+    }
+
+    const pattern = new RegExp(this._escape(trimmed).replace(/\s+/g, '\\s+'), 'i');
+    return this._span(text.match(pattern));
+  }
+
+  /**
+   * Find the first place a value appears in the text, in any of its usual spellings
+   * @param {string} text - Document text
+   * @param {*} value - Extracted value
+   * @returns {Object|null} { text, start, end }
+   */
+  static locateValue(text, value) {
+    const pattern = this.buildValuePattern(value);
+    return pattern && text ? this._span(text.match(pattern)) : null;
+  }
+
+  /**
+   * Build a case-insensitive pattern that finds a value in document text
+   * Numbers may be written with thousands separators ("5,500" or "5.500") or decimals
+   * ("5500.00"), ISO dates as DD/MM/YYYY, DD.MM.YYYY, "15 May 2025" or "May 15, 2025"
+   * and times as "9:00", "0900" or "9 AM"
+   * @param {*} value - Extracted value
+   * @returns {RegExp|null} Pattern, or null for values too short to locate reliably
+   */
+  static buildValuePattern(value) {
+    if (typeof value === 'number') {
+      const [whole, fraction] = String(value).split('.');
+      if (whole.length < 2 && !fraction) {
+        return null;
+      }
+      const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, '[,.\\s]?');
+      const decimals = fraction ? `[.,]${fraction}0*` : '(?:[.,]00?)?';
+      return new RegExp(`(?<![\\d.,])${grouped}${decimals}(?![\\d])`, 'i');
+    }
+
+    const text = String(value).trim();
+
+    const isoDate = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (isoDate) {
+      const [, year, month, day] = isoDate;
+      const monthName = `${MONTHS[+month - 1]}[a-z]*\\.?`;
+      const dayNumber = `0?${+day}(?:st|nd|rd|th)?`;
+      return new RegExp([
+        this._escape(text),
+        `0?${+day}[/.\\-]0?${+month}[/.\\-]${year}`,
+        `${dayNumber}\\s+${monthName},?\\s+${year}`,
+        `${monthName}\\s+${dayNumber},?\\s+${year}`
+      ].join('|'), 'i');
+    }
+
+    const isoTime = text.match(/^(\d{2}):(\d{2})$/);
+    if (isoTime) {
+      const [, hour, minute] = isoTime;
+      const twelveHour = (+hour % 12) || 12;
+      const period = +hour < 12 ? 'a' : 'p';
+      return new RegExp([
+        `(?<!\\d)0?${+hour}[:.h]${minute}(?!\\d)`,
+        `(?<!\\d)${hour}${minute}(?!\\d)`,
+        `(?<!\\d)${twelveHour}${minute === '00' ? `(?:[:.]00)?` : `[:.]${minute}`}\\s*${period}\\.?m\\b`
+      ].join('|'), 'i');
+    }
+
+    if (text.length < 3) {
+      return null;
+    }
+
+    return new RegExp(this._escape(text).replace(/\s+/g, '\\s+'), 'i');
+  }
+
+  /**
+   * Confidence level of a score
+   * @param {number} confidence - Score between 0 and 1
+   * @returns {string} "high", "medium" or "low"
+   */
+  static getLevel(confidence) {
+    return LEVELS.find(([minimum]) => confidence >= minimum)[1];
+  }
+
+  static _fieldEvidence(value, text, modelEntry, issues, options) {
+    const entry = typeof modelEntry === 'string' ? { source: modelEntry } : (modelEntry || {});
+    const claimedStatus = STATUS_CONFIDENCE[entry.status] !== undefined ? entry.status : null;
+    const reasons = [];
+
+    // The model's quote first, narrowed to the value when the value is inside it
+    let source = null;
+    let quoteMissing = false;
+    if (typeof entry.source === 'string' && entry.source.trim()) {
+      source = this.locateQuote(text, entry.source);
+      quoteMissing = !source;
+      if (quoteMissing) {
+        reasons.push('Quoted source text not found in the document');
+      }
+    }
+    let valueSpan = null;
+    if (source) {
+      valueSpan = this.locateValue(source.text, value);
+      if (valueSpan) {
+        valueSpan = { text: valueSpan.text, start: source.start + valueSpan.start, end: source.start + valueSpan.end };
+      }
+    } else {
+      valueSpan = this.locateValue(text, value);
+    }
+    source = valueSpan || source;
+
+    // What the text shows settles the status; otherwise the model's word is taken
+    // (a value with no supporting text at all cannot be explicit or converted)
+    let status;
+    if (valueSpan) {
+      status = valueSpan.text.toLowerCase() === String(value).toLowerCase() ? 'explicit' : 'converted';
+    } else {
+      status = (source && claimedStatus) || 'inferred';
+    }
+    if (claimedStatus && claimedStatus !== status) {
+      reasons.push(`Reported as ${claimedStatus} by the model, the document text makes it ${status}`);
+    }
+
+    let confidence = STATUS_CONFIDENCE[status];
+    if (status === 'inferred') {
+      reasons.push('Value deduced, not written in the document');
+    }
+    if (!source) {
+      confidence -= PENALTIES.NO_SOURCE;
+      reasons.push('No supporting text found in the document');
+    }
+    if (quoteMissing) {
+      confidence -= PENALTIES.QUOTE_NOT_FOUND;
+    }
+    issues
+      .filter(issue => !NEUTRAL_ISSUES.has(issue.code))
+      .forEach(issue => {
+        confidence -= issue.severity === 'error' ? PENALTIES.ISSUE_ERROR : PENALTIES.ISSUE_WARNING;
+        reasons.push(issue.message);
+      });
+
+    confidence = Math.round(Math.min(Math.max(confidence, 0), 1) * 100) / 100;
+
+    return {
+      status,
+      confidence,
+      level: this.getLevel(confidence),
+      source: source && options.pdf ? { ...source, page: this._pageAt(text, source.start) } : source,
+      reasons
+    };
+  }
+
+  // Page of a position in text built by PdfService.buildPagedText()
+  static _pageAt(text, position) {
+    const markers = [...text.slice(0, position).matchAll(/\[Page (\d+)\]/g)];
+    return markers.length > 0 ? Number(markers[markers.length - 1][1]) : null;
+  }
+
+  static _span(match) {
+    return match ? { text: match[0], start: match.index, end: match.index + match[0].length } : null;
+  }
+
+  static _escape(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+export default OcrEvidenceService;
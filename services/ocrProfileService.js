@@ -0,0 +1,484 @@
+/**
+ * OCR Profile Service for ModelDay Backend
+ * Document-type specific extraction profiles for /api/ocr: each profile has its own
+ * field set, prompt guidance and output schema. The "auto" mode classifies the
+ * document first and then uses the matching profile.
+ */
+
+import OcrValidationService from './ocrValidationService.js';
+
+// Legacy all-fields profile (the default before profiles existed)
+const GENERIC_PROFILE = 'modeling_document';
+const AUTO_PROFILE = 'auto';
+
+const GENERIC_PROMPT_HEADER = `You are an expert AI assistant specialized in extracting structured data from modeling industry documents, contracts, booking confirmations, and related business documents.
+
+TASK: Analyze the provided text and extract ALL relevant information into a structured JSON format.
+
+EXTRACTION RULES:
+1. Extract EVERY piece of information you can identify
+2. Handle various document formats (emails, contracts, booking forms, etc.)
+3. Understand context and relationships between data points
+4. Extract both explicit and implicit information
+5. Handle different date formats, currencies, and naming conventions
+6. Be intelligent about synonyms and industry terminology
+
+REQUIRED OUTPUT FORMAT (JSON):`;
+
+const GENERIC_PROMPT_GUIDELINES = `INTELLIGENCE GUIDELINES:
+- If you see "Client: SAMSUNG", extract clientName as "SAMSUNG"
+- If you see "Agent: Sarah Johnson", extract bookingAgent as "Sarah Johnson"
+- If you see "Budget: 6000 euros", extract budget as 6000 and currency as "EUR"
+- If you see "2nd week of May 2025", convert to approximate date like "2025-05-15"
+- If you see payment information, extract to paymentTerms
+- If you see requirements or specifications, extract to requirements
+- Combine related information intelligently in notes
+- Handle typos and OCR errors gracefully
+- Extract phone numbers, emails, addresses when present
+
+PAYMENT EXTRACTION RULES:
+- If you see "Day Rate: 500 EUR", extract dayRate as 500
+- If you see "Usage Rate: 5500 EUR", extract usageRate as 5500
+- If you see "Budget: 6000 euros gross" without separate day rate and usage rate:
+  * Set dayRate to the EXACT budget amount (6000)
+  * Leave usageRate as null (do not auto-calculate)
+  * This means the entire budget goes to day rate when rates are not specified separately
+- If both day rate and usage rate are explicitly mentioned, use those exact values
+- NEVER auto-calculate or split budget amounts - use exact values only
+- Always extract currency from any monetary amount
+
+DYNAMIC FIELD EXTRACTION RULES:
+
+JOB TYPE EXTRACTION (jobType):
+- Look for: "Commercial", "Editorial", "Fashion show", "Lookbook", "E-commerce", "Beauty", "Portrait", "Runway", "Campaign", "Catalog", "Social media", "Web content", "Print", "Digital", "Video", "TVC", "Advertisement"
+- Extract from phrases like: "Commercial shoot", "Editorial job", "Fashion campaign", "Beauty lookbook", "E-commerce photography"
+- Also check for brand names that indicate job type (e.g., "Samsung Galaxy" = Commercial)
+
+FINANCIAL FIELDS EXTRACTION:
+- agencyFee: "Agency fee: 20%", "Commission: 15%", "Agent commission: 10%", "Booking fee: 25%"
+- extraHours: "Extra hours: 2", "Overtime: 3 hours", "Additional time: 1.5h", "Extended shoot: 2 hours"
+- tax: "Tax: 19%", "VAT: 21%", "Income tax: 15%", "Withholding: 10%"
+- additionalFees: "Additional fees: 100", "Extra costs: 50", "Travel expenses: 200", "Accommodation: 150"
+
+TIME EXTRACTION:
+- callTime: "Call time: 09:00", "Arrival: 8:30 AM", "Be ready at: 7:30", "Makeup call: 06:00"
+- startTime: "Start time: 10:00", "Shoot starts: 9:00 AM", "Begin: 08:30"
+- endTime: "End time: 17:00", "Finish: 5:00 PM", "Wrap: 18:00"
+- Handle formats: "9:00", "09:00", "9:00 AM", "09:00 AM", "9 AM", "0900"
+
+OPTION TYPE EXTRACTION (optionType):
+- Same as jobType but for option/casting contexts
+- Look for casting-specific terms: "Casting", "Test shoot", "Fitting", "Go-see", "Audition"
+
+SMART CONTEXT DETECTION & DYNAMIC SCENARIOS:
+- If document mentions "casting" or "audition" → likely optionType, focus on: date, time, location, agent
+- If document mentions "shoot" or "job" → likely jobType, focus on: rates, times, duration, crew
+- If document mentions "hotel" or "accommodation" → likely onStay, focus on: check-in/out dates, hotel details, costs
+- If document mentions "meeting" or "conference" → likely meeting, focus on: subject, industry contact, agenda
+- If document has rates and dates → likely confirmed job, extract all financial details
+- If document says "option" or "hold" → likely option/casting, focus on option status and terms
+- If document mentions "direct booking" → skip option status, focus on confirmed details
+- If document mentions travel/flight → extract travel costs and accommodation details
+- If document is a contract → extract contract details, terms, and legal information
+- If document mentions "agency" or "model management" → likely agency document, focus on: name, type, commission, contact details
+- If document mentions "agent" or "booker" → likely agent document, focus on: name, email, phone, title
+- If document mentions "industry contact" or "client contact" → likely contact document, focus on: name, company, title, contact info
+- If document mentions "shooting" or "shoot schedule" → likely shooting document, focus on: client, type, location, date, times, rate
+
+ACCOMMODATION & TRAVEL EXTRACTION:
+- checkInDate/checkOutDate: "Check-in: 2025-07-20", "Arrival: July 20", "Stay from: 20/07/2025"
+- hotelAddress: "Hotel: Marriott Warsaw", "Accommodation: Hotel Bristol", "Stay at: Hilton"
+- hotelCost: "Hotel cost: 150 EUR", "Accommodation: €120/night", "Room rate: $200"
+- pocketMoney: "Pocket money: 50 EUR", "Daily allowance: €30", "Per diem: $40"
+- flightCost: "Flight: 300 EUR", "Travel cost: €250", "Airfare: $400"
+
+AGENCY & EVENT EXTRACTION:
+- agencyName: "Agency: Elite Models", "Represented by: IMG", "Booking agency: Next"
+- agencyAddress: "Agency address:", "Office:", "Located at:"
+- contractDetails: "Contract:", "Agreement:", "Terms:", "Conditions:"
+- subject: "Subject:", "Re:", "Regarding:", "About:"
+- industryContact: "Contact:", "Industry contact:", "Client contact:"
+- photographer: "Photographer:", "Shot by:", "Photo by:"
+- eventName: "Event:", "Campaign:", "Project:", "Shoot name:"
+
+AGENCY-SPECIFIC EXTRACTION:
+- name/agencyName: "Agency Name:", "Company:", "Organization:", "Agency:"
+- agencyType: "Type:", "Agency type:", "Mother agency", "Subsidiary", "Independent"
+- website: "Website:", "URL:", "Web:", "Site:", "www."
+- commissionRate: "Commission:", "Rate:", "Percentage:", "Fee:", "15%", "20%"
+
+AGENT-SPECIFIC EXTRACTION:
+- name/fullName: "Agent Name:", "Full Name:", "Name:", "Agent:"
+- email: "Email:", "E-mail:", "@", "Contact email:"
+- mobile: "Mobile:", "Phone:", "Cell:", "Contact:", "+", "Tel:"
+- jobTitle: "Title:", "Position:", "Role:", "Agent", "Booker", "Manager"
+
+INDUSTRY CONTACT EXTRACTION:
+- name/contactName: "Contact Name:", "Full Name:", "Industry Contact:", "Name:"
+- company: "Company:", "Organization:", "Firm:", "Agency:", "Studio:"
+- jobTitle: "Title:", "Position:", "Role:", "Job:", "Department:"
+- instagram: "Instagram:", "IG:", "@", "Social:", "Handle:"
+
+SHOOTING-SPECIFIC EXTRACTION:
+- clientName: "Client:", "Brand:", "Company:", "Shooting for:", "Campaign for:"
+- type: "Type:", "Shooting type:", "Campaign", "Editorial", "E-commerce", "Lookbook", "TVC"
+- location: "Location:", "Studio:", "Address:", "Venue:", "Set:"
+- date: "Date:", "Shooting date:", "Schedule:", "When:"
+- startTime/endTime: "Time:", "Start:", "End:", "From:", "To:", "9:00-17:00"
+- rate: "Rate:", "Fee:", "Payment:", "Budget:", "Cost:"
+
+FLEXIBLE PATTERN MATCHING:
+- Use fuzzy matching for field names (e.g., "Day rate", "Daily rate", "Per day", "Day fee")
+- Handle multiple currencies and formats
+- Extract from tables, lists, or paragraph text
+- Handle typos and variations in field names
+- Recognize date formats: DD/MM/YYYY, MM/DD/YYYY, YYYY-MM-DD, "July 20, 2025"`;
+
+// Rules every profile shares
+const COMMON_RULES = `GENERAL RULES:
+- Only fill the fields listed in the output format; use null for anything the document does not state
+- Do NOT copy information that belongs to another kind of record into these fields
+- Dates must be YYYY-MM-DD; recognize DD/MM/YYYY, MM/DD/YYYY, YYYY-MM-DD and "July 20, 2025"
+- If you see "2nd week of May 2025", convert to approximate date like "2025-05-15"
+- Times must be HH:MM (24-hour); handle "9:00", "9:00 AM", "9 AM", "0900"
+- Amounts must be plain numbers; put the currency in "currency" as an ISO code (EUR, USD, GBP, PLN...)
+- NEVER auto-calculate or split amounts - use exact values only
+- Handle typos, OCR errors and variations in field names gracefully
+- Combine related information that has no field of its own in notes`;
+
+const PROFILES = {
+  job: {
+    label: 'Job / booking confirmation',
+    description: 'A confirmed job or booking: client, dates, rates, usage and logistics.',
+    keywords: ['booking confirmation', 'confirmed', 'job', 'day rate', 'usage', 'buyout', 'invoice', 'campaign', 'shoot', 'direct booking'],
+    fields: [
+      'clientName', 'jobTitle', 'jobType', 'date', 'endDate', 'location', 'callTime', 'startTime', 'endTime',
+      'dayRate', 'usageRate', 'budget', 'currency', 'extraHours', 'agencyFee', 'tax', 'additionalFees',
+      'media', 'usagePeriod', 'exclusivity', 'releaseCountry', 'paymentTerms', 'bookingAgent', 'contactPerson',
+      'agencyName', 'photographer', 'requirements', 'checkInDate', 'checkOutDate', 'hotelAddress', 'hotelCost',
+      'pocketMoney', 'flightCost', 'notes'
+    ],
+    guidance: `JOB EXTRACTION:
+- clientName: "Client:", "Brand:", "Company:", "Campaign for:"
+- jobTitle: "Title:", "Project:", "Job:" (e.g. "Samsung Galaxy Book 5")
+- jobType: "Commercial", "Editorial", "Fashion show", "Lookbook", "E-commerce", "Beauty", "Runway", "Campaign", "Catalog", "TVC"
+- bookingAgent: "Agent:", "Booker:"; contactPerson: "Contact:", "Client contact:"
+
+PAYMENT EXTRACTION RULES:
+- If you see "Day Rate: 500 EUR", extract dayRate as 500
+- If you see "Usage Rate: 5500 EUR", extract usageRate as 5500
+- If you see "Budget: 6000 euros gross" without separate day rate and usage rate:
+  * Set dayRate to the EXACT budget amount (6000)
+  * Leave usageRate as null (do not auto-calculate)
+- If both day rate and usage rate are explicitly mentioned, use those exact values
+- agencyFee: "Agency fee: 20%", "Commission: 15%"; tax: "Tax: 19%", "VAT: 21%"
+- extraHours: "Overtime: 3 hours"; additionalFees: "Travel expenses: 200"
+
+USAGE RIGHTS:
+- media: "All print, Online"; usagePeriod: "1 year"; exclusivity: "Non-exclusive"; releaseCountry: "Global"
+
+TRAVEL (only when the booking includes it):
+- checkInDate/checkOutDate, hotelAddress, hotelCost, pocketMoney ("Per diem: $40"), flightCost`
+  },
+  option: {
+    label: 'Option / casting',
+    description: 'An option, hold, casting, go-see, fitting or test shoot that is not confirmed yet.',
+    keywords: ['option', 'hold', 'casting', 'go-see', 'go see', 'audition', 'fitting', 'test shoot', 'first option', 'second option'],
+    fields: [
+      'clientName', 'optionType', 'jobTitle', 'date', 'endDate', 'location', 'callTime', 'startTime', 'endTime',
+      'dayRate', 'usageRate', 'currency', 'bookingAgent', 'contactPerson', 'agencyName', 'requirements', 'notes'
+    ],
+    guidance: `OPTION / CASTING EXTRACTION:
+- optionType: "Casting", "Test shoot", "Fitting", "Go-see", "Audition", "1st option", "2nd option", "Hold"
+- date/startTime: when the model has to be there ("Casting on 12/08 at 10:00")
+- requirements: what to bring or wear ("Bring portfolio and comp cards", "Wear black")
+- dayRate/usageRate: only when the option already states the rates
+- bookingAgent: "Agent:", "Booker:"; contactPerson: "Casting director:", "Contact:"`
+  },
+  onStay: {
+    label: 'Stay / accommodation',
+    description: 'Hotel or apartment booking, travel and per diem details for a stay.',
+    keywords: ['hotel', 'accommodation', 'check-in', 'check in', 'check-out', 'check out', 'apartment', 'room', 'reservation', 'per diem', 'flight'],
+    fields: [
+      'hotelAddress', 'location', 'checkInDate', 'checkOutDate', 'hotelCost', 'pocketMoney', 'flightCost',
+      'currency', 'contactPerson', 'phoneNumber', 'email', 'paymentTerms', 'notes'
+    ],
+    guidance: `ACCOMMODATION & TRAVEL EXTRACTION:
+- hotelAddress: "Hotel: Marriott Warsaw", "Accommodation: Hotel Bristol", "Stay at: Hilton" (name and address)
+- location: the city of the stay
+- checkInDate/checkOutDate: "Check-in: 2025-07-20", "Arrival: July 20", "Stay from: 20/07/2025"
+- hotelCost: "Hotel cost: 150 EUR", "Accommodation: €120/night", "Room rate: $200"
+- pocketMoney: "Pocket money: 50 EUR", "Daily allowance: €30", "Per diem: $40"
+- flightCost: "Flight: 300 EUR", "Travel cost: €250", "Airfare: $400"
+- paymentTerms: who pays ("paid by agency", "deducted from earnings")`
+  },
+  agency: {
+    label: 'Agency',
+    description: 'A model agency: name, type, commission and contact details.',
+    keywords: ['agency', 'model management', 'models management', 'mother agency', 'representation', 'commission', 'management'],
+    fields: [
+      'agencyName', 'agencyType', 'agencyAddress', 'location', 'website', 'email', 'phoneNumber',
+      'commissionRate', 'contactPerson', 'contractDetails', 'notes'
+    ],
+    guidance: `AGENCY-SPECIFIC EXTRACTION:
+- agencyName: "Agency Name:", "Company:", "Organization:", "Agency:"
+- agencyType: "Type:", "Agency type:", "Mother agency", "Subsidiary", "Independent"
+- agencyAddress: "Agency address:", "Office:", "Located at:"; location: the agency's city
+- website: "Website:", "URL:", "Web:", "Site:", "www."
+- commissionRate: "Commission:", "Rate:", "Percentage:", "Fee:", "15%", "20%" (number only)
+- contractDetails: "Contract:", "Agreement:", "Terms:", "Conditions:"`
+  },
+  agent: {
+    label: 'Agent / booker',
+    description: 'A person at an agency who books the model.',
+    keywords: ['agent', 'booker', 'booking agent', 'model agent', 'head booker', 'scout'],
+    fields: [
+      'fullName', 'jobTitle', 'agencyName', 'email', 'mobile', 'phoneNumber', 'instagram', 'location', 'address', 'notes'
+    ],
+    guidance: `AGENT-SPECIFIC EXTRACTION:
+- fullName: "Agent Name:", "Full Name:", "Name:", "Agent:"
+- jobTitle: "Title:", "Position:", "Role:", "Agent", "Booker", "Manager"
+- agencyName: the agency the agent works for
+- email: "Email:", "E-mail:", "@", "Contact email:"
+- mobile: "Mobile:", "Cell:", "+"; phoneNumber: "Phone:", "Tel:", "Office:"
+- location: the agent's city`
+  },
+  industryContact: {
+    label: 'Industry contact',
+    description: 'A photographer, stylist, casting director, client or other industry contact.',
+    keywords: ['industry contact', 'client contact', 'photographer', 'stylist', 'casting director', 'art director', 'producer', 'instagram', 'business card'],
+    fields: [
+      'contactName', 'jobTitle', 'company', 'email', 'mobile', 'phoneNumber', 'instagram', 'website', 'address', 'location', 'notes'
+    ],
+    guidance: `INDUSTRY CONTACT EXTRACTION:
+- contactName: "Contact Name:", "Full Name:", "Industry Contact:", "Name:"
+- company: "Company:", "Organization:", "Firm:", "Agency:", "Studio:"
+- jobTitle: "Title:", "Position:", "Role:", "Job:", "Department:"
+- instagram: "Instagram:", "IG:", "@", "Social:", "Handle:"
+- website, email, mobile, phoneNumber, address when present`
+  },
+  meeting: {
+    label: 'Meeting',
+    description: 'A meeting or conference with a client, agency or industry contact.',
+    keywords: ['meeting', 'conference', 'agenda', 'call', 'zoom', 'teams', 'appointment', 'catch up', 'interview'],
+    fields: [
+      'subject', 'industryContact', 'clientName', 'date', 'startTime', 'endTime', 'location', 'address',
+      'contactPerson', 'email', 'phoneNumber', 'notes'
+    ],
+    guidance: `MEETING EXTRACTION:
+- subject: "Subject:", "Re:", "Regarding:", "About:", "Agenda:"
+- industryContact: "Contact:", "Industry contact:", "Client contact:", "Meeting with:"
+- clientName: the company or brand the meeting is with
+- date/startTime/endTime: "Date:", "Time:", "10:00-11:00"
+- location/address: "Location:", "Office:", "Zoom", "Google Meet"`
+  },
+  shooting: {
+    label: 'Shooting',
+    description: 'A photo or video shoot: client, type, schedule, location and rate.',
+    keywords: ['shooting', 'shoot schedule', 'photo shoot', 'photoshoot', 'call sheet', 'set', 'studio', 'photographer', 'wrap'],
+    fields: [
+      'clientName', 'jobType', 'jobTitle', 'photographer', 'location', 'address', 'date', 'endDate',
+      'callTime', 'startTime', 'endTime', 'dayRate', 'currency', 'bookingAgent', 'requirements', 'notes'
+    ],
+    guidance: `SHOOTING-SPECIFIC EXTRACTION:
+- clientName: "Client:", "Brand:", "Company:", "Shooting for:", "Campaign for:"
+- jobType: the type of shooting - "Campaign", "Editorial", "E-commerce", "Lookbook", "TVC"
+- location/address: "Location:", "Studio:", "Address:", "Venue:", "Set:"
+- date: "Date:", "Shooting date:", "Schedule:", "When:"
+- callTime/startTime/endTime: "Call:", "Start:", "End:", "Wrap:", "9:00-17:00"
+- dayRate: "Rate:", "Fee:", "Payment:", "Budget:"
+- photographer: "Photographer:", "Shot by:", "Photo by:"`
+  }
+};
+
+class OcrProfileService {
+  /**
+   * Names of the document-type profiles (excluding "auto" and the legacy generic profile)
+   * @returns {Array<string>} Profile names
+   */
+  static getProfileTypes() {
+    return Object.keys(PROFILES);
+  }
+
+  /**
+   * Check whether a documentType value can be used with /api/ocr
+   * @param {string} documentType - Requested document type
+   * @returns {boolean} True for profile names, "auto" and "modeling_document"
+   */
+  static isSupported(documentType) {
+    return documentType === AUTO_PROFILE || documentType === GENERIC_PROFILE || Boolean(PROFILES[documentType]);
+  }
+
+  /**
+   * Describe every profile (for GET /api/ocr/profiles)
+   * @returns {Array<Object>} [{ documentType, label, description, fields }]
+   */
+  static describeProfiles() {
+    const profiles = Object.entries(PROFILES).map(([documentType, profile]) => ({
+      documentType,
+      label: profile.label,
+      description: profile.description,
+      fields: profile.fields
+    }));
+
+    return [
+      {
+        documentType: AUTO_PROFILE,
+        label: 'Automatic',
+        description: 'Classifies the document first, then extracts with the matching profile.',
+        fields: null
+      },
+      {
+        documentType: GENERIC_PROFILE,
+        label: 'Any modeling document',
+        description: 'Extracts every known field without assuming a document type.',
+        fields: Object.keys(OcrValidationService.getFields())
+      },
+      ...profiles
+    ];
+  }
+
+  /**
+   * Get the output schema for a profile
+   * @param {string} documentType - Profile name or "modeling_document"
+   * @returns {Object} Field schema for OcrValidationService.validate()
+   */
+  static getFields(documentType) {
+    const allFields = OcrValidationService.getFields();
+    const profile = PROFILES[documentType];
+
+    if (!profile) {
+      return allFields;
+    }
+
+    return Object.fromEntries(profile.fields.map(field => [field, allFields[field]]));
+  }
+
+  /**
+   * Build the extraction system prompt for a profile
+   * @param {string} documentType - Profile name or "modeling_document"
+   * @returns {string} System prompt
+   */
+  static buildExtractionPrompt(documentType) {
+    const profile = PROFILES[documentType];
+    const schema = OcrValidationService.buildSchemaPrompt(this.getFields(documentType));
+
+    if (!profile) {
+      return `${GENERIC_PROMPT_HEADER}
+${schema}
+
+${GENERIC_PROMPT_GUIDELINES}
+
+RESPOND WITH ONLY THE JSON OBJECT - NO OTHER TEXT.`;
+    }
+
+    return `You are an expert AI assistant specialized in extracting structured data from modeling industry documents.
+
+DOCUMENT TYPE: ${profile.label}
+${profile.description}
+
+TASK: Extract the information relevant to this document type into the JSON format below.
+
+REQUIRED OUTPUT FORMAT (JSON):
+${schema}
+
+${COMMON_RULES}
+
+${profile.guidance}
+
+RESPOND WITH ONLY THE JSON OBJECT - NO OTHER TEXT.`;
+  }
+
+  /**
+   * Build the system prompt used to classify a document in "auto" mode
+   * @returns {string} System prompt
+   */
+  static buildClassificationPrompt() {
+    const types = Object.entries(PROFILES)
+      .map(([documentType, profile]) => `- ${documentType}: ${profile.description}`)
+      .join('\n');
+
+    return `You classify modeling industry documents (emails, contracts, booking forms, call sheets, business cards).
+
+Choose the ONE document type that best describes the document:
+${types}
+
+Rules:
+- A confirmed booking with rates is a "job"; an unconfirmed hold, casting, go-see or fitting is an "option"
+- A document mainly about a hotel, apartment or travel is an "onStay"
+- A document describing an agency itself (not a booking through it) is an "agency"
+- Contact details of one person at an agency are an "agent"; of anyone else in the industry an "industryContact"
+
+REQUIRED OUTPUT FORMAT (JSON):
+{
+  "documentType": "${this.getProfileTypes().join('|')}",
+  "confidence": "number between 0 and 1",
+  "reason": "short explanation"
+}
+
+RESPOND WITH ONLY THE JSON OBJECT - NO OTHER TEXT.`;
+  }
+
+  /**
+   * Read the model's classification answer
+   * @param {string} content - Model response
+   * @returns {Object|null} { documentType, confidence, reason } or null when unusable
+   */
+  static parseClassification(content) {
+    try {
+      const parsed = JSON.parse(content);
+      const documentType = typeof parsed.documentType === 'string' ? parsed.documentType.trim() : null;
+      if (!PROFILES[documentType]) {
+        return null;
+      }
+
+      const confidence = parseFloat(parsed.confidence);
+      return {
+        documentType,
+        confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : null,
+        reason: typeof parsed.reason === 'string' ? parsed.reason : null
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Classify a document by keyword counts (offline fallback for "auto" mode)
+   * @param {string} text - Document text
+   * @returns {Object} { documentType, confidence, reason, scores }
+   */
+  static classifyByKeywords(text = '') {
+    const lowerText = text.toLowerCase();
+    const scores = {};
+
+    Object.entries(PROFILES).forEach(([documentType, profile]) => {
+      scores[documentType] = profile.keywords.reduce((score, keyword) => {
+        const pattern = new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'g');
+        return score + (lowerText.match(pattern) || []).length;
+      }, 0);
+    });
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const [bestType, bestScore] = ranked[0];
+    const totalScore = ranked.reduce((sum, [, score]) => sum + score, 0);
+
+    if (bestScore === 0) {
+      return {
+        documentType: 'job',
+        confidence: 0,
+        reason: 'No document type keywords found, defaulting to job',
+        scores
+      };
+    }
+
+    return {
+      documentType: bestType,
+      confidence: Math.round((bestScore / totalScore) * 100) / 100,
+      reason: `Matched ${bestScore} ${bestType} keyword(s)`,
+      scores
+    };
+  }
+}
+
+export default OcrProfileService;
@@ -0,0 +1,397 @@
+/**
+ * OCR Service for ModelDay Backend
+ * Runs the /api/ocr extraction (classification in "auto" mode, profile prompt, JSON
+ * validation and entity drafts) for one document or a batch of documents
+ *
+ * Batches are processed with a bounded number of LLM calls in flight (OCR_BATCH_CONCURRENCY);
+ * a failing document is reported in its own result and never fails the batch. The batch
+ * summary flags documents that describe the same booking (the same confirmation forwarded
+ * twice, or an option and its confirmation).
+ */
+
+import LLMService from './llmService.js';
+import OcrProfileService from './ocrProfileService.js';
+import OcrValidationService from './ocrValidationService.js';
+import OcrDraftService from './ocrDraftService.js';
+import OcrEvidenceService from './ocrEvidenceService.js';
+
+const DEFAULT_DOCUMENT_TYPE = 'modeling_document';
+const DEFAULT_BATCH_CONCURRENCY = 3;
+const DEFAULT_BATCH_MAX_DOCUMENTS = 20;
+
+const OCR_ERRORS = {
+  MISSING_TEXT: { status: 400, message: 'Text content is required for OCR analysis' },
+  UNSUPPORTED_DOCUMENT_TYPE: { status: 400, message: 'Unsupported document type' },
+  MISSING_DOCUMENTS: { status: 400, message: 'documents must be a non-empty array of { text, documentType } objects' },
+  TOO_MANY_DOCUMENTS: { status: 400, message: 'Too many documents in one batch' }
+};
+
+// Provider (OpenAI) error codes and the API error codes reported for them
+const PROVIDER_ERROR_CODES = {
+  insufficient_quota: 'QUOTA_EXCEEDED',
+  invalid_api_key: 'INVALID_API_KEY',
+  rate_limit_exceeded: 'RATE_LIMIT_EXCEEDED'
+};
+
+// Drafts that are bookings (compared when looking for duplicates)
+const BOOKING_ENTITIES = new Set(['job', 'event', 'shooting', 'meeting', 'onStay']);
+
+class OcrService {
+  /**
+   * Maximum number of LLM extractions running at the same time in a batch (OCR_BATCH_CONCURRENCY)
+   * @returns {number} Concurrency limit
+   */
+  static getBatchConcurrency() {
+    const configured = parseInt(process.env.OCR_BATCH_CONCURRENCY, 10);
+    return Number.isInteger(configured) && configured > 0 ? configured : DEFAULT_BATCH_CONCURRENCY;
+  }
+
+  /**
+   * Maximum number of documents in one batch (OCR_BATCH_MAX_DOCUMENTS)
+   * @returns {number} Document limit
+   */
+  static getBatchMaxDocuments() {
+    const configured = parseInt(process.env.OCR_BATCH_MAX_DOCUMENTS, 10);
+    return Number.isInteger(configured) && configured > 0 ? configured : DEFAULT_BATCH_MAX_DOCUMENTS;
+  }
+
+  /**
+   * Extract the data of one document
+   * @param {Object} provider - LLM provider from LLMService (OCR route)
+   * @param {string} text - Document text
+   * @param {Object} options - Extraction options
+   * @param {string} options.documentType - Profile name, "auto" or "modeling_document" (default)
+   * @param {boolean} options.pdf - The text comes from a PDF (its pages are marked with [Page N])
+   * @param {Object} options.hints - Field values known from outside the text (e.g. the e-mail sender as
+   *   contactPerson); given to the model and used for fields it leaves empty
+   * @returns {Promise<Object>} { extractedData, documentType, requestedDocumentType, classification,
+   *   drafts, draftClassification, draftCounts, validation, fieldEvidence, confidence, uncertainFields,
+   *   usage, model, fieldsExtracted, hintsApplied } (see OcrEvidenceService.buildFieldEvidence for the evidence)
+   * @throws {Error} Provider errors, or an error when the model's answer is not JSON
+   */
+  static async analyze(provider, text, options = {}) {
+    const documentType = options.documentType || DEFAULT_DOCUMENT_TYPE;
+
+    // Auto mode: classify the document first, then extract with the matching profile
+    let profileType = documentType;
+    let classification = null;
+    if (documentType === 'auto') {
+      classification = await this.classifyDocument(provider, text);
+      profileType = classification.documentType;
+      console.log('🏷️ OCR document classified:', {
+        documentType: classification.documentType,
+        confidence: classification.confidence,
+        method: classification.method
+      });
+    }
+
+    // Create AI prompt for intelligent data extraction
+    const systemPrompt = OcrProfileService.buildExtractionPrompt(profileType);
+    const fields = OcrProfileService.getFields(profileType);
+    const hints = Object.entries(options.hints || {})
+      .filter(([field, value]) => fields[field] && typeof value === 'string' && value.trim());
+    const hintText = hints.length > 0
+      ? `\n\nKnown values (use them unless the document states otherwise):\n${hints.map(([field, value]) => `- ${field}: ${value}`).join('\n')}`
+      : '';
+
+    // Call the configured LLM provider for intelligent extraction
+    const completion = await provider.createChatCompletion({
+      model: LLMService.getModel('ocr'),
+      messages: [
+        {
+          role: 'system',
+          content: `${systemPrompt}\n\n${OcrEvidenceService.getInstructions()}`
+        },
+        {
+          role: 'user',
+          content: options.pdf
+            ? `Please analyze this PDF document (pages are marked with [Page N]) and extract all relevant information:\n\n${text}${hintText}`
+            : `Please analyze this text and extract all relevant information:\n\n${text}${hintText}`
+        }
+      ],
+      max_tokens: 3000, // Room for the field evidence next to the fields
+      temperature: 0.1, // Low temperature for consistent extraction
+      response_format: { type: "json_object" }
+    });
+
+    const aiResponse = completion.choices[0]?.message?.content;
+
+    if (!aiResponse) {
+      throw new Error(`No response from ${provider.name} provider`);
+    }
+
+    // Parse the JSON response
+    let rawExtraction;
+    try {
+      rawExtraction = JSON.parse(aiResponse);
+    } catch (parseError) {
+      console.error('Failed to parse AI response as JSON:', parseError);
+      throw new Error('Invalid JSON response from AI');
+    }
+
+    // Validate and normalize so extractedData always matches the schema
+    const { fields: extractedFields, evidence } = OcrEvidenceService.splitEvidence(rawExtraction);
+    const validation = OcrValidationService.validate(extractedFields, fields);
+    const extractedData = validation.data;
+
+    // Hints fill the fields the model left empty
+    const hintsApplied = [];
+    hints.forEach(([field, value]) => {
+      if (extractedData[field] === null) {
+        extractedData[field] = value.trim();
+        hintsApplied.push(field);
+      }
+    });
+
+    // Confidence and source text of every field
+    const fieldEvidence = OcrEvidenceService.buildFieldEvidence(extractedData, text, {
+      evidence,
+      issues: validation.issues,
+      hintFields: hintsApplied,
+      pdf: options.pdf
+    });
+
+    // Ready-to-save records (a job and its hotel stay become two drafts)
+    const entityDrafts = OcrDraftService.buildDrafts(extractedData, { documentType: profileType, classification });
+
+    return {
+      extractedData,
+      documentType: profileType,
+      requestedDocumentType: documentType,
+      classification,
+      drafts: entityDrafts.drafts,
+      draftClassification: entityDrafts.classification,
+      draftCounts: entityDrafts.counts,
+      validation: {
+        valid: validation.valid,
+        issues: validation.issues
+      },
+      fieldEvidence: fieldEvidence.fields,
+      confidence: fieldEvidence.confidence,
+      uncertainFields: fieldEvidence.uncertainFields,
+      usage: this.addUsage(completion.usage, classification?.usage),
+      model: completion.model,
+      fieldsExtracted: Object.keys(extractedData).filter(key => extractedData[key] !== null).length,
+      hintsApplied
+    };
+  }
+
+  /**
+   * Extract the data of several documents
+   * @param {Object} provider - LLM provider from LLMService (OCR route)
+   * @param {Array<Object>} documents - [{ id, text, documentType }]; id defaults to "doc<N>"
+   * @param {Object} options - { concurrency } (default: getBatchConcurrency())
+   * @returns {Promise<Object>} { results, summary }
+   *   - results: per document, in request order: { id, index, success, ...analyze() } or
+   *     { id, index, success: false, error, code }
+   *   - summary: { total, succeeded, failed, draftCounts, duplicates, usage }
+   * @throws {Error} MISSING_DOCUMENTS or TOO_MANY_DOCUMENTS (see createError)
+   */
+  static async analyzeBatch(provider, documents, options = {}) {
+    if (!Array.isArray(documents) || documents.length === 0) {
+      throw this.createError('MISSING_DOCUMENTS');
+    }
+    const maxDocuments = this.getBatchMaxDocuments();
+    if (documents.length > maxDocuments) {
+      throw this.createError('TOO_MANY_DOCUMENTS', `${documents.length} sent, at most ${maxDocuments} allowed`);
+    }
+
+    const concurrency = options.concurrency || this.getBatchConcurrency();
+    const results = await this._mapWithConcurrency(documents, concurrency, async (document, index) => {
+      const id = this._documentId(document, index);
+      try {
+        this._checkDocument(document);
+        const result = await this.analyze(provider, document.text, { documentType: document.documentType });
+        return { id, index, success: true, ...result };
+      } catch (error) {
+        console.error(`OCR batch document ${id} failed:`, error.message);
+        return { id, index, success: false, error: error.message, code: this.getErrorCode(error) };
+      }
+    });
+
+    const succeeded = results.filter(result => result.success);
+    const draftCounts = succeeded.reduce((counts, result) => {
+      Object.entries(result.draftCounts).forEach(([entityType, count]) => {
+        counts[entityType] = (counts[entityType] || 0) + count;
+      });
+      return counts;
+    }, {});
+
+    return {
+      results,
+      summary: {
+        total: results.length,
+        succeeded: succeeded.length,
+        failed: results.length - succeeded.length,
+        draftCounts,
+        duplicates: this.findDuplicateBookings(succeeded),
+        usage: this.addUsage(...succeeded.map(result => result.usage))
+      }
+    };
+  }
+
+  /**
+   * Group the drafts of different documents that describe the same booking: same entity
+   * type and date (check-in date for stays) and the same client (hotel for stays)
+   * @param {Array<Object>} results - Successful results of analyzeBatch()
+   * @returns {Array<Object>} [{ entityType, date, name, documents: [{ id, draftId, entityType }] }]
+   */
+  static findDuplicateBookings(results) {
+    const groups = new Map();
+
+    results.forEach(result => {
+      (result.drafts || []).forEach(draft => {
+        if (!BOOKING_ENTITIES.has(draft.entityType)) {
+          return;
+        }
+        const { record } = draft;
+        const date = draft.entityType === 'onStay' ? record.checkInDate : record.date;
+        const name = draft.entityType === 'onStay' ? record.locationName : record.clientName;
+        // A name of only punctuation says nothing about which booking it is
+        const normalizedName = name ? this._normalizeName(name) : '';
+        if (!date || !normalizedName) {
+          return;
+        }
+
+        // Options (events) and the jobs that confirm them describe the same booking
+        const kind = draft.entityType === 'event' ? 'job' : draft.entityType;
+        const key = `${kind}|${date}|${normalizedName}`;
+        if (!groups.has(key)) {
+          groups.set(key, { entityType: kind, date, name, documents: [] });
+        }
+        const group = groups.get(key);
+        if (!group.documents.some(entry => entry.id === result.id)) {
+          group.documents.push({ id: result.id, draftId: draft.draftId, entityType: draft.entityType });
+        }
+      });
+    });
+
+    return [...groups.values()].filter(group => group.documents.length > 1);
+  }
+
+  /**
+   * Classify a document for "auto" mode
+   * Asks the model first and falls back to keyword matching when its answer is unusable
+   * @param {Object} provider - LLM provider from LLMService
+   * @param {string} text - Document text
+   * @returns {Promise<Object>} { documentType, confidence, reason, method, usage }
+   */
+  static async classifyDocument(provider, text) {
+    try {
+      const completion = await provider.createChatCompletion({
+        model: LLMService.getModel('ocr'),
+        messages: [
+          {
+            role: 'system',
+            content: OcrProfileService.buildClassificationPrompt()
+          },
+          {
+            role: 'user',
+            content: `Classify this document:\n\n${text.slice(0, 4000)}`
+          }
+        ],
+        max_tokens: 200,
+        temperature: 0,
+        response_format: { type: "json_object" }
+      });
+
+      const classification = OcrProfileService.parseClassification(completion.choices[0]?.message?.content);
+      if (classification) {
+        return { ...classification, method: 'ai', usage: completion.usage };
+      }
+      console.log('⚠️ Unusable classification from AI, using keyword classification');
+    } catch (error) {
+      console.error('Document classification failed, using keyword classification:', error.message);
+    }
+
+    const { documentType, confidence, reason } = OcrProfileService.classifyByKeywords(text);
+    return { documentType, confidence, reason, method: 'keywords', usage: null };
+  }
+
+  /**
+   * Add up token usage from several completions
+   * @param {...Object} usages - OpenAI usage objects (null entries are skipped)
+   * @returns {Object|null} Combined usage
+   */
+  static addUsage(...usages) {
+    const present = usages.filter(Boolean);
+    if (present.length <= 1) {
+      return present[0] || null;
+    }
+
+    return present.reduce((total, usage) => ({
+      prompt_tokens: total.prompt_tokens + (usage.prompt_tokens || 0),
+      completion_tokens: total.completion_tokens + (usage.completion_tokens || 0),
+      total_tokens: total.total_tokens + (usage.total_tokens || 0)
+    }), { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+  }
+
+  /**
+   * API error code for an extraction error
+   * @param {Error} error - Error from analyze() or createError()
+   * @returns {string} Error code (OCR_ERROR for unknown errors)
+   */
+  static getErrorCode(error) {
+    if (OCR_ERRORS[error?.code]) {
+      return error.code;
+    }
+    return PROVIDER_ERROR_CODES[error?.code] || 'OCR_ERROR';
+  }
+
+  /**
+   * Create an OCR request error
+   * @param {string} code - Key of OCR_ERRORS
+   * @param {string} detail - Appended to the message
+   * @returns {Error} Error with code and status
+   */
+  static createError(code, detail = null) {
+    const definition = OCR_ERRORS[code];
+    const error = new Error(detail ? `${definition.message}: ${detail}` : definition.message);
+    error.code = code;
+    error.status = definition.status;
+    return error;
+  }
+
+  /**
+   * Reject a batch document without text or with an unknown document type
+   */
+  static _checkDocument(document) {
+    if (!document || typeof document.text !== 'string' || document.text.trim().length === 0) {
+      throw this.createError('MISSING_TEXT');
+    }
+    if (document.documentType !== undefined && !OcrProfileService.isSupported(document.documentType)) {
+      throw this.createError('UNSUPPORTED_DOCUMENT_TYPE', String(document.documentType));
+    }
+  }
+
+  static _documentId(document, index) {
+    const id = document?.id;
+    return (typeof id === 'string' && id.trim()) || (typeof id === 'number' ? String(id) : `doc${index + 1}`);
+  }
+
+  // Letters and digits of any script, so "三星" and "Яндекс" are compared too
+  static _normalizeName(name) {
+    return String(name).normalize('NFC').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  }
+
+  /**
+   * Map items with an async function, at most `limit` calls running at a time
+   * @returns {Promise<Array>} Results in item order
+   */
+  static async _mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+  }
+}
+
+export default OcrService;
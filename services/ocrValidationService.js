@@ -0,0 +1,317 @@
+/**
+ * OCR Validation Service for ModelDay Backend
+ * Declares the fields /api/ocr extracts and validates/normalizes the model's JSON
+ * output so the frontend can use extractedData without checking it again
+ */
+
+import CurrencyService from './currencyService.js';
+import DateService from './dateService.js';
+
+/**
+ * Field types:
+ * - string: free text, trimmed (numbers are converted to text)
+ * - money: amount, "500 EUR" becomes 500 and the currency is kept as a hint
+ * - number: plain number (hours, percentages written as "20%")
+ * - percent: number between 0 and 100
+ * - date: YYYY-MM-DD
+ * - time: HH:MM (24-hour)
+ * - currency: ISO 4217 code
+ * - email: e-mail address
+ */
+const OCR_FIELDS = {
+  clientName: { type: 'string' },
+  location: { type: 'string' },
+  date: { type: 'date' },
+  endDate: { type: 'date' },
+  dayRate: { type: 'money' },
+  usageRate: { type: 'money' },
+  currency: { type: 'currency' },
+  bookingAgent: { type: 'string' },
+  contactPerson: { type: 'string' },
+  notes: { type: 'string' },
+  optionType: { type: 'string' },
+  jobType: { type: 'string' },
+  jobTitle: { type: 'string' },
+  media: { type: 'string' },
+  usagePeriod: { type: 'string' },
+  exclusivity: { type: 'string' },
+  releaseCountry: { type: 'string' },
+  budget: { type: 'money' },
+  paymentTerms: { type: 'string' },
+  requirements: { type: 'string' },
+  timeline: { type: 'string' },
+  additionalInfo: { type: 'string' },
+  phoneNumber: { type: 'string' },
+  email: { type: 'email' },
+  address: { type: 'string' },
+  company: { type: 'string' },
+  extraHours: { type: 'number' },
+  agencyFee: { type: 'number' },
+  tax: { type: 'number' },
+  additionalFees: { type: 'money' },
+  callTime: { type: 'time' },
+  startTime: { type: 'time' },
+  endTime: { type: 'time' },
+  checkInDate: { type: 'date' },
+  checkOutDate: { type: 'date' },
+  hotelAddress: { type: 'string' },
+  hotelCost: { type: 'money' },
+  pocketMoney: { type: 'money' },
+  agencyName: { type: 'string' },
+  agencyAddress: { type: 'string' },
+  contractDetails: { type: 'string' },
+  subject: { type: 'string' },
+  industryContact: { type: 'string' },
+  photographer: { type: 'string' },
+  eventName: { type: 'string' },
+  flightCost: { type: 'money' },
+  name: { type: 'string' },
+  fullName: { type: 'string' },
+  contactName: { type: 'string' },
+  website: { type: 'string' },
+  agencyType: { type: 'string' },
+  commissionRate: { type: 'percent' },
+  mobile: { type: 'string' },
+  instagram: { type: 'string' },
+  organization: { type: 'string' }
+};
+
+// How each type is described to the model in the prompt
+const PROMPT_TYPES = {
+  string: 'string | null',
+  money: 'number | null',
+  number: 'number | null',
+  percent: 'number | null',
+  date: 'YYYY-MM-DD format | null',
+  time: 'HH:MM (24-hour) | null',
+  currency: 'USD|EUR|GBP|etc | null',
+  email: 'string | null'
+};
+
+// Date pairs that must not end before they start
+const DATE_RANGES = [
+  ['date', 'endDate'],
+  ['checkInDate', 'checkOutDate']
+];
+
+// Placeholder answers models give instead of null
+const EMPTY_VALUES = new Set(['', 'null', 'none', 'n/a', 'na', '-', 'unknown', 'not specified']);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class OcrValidationService {
+  /**
+   * Get the full OCR field schema
+   * @returns {Object} Map of field name to { type }
+   */
+  static getFields() {
+    return OCR_FIELDS;
+  }
+
+  /**
+   * Build the JSON output format block for the extraction prompt
+   * @param {Object} fields - Field schema (defaults to all OCR fields)
+   * @returns {string} JSON-like schema listing each field once
+   */
+  static buildSchemaPrompt(fields = OCR_FIELDS) {
+    const lines = Object.entries(fields).map(([name, { type }]) => `  "${name}": "${PROMPT_TYPES[type]}"`);
+    return `{\n${lines.join(',\n')}\n}`;
+  }
+
+  /**
+   * Validate and normalize the model's extraction output
+   * @param {Object} rawData - Parsed JSON returned by the model
+   * @param {Object} fields - Field schema (defaults to all OCR fields)
+   * @returns {Object} { data, issues, valid } - data has every schema field (null when missing)
+   */
+  static validate(rawData, fields = OCR_FIELDS) {
+    const data = {};
+    const issues = [];
+    const detectedCurrencies = new Set();
+
+    const source = rawData && typeof rawData === 'object' && !Array.isArray(rawData) ? rawData : {};
+    if (source !== rawData) {
+      issues.push(this._issue(null, 'INVALID_ROOT', 'error', 'Extraction result is not a JSON object', rawData));
+    }
+
+    Object.keys(source).forEach(key => {
+      if (!fields[key]) {
+        issues.push(this._issue(key, 'UNKNOWN_FIELD', 'warning', 'Field is not part of the extraction schema and was dropped', source[key]));
+      }
+    });
+
+    Object.entries(fields).forEach(([field, definition]) => {
+      data[field] = this._normalizeField(field, definition.type, source[field], issues, detectedCurrencies);
+    });
+
+    this._reconcileCurrency(data, fields, detectedCurrencies, issues);
+    this._checkDateRanges(data, issues);
+
+    return {
+      data,
+      issues,
+      valid: !issues.some(issue => issue.severity === 'error')
+    };
+  }
+
+  /**
+   * Normalize one field according to its type
+   * @param {string} field - Field name
+   * @param {string} type - Field type
+   * @param {*} value - Raw value
+   * @param {Array} issues - Issue list (appended to)
+   * @param {Set} detectedCurrencies - Currencies found inside money values (appended to)
+   * @returns {*} Normalized value or null
+   */
+  static _normalizeField(field, type, value, issues, detectedCurrencies) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    if (typeof value === 'string' && EMPTY_VALUES.has(value.trim().toLowerCase())) {
+      return null;
+    }
+
+    if (typeof value === 'object') {
+      if (Array.isArray(value) && value.every(item => ['string', 'number'].includes(typeof item)) && type === 'string') {
+        issues.push(this._issue(field, 'COERCED', 'warning', 'List of values was joined into one text value', value));
+        return value.join(', ');
+      }
+      issues.push(this._issue(field, 'INVALID_TYPE', 'error', `Expected a ${type} value, got ${Array.isArray(value) ? 'a list' : 'an object'}`, value));
+      return null;
+    }
+
+    switch (type) {
+      case 'money':
+      case 'number':
+      case 'percent':
+        return this._normalizeNumber(field, type, value, issues, detectedCurrencies);
+      case 'date':
+        return this._normalizeDate(field, value, issues);
+      case 'time': {
+        const time = DateService.parseTime(String(value));
+        if (!time) {
+          issues.push(this._issue(field, 'INVALID_TIME', 'error', 'Not a valid time of day (expected HH:MM)', value));
+        }
+        return time;
+      }
+      case 'currency': {
+        const code = CurrencyService.normalizeCode(String(value), 'XXX');
+        if (code === 'XXX' || !CurrencyService.isKnownCode(code)) {
+          issues.push(this._issue(field, 'INVALID_CURRENCY', 'error', 'Not an ISO 4217 currency code', value));
+          return null;
+        }
+        return code;
+      }
+      case 'email': {
+        const email = String(value).trim().replace(/^mailto:/i, '').toLowerCase();
+        if (!EMAIL_PATTERN.test(email)) {
+          issues.push(this._issue(field, 'INVALID_EMAIL', 'error', 'Not a valid e-mail address', value));
+          return null;
+        }
+        return email;
+      }
+      default:
+        return String(value).trim();
+    }
+  }
+
+  /**
+   * Normalize numeric fields, splitting "500 EUR" into an amount and a currency hint
+   * @returns {number|null} Amount
+   */
+  static _normalizeNumber(field, type, value, issues, detectedCurrencies) {
+    const parsed = CurrencyService.parseMoney(value);
+
+    if (!parsed) {
+      issues.push(this._issue(field, 'INVALID_NUMBER', 'error', 'Not a number', value));
+      return null;
+    }
+
+    if (typeof value === 'string') {
+      issues.push(this._issue(field, 'COERCED', 'warning', `Text value converted to the number ${parsed.amount}`, value));
+    }
+
+    if (parsed.ambiguous) {
+      issues.push(this._issue(field, 'AMBIGUOUS_NUMBER', 'warning', `Several numbers found, using the first one (${parsed.amount})`, value));
+    }
+
+    if (parsed.amount < 0) {
+      issues.push(this._issue(field, 'NEGATIVE_NUMBER', 'error', 'Amount cannot be negative', value));
+      return null;
+    }
+
+    if (type === 'percent' && parsed.amount > 100) {
+      issues.push(this._issue(field, 'OUT_OF_RANGE', 'error', 'Percentage must be between 0 and 100', value));
+      return null;
+    }
+
+    if (type === 'money' && parsed.currency) {
+      detectedCurrencies.add(parsed.currency);
+    }
+
+    return parsed.amount;
+  }
+
+  /**
+   * Normalize a date to YYYY-MM-DD, rejecting impossible dates
+   * @returns {string|null} ISO date
+   */
+  static _normalizeDate(field, value, issues) {
+    const date = DateService.parseDate(String(value));
+
+    if (!date) {
+      issues.push(this._issue(field, 'INVALID_DATE', 'error', 'Not a valid calendar date (expected YYYY-MM-DD)', value));
+      return null;
+    }
+
+    if (date !== value) {
+      issues.push(this._issue(field, 'COERCED', 'warning', `Date reformatted to ${date}`, value));
+    }
+
+    return date;
+  }
+
+  /**
+   * Fill in or cross-check the currency field with currencies found in money values
+   */
+  static _reconcileCurrency(data, fields, detectedCurrencies, issues) {
+    if (!fields.currency || detectedCurrencies.size === 0) {
+      return;
+    }
+
+    const detected = [...detectedCurrencies];
+
+    if (!data.currency && detected.length === 1) {
+      data.currency = detected[0];
+      issues.push(this._issue('currency', 'CURRENCY_INFERRED', 'warning', `Currency taken from the amounts (${detected[0]})`, null));
+      return;
+    }
+
+    const conflicting = detected.filter(code => code !== data.currency);
+    if (conflicting.length > 0) {
+      issues.push(this._issue('currency', 'CURRENCY_CONFLICT', 'warning', `Amounts mention ${detected.join(', ')} but currency is ${data.currency || 'missing'}`, data.currency));
+    }
+  }
+
+  /**
+   * Flag date ranges that end before they start
+   */
+  static _checkDateRanges(data, issues) {
+    DATE_RANGES.forEach(([startField, endField]) => {
+      if (data[startField] && data[endField] && data[endField] < data[startField]) {
+        issues.push(this._issue(endField, 'INVALID_DATE_RANGE', 'error', `${endField} (${data[endField]}) is before ${startField} (${data[startField]})`, data[endField]));
+      }
+    });
+  }
+
+  /**
+   * Build an issue entry
+   * @returns {Object} { field, code, severity, message, value }
+   */
+  static _issue(field, code, severity, message, value) {
+    return { field, code, severity, message, value: value === undefined ? null : value };
+  }
+}
+
+export default OcrValidationService;
@@ -0,0 +1,180 @@
+/**
+ * PDF Service for ModelDay Backend
+ * Extracts the embedded text layer of uploaded PDFs page by page so /api/ocr can
+ * analyze booking confirmations and contracts without client-side OCR
+ */
+
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+import OcrEvidenceService from './ocrEvidenceService.js';
+
+const DEFAULT_MAX_PAGES = 50;
+
+// Pages with fewer visible characters than this are treated as images (scanned pages)
+const MIN_PAGE_CHARACTERS = 20;
+
+/**
+ * Errors raised while reading a PDF (code is returned to the client)
+ */
+const PDF_ERRORS = {
+  INVALID_PDF: { status: 400, message: 'The uploaded file is not a valid PDF' },
+  PDF_ENCRYPTED: { status: 400, message: 'The PDF is password protected. Remove the password and upload it again.' },
+  PDF_NO_TEXT_LAYER: {
+    status: 422,
+    message: 'The PDF has no text layer (it looks like a scanned document). Run OCR on the page images and send the text in the "text" field instead.'
+  }
+};
+
+class PdfService {
+  /**
+   * Maximum number of pages read from one PDF (PDF_MAX_PAGES)
+   * @returns {number} Page limit
+   */
+  static getMaxPages() {
+    const configured = parseInt(process.env.PDF_MAX_PAGES, 10);
+    return Number.isInteger(configured) && configured > 0 ? configured : DEFAULT_MAX_PAGES;
+  }
+
+  /**
+   * Check the PDF signature of a file
+   * @param {Buffer} buffer - File contents
+   * @returns {boolean} True when the file starts with %PDF-
+   */
+  static isPdf(buffer) {
+    return Buffer.isBuffer(buffer) && buffer.subarray(0, 1024).includes('%PDF-');
+  }
+
+  /**
+   * Extract the text layer of a PDF page by page
+   * @param {Buffer} buffer - PDF file contents
+   * @returns {Promise<Object>} { pageCount, pagesRead, pages: [{ page, text, characters, hasText }], text, info }
+   * @throws {Error} With code INVALID_PDF, PDF_ENCRYPTED or PDF_NO_TEXT_LAYER
+   */
+  static async extractText(buffer) {
+    if (!this.isPdf(buffer)) {
+      throw this.createError('INVALID_PDF');
+    }
+
+    const pageTexts = [];
+    let result;
+
+    try {
+      // pdf.js reads the whole underlying ArrayBuffer, so pass a copy rather than a (possibly pooled) Buffer
+      result = await pdfParse(new Uint8Array(buffer), {
+        max: this.getMaxPages(),
+        pagerender: pageData => this._renderPage(pageData).then(text => {
+          pageTexts[pageData.pageIndex] = text;
+          return text;
+        })
+      });
+    } catch (error) {
+      throw this.createError(error.name === 'PasswordException' ? 'PDF_ENCRYPTED' : 'INVALID_PDF', error.message);
+    }
+
+    const pages = [];
+    for (let index = 0; index < result.numrender; index++) {
+      const text = (pageTexts[index] || '').trim();
+      const characters = text.replace(/\s/g, '').length;
+      pages.push({
+        page: index + 1,
+        text,
+        characters,
+        hasText: characters >= MIN_PAGE_CHARACTERS
+      });
+    }
+
+    if (!pages.some(page => page.hasText)) {
+      throw this.createError('PDF_NO_TEXT_LAYER');
+    }
+
+    return {
+      pageCount: result.numpages,
+      pagesRead: result.numrender,
+      pages,
+      text: this.buildPagedText(pages),
+      info: {
+        title: result.info?.Title || null,
+        author: result.info?.Author || null,
+        producer: result.info?.Producer || null
+      }
+    };
+  }
+
+  /**
+   * Join page texts with page markers the model can refer to
+   * @param {Array} pages - Pages from extractText()
+   * @returns {string} Text with "[Page N]" headers (pages without text are skipped)
+   */
+  static buildPagedText(pages) {
+    return pages
+      .filter(page => page.hasText)
+      .map(page => `[Page ${page.page}]\n${page.text}`)
+      .join('\n\n');
+  }
+
+  /**
+   * Find the pages each extracted value appears on
+   * @param {Object} extractedData - Validated extraction result
+   * @param {Array} pages - Pages from extractText()
+   * @returns {Object} Map of field name to page numbers (fields not found on any page are omitted)
+   */
+  static findPageReferences(extractedData, pages) {
+    const references = {};
+
+    Object.entries(extractedData || {}).forEach(([field, value]) => {
+      if (value === null || value === undefined) {
+        return;
+      }
+
+      const pattern = OcrEvidenceService.buildValuePattern(value);
+      if (!pattern) {
+        return;
+      }
+
+      const found = pages.filter(page => pattern.test(page.text)).map(page => page.page);
+      if (found.length > 0) {
+        references[field] = found;
+      }
+    });
+
+    return references;
+  }
+
+  /**
+   * Create an error for a PDF problem
+   * @param {string} code - Key of PDF_ERRORS
+   * @param {string} detail - Underlying parser message
+   * @returns {Error} Error with code, status and detail
+   */
+  static createError(code, detail = null) {
+    const definition = PDF_ERRORS[code];
+    const error = new Error(definition.message);
+    error.code = code;
+    error.status = definition.status;
+    error.detail = detail;
+    return error;
+  }
+
+  /**
+   * Render one page's text content, starting a new line whenever the baseline changes
+   * @param {Object} pageData - pdf.js page
+   * @returns {Promise<string>} Page text
+   */
+  static async _renderPage(pageData) {
+    const content = await pageData.getTextContent({ normalizeWhitespace: true });
+    let lastY = null;
+    let text = '';
+
+    content.items.forEach(item => {
+      const y = item.transform[5];
+      if (lastY !== null && y !== lastY) {
+        text += '\n';
+      }
+      text += item.str;
+      lastY = y;
+    });
+
+    return text;
+  }
+}
+
+export default PdfService;
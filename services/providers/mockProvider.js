@@ -0,0 +1,222 @@
+/**
+ * Mock Provider for ModelDay Backend
+ * Deterministic, offline stand-in for an LLM so the server can be developed and
+ * tested with no network access and no API key
+ */
+
+/**
+ * Rough token estimate used for the mock usage numbers (~4 characters per token)
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text = '') {
+  return Math.ceil(String(text).length / 4);
+}
+
+/**
+ * Turn a document label such as "Day Rate" into a camelCase key ("dayRate")
+ * @param {string} label - Label text
+ * @returns {string} camelCase key
+ */
+function toCamelCase(label) {
+  return label
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+(.)/g, (match, chr) => chr.toUpperCase())
+    .replace(/[^a-zA-Z0-9]/g, '');
+}
+
+class MockProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.name - Provider name used in logs
+   * @param {Function} options.responder - Optional (options) => string (or { content, tool_calls } message)
+   *   used instead of the built-in replies
+   */
+  constructor({ name = 'mock', responder = null } = {}) {
+    this.name = name;
+    this.responder = responder;
+  }
+
+  /**
+   * The mock provider never needs configuration
+   * @returns {null}
+   */
+  getConfigurationError() {
+    return null;
+  }
+
+  /**
+   * Replace the reply generator (useful in tests)
+   * @param {Function|null} responder - (options) => string or { content, tool_calls }, or null for the built-in replies
+   */
+  setResponder(responder) {
+    this.responder = responder;
+  }
+
+  /**
+   * Create a chat completion in the same shape as openai.chat.completions.create
+   * @param {Object} options - Chat completion options
+   * @returns {Promise<Object>} Completion, or an async iterable of chunks with `stream: true`
+   */
+  async createChatCompletion(options = {}) {
+    const reply = this._buildReply(options);
+    const { content = null, tool_calls: toolCalls = null } = typeof reply === 'string' ? { content: reply } : reply;
+    const promptText = (options.messages || []).map(msg => msg.content || '').join('\n');
+    const usage = {
+      prompt_tokens: estimateTokens(promptText),
+      completion_tokens: estimateTokens(content || JSON.stringify(toolCalls || '')),
+      total_tokens: estimateTokens(promptText) + estimateTokens(content || JSON.stringify(toolCalls || ''))
+    };
+    const model = options.model || 'mock-model';
+
+    if (options.stream) {
+      return this._streamReply(content || '', model, usage, options.stream_options?.include_usage, toolCalls);
+    }
+
+    return {
+      id: 'mock-completion',
+      object: 'chat.completion',
+      created: 0,
+      model,
+      choices: [
+        {
+          index: 0,
+          message: { role: 'assistant', content, ...(toolCalls ? { tool_calls: toolCalls } : {}) },
+          finish_reason: toolCalls ? 'tool_calls' : 'stop'
+        }
+      ],
+      usage
+    };
+  }
+
+  /**
+   * Build the reply text for a request
+   * @param {Object} options - Chat completion options
+   * @returns {string|Object} Reply content, or a { content, tool_calls } message from the responder
+   */
+  _buildReply(options) {
+    if (this.responder) {
+      return this.responder(options);
+    }
+
+    const messages = options.messages || [];
+    const systemPrompt = messages.find(msg => msg.role === 'system')?.content || '';
+    const lastUserMessage = [...messages].reverse().find(msg => msg.role === 'user')?.content || '';
+
+    if (options.response_format?.type === 'json_object') {
+      // Chat with action cards: the usual chat reply as the answer, without actions
+      if (systemPrompt.includes('ACTION CARDS:')) {
+        return JSON.stringify({ response: this._buildChatReply(messages, systemPrompt, lastUserMessage), actions: [] });
+      }
+      return JSON.stringify(this._extractLabeledFields(lastUserMessage, systemPrompt));
+    }
+
+    return this._buildChatReply(messages, systemPrompt, lastUserMessage);
+  }
+
+  /**
+   * Build the plain chat reply
+   * @param {Array} messages - Chat messages
+   * @param {string} systemPrompt - System prompt
+   * @param {string} lastUserMessage - Last user message
+   * @returns {string} Reply text
+   */
+  _buildChatReply(messages, systemPrompt, lastUserMessage) {
+    // Answer after tool calls by echoing what the tools returned
+    const lastMessage = messages[messages.length - 1];
+    if (lastMessage?.role === 'tool') {
+      const toolResults = messages.filter(msg => msg.role === 'tool').map(msg => msg.content);
+      return `[mock] Tool results: ${toolResults.join(' ')}`;
+    }
+
+    return `[mock] You said: "${lastUserMessage}". Context provided: ${estimateTokens(systemPrompt)} tokens.`;
+  }
+
+  /**
+   * Deterministic "extraction": read "Label: value" lines and keep the labels that
+   * match a field named in the system prompt's JSON schema
+   * @param {string} text - User message containing the document text
+   * @param {string} systemPrompt - System prompt listing the expected fields
+   * @returns {Object} Extracted fields (with "_evidence" when the prompt asks for it)
+   */
+  _extractLabeledFields(text, systemPrompt) {
+    const [schemaPrompt] = systemPrompt.split('FIELD EVIDENCE:');
+    const knownFields = new Set([...schemaPrompt.matchAll(/"([a-zA-Z]+)":/g)].map(match => match[1]));
+    const result = {};
+
+    text.split('\n').forEach(line => {
+      const match = line.match(/^\s*([A-Za-z][A-Za-z \-]{1,40}):\s*(.+?)\s*$/);
+      if (!match) {
+        return;
+      }
+
+      const key = toCamelCase(match[1]);
+      const candidates = [key, `${key}Name`];
+      const field = candidates.find(candidate => knownFields.has(candidate));
+
+      if (field && result[field] === undefined) {
+        result[field] = match[2];
+      }
+    });
+
+    // Extraction with field evidence: each value is quoted as written
+    if (systemPrompt.includes('FIELD EVIDENCE:')) {
+      result._evidence = Object.fromEntries(Object.entries(result)
+        .map(([field, value]) => [field, { source: value, status: 'explicit' }]));
+    }
+
+    return result;
+  }
+
+  /**
+   * Emit a reply word by word in the OpenAI streaming chunk format
+   * @param {string} content - Full reply
+   * @param {string} model - Model name
+   * @param {Object} usage - Usage numbers sent in the final chunk
+   * @param {boolean} includeUsage - Whether to send the usage chunk
+   * @param {Array|null} toolCalls - Tool calls sent after the content
+   * @returns {Object} Async iterable with an abort controller
+   */
+  _streamReply(content, model, usage, includeUsage, toolCalls = null) {
+    const controller = new AbortController();
+    const pieces = content.match(/\S+\s*/g) || [];
+
+    async function* generate() {
+      for (const piece of pieces) {
+        if (controller.signal.aborted) {
+          return;
+        }
+        yield {
+          object: 'chat.completion.chunk',
+          model,
+          choices: [{ index: 0, delta: { content: piece }, finish_reason: null }]
+        };
+      }
+
+      if (toolCalls) {
+        yield {
+          object: 'chat.completion.chunk',
+          model,
+          choices: [{
+            index: 0,
+            delta: { tool_calls: toolCalls.map((call, index) => ({ index, ...call })) },
+            finish_reason: 'tool_calls'
+          }]
+        };
+      }
+
+      if (includeUsage) {
+        yield { object: 'chat.completion.chunk', model, choices: [], usage };
+      }
+    }
+
+    const iterator = generate();
+    return {
+      controller,
+      [Symbol.asyncIterator]: () => iterator
+    };
+  }
+}
+
+export default MockProvider;
@@ -0,0 +1,65 @@
+/**
+ * OpenAI Provider for ModelDay Backend
+ * Talks to the OpenAI API or to any server exposing an OpenAI-compatible
+ * /chat/completions endpoint (vLLM, Ollama, LM Studio, LocalAI, ...)
+ */
+
+import OpenAI from 'openai';
+
+class OpenAIProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.name - Provider name used in logs and errors
+   * @param {string} options.apiKey - API key (optional for self-hosted servers)
+   * @param {string} options.baseURL - Base URL of the API (defaults to api.openai.com)
+   * @param {boolean} options.requiresApiKey - Whether a missing API key is a configuration error
+   */
+  constructor({ name = 'openai', apiKey, baseURL, requiresApiKey = true } = {}) {
+    this.name = name;
+    this.baseURL = baseURL || null;
+    this.requiresApiKey = requiresApiKey;
+    this.hasApiKey = Boolean(apiKey);
+
+    if (this.hasApiKey || !requiresApiKey) {
+      this.client = new OpenAI({
+        // The SDK refuses to start without a key, self-hosted servers usually ignore it
+        apiKey: apiKey || 'not-needed',
+        ...(baseURL ? { baseURL } : {})
+      });
+    }
+  }
+
+  /**
+   * Describe why the provider cannot be used, if it cannot
+   * @returns {Object|null} { error, code } or null when the provider is ready
+   */
+  getConfigurationError() {
+    if (this.requiresApiKey && !this.hasApiKey) {
+      return {
+        error: 'OpenAI API key not configured',
+        code: 'MISSING_API_KEY'
+      };
+    }
+
+    if (!this.requiresApiKey && !this.baseURL) {
+      return {
+        error: `Base URL not configured for the ${this.name} provider`,
+        code: 'MISSING_BASE_URL'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a chat completion (same options and result shape as openai.chat.completions.create)
+   * With `stream: true` the result is an async iterable of chunks with an abort `controller`
+   * @param {Object} options - Chat completion options
+   * @returns {Promise<Object>} Completion or stream
+   */
+  async createChatCompletion(options) {
+    return this.client.chat.completions.create(options);
+  }
+}
+
+export default OpenAIProvider;
@@ -0,0 +1,290 @@
+/**
+ * Rate Limit Service for ModelDay Backend
+ * Per-IP and per-user request rate limits (fixed windows) and monthly token quotas
+ * based on the `usage` returned by each completion
+ *
+ * Configuration (environment variables):
+ * - RATE_LIMIT_WINDOW_SECONDS: length of a rate limit window (default 60)
+ * - RATE_LIMIT_IP_MAX: requests per IP per window on /api routes (default 120, 0 = off)
+ * - RATE_LIMIT_USER_MAX: requests per user per window on /api routes (default 30, 0 = off)
+ * - MONTHLY_TOKEN_QUOTA: LLM tokens per user per calendar month, UTC (default 500000, 0 = unlimited)
+ * - RATE_LIMIT_STORE: file (default) | memory
+ * - RATE_LIMIT_STORE_FILE: file for the file store (defaults to data/usage.json)
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import MemoryCounterStore from './stores/memoryCounterStore.js';
+import FileCounterStore from './stores/fileCounterStore.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_STORE_FILE = path.join(__dirname, '..', 'data', 'usage.json');
+
+const DEFAULTS = {
+  windowSeconds: 60,
+  ipMax: 120,
+  userMax: 30,
+  monthlyTokenQuota: 500000
+};
+
+const DEFAULT_STORE = 'file';
+
+class RateLimitService {
+  static _factories = {
+    'file': () => new FileCounterStore({
+      file: process.env.RATE_LIMIT_STORE_FILE || DEFAULT_STORE_FILE
+    }),
+    'memory': () => new MemoryCounterStore()
+  };
+
+  static _store = null;
+
+  /**
+   * Register a custom counter store factory
+   * @param {string} name - Store name used in RATE_LIMIT_STORE
+   * @param {Function} factory - () => store implementing increment(key, amount, expiresAt) and get(key)
+   */
+  static registerStore(name, factory) {
+    this._factories[name] = factory;
+    this._store = null;
+  }
+
+  /**
+   * Get the configured counter store (created once and reused)
+   * @returns {Object} Store instance
+   */
+  static getStore() {
+    if (!this._store) {
+      const name = (process.env.RATE_LIMIT_STORE || DEFAULT_STORE).trim().toLowerCase();
+      const factory = this._factories[name];
+      if (!factory) {
+        throw new Error(`Unknown rate limit store "${name}". Available: ${Object.keys(this._factories).join(', ')}`);
+      }
+      this._store = factory();
+    }
+
+    return this._store;
+  }
+
+  /**
+   * Read the limits
+   * @returns {Object} { windowSeconds, ipMax, userMax, monthlyTokenQuota }
+   */
+  static getConfig() {
+    const read = (name, fallback) => {
+      const value = parseInt(process.env[name], 10);
+      return Number.isInteger(value) && value >= 0 ? value : fallback;
+    };
+
+    return {
+      windowSeconds: Math.max(read('RATE_LIMIT_WINDOW_SECONDS', DEFAULTS.windowSeconds), 1),
+      ipMax: read('RATE_LIMIT_IP_MAX', DEFAULTS.ipMax),
+      userMax: read('RATE_LIMIT_USER_MAX', DEFAULTS.userMax),
+      monthlyTokenQuota: read('MONTHLY_TOKEN_QUOTA', DEFAULTS.monthlyTokenQuota)
+    };
+  }
+
+  /**
+   * Identify who a request's usage belongs to
+   * @param {Object} req - Express request (req.user is set by AuthService)
+   * @returns {string} "user:<id>", or "ip:<address>" when the request is anonymous
+   */
+  static getIdentity(req) {
+    return req.user?.id ? `user:${req.user.id}` : `ip:${req.ip}`;
+  }
+
+  /**
+   * Count a request against a rate limit
+   * @param {string} scope - 'ip' or 'user'
+   * @param {string} subject - IP address or user ID
+   * @param {number} now - Current time in ms
+   * @returns {Promise<Object|null>} { scope, limit, remaining, resetAt, exceeded }, or null when the limit is off
+   */
+  static async consumeRequest(scope, subject, now = Date.now()) {
+    const { windowSeconds, ipMax, userMax } = this.getConfig();
+    const limit = scope === 'ip' ? ipMax : userMax;
+    if (limit === 0) {
+      return null;
+    }
+
+    const windowMs = windowSeconds * 1000;
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const resetAt = windowStart + windowMs;
+    const { count } = await this.getStore().increment(`requests:${scope}:${subject}:${windowStart}`, 1, resetAt);
+
+    return {
+      scope,
+      limit,
+      remaining: Math.max(limit - count, 0),
+      resetAt,
+      exceeded: count > limit
+    };
+  }
+
+  /**
+   * Read the current rate limit state without counting a request
+   * @returns {Promise<Object|null>} { scope, limit, used, remaining, resetAt, windowSeconds }, or null when the limit is off
+   */
+  static async getRequestStatus(scope, subject, now = Date.now()) {
+    const { windowSeconds, ipMax, userMax } = this.getConfig();
+    const limit = scope === 'ip' ? ipMax : userMax;
+    if (limit === 0) {
+      return null;
+    }
+
+    const windowMs = windowSeconds * 1000;
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const counter = await this.getStore().get(`requests:${scope}:${subject}:${windowStart}`);
+    const used = counter?.count || 0;
+
+    return {
+      scope,
+      limit,
+      used,
+      remaining: Math.max(limit - used, 0),
+      resetAt: new Date(windowStart + windowMs).toISOString(),
+      windowSeconds
+    };
+  }
+
+  /**
+   * Add LLM tokens to an identity's monthly usage
+   * @param {string} identity - From getIdentity()
+   * @param {Object} usage - Completion usage ({ total_tokens })
+   * @returns {Promise<Object|null>} Updated quota status, or null when there was nothing to record
+   */
+  static async recordTokens(identity, usage, now = Date.now()) {
+    const tokens = usage?.total_tokens || 0;
+    if (tokens <= 0) {
+      return null;
+    }
+
+    const { key, resetAt } = this._monthlyPeriod(identity, now);
+    await this.getStore().increment(key, tokens, resetAt);
+    return this.getTokenStatus(identity, now);
+  }
+
+  /**
+   * Monthly token usage of an identity
+   * @param {string} identity - From getIdentity()
+   * @returns {Promise<Object>} { period, used, limit, remaining, resetAt, exceeded } (limit/remaining null when unlimited)
+   */
+  static async getTokenStatus(identity, now = Date.now()) {
+    const { monthlyTokenQuota } = this.getConfig();
+    const { key, period, resetAt } = this._monthlyPeriod(identity, now);
+    const counter = await this.getStore().get(key);
+    const used = counter?.count || 0;
+    const unlimited = monthlyTokenQuota === 0;
+
+    return {
+      period,
+      used,
+      limit: unlimited ? null : monthlyTokenQuota,
+      remaining: unlimited ? null : Math.max(monthlyTokenQuota - used, 0),
+      resetAt: new Date(resetAt).toISOString(),
+      exceeded: !unlimited && used >= monthlyTokenQuota
+    };
+  }
+
+  /**
+   * Express middleware: count the request against the 'ip' or 'user' limit
+   * Sets X-RateLimit-Limit/Remaining/Reset (the most restrictive limit wins) and
+   * answers 429 RATE_LIMIT_EXCEEDED with Retry-After when the limit is exceeded
+   * @param {string} scope - 'ip' (run before authentication) or 'user' (after it)
+   * @returns {Function} Middleware
+   */
+  static limitRequests(scope) {
+    return async (req, res, next) => {
+      if (req.method === 'OPTIONS') {
+        return next();
+      }
+
+      try {
+        // Anonymous requests are already covered by the IP limit
+        if (scope === 'user' && !req.user) {
+          return next();
+        }
+        const subject = scope === 'ip' ? req.ip : req.user.id;
+
+        const status = await this.consumeRequest(scope, subject);
+        if (!status) {
+          return next();
+        }
+
+        const currentRemaining = parseInt(res.get('X-RateLimit-Remaining'), 10);
+        if (Number.isNaN(currentRemaining) || status.remaining <= currentRemaining) {
+          res.set({
+            'X-RateLimit-Limit': String(status.limit),
+            'X-RateLimit-Remaining': String(status.remaining),
+            'X-RateLimit-Reset': String(Math.ceil(status.resetAt / 1000))
+          });
+        }
+
+        if (status.exceeded) {
+          const retryAfter = Math.max(Math.ceil((status.resetAt - Date.now()) / 1000), 1);
+          res.set('Retry-After', String(retryAfter));
+          return res.status(429).json({
+            error: `Too many requests. Limit is ${status.limit} per ${this.getConfig().windowSeconds} seconds per ${scope === 'ip' ? 'IP address' : 'user'}.`,
+            code: 'RATE_LIMIT_EXCEEDED',
+            scope,
+            retryAfter
+          });
+        }
+
+        next();
+      } catch (error) {
+        // Never block traffic because the counter store failed
+        console.error('Rate limit check failed:', error.message);
+        next();
+      }
+    };
+  }
+
+  /**
+   * Express middleware: reject LLM requests once the monthly token quota is used up
+   * @returns {Function} Middleware
+   */
+  static requireTokenQuota() {
+    return async (req, res, next) => {
+      try {
+        const status = await this.getTokenStatus(this.getIdentity(req));
+        if (status.exceeded) {
+          return res.status(429).json({
+            error: `Monthly token quota of ${status.limit} tokens used up. It resets on ${status.resetAt}.`,
+            code: 'TOKEN_QUOTA_EXCEEDED',
+            quota: status
+          });
+        }
+        next();
+      } catch (error) {
+        console.error('Token quota check failed:', error.message);
+        next();
+      }
+    };
+  }
+
+  /**
+   * Drop the cached store so configuration changes take effect
+   */
+  static reset() {
+    this._store = null;
+  }
+
+  /**
+   * Counter key and reset time of the calendar month (UTC) containing `now`
+   */
+  static _monthlyPeriod(identity, now) {
+    const date = new Date(now);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const period = `${year}-${String(month + 1).padStart(2, '0')}`;
+
+    return {
+      key: `tokens:${identity}:${period}`,
+      period,
+      resetAt: Date.UTC(year, month + 1, 1)
+    };
+  }
+}
+
+export default RateLimitService;
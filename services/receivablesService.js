@@ -0,0 +1,299 @@
+/**
+ * Receivables Service for ModelDay Backend
+ * Outstanding payments: totals per currency, aging buckets and overdue lists per client
+ * and agency, based on each record's paymentStatus and due date
+ *
+ * The due date of a record is its `dueDate`, otherwise the job date (or `endDate`) plus
+ * the days in its `paymentTerms` ("Net 30", "60 days", "due on receipt"), otherwise the
+ * job date itself.
+ */
+
+import CurrencyService from './currencyService.js';
+import DateService from './dateService.js';
+import LocaleService from './localeService.js';
+
+// Records that can be owed to the user and the field holding their amount
+// Events and shootings count only when they carry a paymentStatus
+const RECEIVABLE_SOURCES = {
+  jobs: { amountFields: ['rate', 'dayRate'], type: 'job', requiresStatus: false },
+  aiJobs: { amountFields: ['rate'], type: 'aiJob', requiresStatus: false },
+  events: { amountFields: ['dayRate', 'rate'], type: 'event', requiresStatus: true },
+  shootings: { amountFields: ['rate', 'dayRate'], type: 'shooting', requiresStatus: true }
+};
+
+const PAID_STATUSES = new Set(['paid', 'received', 'settled']);
+const CANCELLED_STATUSES = new Set(['cancelled', 'canceled']);
+
+// Aging buckets by days past the due date
+const AGING_BUCKETS = [
+  { key: 'notDue', label: 'Not due yet', maxDays: -1 },
+  { key: 'days0to30', label: '0-30 days', maxDays: 30 },
+  { key: 'days31to60', label: '31-60 days', maxDays: 60 },
+  { key: 'days61to90', label: '61-90 days', maxDays: 90 },
+  { key: 'days90plus', label: '90+ days', maxDays: Infinity }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReceivablesService {
+  /**
+   * Check whether a record has been paid
+   * @param {Object} record - Job or other income record
+   * @returns {boolean} True for paid, received or settled
+   */
+  static isPaid(record) {
+    return PAID_STATUSES.has(String(record?.paymentStatus || '').trim().toLowerCase());
+  }
+
+  /**
+   * Check whether a record was cancelled (nothing is owed)
+   * @param {Object} record - Job or other income record
+   * @returns {boolean} True for cancelled records
+   */
+  static isCancelled(record) {
+    return CANCELLED_STATUSES.has(String(record?.status || '').trim().toLowerCase());
+  }
+
+  /**
+   * Read the number of days to pay from payment terms
+   * @param {string} terms - e.g. "Net 30", "payment within 60 days", "2 weeks", "due on receipt"
+   * @returns {number|null} Days after the job, or null when the terms give no period
+   */
+  static parsePaymentTerms(terms) {
+    if (typeof terms !== 'string' || terms.trim().length === 0) {
+      return null;
+    }
+
+    const text = terms.toLowerCase();
+    let match;
+
+    if (/\b(on|upon)\s+(receipt|completion|delivery)\b|\bimmediate(ly)?\b|\bcash\b/.test(text)) {
+      return 0;
+    }
+    if ((match = text.match(/\bnet\s*-?\s*(\d{1,3})\b/))) {
+      return +match[1];
+    }
+    if ((match = text.match(/\b(\d{1,3})\s*(?:calendar\s+|business\s+|working\s+)?days?\b/))) {
+      return +match[1];
+    }
+    if ((match = text.match(/\b(\d{1,2})\s*weeks?\b/))) {
+      return +match[1] * 7;
+    }
+    if ((match = text.match(/\b(\d{1,2})\s*months?\b/))) {
+      return +match[1] * 30;
+    }
+
+    return null;
+  }
+
+  /**
+   * Analyze unpaid records
+   * @param {Object} userData - User data
+   * @param {Object} options - { now, clientName, timeZone } (clientName filters by part of the name;
+   *   a Date for now is read as a date in timeZone, else userProfile.timeZone, else DEFAULT_TIME_ZONE)
+   * @returns {Object} { asOf, homeCurrency, outstanding, overdue, buckets, byClient, byAgency, items, upcoming }
+   */
+  static analyze(userData = {}, options = {}) {
+    const { now = new Date(), clientName = null } = options;
+    const timeZone = DateService.resolveTimeZone(options.timeZone, userData.userProfile?.timeZone);
+    const asOf = now instanceof Date ? DateService.today(timeZone, now) : DateService.parseDate(now) || DateService.today(timeZone);
+    const homeCurrency = CurrencyService.getHomeCurrency(userData.userProfile || {});
+    const agencies = new Map((Array.isArray(userData.agencies) ? userData.agencies : []).filter(Boolean).map(agency => [agency.id, agency]));
+
+    const receivables = [];
+    const upcoming = [];
+
+    Object.entries(RECEIVABLE_SOURCES).forEach(([source, definition]) => {
+      (Array.isArray(userData[source]) ? userData[source] : []).forEach((record, index) => {
+        if (!record || this.isPaid(record) || this.isCancelled(record)) {
+          return;
+        }
+        if (definition.requiresStatus && !record.paymentStatus) {
+          return;
+        }
+        if (clientName && !String(record.clientName || '').toLowerCase().includes(String(clientName).trim().toLowerCase())) {
+          return;
+        }
+
+        const item = this._buildItem(record, index, definition, agencies, asOf);
+        if (!item) {
+          return;
+        }
+
+        // Work that has not happened yet is not owed yet
+        if (item.workDate > asOf) {
+          upcoming.push(item);
+        } else {
+          receivables.push(item);
+        }
+      });
+    });
+
+    receivables.sort((a, b) => b.daysOverdue - a.daysOverdue);
+    const overdueItems = receivables.filter(item => item.daysOverdue > 0);
+    const summarize = items => this._summarize(items, homeCurrency);
+
+    return {
+      asOf,
+      homeCurrency,
+      outstanding: summarize(receivables),
+      overdue: summarize(overdueItems),
+      buckets: AGING_BUCKETS.map(bucket => ({
+        key: bucket.key,
+        label: bucket.label,
+        ...summarize(receivables.filter(item => item.bucket === bucket.key))
+      })),
+      byClient: this._groupOverdue(overdueItems, 'clientName', homeCurrency),
+      byAgency: this._groupOverdue(overdueItems, 'agency', homeCurrency),
+      items: receivables,
+      upcoming: summarize(upcoming)
+    };
+  }
+
+  /**
+   * Format a receivables report for the AI context
+   * @param {Object} report - Result of analyze()
+   * @param {number} limit - Overdue clients and records to list
+   * @param {string} locale - Locale for labels and amounts (default: en-US)
+   * @returns {string} Formatted section
+   */
+  static formatReceivablesSection(report, limit = 5, locale = 'en-US') {
+    const t = (key, params) => LocaleService.t(locale, `receivables.${key}`, params);
+    const format = summary => CurrencyService.formatSummary({ ...summary, homeCurrency: report.homeCurrency }, locale);
+
+    if (report.outstanding.count === 0) {
+      return t('none', { date: report.asOf });
+    }
+
+    let section = `${t('title', { date: report.asOf })}\n`;
+    section += `- ${t('outstanding', { amount: format(report.outstanding), count: report.outstanding.count })}\n`;
+    section += `- ${t('overdue', { amount: format(report.overdue), count: report.overdue.count })}\n`;
+    section += `- ${t('aging')}\n`;
+    report.buckets
+      .filter(bucket => bucket.count > 0)
+      .forEach(bucket => {
+        section += `  ${t(`bucket.${bucket.key}`)}: ${format(bucket)} (${bucket.count})\n`;
+      });
+
+    if (report.byClient.length > 0) {
+      section += `- ${t('byClient')}\n`;
+      report.byClient.slice(0, limit).forEach(group => {
+        section += `  ${t('clientLine', { client: group.clientName, amount: format(group), count: group.count, days: group.oldestDaysOverdue })}\n`;
+      });
+    }
+
+    const withAgency = report.byAgency.filter(group => group.agency !== 'No agency');
+    if (withAgency.length > 0) {
+      section += `- ${t('byAgency')}\n`;
+      withAgency.slice(0, limit).forEach(group => {
+        section += `  ${group.agency}: ${format(group)} (${group.count})\n`;
+      });
+    }
+
+    const overdueItems = report.items.filter(item => item.daysOverdue > 0);
+    if (overdueItems.length > 0) {
+      section += `- ${t('mostOverdue')}\n`;
+      overdueItems.slice(0, limit).forEach(item => {
+        section += `  ${t('itemLine', {
+          client: item.clientName,
+          amount: CurrencyService.formatAmount(item.amount, item.currency, locale),
+          date: item.date,
+          dueDate: item.dueDate,
+          days: item.daysOverdue
+        })}\n`;
+      });
+    }
+
+    if (report.upcoming.count > 0) {
+      section += `- ${t('upcoming', { amount: format(report.upcoming), count: report.upcoming.count })}\n`;
+    }
+
+    return section;
+  }
+
+  /**
+   * Describe one unpaid record (null when it has no amount or no valid date)
+   */
+  static _buildItem(record, index, definition, agencies, asOf) {
+    const amountField = definition.amountFields.find(field => CurrencyService.parseAmount(record[field]) !== null);
+    const date = DateService.parseDate(record.date);
+    if (!amountField || !date) {
+      return null;
+    }
+
+    const workDate = DateService.parseDate(record.endDate) || date;
+    const { dueDate, dueDateSource } = this._resolveDueDate(record, workDate);
+    const daysOverdue = this._daysBetween(dueDate, asOf);
+    const agency = agencies.get(record.agencyId);
+
+    return {
+      id: record.id || `${definition.type}-${index + 1}`,
+      source: definition.type,
+      clientName: record.clientName || 'Unknown Client',
+      agency: record.agencyName || agency?.name || 'No agency',
+      date,
+      workDate,
+      dueDate,
+      dueDateSource,
+      paymentStatus: record.paymentStatus || null,
+      amount: CurrencyService.parseAmount(record[amountField]),
+      currency: CurrencyService.normalizeCode(record.currency, CurrencyService.getDefaultCurrency()),
+      daysOverdue,
+      bucket: AGING_BUCKETS.find(bucket => daysOverdue <= bucket.maxDays).key
+    };
+  }
+
+  static _resolveDueDate(record, workDate) {
+    const dueDate = DateService.parseDate(record.dueDate);
+    if (dueDate) {
+      return { dueDate, dueDateSource: 'dueDate' };
+    }
+
+    const termDays = this.parsePaymentTerms(record.paymentTerms);
+    if (termDays !== null) {
+      const due = new Date(Date.parse(`${workDate}T00:00:00Z`) + termDays * DAY_MS);
+      return { dueDate: due.toISOString().slice(0, 10), dueDateSource: 'paymentTerms' };
+    }
+
+    return { dueDate: workDate, dueDateSource: 'jobDate' };
+  }
+
+  static _daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+  }
+
+  static _summarize(items, homeCurrency) {
+    const summary = CurrencyService.summarize(items, { amountField: 'amount', homeCurrency });
+    return {
+      count: summary.count,
+      totals: summary.totals,
+      convertedTotal: summary.convertedTotal,
+      unconverted: summary.unconverted,
+      formatted: CurrencyService.formatSummary(summary)
+    };
+  }
+
+  /**
+   * Group overdue items by client or agency, largest converted total first
+   */
+  static _groupOverdue(items, field, homeCurrency) {
+    const groups = new Map();
+    items.forEach(item => {
+      if (!groups.has(item[field])) {
+        groups.set(item[field], []);
+      }
+      groups.get(item[field]).push(item);
+    });
+
+    return [...groups.entries()]
+      .map(([key, groupItems]) => ({
+        [field]: key,
+        ...this._summarize(groupItems, homeCurrency),
+        oldestDaysOverdue: Math.max(...groupItems.map(item => item.daysOverdue)),
+        itemIds: groupItems.map(item => item.id)
+      }))
+      .sort((a, b) => b.convertedTotal - a.convertedTotal);
+  }
+}
+
+export default ReceivablesService;
@@ -0,0 +1,154 @@
+/**
+ * File Conversation Store for ModelDay Backend
+ * Stores each conversation as a JSON file (<directory>/<id>.json)
+ *
+ * Writes go to a temporary file that is renamed into place, and updates to the
+ * same conversation are queued so concurrent messages are not lost. The queue is
+ * per process: run a single instance per directory.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// Conversation IDs become file names, so only allow UUID-like IDs
+const ID_PATTERN = /^[a-zA-Z0-9-]{8,64}$/;
+
+class FileConversationStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.directory - Directory holding the conversation files
+   */
+  constructor({ directory }) {
+    this.name = 'file';
+    this.directory = path.resolve(directory);
+    this.queues = new Map();
+  }
+
+  /**
+   * Get a conversation by ID
+   * @param {string} id - Conversation ID
+   * @returns {Promise<Object|null>} Conversation or null when it does not exist
+   */
+  async get(id) {
+    if (!ID_PATTERN.test(id || '')) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(this._filePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List conversations, most recently updated first
+   * @param {Object} filter - { ownerId } (null matches conversations without an owner)
+   * @returns {Promise<Array>} Conversations
+   */
+  async list({ ownerId = null } = {}) {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const conversations = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(file => this.get(path.basename(file, '.json')).catch(error => {
+          console.error(`Skipping unreadable conversation file ${file}:`, error.message);
+          return null;
+        }))
+    );
+
+    return conversations
+      .filter(conversation => conversation && conversation.ownerId === ownerId)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Create or replace a conversation
+   * @param {Object} conversation - Conversation with an id
+   * @returns {Promise<Object>} Saved conversation
+   */
+  async save(conversation) {
+    if (!ID_PATTERN.test(conversation.id || '')) {
+      throw new Error(`Invalid conversation ID "${conversation.id}"`);
+    }
+
+    await fs.mkdir(this.directory, { recursive: true });
+    const filePath = this._filePath(conversation.id);
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(conversation, null, 2));
+    await fs.rename(tempPath, filePath);
+    return conversation;
+  }
+
+  /**
+   * Read, change and save a conversation in one step
+   * @param {string} id - Conversation ID
+   * @param {Function} updater - Synchronous (conversation) => updated conversation
+   * @returns {Promise<Object|null>} Updated conversation, or null when it does not exist
+   */
+  async update(id, updater) {
+    return this._enqueue(id, async () => {
+      const conversation = await this.get(id);
+      if (!conversation) {
+        return null;
+      }
+      return this.save(updater(conversation));
+    });
+  }
+
+  /**
+   * Delete a conversation
+   * @param {string} id - Conversation ID
+   * @returns {Promise<boolean>} True when a conversation was deleted
+   */
+  async delete(id) {
+    if (!ID_PATTERN.test(id || '')) {
+      return false;
+    }
+
+    return this._enqueue(id, async () => {
+      try {
+        await fs.unlink(this._filePath(id));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return false;
+        }
+        throw error;
+      }
+    });
+  }
+
+  _filePath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  /**
+   * Run a task after every earlier task for the same conversation has finished
+   */
+  _enqueue(id, task) {
+    const previous = this.queues.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    this.queues.set(id, next);
+    next.catch(() => {}).finally(() => {
+      if (this.queues.get(id) === next) {
+        this.queues.delete(id);
+      }
+    });
+    return next;
+  }
+}
+
+export default FileConversationStore;
@@ -0,0 +1,90 @@
+/**
+ * File Counter Store for ModelDay Backend
+ * Keeps counters in memory and saves them to one JSON file so monthly token usage
+ * survives restarts
+ *
+ * Saves are coalesced: while one write is running, further changes are written once
+ * it finishes. The file belongs to a single process: run one instance per file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import MemoryCounterStore from './memoryCounterStore.js';
+
+class FileCounterStore extends MemoryCounterStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.file - Path of the JSON file
+   */
+  constructor({ file }) {
+    super();
+    this.name = 'file';
+    this.file = path.resolve(file);
+    this.saving = null;
+    this.dirty = false;
+    this._load();
+  }
+
+  async increment(key, amount, expiresAt) {
+    const counter = await super.increment(key, amount, expiresAt);
+    this._scheduleSave();
+    return counter;
+  }
+
+  /**
+   * Wait until pending changes are on disk
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    while (this.saving) {
+      await this.saving;
+    }
+  }
+
+  _load() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      const now = Date.now();
+      Object.entries(saved.counters || {}).forEach(([key, counter]) => {
+        if (counter.expiresAt > now) {
+          this.counters.set(key, counter);
+        }
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`⚠️ Could not read counter file ${this.file}, starting with empty counters:`, error.message);
+      }
+    }
+  }
+
+  _scheduleSave() {
+    this.dirty = true;
+    if (this.saving) {
+      return;
+    }
+
+    this.saving = (async () => {
+      while (this.dirty) {
+        this.dirty = false;
+        try {
+          await this._write();
+        } catch (error) {
+          console.error(`⚠️ Could not save counter file ${this.file}:`, error.message);
+        }
+      }
+      this.saving = null;
+    })();
+  }
+
+  async _write() {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    const tempPath = `${this.file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify({
+      updatedAt: new Date().toISOString(),
+      counters: Object.fromEntries(this.counters)
+    }));
+    await fs.promises.rename(tempPath, this.file);
+  }
+}
+
+export default FileCounterStore;
@@ -0,0 +1,72 @@
+/**
+ * Memory Conversation Store for ModelDay Backend
+ * Keeps conversations in process memory (tests, development, single-instance deployments
+ * where losing history on restart is acceptable)
+ */
+
+class MemoryConversationStore {
+  constructor() {
+    this.name = 'memory';
+    this.conversations = new Map();
+  }
+
+  /**
+   * Get a conversation by ID
+   * @param {string} id - Conversation ID
+   * @returns {Promise<Object|null>} Conversation or null when it does not exist
+   */
+  async get(id) {
+    const conversation = this.conversations.get(id);
+    return conversation ? structuredClone(conversation) : null;
+  }
+
+  /**
+   * List conversations, most recently updated first
+   * @param {Object} filter - { ownerId } (null matches conversations without an owner)
+   * @returns {Promise<Array>} Conversations
+   */
+  async list({ ownerId = null } = {}) {
+    return [...this.conversations.values()]
+      .filter(conversation => conversation.ownerId === ownerId)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(conversation => structuredClone(conversation));
+  }
+
+  /**
+   * Create or replace a conversation
+   * @param {Object} conversation - Conversation with an id
+   * @returns {Promise<Object>} Saved conversation
+   */
+  async save(conversation) {
+    this.conversations.set(conversation.id, structuredClone(conversation));
+    return conversation;
+  }
+
+  /**
+   * Read, change and save a conversation in one step
+   * @param {string} id - Conversation ID
+   * @param {Function} updater - Synchronous (conversation) => updated conversation
+   * @returns {Promise<Object|null>} Updated conversation, or null when it does not exist
+   */
+  async update(id, updater) {
+    // Read and write without yielding so concurrent updates cannot overwrite each other
+    const conversation = this.conversations.get(id);
+    if (!conversation) {
+      return null;
+    }
+    const updated = updater(structuredClone(conversation));
+    this.conversations.set(id, structuredClone(updated));
+    return updated;
+  }
+
+  /**
+   * Delete a conversation
+   * @param {string} id - Conversation ID
+   * @returns {Promise<boolean>} True when a conversation was deleted
+   */
+  async delete(id) {
+    return this.conversations.delete(id);
+  }
+}
+
+export default MemoryConversationStore;
@@ -0,0 +1,52 @@
+/**
+ * Memory Counter Store for ModelDay Backend
+ * Keeps rate limit and usage counters in process memory (lost on restart)
+ */
+
+class MemoryCounterStore {
+  constructor() {
+    this.name = 'memory';
+    this.counters = new Map();
+  }
+
+  /**
+   * Add to a counter, creating it when missing or expired
+   * @param {string} key - Counter key
+   * @param {number} amount - Amount to add
+   * @param {number} expiresAt - Expiry time in ms since epoch (used when the counter is created)
+   * @returns {Promise<Object>} { count, expiresAt }
+   */
+  async increment(key, amount, expiresAt) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.expiresAt <= now) {
+      counter = { count: 0, expiresAt };
+      this.counters.set(key, counter);
+      this._removeExpired(now);
+    }
+
+    counter.count += amount;
+    return { ...counter };
+  }
+
+  /**
+   * Read a counter
+   * @param {string} key - Counter key
+   * @returns {Promise<Object|null>} { count, expiresAt }, or null when missing or expired
+   */
+  async get(key) {
+    const counter = this.counters.get(key);
+    return counter && counter.expiresAt > Date.now() ? { ...counter } : null;
+  }
+
+  _removeExpired(now) {
+    this.counters.forEach((counter, key) => {
+      if (counter.expiresAt <= now) {
+        this.counters.delete(key);
+      }
+    });
+  }
+}
+
+export default MemoryCounterStore;
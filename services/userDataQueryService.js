@@ -0,0 +1,390 @@
+/**
+ * User Data Query Service for ModelDay Backend
+ * Deterministic queries over a request's userData (earnings, jobs, unpaid jobs, receivables, agents),
+ * offered to the chat model as tools so totals are calculated here instead of by the model
+ */
+
+import CurrencyService from './currencyService.js';
+import DateService from './dateService.js';
+import ReceivablesService from './receivablesService.js';
+import EarningsService from './earningsService.js';
+
+const GROUP_BY_OPTIONS = ['client', 'month', 'currency', 'type', 'none'];
+
+// Longest list returned by a query (totals always cover every match)
+const MAX_RESULTS = 50;
+
+/**
+ * Query definitions: OpenAI tool description and JSON schema of the arguments
+ */
+const QUERIES = {
+  getEarnings: {
+    description: 'Gross and net (after agency commission, expenses and tax) earnings from jobs, events and shootings, per currency and converted to the home currency. Filter by client, date range, currency or payment status and group by client, month, currency or type.',
+    parameters: {
+      type: 'object',
+      properties: {
+        groupBy: { type: 'string', enum: GROUP_BY_OPTIONS, description: 'How to group the totals (default none)' },
+        clientName: { type: 'string', description: 'Client name or part of it (case-insensitive)' },
+        startDate: { type: 'string', description: 'First date included, YYYY-MM-DD' },
+        endDate: { type: 'string', description: 'Last date included, YYYY-MM-DD' },
+        currency: { type: 'string', description: 'Only amounts in this ISO currency code' },
+        paymentStatus: { type: 'string', enum: ['paid', 'unpaid'], description: 'Only paid or only unpaid records' },
+        sources: {
+          type: 'array',
+          items: { type: 'string', enum: EarningsService.getSourceNames() },
+          description: 'Record types to include (default all)'
+        }
+      },
+      additionalProperties: false
+    }
+  },
+  findJobs: {
+    description: 'List jobs matching a date range, client, status, payment status or location, with per-currency totals.',
+    parameters: {
+      type: 'object',
+      properties: {
+        startDate: { type: 'string', description: 'First date included, YYYY-MM-DD' },
+        endDate: { type: 'string', description: 'Last date included, YYYY-MM-DD' },
+        clientName: { type: 'string', description: 'Client name or part of it (case-insensitive)' },
+        status: { type: 'string', description: 'Job status, e.g. Confirmed or Completed' },
+        paymentStatus: { type: 'string', description: 'Payment status, e.g. Paid or Pending' },
+        location: { type: 'string', description: 'City or part of the location' }
+      },
+      additionalProperties: false
+    }
+  },
+  getUnpaidJobs: {
+    description: 'Jobs that are not paid yet (cancelled jobs excluded), oldest first, with the outstanding total per currency.',
+    parameters: {
+      type: 'object',
+      properties: {
+        clientName: { type: 'string', description: 'Client name or part of it (case-insensitive)' },
+        startDate: { type: 'string', description: 'First job date included, YYYY-MM-DD' },
+        endDate: { type: 'string', description: 'Last job date included, YYYY-MM-DD' }
+      },
+      additionalProperties: false
+    }
+  },
+  getReceivables: {
+    description: 'Money owed to the user: outstanding and overdue totals per currency, aging buckets (days past the due date from payment terms or the job date) and overdue amounts per client and agency.',
+    parameters: {
+      type: 'object',
+      properties: {
+        clientName: { type: 'string', description: 'Client name or part of it (case-insensitive)' }
+      },
+      additionalProperties: false
+    }
+  },
+  findAgents: {
+    description: 'Find agents by city, country, name or agency. An agent matches a city when the agent or their agency is based there.',
+    parameters: {
+      type: 'object',
+      properties: {
+        city: { type: 'string', description: 'City name' },
+        country: { type: 'string', description: 'Country name' },
+        name: { type: 'string', description: 'Agent name or part of it' },
+        agencyName: { type: 'string', description: 'Agency name or part of it' }
+      },
+      additionalProperties: false
+    }
+  }
+};
+
+class UserDataQueryService {
+  /**
+   * Names of the available queries
+   * @returns {Array<string>} Query names
+   */
+  static getQueryNames() {
+    return Object.keys(QUERIES);
+  }
+
+  /**
+   * Describe the queries as OpenAI tools
+   * @returns {Array<Object>} [{ type: 'function', function: { name, description, parameters } }]
+   */
+  static getToolDefinitions() {
+    return Object.entries(QUERIES).map(([name, { description, parameters }]) => ({
+      type: 'function',
+      function: { name, description, parameters }
+    }));
+  }
+
+  /**
+   * Run a query by name
+   * @param {string} name - Query name
+   * @param {Object} args - Query arguments
+   * @param {Object} userData - User data to query
+   * @returns {Object} Query result, or { error } for unknown queries and invalid arguments
+   */
+  static runQuery(name, args = {}, userData = {}) {
+    // Own keys only: "toString" or "constructor" must not reach the class members
+    if (typeof name !== 'string' || !Object.hasOwn(QUERIES, name)) {
+      return { error: `Unknown query "${name}". Available: ${this.getQueryNames().join(', ')}` };
+    }
+
+    const dateError = this._validateDates(args);
+    if (dateError) {
+      return { error: dateError };
+    }
+
+    return this[name](args || {}, userData || {});
+  }
+
+  /**
+   * Gross and net earnings per currency (and in the home currency), optionally grouped
+   * @param {Object} args - { groupBy, clientName, startDate, endDate, currency, paymentStatus, sources }
+   * @param {Object} userData - User data
+   * @returns {Object} { filters, groupBy, total, groups, recordCount }
+   */
+  static getEarnings(args, userData) {
+    const { groupBy = 'none', currency = null, paymentStatus = null } = args;
+    if (!GROUP_BY_OPTIONS.includes(groupBy)) {
+      return { error: `groupBy must be one of: ${GROUP_BY_OPTIONS.join(', ')}` };
+    }
+
+    const homeCurrency = CurrencyService.getHomeCurrency(userData.userProfile || {});
+    const currencyCode = currency ? CurrencyService.normalizeCode(currency) : null;
+    const sources = new Set(Array.isArray(args.sources) && args.sources.length > 0
+      ? args.sources
+      : EarningsService.getSourceNames());
+
+    const { records } = EarningsService.calculate(userData, {
+      homeCurrency,
+      filter: (record, source) => (
+        sources.has(source) &&
+        this._matchesCommonFilters(record, args) &&
+        (!currencyCode || CurrencyService.normalizeCode(record.currency, CurrencyService.getDefaultCurrency()) === currencyCode) &&
+        (!paymentStatus || ReceivablesService.isPaid(record) === (paymentStatus === 'paid'))
+      )
+    });
+
+    const summarize = list => this._summarizeEarnings(list, homeCurrency);
+    const groups = groupBy === 'none' ? [] : this._groupRecords(records, groupBy)
+      .map(({ key, records: groupRecords }) => ({ [groupBy]: key, ...summarize(groupRecords) }));
+
+    return {
+      filters: this._describeFilters(args),
+      groupBy,
+      total: summarize(records),
+      groups,
+      recordCount: records.length
+    };
+  }
+
+  /**
+   * Jobs matching the filters, sorted by date
+   * @param {Object} args - { startDate, endDate, clientName, status, paymentStatus, location }
+   * @param {Object} userData - User data
+   * @returns {Object} { filters, count, total, jobs, truncated }
+   */
+  static findJobs(args, userData) {
+    const { status = null, paymentStatus = null } = args;
+    const matches = (userData.jobs || []).filter(job => (
+      job &&
+      this._matchesCommonFilters(job, args) &&
+      (!status || this._equalsIgnoreCase(job.status, status)) &&
+      (!paymentStatus || this._equalsIgnoreCase(job.paymentStatus, paymentStatus))
+    ));
+
+    return this._describeJobs(matches, args, userData);
+  }
+
+  /**
+   * Jobs not paid yet (cancelled jobs excluded), oldest first
+   * @param {Object} args - { clientName, startDate, endDate }
+   * @param {Object} userData - User data
+   * @returns {Object} { filters, count, total, jobs, truncated }
+   */
+  static getUnpaidJobs(args, userData) {
+    const matches = (userData.jobs || []).filter(job => (
+      job &&
+      !ReceivablesService.isPaid(job) &&
+      !ReceivablesService.isCancelled(job) &&
+      this._matchesCommonFilters(job, args)
+    ));
+
+    return this._describeJobs(matches, args, userData);
+  }
+
+  /**
+   * Outstanding and overdue payments (see ReceivablesService)
+   * @param {Object} args - { clientName }
+   * @param {Object} userData - User data
+   * @returns {Object} Receivables report with at most MAX_RESULTS items
+   */
+  static getReceivables(args, userData) {
+    const report = ReceivablesService.analyze(userData, { clientName: args.clientName || null });
+    return {
+      filters: this._describeFilters(args),
+      ...report,
+      items: report.items.slice(0, MAX_RESULTS),
+      truncated: report.items.length > MAX_RESULTS
+    };
+  }
+
+  /**
+   * Agents matching the filters (city and country also match the agent's agency)
+   * @param {Object} args - { city, country, name, agencyName }
+   * @param {Object} userData - User data
+   * @returns {Object} { filters, count, agents, truncated }
+   */
+  static findAgents(args, userData) {
+    const { city = null, country = null, name = null, agencyName = null } = args;
+    const agencies = new Map((userData.agencies || []).filter(Boolean).map(agency => [agency.id, agency]));
+
+    const matches = (userData.agents || []).filter(Boolean).map(agent => {
+      const agency = agencies.get(agent.agencyId) || null;
+      return {
+        id: agent.id || null,
+        name: agent.name || 'Unknown',
+        email: agent.email || null,
+        phone: agent.phone || null,
+        city: agent.city || agency?.city || null,
+        country: agent.country || agency?.country || null,
+        agency: agent.agencyName || agency?.name || null
+      };
+    }).filter(agent => (
+      (!city || this._equalsIgnoreCase(agent.city, city)) &&
+      (!country || this._equalsIgnoreCase(agent.country, country)) &&
+      (!name || this._includesIgnoreCase(agent.name, name)) &&
+      (!agencyName || this._includesIgnoreCase(agent.agency, agencyName))
+    ));
+
+    return {
+      filters: this._describeFilters(args),
+      count: matches.length,
+      agents: matches.slice(0, MAX_RESULTS),
+      truncated: matches.length > MAX_RESULTS
+    };
+  }
+
+  /**
+   * Check the client, date range and location filters shared by the queries
+   */
+  static _matchesCommonFilters(record, { clientName = null, startDate = null, endDate = null, location = null }) {
+    if (clientName && !this._includesIgnoreCase(record.clientName, clientName)) {
+      return false;
+    }
+    if (location && !this._includesIgnoreCase(record.location, location)) {
+      return false;
+    }
+    if (startDate || endDate) {
+      const date = DateService.parseDate(record.date);
+      if (!date || (startDate && date < DateService.parseDate(startDate)) || (endDate && date > DateService.parseDate(endDate))) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  static _describeJobs(matches, args, userData) {
+    const homeCurrency = CurrencyService.getHomeCurrency(userData.userProfile || {});
+    const jobs = matches
+      .map(job => ({
+        id: job.id || null,
+        clientName: job.clientName || 'Unknown Client',
+        type: job.type || null,
+        date: DateService.parseDate(job.date),
+        time: job.time || null,
+        location: job.location || null,
+        rate: CurrencyService.parseAmount(job.rate),
+        currency: CurrencyService.normalizeCode(job.currency, CurrencyService.getDefaultCurrency()),
+        status: job.status || null,
+        paymentStatus: job.paymentStatus || null
+      }))
+      .sort((a, b) => (a.date || '9999').localeCompare(b.date || '9999'));
+
+    const amounts = jobs
+      .filter(job => job.rate !== null)
+      .map(job => ({ amount: job.rate, currency: job.currency }));
+
+    return {
+      filters: this._describeFilters(args),
+      count: jobs.length,
+      total: this._summarizeAmounts(amounts, homeCurrency),
+      jobs: jobs.slice(0, MAX_RESULTS),
+      truncated: jobs.length > MAX_RESULTS
+    };
+  }
+
+  /**
+   * Sum { amount, currency } entries with CurrencyService
+   */
+  static _summarizeAmounts(records, homeCurrency) {
+    const summary = CurrencyService.summarize(records, { amountField: 'amount', homeCurrency });
+    return {
+      count: summary.count,
+      totals: summary.totals,
+      homeCurrency: summary.homeCurrency,
+      convertedTotal: summary.convertedTotal,
+      unconverted: summary.unconverted,
+      formatted: CurrencyService.formatSummary(summary)
+    };
+  }
+
+  /**
+   * Gross summary of earnings breakdowns plus their deductions and net
+   */
+  static _summarizeEarnings(breakdowns, homeCurrency) {
+    const gross = this._summarizeAmounts(breakdowns.map(item => ({ amount: item.gross, currency: item.currency })), homeCurrency);
+    const summary = EarningsService.summarize(breakdowns, homeCurrency);
+
+    return {
+      ...gross,
+      commission: CurrencyService.formatSummary(summary.commission),
+      expenses: CurrencyService.formatSummary(summary.expenses),
+      tax: CurrencyService.formatSummary(summary.tax),
+      net: {
+        totals: summary.net.totals,
+        convertedTotal: summary.net.convertedTotal,
+        formatted: CurrencyService.formatSummary(summary.net)
+      }
+    };
+  }
+
+  static _groupRecords(records, groupBy) {
+    const keyOf = {
+      client: record => record.clientName,
+      month: record => (record.date ? record.date.slice(0, 7) : 'unknown'),
+      currency: record => record.currency,
+      type: record => record.type
+    }[groupBy];
+
+    const groups = new Map();
+    records.forEach(record => {
+      const key = keyOf(record);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(record);
+    });
+
+    return [...groups.entries()]
+      .sort(([a], [b]) => String(a).localeCompare(String(b)))
+      .map(([key, groupRecords]) => ({ key, records: groupRecords }));
+  }
+
+  static _validateDates(args = {}) {
+    for (const field of ['startDate', 'endDate']) {
+      if (args?.[field] && !DateService.parseDate(args[field])) {
+        return `${field} must be a date in YYYY-MM-DD format`;
+      }
+    }
+    return null;
+  }
+
+  static _describeFilters(args = {}) {
+    return Object.fromEntries(Object.entries(args).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+  }
+
+  static _equalsIgnoreCase(value, expected) {
+    return typeof value === 'string' && value.trim().toLowerCase() === String(expected).trim().toLowerCase();
+  }
+
+  static _includesIgnoreCase(value, part) {
+    return typeof value === 'string' && value.toLowerCase().includes(String(part).trim().toLowerCase());
+  }
+}
+
+export default UserDataQueryService;
@@ -0,0 +1,439 @@
+/**
+ * User Data Validation Service for ModelDay Backend
+ * Checks the userData payload sent to /api/context and /api/chat against a schema per
+ * entity type and reports path-based errors and warnings ("jobs[2].rate")
+ *
+ * Errors are values the context would misread or drop (a rate of "1500-2000" is read as 1500,
+ * an unparseable date becomes "Invalid Date"); warnings are values that are read correctly
+ * but not in the expected form, or missing fields. Validation never changes userData.
+ */
+
+import CurrencyService from './currencyService.js';
+import DateService from './dateService.js';
+import LocaleService from './localeService.js';
+
+/**
+ * Field types:
+ * - id: text or number
+ * - string: free text
+ * - money: amount as a number (not negative)
+ * - number: plain number (hours)
+ * - percent: number between 0 and 100
+ * - date: YYYY-MM-DD (ISO date-times are accepted)
+ * - time: HH:MM (24-hour)
+ * - currency: ISO 4217 code
+ * - email: e-mail address
+ * - timeZone: IANA time zone name
+ * - locale: locale tag of a supported language
+ *
+ * required: a warning is reported when the field is missing
+ */
+const RECORD_FIELDS = {
+  id: { type: 'id' },
+  clientName: { type: 'string' },
+  type: { type: 'string' },
+  status: { type: 'string' },
+  paymentStatus: { type: 'string' },
+  location: { type: 'string' },
+  notes: { type: 'string' },
+  date: { type: 'date', required: true },
+  time: { type: 'time' },
+  startTime: { type: 'time' },
+  endTime: { type: 'time' },
+  timeZone: { type: 'timeZone' },
+  currency: { type: 'currency' }
+};
+
+const SCHEMAS = {
+  userProfile: {
+    name: { type: 'string' },
+    displayName: { type: 'string' },
+    email: { type: 'email' },
+    phone: { type: 'string' },
+    homeCurrency: { type: 'currency' },
+    timeZone: { type: 'timeZone' },
+    locale: { type: 'locale' },
+    taxRate: { type: 'percent' }
+  },
+  jobs: {
+    ...RECORD_FIELDS,
+    endDate: { type: 'date' },
+    rate: { type: 'money' },
+    usageRate: { type: 'money' },
+    extraHours: { type: 'number' },
+    extraHourRate: { type: 'money' },
+    additionalFees: { type: 'money' },
+    expenses: { type: 'money' },
+    commissionRate: { type: 'percent' },
+    agencyFee: { type: 'percent' },
+    tax: { type: 'percent' },
+    taxRate: { type: 'percent' },
+    agencyId: { type: 'id' },
+    agencyName: { type: 'string' },
+    paymentTerms: { type: 'string' },
+    dueDate: { type: 'date' }
+  },
+  events: {
+    ...RECORD_FIELDS,
+    title: { type: 'string' },
+    endDate: { type: 'date' },
+    dayRate: { type: 'money' },
+    paymentTerms: { type: 'string' },
+    dueDate: { type: 'date' }
+  },
+  aiJobs: {
+    ...RECORD_FIELDS,
+    rate: { type: 'money' }
+  },
+  agencies: {
+    id: { type: 'id' },
+    name: { type: 'string', required: true },
+    city: { type: 'string' },
+    country: { type: 'string' },
+    email: { type: 'email' },
+    phone: { type: 'string' },
+    commissionRate: { type: 'percent' }
+  },
+  agents: {
+    id: { type: 'id' },
+    name: { type: 'string', required: true },
+    email: { type: 'email' },
+    phone: { type: 'string' },
+    agencyId: { type: 'id' },
+    agencyName: { type: 'string' },
+    city: { type: 'string' },
+    country: { type: 'string' }
+  },
+  meetings: {
+    ...RECORD_FIELDS,
+    title: { type: 'string' }
+  },
+  onStays: {
+    id: { type: 'id' },
+    locationName: { type: 'string' },
+    address: { type: 'string' },
+    checkInDate: { type: 'date', required: true },
+    checkOutDate: { type: 'date' },
+    cost: { type: 'money' },
+    currency: { type: 'currency' },
+    status: { type: 'string' },
+    notes: { type: 'string' }
+  },
+  shootings: {
+    ...RECORD_FIELDS,
+    rate: { type: 'money' },
+    paymentTerms: { type: 'string' },
+    dueDate: { type: 'date' }
+  }
+};
+
+// Date pairs that must not end before they start
+const DATE_RANGES = [
+  ['date', 'endDate'],
+  ['checkInDate', 'checkOutDate']
+];
+
+// Placeholders used instead of leaving an amount empty ("Rate: TBD")
+const PLACEHOLDER_VALUES = new Set(['tbd', 'tba', 'n/a', 'na', '-', 'unknown']);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:T.*)?$/;
+
+// Issues listed per severity (the counts always cover all of them)
+const MAX_ISSUES = 100;
+
+class UserDataValidationService {
+  /**
+   * Get the schema of every entity type
+   * @returns {Object} Map of section name to { field: { type, required? } }
+   */
+  static getSchemas() {
+    return SCHEMAS;
+  }
+
+  /**
+   * Validate a userData payload
+   * @param {Object} userData - User data sent with the request
+   * @returns {Object} { valid, errorCount, warningCount, errors, warnings, truncated }
+   *   - errors/warnings: [{ path, code, message, value }]
+   */
+  static validate(userData) {
+    const issues = [];
+
+    if (!this._isObject(userData)) {
+      issues.push(this._userDataShapeIssue(userData));
+      return this._buildReport(issues);
+    }
+
+    Object.entries(userData).forEach(([section, value]) => {
+      const schema = SCHEMAS[section];
+      if (!schema) {
+        issues.push(this._issue(section, 'UNKNOWN_SECTION', 'warning', 'Section is not part of the userData schema and is ignored', null));
+        return;
+      }
+      if (value === undefined || value === null) {
+        return;
+      }
+
+      const shapeIssue = this._sectionShapeIssue(section, value);
+      if (shapeIssue) {
+        issues.push(shapeIssue);
+        return;
+      }
+      if (section === 'userProfile') {
+        this._validateRecord(value, schema, section, issues);
+        return;
+      }
+
+      value.forEach((record, index) => {
+        const path = `${section}[${index}]`;
+        if (!this._isObject(record)) {
+          issues.push(this._issue(path, 'INVALID_TYPE', 'error', `Expected an object, got ${this._describe(record)}`, record));
+          return;
+        }
+        this._validateRecord(record, schema, path, issues);
+      });
+    });
+
+    return this._buildReport(issues);
+  }
+
+  /**
+   * Find what no service can read: userData that is not an object, a userProfile that is
+   * not an object or a section that is not a list. Unlike validate(), the list is never cut short.
+   * @param {*} userData - User data sent with the request
+   * @returns {Array} Errors [{ path, code, message, value }], empty when the shape is fine
+   */
+  static getShapeErrors(userData) {
+    const issues = this._isObject(userData)
+      ? Object.entries(userData)
+        .filter(([section, value]) => SCHEMAS[section] && value !== undefined && value !== null)
+        .map(([section, value]) => this._sectionShapeIssue(section, value))
+        .filter(Boolean)
+      : [this._userDataShapeIssue(userData)];
+
+    return issues.map(({ severity, ...issue }) => issue);
+  }
+
+  /**
+   * Check the fields of one record (fields outside the schema are not checked)
+   * @param {Object} record - Record or userProfile
+   * @param {Object} schema - Field schema of its section
+   * @param {string} path - Path of the record ("jobs[2]")
+   * @param {Array} issues - Issue list (appended to)
+   */
+  static _validateRecord(record, schema, path, issues) {
+    Object.entries(schema).forEach(([field, definition]) => {
+      const fieldPath = `${path}.${field}`;
+      const value = record[field];
+
+      if (value === undefined || value === null || (typeof value === 'string' && value.trim().length === 0)) {
+        if (definition.required) {
+          issues.push(this._issue(fieldPath, 'MISSING_FIELD', 'warning', `${field} is missing`, null));
+        }
+        return;
+      }
+
+      this._validateField(fieldPath, definition.type, value, issues);
+    });
+
+    DATE_RANGES.forEach(([startField, endField]) => {
+      if (!schema[startField] || !schema[endField]) {
+        return;
+      }
+      const start = DateService.parseDate(record[startField]);
+      const end = DateService.parseDate(record[endField]);
+      if (start && end && end < start) {
+        issues.push(this._issue(`${path}.${endField}`, 'INVALID_DATE_RANGE', 'error', `${endField} (${end}) is before ${startField} (${start})`, record[endField]));
+      }
+    });
+  }
+
+  /**
+   * Check one value against its type
+   * @param {string} path - Path of the field
+   * @param {string} type - Field type
+   * @param {*} value - Value (not empty)
+   * @param {Array} issues - Issue list (appended to)
+   */
+  static _validateField(path, type, value, issues) {
+    if (typeof value === 'object') {
+      issues.push(this._issue(path, 'INVALID_TYPE', 'error', `Expected ${this._expected(type)}, got ${this._describe(value)}`, value));
+      return;
+    }
+
+    switch (type) {
+      case 'id':
+        if (typeof value !== 'string' && typeof value !== 'number') {
+          issues.push(this._issue(path, 'INVALID_TYPE', 'error', `Expected ${this._expected(type)}, got ${this._describe(value)}`, value));
+        }
+        return;
+      case 'money':
+      case 'number':
+      case 'percent':
+        this._validateNumber(path, type, value, issues);
+        return;
+      case 'date':
+        this._validateDate(path, value, issues);
+        return;
+      case 'time': {
+        const time = DateService.parseTime(String(value));
+        if (!time) {
+          issues.push(this._issue(path, 'INVALID_TIME', 'error', 'Not a valid time of day (expected HH:MM)', value));
+        } else if (time !== value) {
+          issues.push(this._issue(path, 'TIME_FORMAT', 'warning', `Read as ${time}; expected HH:MM`, value));
+        }
+        return;
+      }
+      case 'currency': {
+        const code = CurrencyService.normalizeCode(String(value), 'XXX');
+        if (code === 'XXX' || !CurrencyService.isKnownCode(code)) {
+          issues.push(this._issue(path, 'INVALID_CURRENCY', 'error', 'Not an ISO 4217 currency code', value));
+        } else if (code !== value) {
+          issues.push(this._issue(path, 'CURRENCY_FORMAT', 'warning', `Read as ${code}; expected an ISO 4217 code`, value));
+        }
+        return;
+      }
+      case 'email':
+        if (typeof value !== 'string' || !EMAIL_PATTERN.test(value.trim())) {
+          issues.push(this._issue(path, 'INVALID_EMAIL', 'error', 'Not a valid e-mail address', value));
+        }
+        return;
+      case 'timeZone':
+        if (!DateService.isValidTimeZone(value)) {
+          issues.push(this._issue(path, 'INVALID_TIME_ZONE', 'error', 'Not an IANA time zone name (e.g. Europe/Paris)', value));
+        }
+        return;
+      case 'locale':
+        if (!LocaleService.normalizeLocale(value)) {
+          issues.push(this._issue(path, 'UNSUPPORTED_LOCALE', 'warning', `Language is not supported, ${LocaleService.getDefaultLocale()} is used (supported: ${LocaleService.getSupportedLanguages().join(', ')})`, value));
+        }
+        return;
+      default:
+        if (typeof value !== 'string') {
+          issues.push(this._issue(path, 'TEXT_EXPECTED', 'warning', `Expected text, got ${this._describe(value)}`, value));
+        }
+    }
+  }
+
+  /**
+   * Check numeric fields; numbers sent as text are read like the context reads them (CurrencyService.parseMoney)
+   */
+  static _validateNumber(path, type, value, issues) {
+    if (typeof value === 'boolean') {
+      issues.push(this._issue(path, 'INVALID_TYPE', 'error', `Expected ${this._expected(type)}, got ${this._describe(value)}`, value));
+      return;
+    }
+
+    let amount = value;
+    if (typeof value === 'string') {
+      if (PLACEHOLDER_VALUES.has(value.trim().toLowerCase())) {
+        issues.push(this._issue(path, 'PLACEHOLDER', 'warning', 'Placeholder instead of a number; left out of totals', value));
+        return;
+      }
+
+      const parsed = CurrencyService.parseMoney(value);
+      if (!parsed) {
+        issues.push(this._issue(path, 'INVALID_NUMBER', 'error', 'Not a number', value));
+        return;
+      }
+
+      // Only the first of several numbers is read ("1500-2000" is 1500)
+      if (parsed.ambiguous) {
+        issues.push(this._issue(path, 'AMBIGUOUS_NUMBER', 'error', `Text holds more than one number and is read as ${parsed.amount}; send a number`, value));
+        return;
+      }
+
+      issues.push(this._issue(path, 'NUMBER_AS_TEXT', 'warning', `Number sent as text; send ${parsed.amount}`, value));
+      amount = parsed.amount;
+    }
+
+    if (!Number.isFinite(amount)) {
+      issues.push(this._issue(path, 'INVALID_NUMBER', 'error', 'Not a finite number', value));
+    } else if (amount < 0) {
+      issues.push(this._issue(path, 'NEGATIVE_NUMBER', 'error', 'Amount cannot be negative', value));
+    } else if (type === 'percent' && amount > 100) {
+      issues.push(this._issue(path, 'OUT_OF_RANGE', 'error', 'Percentage must be between 0 and 100', value));
+    }
+  }
+
+  /**
+   * Check a calendar date
+   */
+  static _validateDate(path, value, issues) {
+    const date = DateService.parseDate(String(value));
+
+    if (!date) {
+      issues.push(this._issue(path, 'INVALID_DATE', 'error', 'Not a valid calendar date (expected YYYY-MM-DD)', value));
+      return;
+    }
+
+    if (!ISO_DATE_PATTERN.test(String(value).trim())) {
+      issues.push(this._issue(path, 'DATE_FORMAT', 'warning', `Read as ${date}; expected YYYY-MM-DD`, value));
+    }
+  }
+
+  /**
+   * Split issues into the response block
+   * @param {Array} issues - All issues
+   * @returns {Object} Validation report
+   */
+  static _buildReport(issues) {
+    const errors = issues.filter(issue => issue.severity === 'error');
+    const warnings = issues.filter(issue => issue.severity === 'warning');
+    const strip = ({ severity, ...issue }) => issue;
+
+    return {
+      valid: errors.length === 0,
+      errorCount: errors.length,
+      warningCount: warnings.length,
+      errors: errors.slice(0, MAX_ISSUES).map(strip),
+      warnings: warnings.slice(0, MAX_ISSUES).map(strip),
+      truncated: errors.length > MAX_ISSUES || warnings.length > MAX_ISSUES
+    };
+  }
+
+  static _userDataShapeIssue(userData) {
+    return this._issue('', 'INVALID_TYPE', 'error', `userData must be an object, got ${this._describe(userData)}`, null);
+  }
+
+  static _sectionShapeIssue(section, value) {
+    if (section === 'userProfile') {
+      return this._isObject(value) ? null : this._issue(section, 'INVALID_TYPE', 'error', `Expected an object, got ${this._describe(value)}`, null);
+    }
+    return Array.isArray(value) ? null : this._issue(section, 'INVALID_TYPE', 'error', `Expected a list, got ${this._describe(value)}`, null);
+  }
+
+  static _isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  static _describe(value) {
+    if (Array.isArray(value)) {
+      return 'a list';
+    }
+    if (value === null) {
+      return 'null';
+    }
+    return typeof value === 'object' ? 'an object' : `a ${typeof value}`;
+  }
+
+  static _expected(type) {
+    return {
+      id: 'text or a number',
+      money: 'a number',
+      number: 'a number',
+      percent: 'a number between 0 and 100'
+    }[type] || `a ${type} value`;
+  }
+
+  /**
+   * Build an issue entry
+   * @returns {Object} { path, code, severity, message, value }
+   */
+  static _issue(path, code, severity, message, value) {
+    return { path, code, severity, message, value: value === undefined ? null : value };
+  }
+}
+
+export default UserDataValidationService;
@@ -0,0 +1,91 @@
+/**
+ * Test script for AuthService
+ * Demonstrates JWT verification with an HS256 secret and with a local JWKS file
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SignJWT, generateKeyPair, exportJWK } from 'jose';
+import AuthService from '../services/authService.js';
+
+console.log('🧪 Testing AuthService...\n');
+
+const configure = (env) => {
+  ['AUTH_MODE', 'JWT_SECRET', 'AUTH_JWKS_FILE', 'AUTH_ISSUER', 'AUTH_AUDIENCE', 'AUTH_REQUIRED_SCOPE'].forEach(key => delete process.env[key]);
+  Object.assign(process.env, env);
+  AuthService.reset();
+};
+
+const check = async (label, token) => {
+  try {
+    const user = await AuthService.verifyToken(token);
+    console.log(`  ${label.padEnd(28)} ✅ user ${user.id} (scopes: ${user.scopes.join(', ') || 'none'})`);
+  } catch (error) {
+    console.log(`  ${label.padEnd(28)} ❌ ${error.status} ${error.code}${error.detail ? ` - ${error.detail}` : ''}`);
+  }
+};
+
+const secret = 'a-long-random-secret-used-only-in-this-test';
+const signWithSecret = (claims, { subject = 'user-123', expiresIn = '1h', key = secret } = {}) => {
+  const jwt = new SignJWT(claims).setProtectedHeader({ alg: 'HS256' }).setIssuedAt().setExpirationTime(expiresIn);
+  if (subject) {
+    jwt.setSubject(subject);
+  }
+  return jwt.sign(new TextEncoder().encode(key));
+};
+
+console.log('='.repeat(80));
+console.log('TEST 1: HS256 secret');
+console.log('='.repeat(80));
+
+configure({ JWT_SECRET: secret, AUTH_ISSUER: 'https://auth.modelday.app' });
+await check('Valid token', await signWithSecret({ iss: 'https://auth.modelday.app', scope: 'chat ocr' }));
+await check('Expired token', await signWithSecret({ iss: 'https://auth.modelday.app' }, { expiresIn: '-5m' }));
+await check('Wrong secret', await signWithSecret({ iss: 'https://auth.modelday.app' }, { key: 'some-other-secret-value-1234567890' }));
+await check('Wrong issuer', await signWithSecret({ iss: 'https://evil.example' }));
+await check('No subject', await signWithSecret({ iss: 'https://auth.modelday.app' }, { subject: null }));
+await check('Not a JWT', 'hello');
+console.log('✅ Expected: only the first token is accepted (TOKEN_EXPIRED, then INVALID_TOKEN for the rest)\n');
+
+console.log('='.repeat(80));
+console.log('TEST 2: Local JWKS file (ES256) and required scope');
+console.log('='.repeat(80));
+
+const { publicKey, privateKey } = await generateKeyPair('ES256');
+const jwk = { ...(await exportJWK(publicKey)), kid: 'test-key', alg: 'ES256', use: 'sig' };
+const jwksFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'modelday-auth-')), 'jwks.json');
+fs.writeFileSync(jwksFile, JSON.stringify({ keys: [jwk] }));
+
+const signWithKey = (claims) => new SignJWT(claims)
+  .setProtectedHeader({ alg: 'ES256', kid: 'test-key' })
+  .setSubject('user-456')
+  .setIssuedAt()
+  .setExpirationTime('1h')
+  .sign(privateKey);
+
+configure({ AUTH_JWKS_FILE: jwksFile, AUTH_REQUIRED_SCOPE: 'modelday:api' });
+await check('Token with scope', await signWithKey({ scp: ['modelday:api', 'profile'] }));
+await check('Token without scope', await signWithKey({ scope: 'profile' }));
+await check('HS256 token (no secret set)', await signWithSecret({ scope: 'modelday:api' }));
+console.log('✅ Expected: first accepted, INSUFFICIENT_SCOPE (403), then INVALID_TOKEN for the HS256 token\n');
+
+console.log('='.repeat(80));
+console.log('TEST 3: Configuration and public routes');
+console.log('='.repeat(80));
+
+configure({ JWT_SECRET: 'your_jwt_secret_here' });
+console.log('Placeholder secret:', AuthService.getConfigurationError());
+configure({ AUTH_MODE: 'disabled' });
+console.log('Disabled:', AuthService.describe());
+configure({ JWT_SECRET: secret });
+process.env.AUTH_PUBLIC_ROUTES = '/api/ocr/profiles, /docs/*';
+['/health', '/api/chat', '/api/ocr/profiles', '/docs/openapi.json'].forEach(route => {
+  console.log(`  ${route.padEnd(20)} public: ${AuthService.isPublicRoute(route)}`);
+});
+delete process.env.AUTH_PUBLIC_ROUTES;
+console.log('✅ Expected: AUTH_NOT_CONFIGURED for the placeholder, mode disabled, only /api/chat protected\n');
+
+fs.rmSync(path.dirname(jwksFile), { recursive: true, force: true });
+
+console.log('🎉 AuthService tests completed!');
@@ -0,0 +1,107 @@
+/**
+ * Test script for chat action cards
+ * Validates the actions a model suggests against their declared parameters and the
+ * userData records, and runs an action card chat turn with the mock provider
+ */
+
+import ChatActionService from '../services/chatActionService.js';
+import ChatPipelineService from '../services/chatPipelineService.js';
+import MockProvider from '../services/providers/mockProvider.js';
+import { sampleUserData } from '../examples/sampleUserData.js';
+
+console.log('🧪 Testing chat action cards...\n');
+
+const printResult = ({ actions, rejectedActions }) => {
+  actions.forEach(action => console.log(`  ✔️  ${action.id} ${action.type} "${action.label}" ${JSON.stringify(action.params)}`));
+  rejectedActions.forEach(rejected => rejected.errors.forEach(error =>
+    console.log(`  ❌ ${error.path} [${error.code}] ${error.message}`)));
+};
+
+console.log('='.repeat(80));
+console.log('TEST 1: Declared action types');
+console.log('='.repeat(80));
+
+Object.entries(ChatActionService.getActionTypes()).forEach(([type, definition]) => {
+  console.log(`  ${type}: ${Object.keys(definition.params).join(', ')}`);
+});
+console.log(`  prompt lists every type: ${['createEventDraft', 'markJobPaid', 'openRecord', 'addToCalendar'].every(type => ChatActionService.getInstructions().includes(`- ${type}:`))}`);
+console.log('✅ Expected: createEventDraft, markJobPaid, openRecord and addToCalendar with their parameters; true\n');
+
+console.log('='.repeat(80));
+console.log('TEST 2: Valid actions');
+console.log('='.repeat(80));
+
+printResult(ChatActionService.validateActions([
+  { type: 'createEventDraft', label: 'Draft casting', params: { date: '22/08/2025', type: 'Casting', clientName: 'Dior', startTime: '2pm' } },
+  { type: 'markJobPaid', label: 'Mark Vogue paid', params: { jobId: 'job1' } },
+  { type: 'openRecord', label: 'Open job', params: { recordType: 'job', recordId: 'job2' } },
+  { type: 'addToCalendar', params: { recordType: 'onStay', recordId: 'stay1' } }
+], sampleUserData));
+console.log('✅ Expected: four actions; the draft date and time normalized to 2025-08-22 and 14:00,');
+console.log('   the calendar action labelled "Add to calendar"\n');
+
+console.log('='.repeat(80));
+console.log('TEST 3: Rejected actions');
+console.log('='.repeat(80));
+
+printResult(ChatActionService.validateActions([
+  { type: 'markJobPaid', params: { jobId: 'job2' } },
+  { type: 'markJobPaid', params: { jobId: 'job9' } },
+  { type: 'openRecord', params: { recordType: 'invoice', recordId: 'inv1' } },
+  { type: 'addToCalendar', params: { recordType: 'agent', recordId: 'agent1' } },
+  { type: 'createEventDraft', params: { date: 'next Friday', startTime: '25:00' } },
+  { type: 'deleteJob', params: { jobId: 'job1' } },
+  'open job1'
+], sampleUserData));
+console.log('✅ Expected: job2 already paid, no job9, unknown record type "invoice", agents not schedulable,');
+console.log('   invalid date and time, unknown action type, action not an object\n');
+
+console.log('='.repeat(80));
+console.log('TEST 4: Model replies');
+console.log('='.repeat(80));
+
+const parsed = ChatActionService.parseReply(JSON.stringify({
+  response: 'Vogue (job1) has not paid yet.',
+  actions: [{ type: 'markJobPaid', label: 'Mark paid', params: { jobId: 'job1' } }]
+}), sampleUserData);
+console.log(`  JSON reply: "${parsed.response}", ${parsed.actions.length} action(s)`);
+
+const prose = ChatActionService.parseReply('Vogue has not paid yet.', sampleUserData);
+console.log(`  plain reply: "${prose.response}", ${prose.actions.length} action(s)`);
+console.log('✅ Expected: the answer with 1 action; a plain-text reply kept as the answer without actions\n');
+
+console.log('='.repeat(80));
+console.log('TEST 5: Chat turn with actions: true');
+console.log('='.repeat(80));
+
+const provider = new MockProvider({
+  responder: options => {
+    const systemPrompt = options.messages[0].content;
+    return JSON.stringify({
+      response: `Your next job is Vogue. (ids in context: ${systemPrompt.includes('[id: job1]')}, JSON requested: ${options.response_format?.type === 'json_object'})`,
+      actions: [
+        { type: 'openRecord', label: 'Open Vogue job', params: { recordType: 'job', recordId: 'job1' } },
+        { type: 'addToCalendar', label: 'Add to calendar', params: { recordType: 'job', recordId: 'job7' } }
+      ]
+    });
+  }
+});
+
+const turn = await ChatPipelineService.run({ body: { message: 'What is my next job?', userData: sampleUserData, actions: true } }, { provider });
+console.log(`  response: ${turn.response.response}`);
+printResult(turn.response);
+
+const events = [];
+const streamed = await ChatPipelineService.run({ body: { message: 'What is my next job?', userData: sampleUserData, actions: true } }, {
+  provider,
+  stream: true,
+  onEvent: event => events.push(event.type)
+});
+console.log(`  streamed: ${events.length} token events, done event actions: ${streamed.response.actions.length}`);
+
+const plain = await ChatPipelineService.run({ body: { message: 'Hello', userData: sampleUserData } }, { provider: new MockProvider() });
+console.log(`  without actions: ${'actions' in plain.response ? 'actions field' : 'no actions field'}`);
+console.log('✅ Expected: ids in context and JSON requested true; the open action kept, job7 rejected;');
+console.log('   no token events while streaming (the answer comes in the done event); no actions field without actions: true\n');
+
+console.log('🎉 Chat action card tests completed!');
@@ -0,0 +1,157 @@
+/**
+ * Test script for the chat pipeline
+ * Runs each stage on its own, a full turn with the mock provider (plain and streamed) and
+ * a turn with a replaced stage
+ */
+
+import ChatPipelineService from '../services/chatPipelineService.js';
+import ConversationService from '../services/conversationService.js';
+import MockProvider from '../services/providers/mockProvider.js';
+import RateLimitService from '../services/rateLimitService.js';
+import { sampleUserData } from '../examples/sampleUserData.js';
+
+console.log('🧪 Testing the chat pipeline...\n');
+
+const provider = new MockProvider();
+
+console.log('='.repeat(80));
+console.log('TEST 1: resolveContext');
+console.log('='.repeat(80));
+
+const fromUserData = await ChatPipelineService.resolveContext(ChatPipelineService.createTurn({
+  body: { message: 'How much did I earn in July?', userData: sampleUserData, locale: 'de' }
+}));
+console.log(`  source: ${fromUserData.context.source}, hasUserData: ${fromUserData.context.hasUserData}, locale: ${fromUserData.context.locale}`);
+console.log(`  context starts with: ${fromUserData.context.systemContext.trim().split('\n')[1].slice(0, 60)}...`);
+
+const preBuilt = await ChatPipelineService.resolveContext(ChatPipelineService.createTurn({
+  body: { message: 'Hi', context: 'USER PROFILE:\n- Name: Sarah' },
+  acceptLanguage: 'fr-FR,fr;q=0.9'
+}));
+console.log(`  source: ${preBuilt.context.source}, hasUserData: ${preBuilt.context.hasUserData}, tool data: ${preBuilt.context.toolData !== null}, locale: ${preBuilt.context.locale}`);
+
+const preBuiltGerman = await ChatPipelineService.resolveContext(ChatPipelineService.createTurn({
+  body: { message: 'Hi', context: fromUserData.context.systemContext }
+}));
+console.log(`  German context sent back: source ${preBuiltGerman.context.source}, hasUserData: ${preBuiltGerman.context.hasUserData}`);
+
+const fallback = await ChatPipelineService.resolveContext(ChatPipelineService.createTurn({ body: { message: 'Hi' } }));
+console.log(`  source: ${fallback.context.source}, hasUserData: ${fallback.context.hasUserData}`);
+
+const embeddedObject = await ChatPipelineService.resolveContext(ChatPipelineService.createTurn({
+  body: { message: 'Hi', conversation: [{ role: 'user', content: 'Earlier', context: { profile: 'Sarah' } }] }
+}));
+console.log(`  embedded non-text context: source ${embeddedObject.context.source}, hasUserData: ${embeddedObject.context.hasUserData}`);
+
+const nullHistory = await ChatPipelineService.assemblePrompt(await ChatPipelineService.resolveContext(ChatPipelineService.createTurn({
+  body: { message: 'Hi', conversation: [null, 'Earlier', { role: 'assistant', content: 'Hello' }] }
+})));
+console.log(`  history with null and text entries: ${nullHistory.prompt.messages.map(msg => msg.role).join(', ')}`);
+console.log('✅ Expected: userData (German context, de-DE), pre-built text without user data (no tools, fr-FR from');
+console.log('   Accept-Language), the built German context sent back with user data; fallback without user data;');
+console.log('   a non-text embedded context ignored (fallback, no error); history entries that are not objects');
+console.log('   dropped (system, assistant, user)\n');
+
+console.log('='.repeat(80));
+console.log('TEST 2: Rejected requests');
+console.log('='.repeat(80));
+
+process.env.CONVERSATION_STORE = 'memory';
+const storedInvalid = await ConversationService.createConversation({ title: 'Invalid', userData: { jobs: [{ date: 'soon' }] } });
+
+const rejected = [
+  [{ body: {} }, {}],
+  [{ body: { message: 'Hi' } }, { requireUserData: true }],
+  [{ body: { message: 'Hi', timeZone: 'Mars/Olympus' } }, {}],
+  [{ body: { message: 'Hi', locale: 'ja' } }, {}],
+  [{ body: { message: 'Hi', userData: { jobs: [{ date: 'soon' }] }, strict: true } }, {}],
+  [{ body: { message: 'Hi', conversationId: storedInvalid.id, strict: true } }, {}],
+  [{ body: { message: 'Hi', userData: { jobs: 'abc' } } }, {}]
+];
+for (const [request, options] of rejected) {
+  try {
+    await ChatPipelineService.resolveContext(ChatPipelineService.createTurn(request, options));
+    console.log('  ❌ not rejected');
+  } catch (error) {
+    console.log(`  ${error.status} ${JSON.stringify(error.body).slice(0, 100)}`);
+  }
+}
+console.log('✅ Expected: 400 MISSING_MESSAGE, MISSING_USER_DATA, INVALID_TIME_ZONE, INVALID_LOCALE,');
+console.log('   INVALID_USER_DATA (with the validation block) for sent and for stored userData, and for');
+console.log('   a section that is not a list even without strict\n');
+
+console.log('='.repeat(80));
+console.log('TEST 3: assemblePrompt');
+console.log('='.repeat(80));
+
+const assembled = await ChatPipelineService.assemblePrompt(await ChatPipelineService.resolveContext(ChatPipelineService.createTurn({
+  body: {
+    message: 'And in August?',
+    userData: sampleUserData,
+    locale: 'it',
+    conversation: [
+      { role: 'user', content: 'How much did I earn in July?' },
+      { role: 'assistant', content: '5,000.00 USD' }
+    ]
+  }
+})));
+console.log(`  messages: ${assembled.prompt.messages.map(msg => msg.role).join(', ')}`);
+console.log(`  data tools: ${assembled.prompt.toolData !== null}, language line: ${assembled.prompt.systemPrompt.includes('Italian (italiano)')}`);
+console.log(`  model: ${assembled.prompt.completionOptions.model}, max_tokens: ${assembled.prompt.completionOptions.max_tokens}`);
+console.log('✅ Expected: system, user, assistant, user; data tools true, language line true\n');
+
+console.log('='.repeat(80));
+console.log('TEST 4: Full turn (complete + shapeResponse)');
+console.log('='.repeat(80));
+
+const turn = await ChatPipelineService.run({ body: { message: 'Hello', userData: sampleUserData } }, { provider });
+const { response, contextSource, hasUserData, validation, dataFormat } = turn.response;
+console.log(`  response: ${response}`);
+console.log(`  contextSource: ${contextSource}, hasUserData: ${hasUserData}, valid: ${validation.valid}, dataFormat: ${Boolean(dataFormat)}`);
+
+const events = [];
+const streamed = await ChatPipelineService.run({ body: { message: 'Hello again' } }, {
+  provider,
+  stream: true,
+  onEvent: event => events.push(event.type)
+});
+console.log(`  streamed: ${events.length} token events, done body: ${streamed.response.response.slice(0, 40)}..., dataFormat: ${Boolean(streamed.response.dataFormat)}`);
+console.log('✅ Expected: mock reply, userData source with user data, valid: true, dataFormat only without streaming\n');
+
+process.env.RATE_LIMIT_STORE = 'memory';
+const abortController = new AbortController();
+let receivedTokens = 0;
+const closed = await ChatPipelineService.run({ body: { message: 'Tell me a long story' }, identity: 'user:stream-closer' }, {
+  provider,
+  stream: true,
+  signal: abortController.signal,
+  onEvent: () => {
+    if (++receivedTokens === 3) {
+      abortController.abort();
+    }
+  }
+});
+const tokenStatus = await RateLimitService.getTokenStatus('user:stream-closer');
+console.log(`  closed after ${receivedTokens} tokens: aborted ${closed.aborted}, tokens charged: ${tokenStatus.used}`);
+console.log('✅ Expected: aborted true and the estimated prompt and streamed tokens charged (more than 0)\n');
+
+console.log('='.repeat(80));
+console.log('TEST 5: Replacing a stage');
+console.log('='.repeat(80));
+
+const custom = await ChatPipelineService.run({ body: { message: 'Hi' } }, {
+  provider,
+  stages: {
+    assemblePrompt: async current => {
+      await ChatPipelineService.assemblePrompt(current);
+      current.prompt.completionOptions.temperature = 0;
+      return current;
+    },
+    shapeResponse: async current => ({ ...current, response: { answer: current.completion.response } })
+  }
+});
+console.log(`  ${JSON.stringify(custom.response)}`);
+console.log(`  stages: ${ChatPipelineService.getStageNames().join(' -> ')}`);
+console.log('✅ Expected: { answer: "[mock] ..." } from the replacement shapeResponse\n');
+
+console.log('🎉 Chat pipeline tests completed!');
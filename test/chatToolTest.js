@@ -0,0 +1,112 @@
+/**
+ * Test script for UserDataQueryService and ChatToolService
+ * Demonstrates the data queries and the tool calling loop with a scripted mock model
+ */
+
+import UserDataQueryService from '../services/userDataQueryService.js';
+import ChatToolService from '../services/chatToolService.js';
+import MockProvider from '../services/providers/mockProvider.js';
+import { sampleUserData } from '../examples/sampleUserData.js';
+
+console.log('🧪 Testing data queries and tool calling...\n');
+
+console.log('='.repeat(80));
+console.log('TEST 1: Earnings from Luxury Brand Co in July 2025');
+console.log('='.repeat(80));
+
+const july = UserDataQueryService.runQuery('getEarnings', {
+  clientName: 'luxury brand',
+  startDate: '2025-07-01',
+  endDate: '2025-07-31'
+}, sampleUserData);
+console.log(JSON.stringify(july.total, null, 2));
+console.log('✅ Expected: 5,000.00 USD from 1 record\n');
+
+console.log('='.repeat(80));
+console.log('TEST 2: Earnings grouped by month and by currency');
+console.log('='.repeat(80));
+
+const byMonth = UserDataQueryService.runQuery('getEarnings', { groupBy: 'month' }, sampleUserData);
+byMonth.groups.forEach(group => console.log(`  ${group.month}: ${group.formatted}`));
+const byCurrency = UserDataQueryService.runQuery('getEarnings', { groupBy: 'currency' }, sampleUserData);
+byCurrency.groups.forEach(group => console.log(`  ${group.currency}: ${group.formatted}`));
+console.log(`  Total: ${byCurrency.total.formatted}`);
+console.log('✅ Expected: 2025-07, 2025-08 and 2025-09 groups; USD and EUR never added up unconverted\n');
+
+console.log('='.repeat(80));
+console.log('TEST 3: Jobs in a date range, unpaid jobs, agents by city');
+console.log('='.repeat(80));
+
+const august = UserDataQueryService.runQuery('findJobs', { startDate: '2025-08-01', endDate: '2025-09-30' }, sampleUserData);
+console.log(`  Jobs Aug-Sep: ${august.jobs.map(job => `${job.id} (${job.date})`).join(', ')} - ${august.total.formatted}`);
+const unpaid = UserDataQueryService.runQuery('getUnpaidJobs', {}, sampleUserData);
+console.log(`  Unpaid: ${unpaid.jobs.map(job => `${job.clientName} ${job.paymentStatus}`).join(', ')} - ${unpaid.total.formatted}`);
+const agents = UserDataQueryService.runQuery('findAgents', { city: 'los angeles' }, sampleUserData);
+console.log(`  Agents in Los Angeles: ${agents.agents.map(agent => agent.name).join(', ')}`);
+console.log('  Invalid date:', UserDataQueryService.runQuery('findJobs', { startDate: 'someday' }, sampleUserData));
+console.log('  Unknown query:', UserDataQueryService.runQuery('deleteEverything', {}, sampleUserData));
+['toString', 'constructor', 'runQuery'].forEach(name => {
+  const inherited = UserDataQueryService.runQuery(name, {}, sampleUserData);
+  console.log(`  Class member "${name}":`, typeof inherited === 'object' && inherited.error ? 'rejected' : '❌ ran');
+});
+console.log('✅ Expected: job1 and job3; job1 and job3 unpaid; Lisa Chen; errors for the bad date and query;');
+console.log('   class members rejected as unknown queries\n');
+
+console.log('='.repeat(80));
+console.log('TEST 4: Tool calling loop (non-streaming)');
+console.log('='.repeat(80));
+
+// Scripted model: call getEarnings first, then answer from the tool result
+const provider = new MockProvider();
+provider.setResponder(options => {
+  const last = options.messages[options.messages.length - 1];
+  if (last.role === 'tool') {
+    const result = JSON.parse(last.content);
+    return `You earned ${result.total.formatted} from Luxury Brand Co in July.`;
+  }
+  return {
+    content: null,
+    tool_calls: [{
+      id: 'call_1',
+      type: 'function',
+      function: {
+        name: 'getEarnings',
+        arguments: JSON.stringify({ clientName: 'Luxury Brand Co', startDate: '2025-07-01', endDate: '2025-07-31' })
+      }
+    }]
+  };
+});
+
+const completionOptions = {
+  model: 'mock-model',
+  messages: [
+    { role: 'system', content: `Context...${ChatToolService.getInstructions()}` },
+    { role: 'user', content: 'How much did I earn from Luxury Brand Co in July?' }
+  ]
+};
+
+const answer = await ChatToolService.complete(provider, completionOptions, sampleUserData);
+console.log('Response:', answer.response);
+console.log('Tool calls:', JSON.stringify(answer.toolCalls));
+console.log('Usage (all rounds):', answer.usage);
+console.log('✅ Expected: "You earned 5,000.00 USD ..." after one getEarnings call\n');
+
+console.log('='.repeat(80));
+console.log('TEST 5: Tool calling loop (streaming) and no tools without userData');
+console.log('='.repeat(80));
+
+const events = [];
+for await (const event of ChatToolService.stream(provider, completionOptions, sampleUserData)) {
+  events.push(event.type === 'token' ? 'token' : `${event.type}${event.name ? `:${event.name}` : ''}`);
+  if (event.type === 'done') {
+    console.log('Streamed response:', event.response);
+  }
+}
+console.log('Events:', [...new Set(events)].join(' → '));
+
+provider.setResponder(options => `Tools offered: ${Boolean(options.tools)}`);
+const withoutData = await ChatToolService.complete(provider, completionOptions, null);
+console.log('Without userData:', withoutData.response);
+console.log('✅ Expected: tool:getEarnings → token → done, same answer; no tools offered without userData\n');
+
+console.log('🎉 Data query and tool calling tests completed!');
@@ -0,0 +1,117 @@
+/**
+ * Test script for ConflictService
+ * Demonstrates overlap, double booking, location and stay conflict detection
+ */
+
+import ConflictService from '../services/conflictService.js';
+import ContextService from '../services/contextService.js';
+import { sampleUserData } from '../examples/sampleUserData.js';
+
+console.log('🧪 Testing ConflictService...\n');
+
+// Fixed "today" so the sample dates stay upcoming
+const now = new Date('2025-01-01T00:00:00Z');
+
+const printConflicts = (conflicts) => {
+  if (conflicts.length === 0) {
+    console.log('  (no conflicts)');
+  }
+  conflicts.forEach(conflict => {
+    console.log(`  [${conflict.severity}] ${conflict.type} on ${conflict.date}: ${conflict.message}`);
+  });
+};
+
+console.log('='.repeat(80));
+console.log('TEST 1: Sample user data');
+console.log('='.repeat(80));
+
+const sample = ConflictService.detectConflicts(sampleUserData, { now });
+console.log(`Checked ${sample.checkedItems} entries`);
+printConflicts(sample.conflicts);
+console.log('✅ Expected: no conflicts (the Milan job falls inside the Hotel Milano stay)\n');
+
+console.log('='.repeat(80));
+console.log('TEST 2: Overlapping times and default durations');
+console.log('='.repeat(80));
+
+const overlapping = ConflictService.detectConflicts({
+  jobs: [
+    { id: 'job-1', clientName: 'Vogue', type: 'Editorial', date: '2025-03-10', time: '09:00', location: 'Paris, France' }
+  ],
+  events: [
+    { id: 'event-1', type: 'EventType.casting', clientName: 'Dior', date: '2025-03-10', startTime: '11:30', endTime: '12:30', location: 'Paris, France' },
+    { id: 'event-2', type: 'EventType.casting', clientName: 'Chanel', date: '2025-03-10', startTime: '14:00', location: 'Paris, France' }
+  ],
+  meetings: [
+    { id: 'meeting-1', clientName: 'Agency', date: '2025-03-10', time: '12:00', location: 'Paris, France' }
+  ]
+}, { now });
+printConflicts(overlapping.conflicts);
+console.log('✅ Expected: job (09:00-13:00) overlaps both the 11:30 casting and the 12:00 meeting, casting overlaps meeting; 14:00 casting is free\n');
+
+console.log('='.repeat(80));
+console.log('TEST 3: Double bookings and different cities on the same day');
+console.log('='.repeat(80));
+
+const doubleBooked = ConflictService.detectConflicts({
+  jobs: [
+    { id: 'job-1', clientName: 'H&M', type: 'Commercial', date: '2025-04-02', location: 'Milan, Italy' },
+    { id: 'job-2', clientName: 'Zara', type: 'Lookbook', date: '2025-04-02', location: 'Milan, Italy' },
+    { id: 'job-3', clientName: 'Gap', type: 'Campaign', date: '2025-04-05', time: '10:00', location: 'New York, NY' }
+  ],
+  shootings: [
+    { id: 'shoot-1', clientName: 'Elle', date: '2025-04-05', location: 'Los Angeles, CA' },
+    { id: 'shoot-2', clientName: 'Harper\'s Bazaar', date: '2025-04-08', location: 'Brooklyn, NY' }
+  ],
+  meetings: [
+    { id: 'meeting-1', clientName: 'Agent', date: '2025-04-08', time: '18:00', location: 'Manhattan, NY' }
+  ]
+}, { now });
+printConflicts(doubleBooked.conflicts);
+console.log('Summary:', ConflictService.summarize(doubleBooked.conflicts));
+console.log('✅ Expected: DOUBLE_BOOKING in Milan, LOCATION_CONFLICT New York / Los Angeles, nothing for Brooklyn / Manhattan\n');
+
+const cityOnly = ConflictService.detectConflicts({
+  jobs: [{ id: 'job-4', clientName: 'Prada', type: 'Campaign', date: '2025-04-10', location: 'Milan' }, null],
+  events: [{ id: 'event-1', type: 'EventType.casting', clientName: 'IMG', date: '2025-04-10', location: 'New York' }],
+  meetings: [null],
+  onStays: [null]
+}, { now });
+printConflicts(cityOnly.conflicts);
+console.log('✅ Expected: LOCATION_CONFLICT Milan / New York without a region in either location; null entries skipped\n');
+
+console.log('='.repeat(80));
+console.log('TEST 4: Bookings outside the stay in that city');
+console.log('='.repeat(80));
+
+const stays = ConflictService.detectConflicts({
+  jobs: [
+    { id: 'job-1', clientName: 'Prada', type: 'Runway', date: '2025-09-13', location: 'Milan, Italy' },
+    { id: 'job-2', clientName: 'Valentino', type: 'Runway', date: '2025-09-11', location: 'Milan, Italy' },
+    { id: 'job-3', clientName: 'Armani', type: 'Runway', date: '2025-11-20', location: 'Milan, Italy' }
+  ],
+  onStays: [
+    { id: 'stay-1', locationName: 'Hotel Milano', checkInDate: '2025-09-09', checkOutDate: '2025-09-12' }
+  ]
+}, { now });
+printConflicts(stays.conflicts);
+console.log('✅ Expected: only the 13 September job is flagged (11 September is covered, November is too far from the stay)\n');
+
+console.log('='.repeat(80));
+console.log('TEST 5: Past entries and context section');
+console.log('='.repeat(80));
+
+const past = {
+  jobs: [
+    { id: 'old-1', clientName: 'Mango', date: '2024-06-01', time: '09:00' },
+    { id: 'old-2', clientName: 'Levi\'s', date: '2024-06-01', time: '10:00' }
+  ]
+};
+console.log(`Upcoming only: ${ConflictService.detectConflicts(past, { now }).conflicts.length} conflicts`);
+console.log(`Including past: ${ConflictService.detectConflicts(past, { now, includePast: true }).conflicts.length} conflicts`);
+console.log(ConflictService.formatConflictsSection(doubleBooked.conflicts));
+const context = ContextService.buildUserContext(sampleUserData);
+console.log(`Context includes conflicts section: ${context.includes('SCHEDULE CONFLICTS')}`);
+console.log('✅ Expected: past conflicts hidden by default, section present in the AI context\n');
+
+console.log('🎉 ConflictService tests completed!');
@@ -0,0 +1,85 @@
+/**
+ * Test script for token-budgeted context building
+ * Demonstrates relevance ranking and the report of records left out of the context
+ */
+
+import ContextService from '../services/contextService.js';
+import ContextBudgetService from '../services/contextBudgetService.js';
+import { sampleUserData } from '../examples/sampleUserData.js';
+
+console.log('🧪 Testing token-budgeted context...\n');
+
+// Heavy user: 300 jobs spread over the last two years and the next two months
+const today = new Date();
+const dayOffset = days => {
+  const date = new Date(today);
+  date.setDate(date.getDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const heavyUserData = {
+  ...sampleUserData,
+  jobs: Array.from({ length: 300 }, (_, index) => ({
+    id: `heavy-job-${index}`,
+    clientName: `Client ${index}`,
+    type: index % 2 === 0 ? 'Editorial' : 'Commercial',
+    date: dayOffset(60 - index * 2.5),
+    location: 'Warsaw, Poland',
+    rate: 1000,
+    currency: index % 3 === 0 ? 'EUR' : 'PLN',
+    status: 'Confirmed',
+    paymentStatus: index % 4 === 0 ? 'Pending' : 'Paid',
+    notes: 'Bring neutral underwear, nude heels and a black turtleneck'
+  }))
+};
+
+console.log('='.repeat(80));
+console.log('TEST 1: Relevance ranking (upcoming first, then most recent)');
+console.log('='.repeat(80));
+
+const ranked = ContextBudgetService.rankByRelevance(
+  [
+    { id: 'past-old', date: dayOffset(-300) },
+    { id: 'undated' },
+    { id: 'future-far', date: dayOffset(40) },
+    { id: 'past-recent', date: dayOffset(-2) },
+    { id: 'future-soon', date: dayOffset(3) }
+  ],
+  record => record.date
+);
+console.log(ranked.map(record => record.id).join(' > '));
+console.log('✅ Expected: future-soon > future-far > past-recent > past-old > undated\n');
+
+console.log('='.repeat(80));
+console.log('TEST 2: Unbudgeted context for a heavy user');
+console.log('='.repeat(80));
+
+const fullContext = ContextService.buildUserContext(heavyUserData);
+console.log(`Estimated tokens without a budget: ${ContextBudgetService.estimateTokens(fullContext)}\n`);
+
+console.log('='.repeat(80));
+console.log('TEST 3: Same user with a 4000 token budget');
+console.log('='.repeat(80));
+
+const { context, budget } = ContextService.buildBudgetedContext(heavyUserData, { maxTokens: 4000 });
+console.log('Budget report:', JSON.stringify({ ...budget, sections: { jobs: { ...budget.sections.jobs, omittedIds: `${budget.sections.jobs.omittedIds.length} ids` } } }, null, 2));
+console.log(context.split('\n').filter(line => line.includes('not listed') || line.includes('Total Earnings')).join('\n'));
+console.log('✅ Expected: withinBudget=true, upcoming jobs kept, older jobs summarized, totals still cover all 300 jobs\n');
+
+console.log('='.repeat(80));
+console.log('TEST 4: Small user fits completely');
+console.log('='.repeat(80));
+
+const small = ContextService.buildBudgetedContext(sampleUserData, { maxTokens: 6000 });
+console.log(`Estimated tokens: ${small.budget.estimatedTokens} | Omitted records: ${small.budget.omittedRecords}`);
+console.log('✅ Expected: nothing omitted\n');
+
+console.log('='.repeat(80));
+console.log('TEST 5: Budget resolution');
+console.log('='.repeat(80));
+
+console.log(`Requested 3000 -> ${ContextBudgetService.resolveBudget(3000)}`);
+console.log(`Requested 'abc' -> ${ContextBudgetService.resolveBudget('abc')} (CONTEXT_TOKEN_BUDGET or default)`);
+console.log(`Requested 10 -> ${ContextBudgetService.resolveBudget(10)} (minimum)`);
+
+console.log('\n✅ Context budget tests completed!');
@@ -0,0 +1,51 @@
+/**
+ * Test script for ConversationService
+ * Demonstrates stored conversations with the memory and file stores
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ConversationService from '../services/conversationService.js';
+
+console.log('🧪 Testing ConversationService...\n');
+
+const runStoreTest = async (storeName) => {
+  console.log('='.repeat(80));
+  console.log(`TEST: ${storeName} store`);
+  console.log('='.repeat(80));
+
+  process.env.CONVERSATION_STORE = storeName;
+  ConversationService.reset();
+
+  const conversation = await ConversationService.createConversation({
+    userData: { userProfile: { name: 'Test Model' }, jobs: [{ id: 'job1', clientName: 'Nike' }] }
+  });
+  console.log('Created:', ConversationService.summarize(conversation));
+
+  // Two exchanges sent at the same time must both be stored
+  await Promise.all([
+    ConversationService.appendExchange(conversation.id, { message: 'How much did I earn in July?', response: 'You earned 500 USD.' }),
+    ConversationService.appendExchange(conversation.id, { message: 'Any jobs next week?', response: 'No jobs next week.' })
+  ]);
+
+  const stored = await ConversationService.getConversation(conversation.id);
+  console.log(`Messages stored: ${stored.messages.length}, title: "${stored.title}"`);
+  console.log('History for the model:', ConversationService.toHistory(stored));
+  console.log('Listed:', (await ConversationService.listConversations()).map(item => `${item.id} (${item.messageCount} messages)`));
+  console.log('Owned by someone else:', await ConversationService.getConversation(conversation.id, 'other-user'));
+  console.log('Deleted:', await ConversationService.deleteConversation(conversation.id));
+  console.log('After delete:', await ConversationService.getConversation(conversation.id));
+  console.log('✅ Expected: 4 messages, title from the first message, null for another owner, then deleted\n');
+};
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'modelday-conversations-'));
+process.env.CONVERSATION_STORE_DIR = storeDir;
+
+await runStoreTest('memory');
+await runStoreTest('file');
+
+console.log('Files left in the store directory:', fs.readdirSync(storeDir));
+fs.rmSync(storeDir, { recursive: true, force: true });
+
+console.log('\n🎉 ConversationService tests completed!');
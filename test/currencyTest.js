@@ -0,0 +1,81 @@
+/**
+ * Test script for CurrencyService
+ * Demonstrates per-currency totals and conversion into the user's home currency
+ */
+
+import CurrencyService from '../services/currencyService.js';
+import { sampleUserData } from '../examples/sampleUserData.js';
+
+console.log('🧪 Testing CurrencyService...\n');
+
+console.log('='.repeat(80));
+console.log('TEST 1: Exchange rate table (loaded offline)');
+console.log('='.repeat(80));
+
+const table = CurrencyService.getRates();
+console.log(`Base: ${table.base} | Updated: ${table.updatedAt} | Currencies: ${Object.keys(table.rates).length}`);
+console.log(`100 EUR -> USD: ${CurrencyService.convert(100, 'EUR', 'USD').toFixed(2)}`);
+console.log(`100 USD -> PLN: ${CurrencyService.convert(100, 'USD', 'PLN').toFixed(2)}`);
+console.log(`Unknown currency: ${CurrencyService.convert(100, 'XYZ', 'USD')}`);
+console.log('✅ Expected: EUR -> USD ≈ 108.70, USD -> PLN = 393.00, unknown = null\n');
+
+console.log('='.repeat(80));
+console.log('TEST 2: Code normalization');
+console.log('='.repeat(80));
+
+['eur', '€', 'Euros', '£', 'zł', '', null, 'not a code'].forEach(code => {
+  console.log(`  ${JSON.stringify(code)} -> ${CurrencyService.normalizeCode(code)}`);
+});
+console.log('✅ Expected: EUR, EUR, EUR, GBP, PLN and USD for empty/unknown values\n');
+
+console.log('='.repeat(80));
+console.log('TEST 3: Job earnings per currency (sample data mixes USD and EUR)');
+console.log('='.repeat(80));
+
+const jobEarnings = CurrencyService.summarize(sampleUserData.jobs, { amountField: 'rate', homeCurrency: 'USD' });
+console.log(jobEarnings);
+console.log(`Formatted: ${CurrencyService.formatSummary(jobEarnings)}`);
+console.log('✅ Expected: 7,500 USD and 3,000 EUR kept apart, converted total ≈ 10,760.87 USD\n');
+
+console.log('='.repeat(80));
+console.log('TEST 4: Same data with EUR as home currency');
+console.log('='.repeat(80));
+
+const eurEarnings = CurrencyService.summarize(sampleUserData.jobs, { amountField: 'rate', homeCurrency: 'EUR' });
+console.log(`Formatted: ${CurrencyService.formatSummary(eurEarnings)}`);
+console.log('✅ Expected: converted total ≈ 9,900.00 EUR\n');
+
+console.log('='.repeat(80));
+console.log('TEST 5: Events, shootings and stays use their own amount fields');
+console.log('='.repeat(80));
+
+const dayRates = CurrencyService.summarize(sampleUserData.events, { amountField: 'dayRate' });
+const shootingRates = CurrencyService.summarize(sampleUserData.shootings, { amountField: 'rate' });
+const stayCosts = CurrencyService.summarize(sampleUserData.onStays, { amountField: 'cost' });
+console.log(`Event day rates: ${CurrencyService.formatSummary(dayRates)}`);
+console.log(`Shooting rates: ${CurrencyService.formatSummary(shootingRates)}`);
+console.log(`Stay costs: ${CurrencyService.formatSummary(stayCosts)}`);
+console.log(`All income: ${CurrencyService.formatSummary(CurrencyService.mergeSummaries([jobEarnings, dayRates, shootingRates], 'USD'))}`);
+
+
+console.log('\n' + '='.repeat(80));
+console.log('TEST 6: Amounts written as text');
+console.log('='.repeat(80));
+
+const textRates = CurrencyService.summarize([
+  { rate: '2,500', currency: 'EUR' },
+  { rate: '1.200,50', currency: 'EUR' },
+  { rate: '€300.25', currency: 'EUR' },
+  { rate: 'TBD', currency: 'EUR' }
+], { homeCurrency: 'EUR' });
+console.log(`Text rates: ${CurrencyService.formatSummary(textRates)} (${textRates.count} counted)`);
+console.log(`"CHF." -> ${CurrencyService.normalizeCode('CHF.')}`);
+console.log('✅ Expected: 4,000.75 EUR from 3 rates ("TBD" skipped); CHF');
+
+['all inclusive 500', '5 2', '1 200,50 zł', 'EUR 500 per day'].forEach(text => {
+  console.log(`"${text}" -> ${JSON.stringify(CurrencyService.parseMoney(text))}`);
+});
+console.log('✅ Expected: 500 without a currency ("all" is a word, not ALL); 5, ambiguous (no 3-digit group);');
+console.log('   1200.5 PLN; 500 EUR');
+
+console.log('\n✅ CurrencyService tests completed!');
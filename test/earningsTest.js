@@ -0,0 +1,93 @@
+/**
+ * Test script for EarningsService
+ * Demonstrates gross to net calculation with agency commission, expenses and tax
+ */
+
+import EarningsService from '../services/earningsService.js';
+import ContextService from '../services/contextService.js';
+import { sampleUserData } from '../examples/sampleUserData.js';
+
+console.log('🧪 Testing EarningsService...\n');
+
+const printBreakdown = (item) => {
+  console.log(`  ${item.id} ${item.clientName} (${item.currency}): gross ${item.gross} = base ${item.base} + usage ${item.usage} + ${item.extraHours}h extra ${item.extraHoursAmount}`);
+  console.log(`    - commission ${item.commission} (${item.commissionRate}% from ${item.commissionSource}) - expenses ${item.expenses} - tax ${item.tax} (${item.taxRate}% from ${item.taxSource}) = net ${item.net}`);
+};
+
+console.log('='.repeat(80));
+console.log('TEST 1: Single job with every component');
+console.log('='.repeat(80));
+
+const agencies = [
+  { id: 'agency1', name: 'Elite Model Management', commissionRate: 20 },
+  { id: 'agency2', name: 'IMG Models', commissionRate: 15 }
+];
+
+printBreakdown(EarningsService.calculateRecord({
+  id: 'job-1',
+  clientName: 'Samsung',
+  rate: 2000,
+  usageRate: 1000,
+  extraHours: 2,
+  additionalFees: 150,
+  currency: 'EUR',
+  agencyId: 'agency1',
+  tax: 25
+}, { agencies }));
+console.log('✅ Expected: gross 3500 (2000 + 1000 + 2h at 250), commission 700, expenses 150, tax 662.5, net 1987.5\n');
+
+console.log('='.repeat(80));
+console.log('TEST 2: Where commission and tax rates come from');
+console.log('='.repeat(80));
+
+const userProfile = { taxRate: 30 };
+[
+  { id: 'own-rate', clientName: 'A', rate: 1000, commissionRate: 10 },
+  { id: 'ocr-agency-fee', clientName: 'B', rate: 1000, agencyFee: '20%' },
+  { id: 'agency-by-name', clientName: 'C', rate: 1000, agencyName: 'img models' },
+  { id: 'direct-booking', clientName: 'D', rate: 1000, extraHours: 1, extraHourRate: 200 }
+].forEach(record => printBreakdown(EarningsService.calculateRecord(record, { agencies, userProfile })));
+console.log('✅ Expected: 10% record, 20% record, 15% agency, 0% none; tax 30% from the profile\n');
+
+console.log('='.repeat(80));
+console.log('TEST 3: Totals per currency and after stay costs');
+console.log('='.repeat(80));
+
+const earnings = EarningsService.calculate({
+  ...sampleUserData,
+  userProfile: { ...sampleUserData.userProfile, taxRate: 25 },
+  agencies: [{ id: 'agency1', name: 'Elite Model Management', commissionRate: 20 }]
+});
+earnings.records.forEach(printBreakdown);
+console.log(EarningsService.formatNetIncomeLines(earnings));
+console.log('✅ Expected: 20% commission from the only agency on every record, 25% tax, stay costs deducted in EUR\n');
+
+console.log('='.repeat(80));
+console.log('TEST 4: Statistics in the AI context');
+console.log('='.repeat(80));
+
+const context = ContextService.buildUserContext({
+  ...sampleUserData,
+  jobs: sampleUserData.jobs.map(job => ({ ...job, agencyId: 'agency1' }))
+});
+const statistics = context.slice(context.indexOf('STATISTICS:\nSTATISTICS:'), context.indexOf('- Total Jobs:'));
+console.log(statistics);
+console.log('✅ Expected: gross income, agency commission (jobs only) and net income lines\n');
+
+console.log('='.repeat(80));
+console.log('TEST 5: Amounts with thousands and decimal separators');
+console.log('='.repeat(80));
+
+const separatorJobs = [
+  { id: 'sep1', clientName: 'Zara', date: '2025-03-01', rate: '2,500', currency: 'EUR', commissionRate: 0, tax: 0 },
+  { id: 'sep2', clientName: 'H&M', date: '2025-03-02', rate: '1.200,50', currency: 'EUR', commissionRate: 0, tax: 0 }
+];
+const separatorEarnings = EarningsService.calculate({ jobs: separatorJobs });
+console.log(`  gross per job: ${separatorEarnings.records.map(record => record.gross).join(', ')}`);
+const separatorContext = ContextService.buildUserContext({ jobs: separatorJobs });
+separatorContext.split('\n')
+  .filter(line => /Total Earnings|Income/.test(line))
+  .forEach(line => console.log(`  ${line.trim()}`));
+console.log('✅ Expected: 2500, 1200.5; every total line in the context shows 3,700.50 EUR\n');
+
+console.log('🎉 EarningsService tests completed!');
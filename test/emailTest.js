@@ -0,0 +1,165 @@
+/**
+ * Test script for e-mail import
+ * Parses raw RFC 822 / MIME messages (encoded headers and bodies, HTML, attachments,
+ * forwarded messages) and runs one through OcrService with the sender and subject as hints
+ */
+
+import EmailService from '../services/emailService.js';
+import OcrService from '../services/ocrService.js';
+import MockProvider from '../services/providers/mockProvider.js';
+
+console.log('🧪 Testing e-mail import...\n');
+
+const crlf = lines => lines.join('\r\n');
+
+const printEmail = email => {
+  console.log(`  from: ${email.from ? EmailService.formatAddress(email.from) : null}`);
+  console.log(`  subject: ${email.subject}, date: ${email.date}, html: ${email.hasHtml}`);
+  console.log(`  text: ${JSON.stringify(email.text)}`);
+  email.attachments.forEach(attachment => {
+    console.log(`  attachment ${attachment.fileName} (${attachment.contentType}, ${attachment.size} bytes): ${attachment.extracted ? JSON.stringify(attachment.text) : `skipped, ${attachment.reason}`}`);
+  });
+  email.warnings.forEach(warning => console.log(`  ⚠️  ${warning}`));
+};
+
+const bookingEmail = crlf([
+  'From: =?UTF-8?Q?Zo=C3=A9_Lef=C3=A8vre?= <zoe@elite-paris.com>',
+  'To: Anna Nowak <anna@example.com>',
+  'Subject: =?UTF-8?B?UmU6IEJvb2tpbmcgY29uZmlybWF0aW9uIOKAkyBMJ09yw6lhbA==?=',
+  'Date: Tue, 13 May 2025 09:30:00 +0200',
+  'Message-ID: <booking-42@elite-paris.com>',
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/mixed; boundary="outer"',
+  '',
+  '--outer',
+  'Content-Type: multipart/alternative; boundary="inner"',
+  '',
+  '--inner',
+  'Content-Type: text/plain; charset=UTF-8',
+  'Content-Transfer-Encoding: quoted-printable',
+  '',
+  'Client Name: L\'Or=C3=A9al',
+  'Date: 2025-05-15',
+  'Day Rate: 3000 EUR, the rate includes a very long line that was soft-wrapped by the=',
+  ' mail client',
+  '--inner',
+  'Content-Type: text/html; charset=UTF-8',
+  '',
+  '<p>Client Name: L&#39;Or&eacute;al</p>',
+  '--inner--',
+  '--outer',
+  'Content-Type: text/plain; charset=ISO-8859-1; name="call-sheet.txt"',
+  'Content-Disposition: attachment; filename="call-sheet.txt"',
+  'Content-Transfer-Encoding: base64',
+  '',
+  Buffer.from('Location: Caf\xe9 de Flore, Paris\nCall Time: 08:00', 'latin1').toString('base64'),
+  '--outer',
+  'Content-Type: application/pdf; name="contract.pdf"',
+  'Content-Disposition: attachment; filename*=UTF-8\'\'contrat%20sign%C3%A9.pdf',
+  'Content-Transfer-Encoding: base64',
+  '',
+  Buffer.from('%PDF-1.4 binary').toString('base64'),
+  '--outer--',
+  ''
+]);
+
+console.log('='.repeat(80));
+console.log('TEST 1: Multipart message with encoded headers, bodies and attachments');
+console.log('='.repeat(80));
+
+const booking = EmailService.parseMessage(Buffer.from(bookingEmail, 'latin1'));
+printEmail(booking);
+console.log(`  hints: ${JSON.stringify(EmailService.getHints(booking))}`);
+console.log('✅ Expected: from "Zoé Lefèvre <zoe@elite-paris.com>", subject "Re: Booking confirmation – L\'Oréal",');
+console.log('   date 2025-05-13T07:30:00.000Z; the plain-text alternative used (html false) with the soft line break joined;');
+console.log('   call-sheet.txt decoded from ISO-8859-1 ("Café"); "contrat signé.pdf" skipped;');
+console.log('   hints without the "Re:" prefix\n');
+
+console.log('='.repeat(80));
+console.log('TEST 2: HTML-only body and a forwarded message');
+console.log('='.repeat(80));
+
+const forwarded = EmailService.parseMessage(crlf([
+  'From: booker@agency.com',
+  'Subject: Fwd: Option Samsung',
+  'Content-Type: multipart/mixed; boundary="b1"',
+  '',
+  '--b1',
+  'Content-Type: text/html; charset=UTF-8',
+  '',
+  '<html><head><style>p { color: red; }</style></head><body><p>See below &amp; confirm.</p><br>Thanks</body></html>',
+  '--b1',
+  'Content-Type: message/rfc822',
+  '',
+  'From: Samsung Production <prod@samsung.com>',
+  'Subject: Option',
+  '',
+  'Option Type: 1st option',
+  'Date: 2025-06-02',
+  '--b1--'
+]));
+printEmail(forwarded);
+console.log('✅ Expected: the HTML body as text without the style block ("See below & confirm." and "Thanks"),');
+console.log('   the forwarded message read as an attachment with its own From/Subject lines and body\n');
+
+console.log('='.repeat(80));
+console.log('TEST 3: Document text');
+console.log('='.repeat(80));
+
+console.log(EmailService.buildDocumentText(booking).split('\n').map(line => `  | ${line}`).join('\n'));
+console.log('✅ Expected: From/To/Subject/Date lines, the body, then a "--- Attachment: call-sheet.txt ---" section\n');
+
+console.log('='.repeat(80));
+console.log('TEST 4: Rejected messages');
+console.log('='.repeat(80));
+
+for (const raw of ['just some text without headers', crlf(['From: a@b.com', 'Content-Type: image/png', 'Content-Transfer-Encoding: base64', '', 'iVBORw0KGgo='])]) {
+  try {
+    EmailService.buildDocumentText(EmailService.parseMessage(raw));
+    console.log('  ❌ not rejected');
+  } catch (error) {
+    console.log(`  ${error.status} ${error.code}: ${error.message}`);
+  }
+}
+console.log('✅ Expected: 400 INVALID_EMAIL, then 422 EMAIL_NO_TEXT\n');
+
+console.log('='.repeat(80));
+console.log('TEST 5: Deeply nested forwards');
+console.log('='.repeat(80));
+
+let nested = crlf(['From: origin@client.com', 'Subject: Original booking', '', 'Client Name: Samsung']);
+for (let level = 1; level <= 12; level++) {
+  nested = crlf([`From: forward${level}@agency.com`, `Subject: Fwd ${level}`, 'Content-Type: message/rfc822', '', nested]);
+}
+const deep = EmailService.parseMessage(nested);
+const deepText = EmailService.buildDocumentText(deep);
+printEmail({ ...deep, attachments: [] });
+console.log(`  forwards read: ${(deepText.match(/From: forward/g) || []).length}, original reached: ${deepText.includes('Client Name: Samsung')}`);
+console.log('✅ Expected: one "nested too deeply" warning; the forwards down to the nesting limit read,');
+console.log('   the original message beyond it not reached\n');
+
+console.log('='.repeat(80));
+console.log('TEST 6: Extraction with the e-mail hints');
+console.log('='.repeat(80));
+
+let userMessage = '';
+const mock = new MockProvider();
+const provider = {
+  name: 'mock',
+  createChatCompletion(options) {
+    userMessage = options.messages[options.messages.length - 1].content;
+    return mock.createChatCompletion(options);
+  }
+};
+
+const result = await OcrService.analyze(provider, EmailService.buildDocumentText(booking), {
+  documentType: 'meeting',
+  hints: { ...EmailService.getHints(booking), unknownField: 'ignored' }
+});
+console.log(`  prompt has known values: ${userMessage.includes('Known values')}, unknown hint sent: ${userMessage.includes('unknownField')}`);
+console.log(`  contactPerson: ${result.extractedData.contactPerson}, subject: ${result.extractedData.subject}`);
+console.log(`  hints applied: ${JSON.stringify(result.hintsApplied)}`);
+console.log('✅ Expected: true, false; contactPerson "Zoé Lefèvre" filled from the sender; the subject the mock');
+console.log('   read from the Subject line kept, so only contactPerson is listed as applied\n');
+
+console.log('🎉 E-mail import tests completed!');
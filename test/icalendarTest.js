@@ -0,0 +1,212 @@
+/**
+ * Test script for ICalendarService
+ * Demonstrates the iCalendar (.ics) export (timed and all-day events, stays, escaping, line folding)
+ * and the import into entity drafts (time zones, recurrence, keyword classification)
+ */
+
+import ICalendarService from '../services/icalendarService.js';
+import CalendarImportService from '../services/calendarImportService.js';
+import { sampleUserData } from '../examples/sampleUserData.js';
+
+console.log('🧪 Testing ICalendarService...\n');
+
+const now = new Date('2025-08-01T12:00:00Z');
+
+const userData = {
+  jobs: [
+    { id: 'job1', clientName: 'Vogue', type: 'Editorial', date: '2025-08-15', time: '09:00', location: 'Studio 5, Milan', rate: 1500, currency: 'EUR', status: 'Confirmed' },
+    { id: 'job2', clientName: 'Zara', type: 'E-commerce', date: '2025-08-20', time: '10:00', endTime: '18:30', rate: 900, currency: 'EUR' },
+    { id: 'job3', clientName: 'Prada', type: 'Show', date: '2025-09-20', endDate: '2025-09-22', status: 'Option' },
+    { id: 'job4', clientName: 'No Date' }
+  ],
+  events: [
+    { id: 'event1', type: 'EventType.casting', clientName: 'Elite Modeling Agency', date: '2025-08-16', startTime: '2:30 PM', notes: 'Bring comp card; heels' },
+    { id: 'event2', type: 'EventType.fitting', clientName: 'Gucci', date: '2025-08-18', startTime: '22:00', endTime: '01:00' }
+  ],
+  meetings: [
+    { id: 'meeting1', clientName: 'IMG Models', date: '2025-08-17', time: '11:00', status: 'Cancelled' }
+  ],
+  shootings: [
+    { id: 'shooting1', clientName: 'Elle', date: '2025-08-19', startTime: '08:00', location: 'Beach' }
+  ],
+  onStays: [
+    { id: 'stay1', locationName: 'Hotel Principe di Savoia', address: 'Piazza della Repubblica 17, Milan', checkInDate: '2025-08-14', checkOutDate: '2025-08-21', cost: 2100, currency: 'EUR' }
+  ]
+};
+
+const { calendar, eventCount, skipped } = ICalendarService.buildCalendar(userData, { now });
+const lines = calendar.split('\r\n');
+
+console.log('='.repeat(80));
+console.log('TEST 1: Calendar feed');
+console.log('='.repeat(80));
+
+console.log(calendar);
+console.log(`Events: ${eventCount}, skipped: ${skipped}`);
+console.log('✅ Expected: 8 events, job4 (no date) skipped\n');
+
+console.log('='.repeat(80));
+console.log('TEST 2: Start and end times');
+console.log('='.repeat(80));
+
+lines.filter(line => /^(UID|DTSTART|DTEND)/.test(line)).forEach(line => console.log(`  ${line}`));
+console.log('✅ Expected: job1 09:00-13:00 (default 4h), job2 10:00-18:30, job3 all-day 20250920-20250923,');
+console.log('   casting 14:30-16:30, fitting ends 01:00 next day, meeting 11:00-12:00, shooting 08:00-12:00,');
+console.log('   stay all-day 20250814-20250822 (check-out day included)\n');
+
+console.log('='.repeat(80));
+console.log('TEST 3: Escaping, status and line format');
+console.log('='.repeat(80));
+
+console.log(`  Escaped: ${ICalendarService.escapeText('Bring comp card; heels, flats\nCall Anna\\Marco')}`);
+lines.filter(line => line.startsWith('STATUS')).forEach(line => console.log(`  ${line}`));
+const longLine = ICalendarService.foldLine(`DESCRIPTION:${'Défilé à Paris '.repeat(10)}`);
+const longest = Math.max(...longLine.split('\r\n').map(part => Buffer.byteLength(part, 'utf8')));
+console.log(`  Folded into ${longLine.split('\r\n').length} lines, longest ${longest} octets`);
+console.log(`  Only CRLF line endings: ${!/[^\r]\n/.test(calendar)}`);
+console.log('✅ Expected: \\; \\, \\n and \\\\ escapes; CONFIRMED, TENTATIVE, CANCELLED; no line over 75 octets; true\n');
+
+console.log('='.repeat(80));
+console.log('TEST 4: Sample data');
+console.log('='.repeat(80));
+
+const sample = ICalendarService.buildCalendar(sampleUserData, { now, calendarName: 'Sample Model' });
+console.log(`  Events: ${sample.eventCount}, skipped: ${sample.skipped}`);
+console.log(`  ${sample.calendar.split('\r\n').find(line => line.startsWith('X-WR-CALNAME'))}`);
+console.log('✅ Expected: all sample jobs, events, meetings and stays exported\n');
+
+const agencyFeed = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//Agency//Schedule//EN',
+  'X-WR-CALNAME:Paris Fashion Week',
+  'BEGIN:VEVENT',
+  'UID:dior-casting',
+  'DTSTART;TZID=Europe/Paris:20250915T100000',
+  'DTEND;TZID=Europe/Paris:20250915T120000',
+  'SUMMARY:Casting: Dior',
+  'LOCATION:Avenue Montaigne 30\\, Paris',
+  'DESCRIPTION:Bring comp cards\\nHeels',
+  'BEGIN:VALARM',
+  'TRIGGER:-PT1H',
+  'END:VALARM',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:bristol',
+  'DTSTART;VALUE=DATE:20250914',
+  'DTEND;VALUE=DATE:20250918',
+  'SUMMARY:Hotel Le Bristol',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:booker-call',
+  'DTSTART;TZID=W. Europe Standard Time:20250901T090000',
+  'DURATION:PT30M',
+  'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=5',
+  'EXDATE;TZID=W. Europe Standard Time:20250903T090000',
+  'SUMMARY:Call with booker',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:booker-call',
+  'RECURRENCE-ID;TZID=W. Europe Standard Time:20250908T090000',
+  'DTSTART;TZID=W. Europe Standard Time:20250908T150000',
+  'DURATION:PT30M',
+  'SUMMARY:Call with booker (moved)',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:vogue',
+  'DTSTART:20250920T070000Z',
+  'DTEND:20250920T150000Z',
+  'SUMMARY:Vogue editorial shoot',
+  'STATUS:TENTATIVE',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:drinks',
+  'DTSTART;VALUE=DATE:20250926',
+  'RRULE:FREQ=MONTHLY;BYDAY=-1FR;UNTIL=20251231',
+  'SUMMARY:Agency drinks',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+console.log('='.repeat(80));
+console.log('TEST 5: Parsing, recurrence and time zones');
+console.log('='.repeat(80));
+
+const parsed = ICalendarService.parseCalendar(agencyFeed, { now });
+parsed.events.forEach(event => {
+  const time = event.allDay ? 'all day' : `${event.startTime}-${event.endTime} ${event.timeZone}`;
+  console.log(`  ${event.startDate}${event.endDate !== event.startDate ? ` to ${event.endDate}` : ''} ${time}: ${event.summary}${event.recurring ? ' (recurring)' : ''}`);
+});
+console.log('✅ Expected: booker call on Sep 1, 10 and 15 at 09:00 and moved to 15:00 on Sep 8 (COUNT=5 includes the excluded Sep 3),');
+console.log('   Europe/Berlin from the Windows zone name; hotel Sep 14 to 17; Vogue 07:00-15:00 UTC;');
+console.log('   agency drinks on the last Friday of Sep-Dec\n');
+
+const tokyo = ICalendarService.parseCalendar(agencyFeed, { now, timeZone: 'Asia/Tokyo', from: '2025-09-15', until: '2025-09-20' });
+tokyo.events.filter(event => !event.allDay).forEach(event => {
+  console.log(`  ${event.startDate} ${event.startTime}-${event.endTime} ${event.timeZone}: ${event.summary}`);
+});
+console.log('✅ Expected: converted to Tokyo time (Dior 17:00-19:00, booker 16:00, Vogue 16:00-00:00), only Sep 15-20\n');
+
+const longSeries = [
+  'BEGIN:VCALENDAR',
+  'BEGIN:VEVENT',
+  'UID:weekly-class@example.com',
+  'DTSTART;VALUE=DATE:20200106',
+  'RRULE:FREQ=WEEKLY',
+  'SUMMARY:Pilates class',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:never@example.com',
+  'DTSTART;VALUE=DATE:19000101',
+  'RRULE:FREQ=DAILY;BYMONTH=2;BYMONTHDAY=30',
+  'SUMMARY:Never',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+const started = Date.now();
+const window = ICalendarService.parseCalendar(longSeries, { now, from: '2026-10-01', until: '2026-12-31' });
+const upcoming = ICalendarService.parseCalendar(longSeries, { now });
+const classes = upcoming.events.filter(event => event.summary === 'Pilates class');
+console.log(`  Oct-Dec 2026: ${window.events.length} events (${window.events[0]?.startDate} to ${window.events[window.events.length - 1]?.startDate}), warnings: ${JSON.stringify(window.warnings)}`);
+console.log(`  From now: ${classes.length} classes, first after DTSTART ${classes[1]?.startDate}, warnings: ${JSON.stringify(upcoming.warnings)}`);
+console.log(`  Parsed in ${Date.now() - started < 200 ? 'under 200' : 'over 200'} ms`);
+console.log('✅ Expected: 13 Monday classes from 2026-10-05 to 2026-12-28 and no warnings; from now, DTSTART plus');
+console.log('   the Mondays of the next year (first 2025-08-04); only DTSTART for the rule that never matches\n');
+
+console.log('='.repeat(80));
+console.log('TEST 6: Entity drafts');
+console.log('='.repeat(80));
+
+const imported = CalendarImportService.importCalendar(agencyFeed, { now, until: '2025-09-30' });
+imported.drafts.forEach(draft => {
+  console.log(`  ${draft.draftId} ${draft.entityType} (${draft.confidence}, ${draft.matchedKeywords.join(', ') || 'no keywords'}): ${JSON.stringify(draft.record)}`);
+});
+console.log(`  Counts: ${JSON.stringify(imported.counts)}`);
+console.log('✅ Expected: Dior casting event, Le Bristol onStay (check-out Sep 17), booker meetings,');
+console.log('   Vogue Editorial job (Tentative), agency drinks as event "other" with confidence 0\n');
+
+['Fitting - Gucci', 'Test shoot with Marco', 'Lunch with Anna', 'Prada show', 'Casting at Hotel Bristol'].forEach(summary => {
+  const draft = CalendarImportService.buildDraft({ summary, startDate: '2025-09-01', endDate: '2025-09-01', allDay: true, categories: [] });
+  console.log(`  "${summary}" → ${draft.entityType}${draft.record.type ? ` (${draft.record.type})` : ''}: ${draft.record.clientName || draft.record.locationName}`);
+});
+console.log('✅ Expected: fitting Gucci, test shoot Marco (not a job), meeting Anna, Runway job Prada, casting Hotel Bristol\n');
+
+console.log('='.repeat(80));
+console.log('TEST 7: Export and import round trip');
+console.log('='.repeat(80));
+
+const roundTrip = CalendarImportService.importCalendar(
+  ICalendarService.buildCalendar(sampleUserData, { now }).calendar,
+  { now, from: '2025-01-01', userData: sampleUserData }
+);
+roundTrip.drafts.forEach(draft => {
+  console.log(`  ${draft.entityType} ${draft.record.clientName || draft.record.locationName} → existing ${draft.existingId}`);
+});
+try {
+  ICalendarService.parseCalendar('Not a calendar');
+} catch (error) {
+  console.log(`  Invalid payload: ${error.code} (${error.status})`);
+}
+console.log('✅ Expected: every draft matched to its sample record (shootings as jobs); INVALID_ICS (400)\n');
+
+console.log('🎉 ICalendarService tests completed!');
@@ -0,0 +1,92 @@
+/**
+ * Test script for LLMService
+ * Demonstrates per-route provider configuration and the offline mock provider
+ */
+
+import LLMService from '../services/llmService.js';
+
+console.log('🧪 Testing LLMService...\n');
+
+console.log('='.repeat(80));
+console.log('TEST 1: Default route configuration');
+console.log('='.repeat(80));
+
+delete process.env.LLM_PROVIDER;
+delete process.env.CHAT_PROVIDER;
+delete process.env.OCR_PROVIDER;
+console.log(LLMService.describe());
+console.log('✅ Expected: openai provider, gpt-3.5-turbo for chat and gpt-4o-mini for ocr\n');
+
+console.log('='.repeat(80));
+console.log('TEST 2: Per-route overrides');
+console.log('='.repeat(80));
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.OCR_PROVIDER = 'openai-compatible';
+process.env.OCR_MODEL = 'llama3.1:8b';
+console.log(LLMService.describe());
+console.log('Configuration error for ocr (no base URL):', LLMService.getConfigurationError('ocr'));
+process.env.OPENAI_COMPATIBLE_BASE_URL = 'http://localhost:11434/v1';
+LLMService.reset();
+console.log('Configuration error for ocr (base URL set):', LLMService.getConfigurationError('ocr'));
+delete process.env.OCR_PROVIDER;
+delete process.env.OCR_MODEL;
+console.log('✅ Expected: chat on mock, ocr on openai-compatible with llama3.1:8b; MISSING_BASE_URL then null\n');
+
+console.log('='.repeat(80));
+console.log('TEST 3: Mock chat completion (deterministic)');
+console.log('='.repeat(80));
+
+const provider = LLMService.getProvider('chat');
+const completion = await provider.createChatCompletion({
+  model: LLMService.getModel('chat'),
+  messages: [
+    { role: 'system', content: 'You are ModelDay AI.' },
+    { role: 'user', content: 'What is on my calendar?' }
+  ]
+});
+console.log(completion.choices[0].message.content);
+console.log(completion.usage);
+console.log('✅ Expected: the same reply and usage on every run\n');
+
+console.log('='.repeat(80));
+console.log('TEST 4: Mock streaming completion');
+console.log('='.repeat(80));
+
+const stream = await provider.createChatCompletion({
+  model: LLMService.getModel('chat'),
+  messages: [{ role: 'user', content: 'Stream this please' }],
+  stream: true,
+  stream_options: { include_usage: true }
+});
+const pieces = [];
+let usage = null;
+for await (const chunk of stream) {
+  if (chunk.usage) usage = chunk.usage;
+  const content = chunk.choices[0]?.delta?.content;
+  if (content) pieces.push(content);
+}
+console.log(`Chunks: ${pieces.length} | Text: ${pieces.join('')}`);
+console.log('Usage:', usage);
+
+console.log('\n' + '='.repeat(80));
+console.log('TEST 5: Mock JSON extraction and custom responders');
+console.log('='.repeat(80));
+
+const extraction = await provider.createChatCompletion({
+  model: LLMService.getModel('ocr'),
+  response_format: { type: 'json_object' },
+  messages: [
+    { role: 'system', content: '{ "clientName": "string | null", "dayRate": "number | null", "currency": "string | null" }' },
+    { role: 'user', content: 'Client: SAMSUNG\nDay Rate: 500\nCurrency: EUR\nIgnored: value' }
+  ]
+});
+console.log(JSON.parse(extraction.choices[0].message.content));
+
+provider.setResponder(() => 'Fixed reply for this test');
+const custom = await provider.createChatCompletion({ messages: [{ role: 'user', content: 'Anything' }] });
+console.log(custom.choices[0].message.content);
+provider.setResponder(null);
+console.log('✅ Expected: { clientName: "SAMSUNG", dayRate: "500", currency: "EUR" } and the fixed reply');
+
+console.log('\n✅ LLMService tests completed!');
@@ -0,0 +1,81 @@
+/**
+ * Test script for localization
+ * Demonstrates locale resolution, translated context templates, localized dates and amounts,
+ * and the instruction telling the model which language to answer in
+ */
+
+import LocaleService from '../services/localeService.js';
+import ContextService from '../services/contextService.js';
+import CurrencyService from '../services/currencyService.js';
+
+console.log('🧪 Testing localization...\n');
+
+const now = new Date('2025-08-17T10:00:00Z');
+
+const userData = {
+  userProfile: { name: 'Zofia', locale: 'pl-PL', homeCurrency: 'EUR', timeZone: 'Europe/Warsaw' },
+  jobs: [
+    { id: 'job1', clientName: 'Reserved', type: 'Lookbook', date: '2025-08-20', time: '09:00', rate: 3000, currency: 'EUR', status: 'Confirmed', paymentStatus: 'Pending' },
+    { id: 'job2', clientName: 'Zara', type: 'E-commerce', date: '2025-07-02', rate: 1250.5, currency: 'EUR', status: 'Completed', paymentStatus: 'Paid' }
+  ],
+  events: [
+    { id: 'event1', type: 'Casting', clientName: 'Vogue Polska', date: '2025-08-19', startTime: '14:00', location: 'Warszawa' }
+  ]
+};
+
+console.log('='.repeat(80));
+console.log('TEST 1: Locale resolution');
+console.log('='.repeat(80));
+
+console.log(`  Normalized: ${LocaleService.normalizeLocale('pl')}, ${LocaleService.normalizeLocale('de_at')}, ${LocaleService.normalizeLocale('ja-JP')}`);
+console.log(`  Accept-Language: ${JSON.stringify(LocaleService.parseAcceptLanguage('ja;q=0.9, fr-CH, *;q=0.1, en;q=0.8'))}`);
+console.log(`  Found: ${LocaleService.findLocale(null, 'ja-JP', 'ja;q=0.9, it;q=0.8')}, resolved: ${LocaleService.resolveLocale('ja-JP')}`);
+console.log('✅ Expected: pl-PL, de-AT, null; ["fr-CH","ja","en"]; it-IT (first supported), en-US (default)\n');
+
+console.log('='.repeat(80));
+console.log('TEST 2: Dates and amounts');
+console.log('='.repeat(80));
+
+console.log(`  pl: ${ContextService._formatDisplayDate(now, 'Europe/Warsaw', 'pl-PL')} | ${CurrencyService.formatAmount(3000, 'EUR', 'pl-PL')}`);
+console.log(`  de: ${ContextService._formatDisplayDate(now, 'Europe/Berlin', 'de-DE')} | ${CurrencyService.formatAmount(3000, 'EUR', 'de-DE')}`);
+console.log(`  en: ${ContextService._formatDisplayDate(now, 'UTC')} | ${CurrencyService.formatAmount(3000, 'EUR')}`);
+console.log('✅ Expected: niedziela, 17 sierpnia 2025 | 3000,00 EUR (Polish groups from 5 digits);');
+console.log('   Sonntag, 17. August 2025 | 3.000,00 EUR; Sunday, August 17, 2025 | 3,000.00 EUR\n');
+
+console.log('='.repeat(80));
+console.log('TEST 3: Context in the user\'s language');
+console.log('='.repeat(80));
+
+const polish = ContextService.buildUserContext(userData, { now });
+polish.split('\n')
+  .filter(line => /^(Dzisiejsza|Aktualna|ZLECENIA \(|- Język)|Stawka:|Przychód łączny|NADCHODZĄCE TERMINY \(najbliższe 2/.test(line))
+  .forEach(line => console.log(`  ${line}`));
+console.log('✅ Expected: Polish headings, date and labels from userProfile.locale; amounts such as "1250,5 EUR"\n');
+
+const german = ContextService.buildUserContext(userData, { now, locale: 'de' });
+german.split('\n')
+  .filter(line => /^(Heutiges Datum|JOBS \()|Gage:/.test(line))
+  .forEach(line => console.log(`  ${line}`));
+console.log('✅ Expected: the locale option wins over the profile: German headings, "3.000 EUR" and "1.250,5 EUR"\n');
+
+const incomplete = ContextService.buildUserContext({
+  userProfile: userData.userProfile,
+  jobs: [{ id: 'job3', rate: 800 }, { id: 'job4', date: '2025-08-21' }],
+  events: [{ id: 'event2', date: '2025-08-22' }],
+  aiJobs: [{ id: 'ai1', clientName: 'Allegro', rate: 500 }]
+}, { now });
+incomplete.split('\n')
+  .filter(line => /do ustalenia:|Nieznany klient|Wydarzenie|Allegro|Stawka: 500/.test(line))
+  .forEach(line => console.log(`  ${line}`));
+console.log('✅ Expected: missing dates, clients and event names in Polish ("data do ustalenia", "Nieznany klient",');
+console.log('   "Wydarzenie" in the calendar); the AI job rate in the default currency\n');
+
+console.log('='.repeat(80));
+console.log('TEST 4: Answer language');
+console.log('='.repeat(80));
+
+console.log(LocaleService.getLanguageInstruction('pl-PL').trim());
+console.log(`  Fallback to English: ${LocaleService.t('pl-PL', 'no.such.key')} | ${LocaleService.t('fr-FR', 'jobs.title', { count: 2 })}`);
+console.log('✅ Expected: the model is told to answer in Polish (polski); missing keys return the key itself\n');
+
+console.log('🎉 Localization tests completed!');
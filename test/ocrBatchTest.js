@@ -0,0 +1,95 @@
+/**
+ * Test script for batch OCR
+ * Runs a batch of documents through OcrService with the mock provider: bounded concurrency,
+ * per-document errors and the duplicate booking summary
+ */
+
+import OcrService from '../services/ocrService.js';
+import MockProvider from '../services/providers/mockProvider.js';
+
+console.log('🧪 Testing batch OCR...\n');
+
+// Mock provider that counts the extractions running at the same time
+const mock = new MockProvider();
+let running = 0;
+let maxRunning = 0;
+const provider = {
+  name: 'mock',
+  async createChatCompletion(options) {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    running--;
+    const lastMessage = options.messages[options.messages.length - 1].content;
+    if (lastMessage.includes('GARBLED')) {
+      return { choices: [{ message: { content: 'not json' } }], model: 'mock-model', usage: null };
+    }
+    return mock.createChatCompletion(options);
+  }
+};
+
+const documents = [
+  { id: 'mail-1', documentType: 'job', text: 'Booking confirmation\nClient Name: Samsung\nDate: 2025-05-15\nDay Rate: 6000 EUR\nCheck In Date: 2025-05-14\nHotel Address: Hotel Bristol, Warsaw' },
+  { id: 'mail-2', documentType: 'option', text: 'Option\nClient Name: SAMSUNG\nDate: 15/05/2025\nOption Type: 1st option' },
+  { id: 'mail-3', documentType: 'job', text: 'Fwd: Booking confirmation\nClient Name: Samsung\nDate: 2025-05-15\nDay Rate: 6000 EUR' },
+  { id: 'mail-4', documentType: 'agency', text: 'Agency Name: Elite Model Management\nCommission Rate: 20%' },
+  { id: 'mail-5', text: 'GARBLED' },
+  { id: 'mail-6', text: '   ' },
+  { documentType: 'invoice', text: 'Invoice 42' }
+];
+
+console.log('='.repeat(80));
+console.log('TEST 1: Per-document results');
+console.log('='.repeat(80));
+
+const { results, summary } = await OcrService.analyzeBatch(provider, documents, { concurrency: 2 });
+results.forEach(result => {
+  console.log(result.success
+    ? `  ✔️  ${result.id}: ${result.documentType}, drafts: ${result.drafts.map(draft => draft.entityType).join(', ')}`
+    : `  ❌ ${result.id}: [${result.code}] ${result.error}`);
+});
+console.log(`  most extractions at once: ${maxRunning}`);
+console.log('✅ Expected: 4 documents extracted in request order, mail-5 OCR_ERROR (no JSON), mail-6 MISSING_TEXT,');
+console.log('   doc7 UNSUPPORTED_DOCUMENT_TYPE; at most 2 extractions at once\n');
+
+console.log('='.repeat(80));
+console.log('TEST 2: Summary and duplicate bookings');
+console.log('='.repeat(80));
+
+console.log(`  total: ${summary.total}, succeeded: ${summary.succeeded}, failed: ${summary.failed}`);
+console.log(`  drafts: ${JSON.stringify(summary.draftCounts)}`);
+summary.duplicates.forEach(duplicate => {
+  console.log(`  duplicate ${duplicate.entityType} ${duplicate.date} "${duplicate.name}": ${duplicate.documents.map(entry => `${entry.id} (${entry.entityType})`).join(', ')}`);
+});
+console.log(`  usage: ${summary.usage ? summary.usage.total_tokens : 0} tokens`);
+console.log('✅ Expected: 7 total, 4 succeeded, 3 failed; one duplicate Samsung booking on 2025-05-15');
+console.log('   across mail-1, mail-2 (the option) and mail-3\n');
+
+const draftsOf = (id, ...clientNames) => ({
+  id,
+  drafts: clientNames.map((clientName, index) => ({ draftId: `${id}-${index}`, entityType: 'job', record: { clientName, date: '2025-06-02' } }))
+});
+OcrService.findDuplicateBookings([
+  draftsOf('scan-1', '三星', 'Яндекс', '!!!'),
+  draftsOf('scan-2', '三星 ', 'Сбер', '???')
+]).forEach(duplicate => {
+  console.log(`  duplicate ${duplicate.entityType} ${duplicate.date} "${duplicate.name}": ${duplicate.documents.map(entry => entry.id).join(', ')}`);
+});
+console.log('✅ Expected: only "三星" across scan-1 and scan-2; the Cyrillic names differ and the');
+console.log('   punctuation-only names are not compared\n');
+
+console.log('='.repeat(80));
+console.log('TEST 3: Rejected batches');
+console.log('='.repeat(80));
+
+for (const batch of [[], 'mail-1', new Array(OcrService.getBatchMaxDocuments() + 1).fill({ text: 'x' })]) {
+  try {
+    await OcrService.analyzeBatch(provider, batch);
+    console.log('  ❌ not rejected');
+  } catch (error) {
+    console.log(`  ${error.status} ${error.code}: ${error.message}`);
+  }
+}
+console.log('✅ Expected: 400 MISSING_DOCUMENTS twice, then 400 TOO_MANY_DOCUMENTS\n');
+
+console.log('🎉 Batch OCR tests completed!');
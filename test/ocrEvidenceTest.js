@@ -0,0 +1,102 @@
+/**
+ * Test script for OCR field evidence
+ * Scores extracted fields as explicit, converted or inferred and locates the source text
+ * each value came from (character offsets), with and without the model's own quotes
+ */
+
+import OcrEvidenceService from '../services/ocrEvidenceService.js';
+import OcrService from '../services/ocrService.js';
+import MockProvider from '../services/providers/mockProvider.js';
+
+console.log('🧪 Testing OCR field evidence...\n');
+
+const printEvidence = (fields, text) => {
+  Object.entries(fields).forEach(([field, evidence]) => {
+    const source = evidence.source
+      ? `"${evidence.source.text}" [${evidence.source.start}-${evidence.source.end}]${evidence.source.page ? ` page ${evidence.source.page}` : ''}`
+      : 'no source';
+    const offsetsMatch = !evidence.source || text.slice(evidence.source.start, evidence.source.end) === evidence.source.text;
+    console.log(`  ${field}: ${evidence.status}, ${evidence.confidence} (${evidence.level}), ${source}${offsetsMatch ? '' : ' ❌ offsets do not match'}`);
+    evidence.reasons.forEach(reason => console.log(`      - ${reason}`));
+  });
+};
+
+const document = `Booking confirmation
+Client: Samsung
+Shoot planned for the 2nd week of May 2025
+Call time 9 AM, fee 6,000 EUR per day
+Contact: anna@elite.com`;
+
+console.log('='.repeat(80));
+console.log('TEST 1: Values located without model evidence');
+console.log('='.repeat(80));
+
+const located = OcrEvidenceService.buildFieldEvidence({
+  clientName: 'Samsung',
+  startTime: '09:00',
+  dayRate: 6000,
+  currency: 'EUR',
+  email: 'anna@elite.com',
+  date: '2025-05-12',
+  location: 'Paris',
+  notes: null
+}, document);
+printEvidence(located.fields, document);
+console.log(`  overall: ${located.confidence}, uncertain: ${located.uncertainFields.join(', ')}`);
+console.log('✅ Expected: clientName, currency and email explicit; startTime ("9 AM") and dayRate ("6,000") converted;');
+console.log('   date and location inferred without a source (low); no entry for notes; overall low\n');
+
+console.log('='.repeat(80));
+console.log('TEST 2: Model evidence');
+console.log('='.repeat(80));
+
+const quoted = OcrEvidenceService.buildFieldEvidence({
+  clientName: 'Samsung',
+  date: '2025-05-12',
+  dayRate: 6000,
+  location: 'Warsaw',
+  bookingAgent: 'Kasia'
+}, document, {
+  evidence: {
+    clientName: { source: 'client:  samsung', status: 'inferred' },
+    date: { source: '2nd week of May 2025', status: 'inferred' },
+    dayRate: { source: 'fee 6,000 EUR per day', status: 'explicit' },
+    location: { source: 'Studio Warsaw', status: 'explicit' },
+    bookingAgent: 'Booker: Kasia'
+  },
+  issues: [{ field: 'dayRate', code: 'AMBIGUOUS_NUMBER', severity: 'warning', message: 'Several numbers found, using the first one (6000)' }]
+});
+printEvidence(quoted.fields, document);
+console.log('✅ Expected: clientName found despite case and spacing, explicit (overrides "inferred");');
+console.log('   date inferred from "2nd week of May 2025" (medium); dayRate narrowed to "6,000", converted, less');
+console.log('   the ambiguous number warning; location and bookingAgent quotes not in the text, inferred and low\n');
+
+console.log('='.repeat(80));
+console.log('TEST 3: Value patterns');
+console.log('='.repeat(80));
+
+[
+  ['2025-05-15', 'Date: May 15th, 2025'],
+  ['2025-05-15', 'on 15.05.2025'],
+  ['14:30', 'from 2.30 pm'],
+  ['08:00', 'call 0800 sharp'],
+  [1500.5, 'total 1.500,50'],
+  [500, 'total 1.500']
+].forEach(([value, text]) => {
+  const span = OcrEvidenceService.locateValue(text, value);
+  console.log(`  ${JSON.stringify(value)} in "${text}": ${span ? `"${span.text}" at ${span.start}` : 'not found'}`);
+});
+console.log('✅ Expected: all found except 500 inside "1.500"\n');
+
+console.log('='.repeat(80));
+console.log('TEST 4: Extraction through OcrService');
+console.log('='.repeat(80));
+
+const pdfText = '[Page 1]\nBooking confirmation\nClient Name: Samsung\n\n[Page 2]\nDate: 15/05/2025\nDay Rate: 6000 EUR';
+const result = await OcrService.analyze(new MockProvider(), pdfText, { documentType: 'job', pdf: true });
+printEvidence(result.fieldEvidence, pdfText);
+console.log(`  overall: ${result.confidence}, uncertain: [${result.uncertainFields.join(', ')}], _evidence issue: ${result.validation.issues.some(issue => issue.field === '_evidence')}`);
+console.log('✅ Expected: clientName explicit on page 1; date ("15/05/2025") and dayRate ("6000 EUR" narrowed to "6000")');
+console.log('   on page 2; the currency taken from the amount; overall high; _evidence not reported as an unknown field\n');
+
+console.log('🎉 OCR field evidence tests completed!');
@@ -0,0 +1,61 @@
+/**
+ * Test script for OcrProfileService
+ * Demonstrates document-type profiles, per-profile prompts and keyword classification
+ */
+
+import OcrProfileService from '../services/ocrProfileService.js';
+
+console.log('🧪 Testing OcrProfileService...\n');
+
+console.log('='.repeat(80));
+console.log('TEST 1: Available profiles');
+console.log('='.repeat(80));
+
+OcrProfileService.describeProfiles().forEach(profile => {
+  console.log(`  ${profile.documentType.padEnd(18)} ${profile.label} (${profile.fields ? `${profile.fields.length} fields` : 'fields of the detected type'})`);
+});
+console.log('✅ Expected: auto, modeling_document and one profile per entity type\n');
+
+console.log('='.repeat(80));
+console.log('TEST 2: Profile fields');
+console.log('='.repeat(80));
+
+console.log('agency:', Object.keys(OcrProfileService.getFields('agency')).join(', '));
+console.log('onStay:', Object.keys(OcrProfileService.getFields('onStay')).join(', '));
+console.log(`modeling_document: ${Object.keys(OcrProfileService.getFields('modeling_document')).length} fields`);
+console.log('✅ Expected: agency/onStay only list their own fields, modeling_document lists every field\n');
+
+console.log('='.repeat(80));
+console.log('TEST 3: Extraction prompt for the agent profile');
+console.log('='.repeat(80));
+
+console.log(OcrProfileService.buildExtractionPrompt('agent'));
+console.log('✅ Expected: agent-specific guidance and a schema with only agent fields\n');
+
+console.log('='.repeat(80));
+console.log('TEST 4: Keyword classification');
+console.log('='.repeat(80));
+
+const samples = {
+  'Hotel booking': 'Hotel Bristol, check-in 20/07/2025, check-out 23/07/2025, room rate 150 EUR per night, per diem 40 EUR',
+  'Casting option': 'Option hold for casting on May 12th, go-see at 10:00, please confirm the option',
+  'Agency profile': 'Elite Model Management - mother agency, commission 20%, website www.elitemodel.com',
+  'Empty text': ''
+};
+
+Object.entries(samples).forEach(([label, text]) => {
+  const { documentType, confidence, reason } = OcrProfileService.classifyByKeywords(text);
+  console.log(`  ${label.padEnd(16)} → ${documentType} (confidence ${confidence}) - ${reason}`);
+});
+console.log('✅ Expected: onStay, option, agency, then job with confidence 0 for empty text\n');
+
+console.log('='.repeat(80));
+console.log('TEST 5: Parsing the classifier answer');
+console.log('='.repeat(80));
+
+console.log(OcrProfileService.parseClassification('{"documentType":"meeting","confidence":0.8,"reason":"Agenda and attendees"}'));
+console.log(OcrProfileService.parseClassification('{"documentType":"invoice","confidence":0.9}'));
+console.log(OcrProfileService.parseClassification('not json'));
+console.log('✅ Expected: meeting result, then null for the unsupported type and for invalid JSON\n');
+
+console.log('🎉 OcrProfileService tests completed!');
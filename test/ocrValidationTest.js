@@ -0,0 +1,82 @@
+/**
+ * Test script for OcrValidationService
+ * Demonstrates validation and normalization of the model's OCR extraction output
+ */
+
+import OcrValidationService from '../services/ocrValidationService.js';
+
+console.log('🧪 Testing OcrValidationService...\n');
+
+const printResult = ({ data, issues, valid }) => {
+  const filled = Object.fromEntries(Object.entries(data).filter(([, value]) => value !== null));
+  console.log('Normalized data:', filled);
+  console.log(`Valid: ${valid}`);
+  issues.forEach(issue => {
+    console.log(`  [${issue.severity}] ${issue.field}: ${issue.code} - ${issue.message} (${JSON.stringify(issue.value)})`);
+  });
+};
+
+console.log('='.repeat(80));
+console.log('TEST 1: Typical model output with text amounts');
+console.log('='.repeat(80));
+
+printResult(OcrValidationService.validate({
+  clientName: '  SAMSUNG ',
+  date: '2025-05-15',
+  dayRate: '500 EUR',
+  usageRate: '5.500,00 €',
+  budget: 6000,
+  currency: null,
+  callTime: '8:30 AM',
+  commissionRate: '20%'
+}));
+console.log('✅ Expected: dayRate=500, usageRate=5500, currency inferred as EUR, callTime=08:30, no errors\n');
+
+console.log('='.repeat(80));
+console.log('TEST 2: Impossible and malformed values');
+console.log('='.repeat(80));
+
+printResult(OcrValidationService.validate({
+  date: '2025-02-30',
+  endDate: 'sometime in May',
+  checkInDate: '2025-07-22',
+  checkOutDate: '2025-07-20',
+  currency: 'EURO-ISH',
+  email: 'sarah at uncovermodels',
+  startTime: '25:00',
+  commissionRate: 150,
+  hotelCost: -120
+}));
+console.log('✅ Expected: errors for every field, invalid values set to null, valid=false\n');
+
+console.log('='.repeat(80));
+console.log('TEST 3: Unknown keys, placeholders and lists');
+console.log('='.repeat(80));
+
+printResult(OcrValidationService.validate({
+  clientName: 'N/A',
+  media: ['Print', 'Online', 'TV'],
+  rate: 500,
+  modelHeight: '178cm',
+  currency: 'usd',
+  dayRate: 1200,
+  hotelCost: '150 EUR'
+}));
+console.log('✅ Expected: clientName=null, media joined, rate/modelHeight dropped, currency=USD with a conflict warning for EUR\n');
+
+console.log('='.repeat(80));
+console.log('TEST 4: Non-object output');
+console.log('='.repeat(80));
+
+printResult(OcrValidationService.validate(['not', 'an', 'object']));
+console.log('✅ Expected: INVALID_ROOT error and all fields null\n');
+
+console.log('='.repeat(80));
+console.log('TEST 5: Prompt schema lists every field once');
+console.log('='.repeat(80));
+
+const schemaPrompt = OcrValidationService.buildSchemaPrompt();
+const fieldNames = [...schemaPrompt.matchAll(/"([a-zA-Z]+)":/g)].map(match => match[1]);
+console.log(`Fields: ${fieldNames.length} | Unique: ${new Set(fieldNames).size}`);
+
+console.log('\n✅ OcrValidationService tests completed!');
@@ -0,0 +1,109 @@
+/**
+ * Test script for PdfService
+ * Demonstrates page-by-page text extraction, page references and scanned PDF detection
+ */
+
+import PdfService from '../services/pdfService.js';
+
+console.log('🧪 Testing PdfService...\n');
+
+/**
+ * Build a minimal PDF with one page per entry in pageLines
+ * @param {Array<Array<string>>} pageLines - Text lines of each page (an empty list makes an image-only page)
+ * @returns {Buffer} PDF file contents
+ */
+const buildPdf = (pageLines) => {
+  const objects = [];
+  const pageCount = pageLines.length;
+  const fontId = 3 + pageCount * 2;
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageLines.map((_, index) => `${3 + index * 2} 0 R`).join(' ')}] /Count ${pageCount} >>`;
+
+  pageLines.forEach((lines, index) => {
+    const pageId = 3 + index * 2;
+    const escaped = lines.map(line => `(${line.replace(/([()\\])/g, '\\$1')}) Tj T*`).join(' ');
+    const stream = lines.length > 0 ? `BT /F1 12 Tf 16 TL 72 720 Td ${escaped} ET` : '0 0 1 rg 72 72 468 648 re f';
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents ${pageId + 1} 0 R /Resources << /Font << /F1 ${fontId} 0 R >> >> >>`;
+    objects[pageId + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+  });
+
+  objects[fontId] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>';
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = pdf.length;
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
+
+const bookingPdf = buildPdf([
+  [
+    'BOOKING CONFIRMATION',
+    'Client: SAMSUNG',
+    'Shooting date: 15/05/2025',
+    'Location: Warsaw, Poland'
+  ],
+  [
+    'Payment Terms',
+    'Day Rate: 500 EUR',
+    'Usage Rate: 5,500 EUR',
+    'Payment: Net 30 days'
+  ]
+]);
+
+console.log('='.repeat(80));
+console.log('TEST 1: Extract text page by page');
+console.log('='.repeat(80));
+
+const result = await PdfService.extractText(bookingPdf);
+console.log(`Pages: ${result.pageCount} (read ${result.pagesRead})`);
+result.pages.forEach(page => console.log(`  Page ${page.page}: ${page.characters} characters`));
+console.log('\nText sent to the model:\n' + result.text);
+console.log('✅ Expected: 2 pages, text prefixed with [Page 1] / [Page 2]\n');
+
+console.log('='.repeat(80));
+console.log('TEST 2: Page references for extracted values');
+console.log('='.repeat(80));
+
+console.log(PdfService.findPageReferences({
+  clientName: 'Samsung',
+  date: '2025-05-15',
+  location: 'Warsaw, Poland',
+  dayRate: 500,
+  usageRate: 5500,
+  paymentTerms: 'Net 30 days',
+  bookingAgent: 'Sarah Johnson',
+  currency: 'EUR'
+}, result.pages));
+console.log('✅ Expected: clientName/date/location on page 1, rates, paymentTerms and currency on page 2, no bookingAgent\n');
+
+console.log('='.repeat(80));
+console.log('TEST 3: Scanned PDF and invalid files');
+console.log('='.repeat(80));
+
+for (const [label, buffer] of [
+  ['Scanned PDF', buildPdf([[], []])],
+  ['Not a PDF', Buffer.from('Client: SAMSUNG')],
+  ['Truncated PDF', bookingPdf.subarray(0, 200)]
+]) {
+  try {
+    await PdfService.extractText(buffer);
+    console.log(`  ${label}: ❌ no error`);
+  } catch (error) {
+    console.log(`  ${label}: ${error.code} (${error.status}) - ${error.message}`);
+  }
+}
+console.log('✅ Expected: PDF_NO_TEXT_LAYER (422), INVALID_PDF (400), INVALID_PDF (400)\n');
+
+console.log('🎉 PdfService tests completed!');
@@ -0,0 +1,69 @@
+/**
+ * Test script for RateLimitService
+ * Demonstrates request rate limits and monthly token quotas with the memory and file stores
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import RateLimitService from '../services/rateLimitService.js';
+
+console.log('🧪 Testing RateLimitService...\n');
+
+Object.assign(process.env, {
+  RATE_LIMIT_STORE: 'memory',
+  RATE_LIMIT_WINDOW_SECONDS: '60',
+  RATE_LIMIT_USER_MAX: '3',
+  RATE_LIMIT_IP_MAX: '5',
+  MONTHLY_TOKEN_QUOTA: '1000'
+});
+RateLimitService.reset();
+
+console.log('='.repeat(80));
+console.log('TEST 1: Request rate limit per user (3 per 60 seconds)');
+console.log('='.repeat(80));
+
+// Counters expire in real time, so simulate a window that starts two minutes from now
+const start = Math.ceil(Date.now() / 60000) * 60000 + 60000 + 5000;
+for (let i = 1; i <= 4; i++) {
+  const status = await RateLimitService.consumeRequest('user', 'user-1', start + i * 1000);
+  console.log(`  Request ${i}: remaining ${status.remaining}, exceeded ${status.exceeded}, resets ${new Date(status.resetAt).toISOString()}`);
+}
+const nextWindow = await RateLimitService.consumeRequest('user', 'user-1', start + 60 * 1000);
+console.log(`  Next window: remaining ${nextWindow.remaining}, exceeded ${nextWindow.exceeded}`);
+const otherUser = await RateLimitService.consumeRequest('user', 'user-2', start + 5000);
+console.log(`  Other user: remaining ${otherUser.remaining}`);
+console.log('✅ Expected: 4th request exceeded, limit resets in the next window, users counted separately\n');
+
+console.log('='.repeat(80));
+console.log('TEST 2: Monthly token quota (1000 tokens)');
+console.log('='.repeat(80));
+
+const today = new Date();
+const nextMonth = Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 1);
+await RateLimitService.recordTokens('user:user-1', { total_tokens: 600 });
+console.log('After 600 tokens:', await RateLimitService.getTokenStatus('user:user-1'));
+await RateLimitService.recordTokens('user:user-1', { total_tokens: 450 });
+console.log('After 1050 tokens:', await RateLimitService.getTokenStatus('user:user-1'));
+console.log('Next month:', await RateLimitService.getTokenStatus('user:user-1', nextMonth));
+console.log('✅ Expected: 400 remaining, then exceeded, then a fresh quota next month\n');
+
+console.log('='.repeat(80));
+console.log('TEST 3: File store keeps token usage across restarts');
+console.log('='.repeat(80));
+
+const storeFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'modelday-usage-')), 'usage.json');
+Object.assign(process.env, { RATE_LIMIT_STORE: 'file', RATE_LIMIT_STORE_FILE: storeFile, MONTHLY_TOKEN_QUOTA: '0' });
+RateLimitService.reset();
+
+await RateLimitService.recordTokens('user:user-3', { total_tokens: 250 });
+await RateLimitService.recordTokens('user:user-3', { total_tokens: 100 });
+await RateLimitService.getStore().flush();
+
+RateLimitService.reset();
+console.log('After restart:', await RateLimitService.getTokenStatus('user:user-3'));
+console.log('✅ Expected: used 350, limit and remaining null (MONTHLY_TOKEN_QUOTA=0 means unlimited)\n');
+
+fs.rmSync(path.dirname(storeFile), { recursive: true, force: true });
+
+console.log('🎉 RateLimitService tests completed!');
@@ -0,0 +1,84 @@
+/**
+ * Test script for ReceivablesService
+ * Demonstrates payment terms, aging buckets and overdue lists per client and agency
+ */
+
+import ReceivablesService from '../services/receivablesService.js';
+import UserDataQueryService from '../services/userDataQueryService.js';
+import { sampleUserData } from '../examples/sampleUserData.js';
+
+console.log('🧪 Testing ReceivablesService...\n');
+
+console.log('='.repeat(80));
+console.log('TEST 1: Payment terms');
+console.log('='.repeat(80));
+
+['Net 30', 'net-45', 'Payment within 60 days of invoice', '2 weeks', '3 months', 'Due on receipt', 'Upon completion', 'TBD', null]
+  .forEach(terms => console.log(`  ${JSON.stringify(terms)} → ${ReceivablesService.parsePaymentTerms(terms)}`));
+console.log('✅ Expected: 30, 45, 60, 14, 90, 0, 0, null, null\n');
+
+console.log('='.repeat(80));
+console.log('TEST 2: Aging buckets (as of 2025-12-31)');
+console.log('='.repeat(80));
+
+const userData = {
+  userProfile: { homeCurrency: 'USD' },
+  agencies: [{ id: 'agency1', name: 'Elite Model Management' }],
+  jobs: [
+    { id: 'j1', clientName: 'Vogue', date: '2025-12-20', rate: 1000, currency: 'USD', paymentStatus: 'Pending', paymentTerms: 'Net 30' },
+    { id: 'j2', clientName: 'Vogue', date: '2025-11-15', rate: 1500, currency: 'USD', paymentStatus: 'Invoiced', agencyId: 'agency1' },
+    { id: 'j3', clientName: 'Zara', date: '2025-10-01', rate: 2000, currency: 'EUR', paymentStatus: 'Pending', dueDate: '2025-10-20', agencyId: 'agency1' },
+    { id: 'j4', clientName: 'H&M', date: '2025-07-01', rate: 800, currency: 'EUR', paymentStatus: 'Overdue', agencyName: 'IMG Models' },
+    { id: 'j5', clientName: 'Gap', date: '2025-12-01', rate: 3000, currency: 'USD', paymentStatus: 'Paid' },
+    { id: 'j6', clientName: 'Mango', date: '2025-12-05', rate: 600, currency: 'EUR', paymentStatus: 'Pending', status: 'Cancelled' },
+    { id: 'j7', clientName: 'Prada', date: '2026-02-10', rate: 4000, currency: 'EUR', paymentStatus: 'Pending' }
+  ],
+  shootings: [
+    { id: 's1', clientName: 'Elle', date: '2025-12-10', rate: 500, currency: 'GBP' },
+    { id: 's2', clientName: 'Elle', date: '2025-12-10', rate: 700, currency: 'GBP', paymentStatus: 'Pending', paymentTerms: '45 days' }
+  ]
+};
+
+const report = ReceivablesService.analyze(userData, { now: '2025-12-31' });
+report.items.forEach(item => {
+  console.log(`  ${item.id} ${item.clientName}: ${item.amount} ${item.currency}, due ${item.dueDate} (${item.dueDateSource}), ${item.daysOverdue} days → ${item.bucket}`);
+});
+report.buckets.forEach(bucket => console.log(`  ${bucket.label}: ${bucket.formatted} (${bucket.count})`));
+console.log(`  Outstanding: ${report.outstanding.formatted}`);
+console.log(`  Overdue: ${report.overdue.formatted}`);
+console.log(`  Upcoming (not owed yet): ${report.upcoming.formatted}`);
+console.log('✅ Expected: j1 and s2 not due, j2 46 days, j3 72 days, j4 183 days; paid, cancelled and s1 (no paymentStatus) left out; Prada upcoming\n');
+
+const textAmounts = ReceivablesService.analyze({
+  jobs: [
+    { id: 't1', clientName: 'Zara', date: '2025-10-01', rate: '2,500', currency: 'EUR', paymentStatus: 'Pending' },
+    { id: 't2', clientName: 'H&M', date: '2025-10-01', rate: '1.200,50', currency: 'EUR', paymentStatus: 'Pending' }
+  ]
+}, { now: '2025-12-31' });
+console.log(`  Text amounts: ${textAmounts.items.map(item => item.amount).join(', ')}, outstanding ${textAmounts.outstanding.formatted}`);
+console.log('✅ Expected: 2500, 1200.5, outstanding 3,700.50 EUR\n');
+
+const malformed = ReceivablesService.analyze({ jobs: { a: 1 }, agencies: 'x', shootings: [null] }, { now: '2025-12-31' });
+console.log(`  Malformed sections: ${malformed.items.length} items, outstanding ${malformed.outstanding.formatted}`);
+console.log('✅ Expected: sections that are not lists ignored, 0 items\n');
+
+console.log('='.repeat(80));
+console.log('TEST 3: Overdue by client and agency');
+console.log('='.repeat(80));
+
+report.byClient.forEach(group => console.log(`  ${group.clientName}: ${group.formatted}, oldest ${group.oldestDaysOverdue} days (${group.itemIds.join(', ')})`));
+report.byAgency.forEach(group => console.log(`  ${group.agency}: ${group.formatted}`));
+console.log('✅ Expected: Zara, Vogue, H&M; Elite Model Management (j2, j3) and IMG Models (j4)\n');
+
+console.log('='.repeat(80));
+console.log('TEST 4: Context section and chat data tool');
+console.log('='.repeat(80));
+
+console.log(ReceivablesService.formatReceivablesSection(report));
+const tool = UserDataQueryService.runQuery('getReceivables', { clientName: 'vogue' }, userData);
+console.log(`getReceivables for Vogue: ${tool.outstanding.formatted} outstanding (${tool.items.length} items)`);
+const sample = ReceivablesService.analyze(sampleUserData, { now: '2025-10-01' });
+console.log(`Sample data on 2025-10-01: ${sample.outstanding.formatted} outstanding, ${sample.overdue.count} overdue`);
+console.log('✅ Expected: formatted section; Vogue only; sample jobs job1, job3 and ai1 outstanding\n');
+
+console.log('🎉 ReceivablesService tests completed!');
@@ -0,0 +1,81 @@
+/**
+ * Test script for time zone handling
+ * Demonstrates the user's time zone in the AI context, upcoming checks, records with their
+ * own time zone, conflicts, receivables and the iCalendar export
+ */
+
+import DateService from '../services/dateService.js';
+import ContextService from '../services/contextService.js';
+import ConflictService from '../services/conflictService.js';
+import ReceivablesService from '../services/receivablesService.js';
+import ICalendarService from '../services/icalendarService.js';
+
+console.log('🧪 Testing time zones...\n');
+
+// 2025-08-15 23:30 UTC is already Saturday 08:30 in Tokyo and still Friday 19:30 in New York
+const now = new Date('2025-08-15T23:30:00Z');
+
+const userData = {
+  userProfile: { name: 'Aiko', timeZone: 'Asia/Tokyo' },
+  jobs: [
+    { id: 'job1', clientName: 'Shiseido', type: 'Commercial', date: '2025-08-16', rate: 300000, currency: 'JPY' },
+    { id: 'job2', clientName: 'Uniqlo', type: 'E-commerce', date: '2025-08-16', time: '08:00', rate: 200000, currency: 'JPY' },
+    { id: 'job3', clientName: 'Dior', type: 'Editorial', date: '2025-08-16', time: '10:00', timeZone: 'Europe/Paris', location: 'Paris', rate: 2000, currency: 'EUR' },
+    { id: 'job4', clientName: 'Vogue Japan', type: 'Editorial', date: '2025-08-15', rate: 150000, currency: 'JPY', paymentStatus: 'Unpaid' }
+  ],
+  meetings: [
+    { id: 'meeting1', clientName: 'IMG Models', date: '2025-08-16', time: '09:00', timeZone: 'America/New_York' }
+  ]
+};
+
+console.log('='.repeat(80));
+console.log('TEST 1: DateService');
+console.log('='.repeat(80));
+
+console.log(`  Today in Tokyo: ${DateService.today('Asia/Tokyo', now)}, in New York: ${DateService.today('America/New_York', now)}`);
+console.log(`  Resolved zone: ${DateService.resolveTimeZone('Not/AZone', 'Europe/Rome')}, default: ${DateService.resolveTimeZone()}`);
+console.log(`  10:00 Paris in Tokyo: ${JSON.stringify(DateService.convertDateTime('2025-08-16', '10:00', 'Europe/Paris', 'Asia/Tokyo'))}`);
+console.log('✅ Expected: 2025-08-16 and 2025-08-15; Europe/Rome, UTC; 2025-08-16 17:00\n');
+
+console.log('='.repeat(80));
+console.log('TEST 2: Context in the user\'s time zone');
+console.log('='.repeat(80));
+
+const context = ContextService.buildUserContext(userData, { now });
+context.split('\n')
+  .filter(line => /^(Current|Time Zone)|^- (Upcoming|Completed) Jobs|: (JOB|MEETING) - /.test(line))
+  .forEach(line => console.log(`  ${line}`));
+console.log('✅ Expected: Saturday, August 16, 2025 08:30, Asia/Tokyo; 2 upcoming (Shiseido today without a time,');
+console.log('   Dior at 10:00 Europe/Paris = 17:00 Asia/Tokyo) and 2 completed (Uniqlo started at 08:00, Vogue Japan');
+console.log('   yesterday); IMG meeting at 09:00 America/New_York (22:00 Asia/Tokyo)\n');
+
+const newYork = ContextService.buildUserContext(userData, { now, timeZone: 'America/New_York' });
+console.log(`  ${newYork.split('\n').find(line => line.startsWith('Current Date'))}`);
+console.log(`  ${newYork.split('\n').find(line => line.includes('Upcoming Jobs'))}`);
+console.log('✅ Expected: the request time zone wins: Friday, August 15, 2025; 4 upcoming jobs\n');
+
+console.log('='.repeat(80));
+console.log('TEST 3: Conflicts across time zones');
+console.log('='.repeat(80));
+
+const { conflicts } = ConflictService.detectConflicts({
+  userProfile: { timeZone: 'Asia/Tokyo' },
+  jobs: [{ id: 'tokyo', clientName: 'Shiseido', date: '2025-08-17', time: '01:00' }],
+  meetings: [{ id: 'call', clientName: 'IMG Models', date: '2025-08-16', time: '12:30', timeZone: 'America/New_York' }]
+}, { now });
+conflicts.forEach(conflict => console.log(`  [${conflict.type}] ${conflict.date}: ${conflict.message}`));
+console.log('✅ Expected: TIME_OVERLAP on 2025-08-17 (12:30 New York is 01:30 Tokyo)\n');
+
+console.log('='.repeat(80));
+console.log('TEST 4: Receivables and calendar export');
+console.log('='.repeat(80));
+
+console.log(`  Receivables as of: ${ReceivablesService.analyze(userData, { now }).asOf}`);
+const { calendar } = ICalendarService.buildCalendar(userData, { now });
+calendar.split('\r\n')
+  .filter(line => /^(X-WR-TIMEZONE|DTSTART|SUMMARY)/.test(line))
+  .forEach(line => console.log(`  ${line}`));
+console.log('✅ Expected: 2025-08-16; X-WR-TIMEZONE:Asia/Tokyo, Uniqlo 20250815T230000Z,');
+console.log('   Dior 20250816T080000Z, IMG 20250816T130000Z, all-day jobs unchanged\n');
+
+console.log('🎉 Time zone tests completed!');
@@ -0,0 +1,81 @@
+/**
+ * Test script for userData validation
+ * Demonstrates path-based errors and warnings for each entity type and the values the
+ * context would otherwise misread
+ */
+
+import UserDataValidationService from '../services/userDataValidationService.js';
+import ContextService from '../services/contextService.js';
+
+console.log('🧪 Testing userData validation...\n');
+
+const printIssues = ({ errors, warnings }) => {
+  errors.forEach(issue => console.log(`  ❌ ${issue.path} [${issue.code}] ${issue.message} (${JSON.stringify(issue.value)})`));
+  warnings.forEach(issue => console.log(`  ⚠️  ${issue.path} [${issue.code}] ${issue.message} (${JSON.stringify(issue.value)})`));
+};
+
+console.log('='.repeat(80));
+console.log('TEST 1: Valid userData');
+console.log('='.repeat(80));
+
+const valid = UserDataValidationService.validate({
+  userProfile: { name: 'Sarah Johnson', email: 'sarah@example.com', homeCurrency: 'EUR', timeZone: 'Europe/Paris', locale: 'fr-FR', taxRate: 20 },
+  jobs: [{ id: 'job1', clientName: 'Vogue', date: '2025-08-20', time: '09:00', rate: 2500, currency: 'EUR', commissionRate: 20 }],
+  events: [{ id: 'event1', type: 'Casting', date: '2025-08-18', endDate: '2025-08-19', startTime: '14:00', dayRate: 800, currency: 'USD' }],
+  agencies: [{ id: 'agency1', name: 'Elite Paris', commissionRate: 20 }],
+  onStays: [{ checkInDate: '2025-08-17', checkOutDate: '2025-08-21', cost: 900, currency: 'EUR' }]
+});
+console.log(`  valid: ${valid.valid}, errors: ${valid.errorCount}, warnings: ${valid.warningCount}`);
+console.log('✅ Expected: valid: true, errors: 0, warnings: 0\n');
+
+console.log('='.repeat(80));
+console.log('TEST 2: Values the context would misread');
+console.log('='.repeat(80));
+
+const invalid = UserDataValidationService.validate({
+  userProfile: { email: 'sarah(at)example.com', timeZone: 'Paris', taxRate: 120 },
+  jobs: [
+    { clientName: 'Vogue', date: '2025-02-30', rate: '1500-2000', currency: 'ZZZ' },
+    { clientName: 'H&M', date: '2025-08-20', rate: -100, time: '25:00' }
+  ],
+  events: { id: 'event1' },
+  agents: ['Marie Dubois'],
+  onStays: [{ checkInDate: '2025-08-21', checkOutDate: '2025-08-17', cost: { amount: 900 } }]
+});
+printIssues(invalid);
+console.log(`  valid: ${invalid.valid}, errors: ${invalid.errorCount}`);
+console.log('✅ Expected: errors for the e-mail, time zone, tax rate over 100, impossible date, "1500-2000" (read as 1500),');
+console.log('   unknown currency, negative rate, invalid time, events not a list, agent not an object,');
+console.log('   check-out before check-in and a cost that is an object; valid: false\n');
+
+console.log('='.repeat(80));
+console.log('TEST 3: Warnings (read correctly, but not in the expected form)');
+console.log('='.repeat(80));
+
+const warnings = UserDataValidationService.validate({
+  userProfile: { locale: 'ja-JP' },
+  jobs: [{ clientName: 'Zara', date: '20/07/2025', time: '9am', rate: '2,500', currency: 'eur' }],
+  shootings: [{ clientName: 'Elle', rate: 'TBD' }],
+  agencies: [{ commissionRate: '20%' }],
+  favourites: []
+});
+printIssues(warnings);
+console.log(`  valid: ${warnings.valid}, warnings: ${warnings.warningCount}`);
+console.log('✅ Expected: unsupported locale, date and time formats, numbers as text ("2,500" read as 2500), lower-case currency,');
+console.log('   TBD placeholder, missing shooting date and agency name, unknown section; valid: true\n');
+
+console.log('='.repeat(80));
+console.log('TEST 4: Not an object');
+console.log('='.repeat(80));
+
+printIssues(UserDataValidationService.validate([{ jobs: [] }]));
+console.log('✅ Expected: one INVALID_TYPE error at the root path ""\n');
+
+const shapeErrors = UserDataValidationService.getShapeErrors({ userProfile: 'Anna', jobs: 'abc', events: [null], agencies: {} });
+shapeErrors.forEach(issue => console.log(`  ${issue.path}: ${issue.code} ${issue.message}`));
+const readable = ContextService.buildBudgetedContext({ jobs: [null, { clientName: 'Zara', date: '2025-08-01' }], agencies: [null] });
+console.log(`  context with null records: ${ContextService.isUserDataContext(readable.context) ? 'built' : readable.context}, budget: ${readable.budget !== null}`);
+console.log('✅ Expected: shape errors for userProfile, jobs and agencies only (the null event is a record error);');
+console.log('   a context still built from the readable records\n');
+
+console.log('🎉 userData validation tests completed!');